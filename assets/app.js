@@ -2,21 +2,80 @@
    Brain Threat Analysis — APP
    Clean rebuild from WP + master.csv (STRICT CONTRACT)
    ---------------------------------------------------------------------------
-   - Uses ONLY `master.csv` (threat, brand_name) for UI helper text & med brands
+   - Uses ONLY `master.csv` (threat, brand_name) for UI helper text & med brands,
+     plus `class` / `anticholinergic_burden_std` to group and rate medications
+     and the detail columns CONFIG.csvContract declares for “More info” panels
    - Scoring/bands/tiers/weights are in code (CONFIG/SCORING), never CSV
    - NO heuristics. If a required csvKey is missing, show RED BANNER and STOP
-   - All fetch() use { cache: "no-store" }
-   - Seven top-level categories, all collapsed on load (▸ closed; ▾ open)
+     (contract checks live in data.js, shared with the Node CLI in tools/)
+   - All fetch() use { cache: "no-store" }; offline, service-worker.js serves
+     the app and both data files from one versioned cache and offline.js
+     offers "Updated data available — reload" when a newer set is staged
+   - One top-level accordion per CONFIG category (seven), all collapsed on
+     load (▸ closed; ▾ open); each instrument renders from its CONFIG `widget`
    - Each category has “Clear This Section” that resets only that section & re-collapses
    - Sensory has TWO collapsed sub-accordions (HHIE-S, VFQ-3of7)
-   - Global “Copy Summary” and “Clear Form” sit BELOW the Summary
+   - Medications get a type-ahead picker with chips and free-text “other”
+     entries (medpicker.js) above the class-grouped checklist
+   - Global “Copy Summary” and “Clear Form” sit BELOW the Summary, next to
+     “Export” / “Import” of the assessment as versioned JSON (transfer.js)
+     and “Print Report” (report.js; print layout in ui.css)
+   - “Export FHIR” writes the answers as an R4 QuestionnaireResponse plus
+     scoring Observations, “FHIR Questionnaire” the form definition; Import
+     and Compare also read FHIR QuestionnaireResponses (fhir.js)
+   - “Research CSV” writes one row per assessment (the current form, or
+     every saved assessment of the listed client profiles) with one column
+     per item plus the computed scores; “Data Dictionary” describes the
+     columns (research.js). It is the one unencrypted export: off without
+     an unlocked vault, and confirmed before each download
+   - “Compare Assessments” diffs two exported assessments, or one against the
+     current form (compare.js)
+   - Questionnaire accordion headers show answered/total badges
+     (e.g. “Sleep 4/6”); tiers stay blank until CONFIG.completion is met
+   - Answers are persisted locally per data version; on load a
+     “Resume previous session / Start fresh” prompt is offered (persist.js)
+   - Saved sessions, client profiles and exported files are encrypted with a
+     staff passphrase (vault.js: PBKDF2 → AES-GCM). An unlock screen comes
+     before the form renders; after CONFIG.vault.autoLockMinutes without
+     activity the page is cleared and locked until the passphrase is
+     entered again
+   - Accessibility: accordion headers are disclosure buttons (aria-controls,
+     ↑/↓/Home/End between sections), each question is a fieldset/legend, tier
+     changes are announced politely (summary.js), and a header toggle turns
+     on a large-text / high-contrast mode (ui.css variables)
+   - The summary has a patient view (plain language) and a clinician view
+     (item-level answers, band tables, ACB levels) of the same scores,
+     chosen under the Summary heading (summary.js)
+   - Named client profiles with dated assessment histories are kept in
+     IndexedDB (profiles.js); opening one re-checks the form through
+     applyResponses(), the inverse of collectAllResponses()
+   - A header selector switches the display language (i18n.js + bundles in
+     assets/i18n/); the form re-renders with answers kept, helper text comes
+     from the master.csv locale columns (threat_<code>, …) with English
+     fallback. Response values, scoring and exports stay language-neutral.
    - File paths are fixed:
        data/instruments_config.json
        data/master.csv
        assets/config.js
        assets/app.js
        assets/scoring.js
+       assets/data.js
        assets/summary.js
+       assets/vault.js
+       assets/persist.js
+       assets/transfer.js
+       assets/fhir.js
+       assets/research.js
+       assets/report.js
+       assets/compare.js
+       assets/medpicker.js
+       assets/plan.js
+       assets/i18n.js
+       assets/i18n/<code>.js
+       assets/profiles.js
+       assets/offline.js
+       service-worker.js
+       manifest.webmanifest
    =========================================================================== */
 
 (() => {
@@ -27,16 +86,69 @@
   const STATE = {
     threatByKey: Object.create(null), // item_key.toLowerCase() => threat (helper text)
     brandByKey: Object.create(null),  // item_key.toLowerCase() => brand_name
+    classByKey: Object.create(null),  // item_key.toLowerCase() => class (medications)
+    acbByKey: Object.create(null),    // item_key.toLowerCase() => anticholinergic_burden_std
+    detailsByKey: Object.create(null),// item_key.toLowerCase() => { <detail column>: text }
     csvKeys: new Set(),               // canonical lowercased keys from CSV
     instruments: null,                // parsed instruments_config.json
+    dataVersion: "",                  // PERSIST.dataVersion of both data files
+    resumePending: false,             // true while the resume prompt is open
+    updateDemographics: null,         // refreshes BMI/validation after programmatic changes
+    progress: [],                     // [{ badge, instruments }] accordion answered/total badges
+    lookups: null,                    // { threatByKey, detailsByKey } in the UI language (DATA.localize)
+    profileId: null,                  // open client profile (profiles.js), or null
+    profileBaseline: "{}",            // responsesKey() of the answers last loaded/saved for it
+    locked: true,                     // vault locked: nothing is saved, the form stays empty
+    onUnlock: null,                   // resolves waitForUnlock()
+    lockTimer: null,                  // inactivity auto-lock (CONFIG.vault.autoLockMinutes)
+    pendingSave: null,                // last PERSIST.save() (sealing is async)
   };
 
   // DOM refs
+  const $app = document.getElementById("app");
   const $cats = document.getElementById("categories");
   const $banner = document.getElementById("error-banner");
   const $copySummary = document.getElementById("copy-summary-btn");
   const $clearForm = document.getElementById("clear-form-btn");
   const $summaryContent = document.getElementById("summary-content");
+  const $resumePrompt = document.getElementById("resume-prompt");
+  const $exportBtn = document.getElementById("export-assessment-btn");
+  const $importBtn = document.getElementById("import-assessment-btn");
+  const $importFile = document.getElementById("import-assessment-file");
+  const $transferStatus = document.getElementById("transfer-status");
+  const $fhirExportBtn = document.getElementById("export-fhir-btn");
+  const $fhirQuestionnaireBtn = document.getElementById("fhir-questionnaire-btn");
+  const $researchBtn = document.getElementById("research-csv-btn");
+  const $dictionaryBtn = document.getElementById("data-dictionary-btn");
+  const $printReport = document.getElementById("print-report-btn");
+  const $compareBtn = document.getElementById("compare-assessments-btn");
+  const $compareFiles = document.getElementById("compare-assessment-files");
+  const $reportName = document.getElementById("report-name");
+  const $reportDate = document.getElementById("report-date");
+  const $reportAssessor = document.getElementById("report-assessor");
+  const $displayMode = document.getElementById("display-mode-btn");
+  const $profilesPanel = document.getElementById("profiles-panel");
+  const $profileCurrent = document.getElementById("profile-current");
+  const $profileSearch = document.getElementById("profile-search");
+  const $profileNewName = document.getElementById("profile-new-name");
+  const $profileList = document.getElementById("profile-list");
+  const $profileActive = document.getElementById("profile-active");
+  const $profileRename = document.getElementById("profile-rename-input");
+  const $profileHistory = document.getElementById("profile-history");
+  const $profileStatus = document.getElementById("profile-status");
+  const $vaultScreen = document.getElementById("vault-screen");
+  const $vaultTitle = document.getElementById("vault-title");
+  const $vaultIntro = document.getElementById("vault-intro");
+  const $vaultPass = document.getElementById("vault-passphrase");
+  const $vaultConfirm = document.getElementById("vault-confirm");
+  const $vaultConfirmRow = document.getElementById("vault-confirm-row");
+  const $vaultUnlock = document.getElementById("vault-unlock-btn");
+  const $vaultErase = document.getElementById("vault-erase-btn");
+  const $vaultError = document.getElementById("vault-error");
+  const $vaultLock = document.getElementById("vault-lock-btn");
+
+  const DISPLAY_MODE_KEY = "brainThreat.displayMode"; // "contrast" | "standard"
+  const SUMMARY_MODE_KEY = "brainThreat.summaryMode"; // "patient" | "clinician"
 
   // ---------- Utilities ----------
 
@@ -62,115 +174,38 @@
 
   function lc(s) { return String(s || "").trim().toLowerCase(); }
 
-  // Minimal CSV parser (no external deps), expects first row headers
-  async function loadCSV(path) {
-    const res = await fetch(path, { cache: "no-store" });
-    if (!res.ok) throw new Error(`Failed to fetch ${path}: ${res.status}`);
-    const text = await res.text();
-
-    // Split lines, handle CRLF
-    const lines = text.split(/\r?\n/).filter(l => l.length > 0);
-    if (lines.length === 0) return { headers: [], rows: [] };
-
-    // Basic CSV split that supports quoted cells with commas
-    function parseLine(line) {
-      const out = [];
-      let cur = "", inQ = false;
-      for (let i = 0; i < line.length; i++) {
-        const ch = line[i];
-        if (ch === '"') {
-          if (inQ && line[i + 1] === '"') { cur += '"'; i++; }
-          else inQ = !inQ;
-        } else if (ch === "," && !inQ) {
-          out.push(cur);
-          cur = "";
-        } else {
-          cur += ch;
-        }
-      }
-      out.push(cur);
-      return out;
-    }
+  // Display text in the current UI language (i18n.js); `fallback` is English
+  function t(id, fallback, vars) {
+    return window.I18N.t(id, fallback, vars);
+  }
 
-    const headers = parseLine(lines[0]).map(h => h.trim());
-    const rows = [];
-    for (let i = 1; i < lines.length; i++) {
-      const cols = parseLine(lines[i]);
-      if (cols.every(c => c.trim() === "")) continue; // skip blank row
-      const obj = {};
-      headers.forEach((h, idx) => { obj[h] = (cols[idx] ?? "").trim(); });
-      rows.push(obj);
-    }
-    return { headers, rows };
+  // CSV helper/detail text in the current UI language (English where the
+  // master.csv locale columns are blank); refreshed by applyLanguage()
+  function csvLookups() {
+    return STATE.lookups;
   }
 
-  async function loadJSON(path) {
+  async function loadText(path) {
     const res = await fetch(path, { cache: "no-store" });
     if (!res.ok) throw new Error(`Failed to fetch ${path}: ${res.status}`);
-    return res.json();
+    return res.text();
   }
 
-  function requireColumns(headers, required) {
-    const missing = required.filter(r => !headers.includes(r));
-    if (missing.length) {
-      throw new Error(`master.csv is missing required columns: ${missing.join(", ")}`);
-    }
-  }
-
-  // Build strict dictionaries (ONLY threat & brand_name)
-  function buildCsvDictionaries(csv) {
-    const { headers, rows } = csv;
-    requireColumns(headers, ["instrument_id", "item_key", "threat", "brand_name"]);
-
-    const threatByKey = Object.create(null);
-    const brandByKey = Object.create(null);
-    const keySet = new Set();
-
-    for (const r of rows) {
-      const key = lc(r["item_key"]);
-      if (!key) continue;
-      keySet.add(key);
-      // STRICT: only these two mappings from CSV
-      threatByKey[key] = r["threat"] || "";
-      brandByKey[key] = r["brand_name"] || "";
-    }
-
-    STATE.threatByKey = threatByKey;
-    STATE.brandByKey = brandByKey;
-    STATE.csvKeys = keySet;
-  }
-
-  // Validate that every item that declares a csvKey exists in master.csv
-  function validateInstrumentCsvKeys(instruments) {
-    const missing = [];
-    const addMissing = (section, itemKey) => missing.push(`${section}: ${itemKey}`);
-
-    // Helper: walk items arrays looking for csvKey
-    function checkItems(sectionName, items) {
-      for (const it of items || []) {
-        if (it && typeof it.csvKey === "string" && it.csvKey.length > 0) {
-          const k = lc(it.csvKey);
-          if (!STATE.csvKeys.has(k)) addMissing(sectionName, it.csvKey);
-        }
-      }
-    }
-
-    checkItems("Medications", instruments?.medications?.items);
-    checkItems("Micro/Nanoplastic Exposure", instruments?.microplastics?.items);
-    checkItems("Toxin Exposure", instruments?.toxins?.items);
-    checkItems("Brain Threat Foods & Additives", instruments?.foods?.items);
+  // ---------- Rendering helpers ----------
 
-    if (missing.length) {
-      showRedBanner(
-        "One or more items declare csvKey values that are NOT present in master.csv. Rendering halted.",
-        `Missing csvKey matches:\n• ${missing.join("\n• ")}`
-      );
-      throw new Error("Missing csvKey(s) in CSV");
-    }
+  // Disclosure state of one accordion: aria-expanded, caret and panel
+  function setAccordionOpen(wrap, open) {
+    const header = wrap.querySelector(".bp-acc-header");
+    const body = wrap.querySelector(".bp-acc-body");
+    header?.setAttribute("aria-expanded", String(open));
+    const caret = header?.querySelector(".caret");
+    if (caret) caret.textContent = open ? "▾" : "▸";
+    if (body) body.style.display = open ? "block" : "none";
   }
 
-  // ---------- Rendering helpers ----------
-
+  // Accordion = WAI-ARIA disclosure: a real <button> header (Enter/Space are
+  // native) with aria-controls → a labelled region. Arrow keys move between
+  // headers of the same level (wireAccordionKeys).
   function makeAccordion({ id, label, startOpen = false }) {
     const wrap = document.createElement("section");
     wrap.className = "bp-accordion";
@@ -179,36 +214,35 @@
     const header = document.createElement("button");
     header.type = "button";
     header.className = "bp-acc-header";
+    header.id = `acc-${id}-header`;
+    header.setAttribute("aria-controls", `acc-${id}-panel`);
     header.setAttribute("aria-expanded", startOpen ? "true" : "false");
-    header.innerHTML = `<span class="caret">${startOpen ? "▾" : "▸"}</span> <span>${escapeHTML(label)}</span>`;
+    header.innerHTML = `<span class="caret" aria-hidden="true">${startOpen ? "▾" : "▸"}</span> <span>${escapeHTML(label)}</span>`;
 
     const body = document.createElement("div");
     body.className = "bp-acc-body";
+    body.id = `acc-${id}-panel`;
+    body.setAttribute("role", "region");
+    body.setAttribute("aria-labelledby", header.id);
     body.style.display = startOpen ? "block" : "none";
 
     // toggle
     header.addEventListener("click", () => {
-      const open = header.getAttribute("aria-expanded") === "true";
-      header.setAttribute("aria-expanded", String(!open));
-      header.querySelector(".caret").textContent = open ? "▸" : "▾";
-      body.style.display = open ? "none" : "block";
+      setAccordionOpen(wrap, header.getAttribute("aria-expanded") !== "true");
     });
 
     // per-section Clear
     const clearBtn = document.createElement("button");
     clearBtn.type = "button";
     clearBtn.className = "section-clear-btn";
-    clearBtn.textContent = "Clear This Section";
+    clearBtn.textContent = t("ui.clearSection", "Clear This Section");
     clearBtn.addEventListener("click", () => {
       resetSectionInputs(body);
-      // re-collapse
-      header.setAttribute("aria-expanded", "false");
-      header.querySelector(".caret").textContent = "▸";
-      body.style.display = "none";
-      // trigger summary refresh
-      if (window.SUMMARY && typeof window.SUMMARY.updateSummary === "function") {
-        window.SUMMARY.updateSummary(collectAllResponses());
-      }
+      // re-collapse, keeping keyboard focus on the section
+      setAccordionOpen(wrap, false);
+      header.focus();
+      // trigger summary refresh (also drops this section from the persisted copy)
+      refreshSummary();
     });
 
     body.appendChild(clearBtn);
@@ -218,6 +252,27 @@
     return { wrap, header, body, clearBtn };
   }
 
+  // Answered/total badge on an accordion header, refreshed by updateProgress()
+  function trackProgress(acc, instruments) {
+    const badge = document.createElement("span");
+    badge.className = "acc-progress";
+    acc.header.appendChild(badge);
+    STATE.progress.push({ badge, instruments });
+  }
+
+  function updateProgress(responses) {
+    const done = window.SCORING.completion(responses, CONFIG);
+    for (const { badge, instruments } of STATE.progress) {
+      const parts = instruments.map(inst => {
+        const c = done[inst.id];
+        const name = t(`instrument.${inst.id}.short`, inst.shortLabel || inst.label);
+        return c ? { text: `${name} ${c.answered}/${c.itemCount}`, complete: c.answered === c.itemCount } : null;
+      }).filter(Boolean);
+      badge.textContent = parts.map(p => p.text).join(" · ");
+      badge.classList.toggle("is-complete", parts.length > 0 && parts.every(p => p.complete));
+    }
+  }
+
   function resetSectionInputs(container) {
     const inputs = container.querySelectorAll("input, select, textarea");
     inputs.forEach(inp => {
@@ -234,16 +289,18 @@
     const form = document.createElement("div");
     form.className = "instrument";
     const title = document.createElement("h3");
-    title.textContent = instrument.label;
+    title.textContent = t(`instrument.${instrument.id}`, instrument.label);
     form.appendChild(title);
 
+    // One fieldset per question: screen readers announce the question (legend)
+    // with each answer
     instrument.items.forEach(item => {
-      const row = document.createElement("div");
+      const row = document.createElement("fieldset");
       row.className = "item-row";
 
-      const q = document.createElement("div");
+      const q = document.createElement("legend");
       q.className = "item-label";
-      q.textContent = item.label;
+      q.textContent = t(`item.${instrument.id}.${item.key}`, item.label);
       row.appendChild(q);
 
       const opts = document.createElement("div");
@@ -260,7 +317,7 @@
         inp.id = id;
         lbl.setAttribute("for", id);
         lbl.appendChild(inp);
-        lbl.appendChild(document.createTextNode(" " + labelHuman(lab)));
+        lbl.appendChild(document.createTextNode(" " + scaleLabel(instrument, lab)));
         opts.appendChild(lbl);
       });
 
@@ -271,6 +328,12 @@
     parent.appendChild(form);
   }
 
+  // Scale option text: instrument-specific translation, then shared, then the
+  // humanized CONFIG key ("AlmostNever" → "Almost Never")
+  function scaleLabel(instrument, lab) {
+    return t(`scale.${instrument.id}.${lab}`, t(`scale.${lab}`, labelHuman(lab)));
+  }
+
   function labelHuman(s) {
     return String(s)
       .replace(/([A-Z])/g, " $1")
@@ -283,16 +346,16 @@
     const form = document.createElement("div");
     form.className = "instrument";
     const title = document.createElement("h3");
-    title.textContent = instrument.label;
+    title.textContent = t(`instrument.${instrument.id}`, instrument.label);
     form.appendChild(title);
 
     instrument.items.forEach(item => {
-      const row = document.createElement("div");
+      const row = document.createElement("fieldset");
       row.className = "item-row";
 
-      const q = document.createElement("div");
+      const q = document.createElement("legend");
       q.className = "item-label";
-      q.textContent = item.label;
+      q.textContent = t(`item.${instrument.id}.${item.key}`, item.label);
       row.appendChild(q);
 
       const opts = document.createElement("div");
@@ -308,7 +371,7 @@
         inp.id = id;
         lbl.setAttribute("for", id);
         lbl.appendChild(inp);
-        lbl.appendChild(document.createTextNode(" " + lab));
+        lbl.appendChild(document.createTextNode(" " + t(`answer.${lab}`, lab)));
         opts.appendChild(lbl);
       });
 
@@ -319,6 +382,97 @@
     parent.appendChild(form);
   }
 
+  // Demographics intake: age or date of birth, height/weight in metric or
+  // imperial units, and the computed BMI with range validation messages.
+  function renderDemographics(parent, spec) {
+    const form = document.createElement("div");
+    form.className = "instrument demographics";
+    const title = document.createElement("h3");
+    title.textContent = t("demographics.label", spec.label);
+    form.appendChild(title);
+
+    const grid = document.createElement("div");
+    grid.className = "bt-row";
+    const unitFields = [];
+
+    spec.fields.forEach(field => {
+      const name = `${spec.id}.${field.key}`;
+      // Choices are a radio group (fieldset/legend); other fields one label
+      const lbl = document.createElement(field.type === "choice" ? "fieldset" : "label");
+      lbl.className = "demo-field";
+
+      if (field.type === "choice") {
+        const legend = document.createElement("legend");
+        legend.textContent = t(`demographics.${field.key}`, field.label);
+        lbl.appendChild(legend);
+        Object.entries(field.options).forEach(([lab, val]) => {
+          const id = `${name}.${val}`;
+          const optLbl = document.createElement("label");
+          optLbl.className = "opt";
+          const inp = document.createElement("input");
+          inp.type = "radio";
+          inp.name = name;
+          inp.value = val;
+          inp.id = id;
+          optLbl.setAttribute("for", id);
+          optLbl.appendChild(inp);
+          optLbl.appendChild(document.createTextNode(" " + t(`demographics.${lab}`, lab)));
+          lbl.appendChild(optLbl);
+        });
+      } else {
+        const id = name;
+        const inp = document.createElement("input");
+        inp.type = field.type;
+        inp.name = name;
+        inp.id = id;
+        if (field.min != null) inp.min = String(field.min);
+        if (field.max != null) inp.max = String(field.max);
+        if (field.step != null) inp.step = String(field.step);
+        if (field.type === "date") inp.max = new Date().toISOString().slice(0, 10);
+        lbl.setAttribute("for", id);
+        lbl.appendChild(document.createTextNode(t(`demographics.${field.key}`, field.label) + " "));
+        lbl.appendChild(inp);
+      }
+
+      if (field.units) {
+        lbl.dataset.units = field.units;
+        unitFields.push(lbl);
+      }
+      grid.appendChild(lbl);
+    });
+    form.appendChild(grid);
+
+    const result = document.createElement("div");
+    result.className = "demo-result";
+    result.setAttribute("aria-live", "polite");
+    form.appendChild(result);
+
+    // Show only the unit system in use (metric until imperial is chosen) and
+    // recompute BMI as the user types.
+    const update = () => {
+      const responses = collectAllResponses();
+      const units = responses[`${spec.id}.units`] === "imperial" ? "imperial" : "metric";
+      unitFields.forEach(l => { l.style.display = l.dataset.units === units ? "" : "none"; });
+
+      const demo = window.SCORING.demographics(responses, window.CONFIG);
+      result.textContent = "";
+      const line = document.createElement("div");
+      line.textContent = t("ui.computedBmi", "Computed BMI: {bmi}", { bmi: demo.bmi !== null ? demo.bmi : "—" });
+      result.appendChild(line);
+      demo.errors.forEach(msg => {
+        const err = document.createElement("div");
+        err.className = "demo-error";
+        err.textContent = msg;
+        result.appendChild(err);
+      });
+    };
+    form.addEventListener("input", update);
+    form.addEventListener("change", update);
+    STATE.updateDemographics = update;
+
+    parent.appendChild(form);
+  }
+
   function makeHelperSpan(text) {
     const span = document.createElement("div");
     span.className = "helper-text";
@@ -326,65 +480,117 @@
     return span;
   }
 
-  function renderChecklistWithHelpers(parent, sectionLabel, items, mode) {
+  // Optional "More info" disclosure built from the declared CSV detail columns
+  function makeDetailPanel(displayKey, fields) {
+    const row = csvLookups().detailsByKey[lc(displayKey)] || {};
+    const shown = (fields || []).filter(f => String(row[f.column] || "").trim());
+    if (!shown.length) return null;
+
+    const panel = document.createElement("details");
+    panel.className = "item-more";
+    const summary = document.createElement("summary");
+    summary.textContent = t("ui.moreInfo", "More info");
+    panel.appendChild(summary);
+
+    const dl = document.createElement("dl");
+    shown.forEach(f => {
+      const dt = document.createElement("dt");
+      dt.textContent = t(`detail.${f.column}`, f.label);
+      const dd = document.createElement("dd");
+      dd.textContent = row[f.column];
+      dl.appendChild(dt);
+      dl.appendChild(dd);
+    });
+    panel.appendChild(dl);
+    return panel;
+  }
+
+  function renderChecklistWithHelpers(parent, sectionLabel, items, mode, sectionId) {
     // mode: "meds" (use brand), "helper" (use threat helper text)
+    // sectionId: instruments_config.json key, selects CONFIG.csvContract.details
     const form = document.createElement("div");
     form.className = "instrument";
     const title = document.createElement("h3");
-    title.textContent = sectionLabel;
+    title.textContent = t(`checklist.${sectionId}`, sectionLabel);
     form.appendChild(title);
 
+    // Medications are grouped into sub-sections by CSV `class` (annotated onto
+    // each item by annotateMedications); other checklists render flat.
+    const groups = new Map();
     items.forEach(item => {
-      const row = document.createElement("div");
-      row.className = "item-row checklist";
-
-      const lbl = document.createElement("label");
-      lbl.className = "opt block";
-      const inp = document.createElement("input");
-      inp.type = "checkbox";
-      inp.name = `${sectionLabel}.${item.csvKey || item.key || ""}`;
-      inp.value = "1";
-      lbl.appendChild(inp);
-
-      const displayKey = item.csvKey || item.key || "";
-      const baseName = item.label || displayKey;
-      let finalLabel = baseName;
-
-      if (mode === "meds") {
-        // Append brand name in parentheses; STRICT: brand must be from CSV
-        const b = STATE.brandByKey[lc(displayKey)];
-        if (b && b.trim()) {
-          finalLabel = `${baseName} (${b})`;
-        } else {
-          // Brand is expected for medications; if missing, error out
-          showRedBanner(
-            "Medication brand_name missing in CSV for one or more items.",
-            `Missing brand_name for: ${displayKey}`
-          );
-          throw new Error(`Missing brand for ${displayKey}`);
-        }
+      const cls = mode === "meds" ? (item.class || sectionLabel) : "";
+      if (!groups.has(cls)) groups.set(cls, []);
+      groups.get(cls).push(item);
+    });
+    const groupNames = Array.from(groups.keys()).sort((a, b) => a.localeCompare(b));
+
+    groupNames.forEach(cls => {
+      let target = form;
+      if (cls) {
+        target = document.createElement("div");
+        target.className = "checklist-group";
+        const h = document.createElement("h4");
+        h.textContent = cls;
+        target.appendChild(h);
+        form.appendChild(target);
       }
+      groups.get(cls).forEach(item => renderChecklistRow(target, sectionLabel, item, mode, sectionId));
+    });
 
-      lbl.appendChild(document.createTextNode(" " + finalLabel));
-      row.appendChild(lbl);
-
-      if (mode === "helper") {
-        const t = STATE.threatByKey[lc(displayKey)] || "";
-        // STRICT: helper text must be present for these sections
-        if (!t) {
-          showRedBanner(
-            "Required helper text (threat column) missing in CSV.",
-            `Section: ${sectionLabel}\nitem_key: ${displayKey}`
-          );
-          throw new Error(`Missing helper text for ${displayKey}`);
-        }
-        row.appendChild(makeHelperSpan(t));
+    parent.appendChild(form);
+  }
+
+  function renderChecklistRow(form, sectionLabel, item, mode, sectionId) {
+    const row = document.createElement("div");
+    row.className = "item-row checklist";
+
+    const lbl = document.createElement("label");
+    lbl.className = "opt block";
+    const inp = document.createElement("input");
+    inp.type = "checkbox";
+    inp.name = `${sectionLabel}.${item.csvKey || item.key || ""}`;
+    inp.value = "1";
+    lbl.appendChild(inp);
+
+    const displayKey = item.csvKey || item.key || "";
+    const baseName = item.label || displayKey;
+    let finalLabel = baseName;
+
+    if (mode === "meds") {
+      // Append brand name in parentheses; STRICT: brand must be from CSV
+      const b = STATE.brandByKey[lc(displayKey)];
+      if (b && b.trim()) {
+        finalLabel = `${baseName} (${b})`;
+      } else {
+        // Brand is expected for medications; if missing, error out
+        showRedBanner(
+          "Medication brand_name missing in CSV for one or more items.",
+          `Missing brand_name for: ${displayKey}`
+        );
+        throw new Error(`Missing brand for ${displayKey}`);
       }
+    }
 
-      form.appendChild(row);
-    });
+    lbl.appendChild(document.createTextNode(" " + finalLabel));
+    row.appendChild(lbl);
+
+    if (mode === "helper") {
+      const helper = csvLookups().threatByKey[lc(displayKey)] || "";
+      // STRICT: helper text must be present for these sections
+      if (!helper) {
+        showRedBanner(
+          "Required helper text (threat column) missing in CSV.",
+          `Section: ${sectionLabel}\nitem_key: ${displayKey}`
+        );
+        throw new Error(`Missing helper text for ${displayKey}`);
+      }
+      row.appendChild(makeHelperSpan(helper));
+    }
 
-    parent.appendChild(form);
+    const more = makeDetailPanel(displayKey, CONFIG.csvContract.details[sectionId]);
+    if (more) row.appendChild(more);
+
+    form.appendChild(row);
   }
 
   // Gather responses for scoring/summary
@@ -393,6 +599,7 @@
     const out = Object.create(null);
     const allInputs = $cats.querySelectorAll("input");
     allInputs.forEach(inp => {
+      if (!inp.name) return; // unnamed helper inputs are not answers
       if (inp.type === "radio") {
         if (inp.checked) {
           const [instrumentId, itemKey] = inp.name.split(".");
@@ -403,16 +610,405 @@
         if (inp.checked) {
           out[`${sectionLabel}.${itemKey}`] = "1";
         }
+      } else if (inp.value.trim() !== "") {
+        // Free-entry fields (demographics, other medications): keep the entered value
+        out[inp.name] = inp.value.trim();
       }
     });
     return out;
   }
 
+  // Re-check inputs from a flat response map (inverse of collectAllResponses)
+  function applyResponses(responses) {
+    const map = responses || {};
+    // Free-text medications have no pre-rendered input; recreate them first
+    if (window.MEDPICKER) window.MEDPICKER.restoreOther(map);
+    $cats.querySelectorAll("input").forEach(inp => {
+      if (inp.type === "radio") {
+        inp.checked = Object.prototype.hasOwnProperty.call(map, inp.name) && map[inp.name] === inp.value;
+      } else if (inp.type === "checkbox") {
+        inp.checked = map[inp.name] === "1";
+      } else if (inp.name) {
+        inp.value = map[inp.name] ?? "";
+      }
+    });
+    if (STATE.updateDemographics) STATE.updateDemographics();
+  }
+
+  // Scoring snapshot for a response map (same inputs SUMMARY uses)
+  // `asOf`: date the age is taken at (saved assessments); default today
+  function computeSnapshot(responses, asOf) {
+    const { age, bmi } = window.SCORING.demographics(responses, window.CONFIG, asOf);
+    return window.SCORING.compute(responses, window.CONFIG, STATE.instruments || {}, { age, bmi });
+  }
+
+  // Recompute the summary from the DOM and keep the persisted copy in step
+  function refreshSummary() {
+    const responses = collectAllResponses();
+    if (window.MEDPICKER) window.MEDPICKER.sync();
+    updateProgress(responses);
+    if (window.SUMMARY && typeof window.SUMMARY.updateSummary === "function") {
+      window.SUMMARY.updateSummary(responses);
+    }
+    if (window.PERSIST && STATE.dataVersion && !STATE.resumePending && !STATE.locked) {
+      STATE.pendingSave = window.PERSIST.save(STATE.dataVersion, responses);
+    }
+  }
+
   function wireLiveUpdates() {
-    $cats.addEventListener("change", () => {
-      if (window.SUMMARY && typeof window.SUMMARY.updateSummary === "function") {
-        window.SUMMARY.updateSummary(collectAllResponses());
+    $cats.addEventListener("change", refreshSummary);
+  }
+
+  // ↑/↓ move to the previous/next accordion header of the same level
+  // (wrapping), Home/End to the first/last one
+  function wireAccordionKeys() {
+    $cats.addEventListener("keydown", e => {
+      const header = e.target.closest ? e.target.closest(".bp-acc-header") : null;
+      if (!header || !["ArrowDown", "ArrowUp", "Home", "End"].includes(e.key)) return;
+      const headers = Array.from(header.parentNode.parentNode.children)
+        .filter(n => n.classList && n.classList.contains("bp-accordion"))
+        .map(n => n.querySelector(".bp-acc-header"));
+      const i = headers.indexOf(header);
+      const next = {
+        ArrowDown: (i + 1) % headers.length,
+        ArrowUp: (i - 1 + headers.length) % headers.length,
+        Home: 0,
+        End: headers.length - 1
+      }[e.key];
+      e.preventDefault();
+      headers[next].focus();
+    });
+  }
+
+  // The stored session for the current data version, or null. A copy that
+  // cannot be decrypted is reported and left unused (never half-loaded).
+  async function loadSession() {
+    if (!window.PERSIST || STATE.locked) return null;
+    try {
+      return await window.PERSIST.load(STATE.dataVersion);
+    } catch (e) {
+      showTransferStatus(t("ui.sessionDamaged", "The saved session could not be decrypted and was not loaded: {error}", { error: vaultMessage(e) }), null, true);
+      return null;
+    }
+  }
+
+  // Offer to resume a stored session for the SAME data version
+  async function offerResume() {
+    const saved = await loadSession();
+    if (!saved || !$resumePrompt) return;
+
+    STATE.resumePending = true;
+    const when = saved.savedAt
+      ? new Date(saved.savedAt).toLocaleString(window.I18N.language())
+      : t("ui.earlierSession", "an earlier session");
+    const $when = document.getElementById("resume-saved-at");
+    if ($when) $when.textContent = when;
+    $resumePrompt.hidden = false;
+
+    const close = () => {
+      STATE.resumePending = false;
+      $resumePrompt.hidden = true;
+    };
+
+    document.getElementById("resume-session-btn")?.addEventListener("click", () => {
+      close();
+      applyResponses(saved.responses);
+      refreshSummary();
+    }, { once: true });
+
+    document.getElementById("start-fresh-btn")?.addEventListener("click", () => {
+      close();
+      window.PERSIST.clear();
+      refreshSummary();
+    }, { once: true });
+  }
+
+  // Report the outcome of an export/import below the global actions
+  function showTransferStatus(message, details, isError) {
+    if (!$transferStatus) return;
+    $transferStatus.textContent = "";
+    $transferStatus.className = isError ? "is-error" : "";
+    const p = document.createElement("p");
+    p.textContent = message;
+    $transferStatus.appendChild(p);
+    if (details && details.length) {
+      const ul = document.createElement("ul");
+      details.forEach(d => {
+        const li = document.createElement("li");
+        li.textContent = d;
+        ul.appendChild(li);
+      });
+      $transferStatus.appendChild(ul);
+    }
+    $transferStatus.hidden = false;
+  }
+
+  function downloadFile(name, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Exports are sealed with the passphrase (vault.js, context "export")
+  async function exportAssessment() {
+    const responses = collectAllResponses();
+    const doc = window.TRANSFER.buildDocument({
+      responses,
+      scoring: computeSnapshot(responses),
+      dataVersion: STATE.dataVersion,
+      language: window.I18N.language()
+    });
+    let sealed;
+    try {
+      sealed = await window.VAULT.seal(doc, "export");
+    } catch (e) {
+      showTransferStatus(t("ui.exportFailed", "Export failed: {error}", { error: vaultMessage(e) }), null, true);
+      return;
+    }
+    downloadFile(window.TRANSFER.fileName(doc), JSON.stringify(sealed, null, 2), "application/json");
+    showTransferStatus(`${t("ui.exported", "Exported {count} answers.", { count: Object.keys(responses).length })} ${t("ui.exportEncrypted", "The file is encrypted with the passphrase.")}`);
+  }
+
+  // FHIR.questionnaire() / bundle() arguments for the loaded data. Helper
+  // text is the English master.csv column: exchange stays language-neutral.
+  function fhirArgs() {
+    return {
+      config: window.CONFIG,
+      instruments: STATE.instruments,
+      csv: { brandByKey: STATE.brandByKey, threatByKey: STATE.threatByKey },
+      dataVersion: STATE.dataVersion
+    };
+  }
+
+  // Answers as a FHIR Bundle (QuestionnaireResponse + Observations), sealed
+  // like every export: it holds the same health data
+  async function exportFhir() {
+    if (!window.FHIR) return;
+    const responses = collectAllResponses();
+    const name = $reportName?.value.trim() || "";
+    const bundle = window.FHIR.bundle(Object.assign(fhirArgs(), {
+      responses,
+      snapshot: computeSnapshot(responses),
+      subject: name ? { display: name } : undefined
+    }));
+    let sealed;
+    try {
+      sealed = await window.VAULT.seal(bundle, "export");
+    } catch (e) {
+      showTransferStatus(t("ui.exportFailed", "Export failed: {error}", { error: vaultMessage(e) }), null, true);
+      return;
+    }
+    downloadFile(`brain-threat-fhir-${bundle.timestamp.slice(0, 10)}.json`, JSON.stringify(sealed, null, 2), "application/fhir+json");
+    showTransferStatus(`${t("ui.fhirExported", "Exported {count} answers and {observations} scores as FHIR.", { count: Object.keys(responses).length, observations: bundle.entry.length - 1 })} ${t("ui.exportEncrypted", "The file is encrypted with the passphrase.")}`);
+  }
+
+  // The form definition holds no answers and is downloaded as plain JSON
+  function downloadQuestionnaire() {
+    if (!window.FHIR) return;
+    const q = window.FHIR.questionnaire(fhirArgs());
+    downloadFile("brain-threat-questionnaire.json", JSON.stringify(q, null, 2), "application/fhir+json");
+  }
+
+  // Opened file text → { responses, rejected, dataVersionMismatch, date }.
+  // FHIR resources (a QuestionnaireResponse or a Bundle holding one) go
+  // through FHIR.toResponses(), export documents through TRANSFER; both are
+  // checked against the current questionnaire the same way. Throws an Error
+  // for an unreadable file.
+  function parseAssessment(text) {
+    const ctx = { config: window.CONFIG, instruments: STATE.instruments, dataVersion: STATE.dataVersion };
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      // TRANSFER reports it
+    }
+    if (window.FHIR && parsed && typeof parsed === "object" && parsed.resourceType) {
+      const fhir = window.FHIR.toResponses(parsed, ctx);
+      const { responses, rejected } = window.TRANSFER.checkResponses(fhir.responses, ctx);
+      return {
+        responses,
+        rejected: fhir.unreadable.concat(rejected),
+        dataVersionMismatch: Boolean(fhir.version && STATE.dataVersion && fhir.version !== STATE.dataVersion),
+        date: fhir.authored
+      };
+    }
+    const result = window.TRANSFER.parseDocument(text, ctx);
+    return {
+      responses: result.responses,
+      rejected: result.rejected,
+      dataVersionMismatch: result.dataVersionMismatch,
+      date: String(result.doc.exportedAt || "")
+    };
+  }
+
+  // Research dataset rows (research.js): answers the current questionnaire
+  // cannot show are left out, and every snapshot is recomputed with the
+  // current rules so rows from different days stay comparable
+  function researchRow(meta, stored, asOf) {
+    const { responses, rejected } = window.TRANSFER.checkResponses(stored, { config: window.CONFIG, instruments: STATE.instruments });
+    return { row: Object.assign({}, meta, { responses, scoring: computeSnapshot(responses, asOf) }), ignored: rejected.length };
+  }
+
+  // The research CSV is the one export that is not sealed (analysis
+  // software reads it). It stays off without an unlocked vault, like every
+  // other export, and each download is confirmed as an unencrypted,
+  // de-identified file. Returns the refusal message, or "" to go ahead.
+  function researchRefusal() {
+    if (!window.VAULT.supported()) {
+      return t("ui.exportFailed", "Export failed: {error}", { error: t("ui.researchUnsupported", "this browser cannot encrypt saved data, so exports are off.") });
+    }
+    if (!window.VAULT.isUnlocked()) {
+      return t("ui.exportFailed", "Export failed: {error}", { error: vaultMessage({ code: "locked" }) });
+    }
+    if (!confirmAction(t("ui.researchConfirm", "The research CSV is NOT encrypted. It leaves out names and direct identifiers but still holds health answers. Save it unencrypted?"))) {
+      return t("ui.researchCancelled", "The research CSV was not exported.");
+    }
+    return "";
+  }
+
+  function downloadResearch(rows, ignored) {
+    const csv = window.RESEARCH.dataset(rows, { config: window.CONFIG, instruments: STATE.instruments });
+    downloadFile(`brain-threat-research-${new Date().toISOString().slice(0, 10)}.csv`, csv, "text/csv");
+    let message = t("ui.researchExported", "Exported {count} assessment(s) as research CSV.", { count: rows.length });
+    if (ignored) {
+      message += " " + t("ui.researchIgnored", "{count} answer(s) do not match the current questionnaire and were left out.", { count: ignored });
+    }
+    return message;
+  }
+
+  function exportResearchCsv() {
+    if (!window.RESEARCH) return;
+    const refused = researchRefusal();
+    if (refused) {
+      showTransferStatus(refused, null, true);
+      return;
+    }
+    const { row, ignored } = researchRow({
+      id: "",
+      subjectId: STATE.profileId || "",
+      date: new Date().toISOString(),
+      dataVersion: STATE.dataVersion,
+      language: window.I18N.language()
+    }, collectAllResponses());
+    showTransferStatus(downloadResearch([row], ignored));
+  }
+
+  function downloadDictionary() {
+    if (!window.RESEARCH) return;
+    const csv = window.RESEARCH.dictionary({ config: window.CONFIG, instruments: STATE.instruments });
+    downloadFile("brain-threat-data-dictionary.csv", csv, "text/csv");
+  }
+
+  // Text of an exported file for parseAssessment(): sealed files are
+  // opened first (a wrong passphrase or a changed byte rejects the whole
+  // file). A plain file (exported before encryption, or FHIR from another
+  // system) has nothing that shows it is unchanged, so it is read only when
+  // staff confirm it.
+  async function readAssessmentFile(file) {
+    const text = await file.text();
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return text; // parseAssessment reports it
+    }
+    if (!window.VAULT.isSealed(parsed)) {
+      if (!confirmAction(t("ui.plainFileConfirm", "{file} is not encrypted, so it cannot be checked for changes made after it was exported. Use it anyway?", { file: file.name }))) {
+        throw new Error(t("ui.plainFileRefused", "the file is not encrypted and was not confirmed."));
+      }
+      return text;
+    }
+    try {
+      return JSON.stringify(await window.VAULT.open(parsed, "export"));
+    } catch (e) {
+      throw new Error(vaultMessage(e));
+    }
+  }
+
+  async function importAssessment(file) {
+    let result;
+    try {
+      result = parseAssessment(await readAssessmentFile(file));
+    } catch (e) {
+      showTransferStatus(t("ui.importFailed", "Import failed: {error}", { error: e.message }), null, true);
+      return;
+    }
+
+    // Replace the current answers with the imported ones
+    applyResponses(result.responses);
+    refreshSummary();
+
+    const notes = result.rejected.map(r => `${r.key} = ${JSON.stringify(r.value)} (${r.reason})`);
+    const imported = Object.keys(result.responses).length;
+    let message = t("ui.imported", "Imported {count} answers from {file}.", { count: imported, file: file.name });
+    if (result.dataVersionMismatch) {
+      message += " " + t("ui.importDataVersion", "The file was exported against a different version of the data files.");
+    }
+    if (notes.length) {
+      message += " " + t("ui.importRejected", "{count} answer(s) do not match the current questionnaire and were NOT imported:", { count: notes.length });
+    }
+    showTransferStatus(message, notes, notes.length > 0);
+  }
+
+  // Longitudinal comparison: one file → file vs current form; two files → older vs newer
+  async function compareAssessments(files) {
+    if (!window.COMPARE) return;
+    if (files.length < 1 || files.length > 2) {
+      showTransferStatus(t("ui.compareChoose", "Choose one exported assessment (compared with the current form) or two to compare with each other."), null, true);
+      return;
+    }
+
+    const sides = [];
+    const notes = [];
+    for (const file of files) {
+      let result;
+      try {
+        result = parseAssessment(await readAssessmentFile(file));
+      } catch (e) {
+        showTransferStatus(t("ui.compareFailed", "Comparison failed for {file}: {error}", { file: file.name, error: e.message }), null, true);
+        return;
       }
+      if (result.rejected.length) {
+        notes.push(t("ui.compareIgnored", "{file}: {count} answer(s) do not match the current questionnaire and were ignored.", { file: file.name, count: result.rejected.length }));
+      }
+      // Recompute with current rules so deltas reflect answers, not scoring changes
+      sides.push({
+        label: file.name,
+        date: result.date.slice(0, 10),
+        snapshot: computeSnapshot(result.responses)
+      });
+    }
+
+    if (sides.length === 1) {
+      sides.push({
+        label: t("ui.currentForm", "Current form"),
+        date: new Date().toISOString().slice(0, 10),
+        snapshot: computeSnapshot(collectAllResponses())
+      });
+    } else {
+      sides.sort((x, y) => String(x.date).localeCompare(String(y.date)));
+    }
+
+    const diff = window.COMPARE.diff(sides[0], sides[1]);
+    window.COMPARE.render(diff, { csv: { threatByKey: csvLookups().threatByKey, brandByKey: STATE.brandByKey }, notes });
+  }
+
+  // Printable report from the current snapshot (report.js + ui.css @media print)
+  function renderReport() {
+    if (!window.REPORT) return;
+    window.REPORT.render(computeSnapshot(collectAllResponses()), {
+      meta: {
+        name: $reportName?.value.trim() || "",
+        date: $reportDate?.value || "",
+        assessor: $reportAssessor?.value.trim() || ""
+      },
+      csv: Object.assign({ brandByKey: STATE.brandByKey }, csvLookups())
     });
   }
 
@@ -433,94 +1029,693 @@
       }
     });
 
+    // Print Report: render the report view, then hand over to the browser dialog.
+    // beforeprint also covers Ctrl+P / File → Print.
+    if ($reportDate && !$reportDate.value) $reportDate.value = new Date().toISOString().slice(0, 10);
+    $printReport?.addEventListener("click", () => window.print());
+    window.addEventListener("beforeprint", renderReport);
+
+    // Export / Import: versioned JSON document (transfer.js), encrypted (vault.js)
+    $exportBtn?.addEventListener("click", exportAssessment);
+    $importBtn?.addEventListener("click", () => $importFile?.click());
+    $importFile?.addEventListener("change", async () => {
+      const file = $importFile.files && $importFile.files[0];
+      $importFile.value = "";
+      if (file) await importAssessment(file);
+    });
+
+    // FHIR R4 exchange with an EHR (fhir.js); Import reads it back
+    $fhirExportBtn?.addEventListener("click", exportFhir);
+    $fhirQuestionnaireBtn?.addEventListener("click", downloadQuestionnaire);
+
+    // Research dataset (research.js): wide CSV + data dictionary
+    $researchBtn?.addEventListener("click", exportResearchCsv);
+    $dictionaryBtn?.addEventListener("click", downloadDictionary);
+
+    // Compare: pick one or two exported assessments (compare.js)
+    $compareBtn?.addEventListener("click", () => $compareFiles?.click());
+    $compareFiles?.addEventListener("change", async () => {
+      const files = Array.from($compareFiles.files || []);
+      $compareFiles.value = "";
+      if (files.length) await compareAssessments(files);
+    });
+
     // Clear Form: resets all inputs across all sections and re-collapses them
     $clearForm?.addEventListener("click", () => {
       const sections = $cats.querySelectorAll(".bp-accordion");
       sections.forEach(sec => {
-        const body = sec.querySelector(".bp-acc-body");
-        resetSectionInputs(body);
-        // re-collapse
-        const header = sec.querySelector(".bp-acc-header");
-        header?.setAttribute("aria-expanded", "false");
-        const caret = header?.querySelector(".caret");
-        if (caret) caret.textContent = "▸";
-        if (body) body.style.display = "none";
+        resetSectionInputs(sec.querySelector(".bp-acc-body"));
+        setAccordionOpen(sec, false); // re-collapse
       });
 
+      // Drop the persisted copy (reset above fired change events that re-saved)
+      if (window.PERSIST) window.PERSIST.clear();
+
+      // Next patient: reset the report header (assessor usually stays the same)
+      if ($reportName) $reportName.value = "";
+      if ($reportDate) $reportDate.value = new Date().toISOString().slice(0, 10);
+      if (window.REPORT) window.REPORT.clear();
+      if (window.COMPARE) window.COMPARE.clear();
+
       // Reset summary
       if (window.SUMMARY && typeof window.SUMMARY.reset === "function") {
         window.SUMMARY.reset();
       } else {
         $summaryContent.innerHTML = "";
       }
+
+      // The next client starts without an open profile
+      if (STATE.profileId) closeProfile();
+    });
+  }
+
+  // ---------- PROFILES ----------
+
+  // Named clients with dated assessments (profiles.js, IndexedDB). Opening a
+  // profile or one of its assessments goes through applyResponses(), so the
+  // form, summary and persisted copy are exactly what collectAllResponses()
+  // reads back.
+
+  // Order-independent fingerprint of a response map
+  function responsesKey(responses) {
+    return JSON.stringify(Object.entries(responses || {}).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  }
+
+  // True when the form holds answers not yet saved to the open profile
+  function hasUnsavedAnswers() {
+    return responsesKey(collectAllResponses()) !== STATE.profileBaseline;
+  }
+
+  // window.confirm where the browser has one (the Node test DOM does not)
+  function confirmAction(message) {
+    return typeof window.confirm === "function" ? window.confirm(message) : true;
+  }
+
+  function showProfileStatus(message, isError) {
+    if (!$profileStatus) return;
+    $profileStatus.textContent = message;
+    $profileStatus.className = isError ? "is-error" : "";
+  }
+
+  function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleString(window.I18N.language()) : "";
+  }
+
+  function profileButton(label, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  // Storage errors (quota, blocked database, deleted elsewhere) end up in the status line
+  function profileAction(fn) {
+    return async (...args) => {
+      try {
+        await fn(...args);
+      } catch (e) {
+        showProfileStatus(t("ui.profileFailed", "Profile storage failed: {error}", { error: e.message }), true);
+      }
+    };
+  }
+
+  async function renderProfileList() {
+    const profiles = await window.PROFILES.list($profileSearch?.value || "");
+    $profileList.textContent = "";
+    if (!profiles.length) {
+      const li = document.createElement("li");
+      li.textContent = $profileSearch?.value.trim()
+        ? t("ui.profileNoMatch", "No profile matches the search.")
+        : t("ui.profileNone", "No client profiles yet.");
+      $profileList.appendChild(li);
+      return;
+    }
+    for (const p of profiles) {
+      if (p.damaged) {
+        $profileList.appendChild(damagedRow(p));
+        continue;
+      }
+      const li = document.createElement("li");
+      li.classList.toggle("is-active", p.id === STATE.profileId);
+      const name = document.createElement("span");
+      name.textContent = p.name;
+      li.appendChild(name);
+      const meta = document.createElement("span");
+      meta.textContent = p.lastAssessedAt
+        ? t("ui.profileCount", "{count} assessment(s), last {date}", { count: p.assessmentCount, date: formatDate(p.lastAssessedAt) })
+        : t("ui.profileEmpty", "No assessments yet");
+      li.appendChild(meta);
+      const open = profileButton(t("ui.profileOpen", "Open"), profileAction(() => openProfile(p.id)));
+      open.setAttribute("aria-label", t("ui.profileOpenAria", "Open profile {name}", { name: p.name }));
+      li.appendChild(open);
+      $profileList.appendChild(li);
+    }
+  }
+
+  // A record that cannot be decrypted (or was never sealed) cannot be
+  // opened: its row only offers Remove
+  function damagedRow(p) {
+    const li = document.createElement("li");
+    li.className = "is-damaged";
+    const name = document.createElement("span");
+    name.textContent = t("ui.profileDamaged", "Damaged record");
+    li.appendChild(name);
+    const meta = document.createElement("span");
+    meta.textContent = t("ui.profileDamagedNote", "Cannot be decrypted with this passphrase");
+    li.appendChild(meta);
+    const remove = profileButton(t("ui.profileRemove", "Remove"), profileAction(() => removeDamaged(p.id)));
+    remove.setAttribute("aria-label", t("ui.profileRemoveAria", "Remove the damaged record"));
+    li.appendChild(remove);
+    return li;
+  }
+
+  async function removeDamaged(id) {
+    if (!confirmAction(t("ui.profileRemoveConfirm", "Remove this damaged record? What it holds cannot be recovered."))) return;
+    await window.PROFILES.remove(id);
+    await renderProfileList();
+    showProfileStatus(t("ui.profileRemoved", "Removed the damaged record."));
+  }
+
+  async function renderActiveProfile() {
+    const rec = STATE.profileId ? await window.PROFILES.get(STATE.profileId) : null;
+    if (!rec) {
+      STATE.profileId = null;
+      if ($profileCurrent) $profileCurrent.textContent = t("ui.profileNoneOpen", "No client selected: answers are not saved to a profile.");
+      if ($profileActive) $profileActive.hidden = true;
+      return;
+    }
+    if ($profileCurrent) $profileCurrent.textContent = t("ui.profileCurrent", "Current client: {name}", { name: rec.name });
+    if ($profileRename) $profileRename.value = rec.name;
+    $profileHistory.textContent = "";
+    // Newest first
+    for (const a of rec.assessments.slice().reverse()) {
+      const li = document.createElement("li");
+      const when = document.createElement("span");
+      when.textContent = formatDate(a.date);
+      li.appendChild(when);
+      const meta = document.createElement("span");
+      meta.textContent = t("ui.profileAnswers", "{count} answers", { count: Object.keys(a.responses).length });
+      li.appendChild(meta);
+      const load = profileButton(t("ui.profileLoad", "Load"), profileAction(() => loadAssessment(rec, a)));
+      load.setAttribute("aria-label", t("ui.profileLoadAria", "Load the assessment of {date}", { date: formatDate(a.date) }));
+      li.appendChild(load);
+      $profileHistory.appendChild(li);
+    }
+    if (!rec.assessments.length) {
+      const li = document.createElement("li");
+      li.textContent = t("ui.profileEmpty", "No assessments yet");
+      $profileHistory.appendChild(li);
+    }
+    if ($profileActive) $profileActive.hidden = false;
+  }
+
+  async function renderProfiles() {
+    await renderActiveProfile();
+    await renderProfileList();
+  }
+
+  // Replace the form with stored answers. Entries the current questionnaire
+  // cannot show are dropped and reported, as on import (transfer.js).
+  function showResponses(responses, name) {
+    const { responses: known, rejected } = window.TRANSFER.checkResponses(responses, {
+      config: window.CONFIG,
+      instruments: STATE.instruments
+    });
+    applyResponses(known);
+    refreshSummary();
+    if ($reportName) $reportName.value = name;
+    STATE.profileBaseline = responsesKey(collectAllResponses());
+    return rejected.length;
+  }
+
+  function loadedMessage(message, rejected) {
+    if (!rejected) return message;
+    return `${message} ${t("ui.profileRejected", "{count} stored answer(s) do not match the current questionnaire and were not loaded.", { count: rejected })}`;
+  }
+
+  // Open a profile with its latest assessment (an empty form if it has none)
+  async function openProfile(id) {
+    if (hasUnsavedAnswers() &&
+        !confirmAction(t("ui.profileDiscard", "The current answers are not saved to a profile. Discard them?"))) {
+      return;
+    }
+    const rec = await window.PROFILES.get(id);
+    if (!rec) throw new Error(t("ui.profileGone", "That profile no longer exists."));
+    STATE.profileId = rec.id;
+    const latest = rec.assessments[rec.assessments.length - 1];
+    const rejected = showResponses(latest ? latest.responses : {}, rec.name);
+    await renderProfiles();
+    showProfileStatus(loadedMessage(t("ui.profileOpened", "Opened {name}.", { name: rec.name }), rejected));
+  }
+
+  async function loadAssessment(rec, assessment) {
+    if (hasUnsavedAnswers() &&
+        !confirmAction(t("ui.profileDiscard", "The current answers are not saved to a profile. Discard them?"))) {
+      return;
+    }
+    const rejected = showResponses(assessment.responses, rec.name);
+    showProfileStatus(loadedMessage(t("ui.profileLoaded", "Loaded the assessment of {date}.", { date: formatDate(assessment.date) }), rejected));
+  }
+
+  // Every saved assessment of the profiles the search lists, one CSV row
+  // each (research.js); damaged records are skipped
+  async function exportProfilesResearch() {
+    if (!window.RESEARCH) return;
+    const rows = [];
+    let ignored = 0;
+    for (const p of await window.PROFILES.list($profileSearch?.value || "")) {
+      if (p.damaged) continue;
+      const rec = await window.PROFILES.get(p.id);
+      for (const a of rec?.assessments || []) {
+        const out = researchRow({ id: a.id, subjectId: rec.id, date: a.date, dataVersion: a.dataVersion, language: a.language }, a.responses, new Date(a.date));
+        rows.push(out.row);
+        ignored += out.ignored;
+      }
+    }
+    if (!rows.length) {
+      showProfileStatus(t("ui.researchNone", "The listed profiles have no saved assessments."), true);
+      return;
+    }
+    const refused = researchRefusal();
+    if (refused) {
+      showProfileStatus(refused, true);
+      return;
+    }
+    showProfileStatus(downloadResearch(rows, ignored));
+  }
+
+  // Store the current form as a new dated assessment of the open profile
+  async function saveToProfile() {
+    if (!STATE.profileId) return;
+    const responses = collectAllResponses();
+    await window.PROFILES.addAssessment(STATE.profileId, {
+      responses,
+      scoring: computeSnapshot(responses),
+      dataVersion: STATE.dataVersion,
+      language: window.I18N.language()
+    });
+    STATE.profileBaseline = responsesKey(responses);
+    await renderProfiles();
+    showProfileStatus(t("ui.profileSaved", "Saved {count} answers to the profile.", { count: Object.keys(responses).length }));
+  }
+
+  // A new profile becomes the open one and keeps the answers on screen
+  async function createProfile() {
+    const rec = await window.PROFILES.create($profileNewName?.value);
+    if ($profileNewName) $profileNewName.value = "";
+    STATE.profileId = rec.id;
+    STATE.profileBaseline = responsesKey({});
+    if ($reportName) $reportName.value = rec.name;
+    await renderProfiles();
+    showProfileStatus(t("ui.profileCreated", "Created {name}. Save the assessment to keep these answers.", { name: rec.name }));
+  }
+
+  async function renameProfile() {
+    if (!STATE.profileId) return;
+    const rec = await window.PROFILES.rename(STATE.profileId, $profileRename?.value);
+    if ($reportName) $reportName.value = rec.name;
+    await renderProfiles();
+    showProfileStatus(t("ui.profileRenamed", "Renamed to {name}.", { name: rec.name }));
+  }
+
+  async function deleteProfile() {
+    const rec = STATE.profileId ? await window.PROFILES.get(STATE.profileId) : null;
+    if (!rec) return;
+    if (!confirmAction(t("ui.profileDeleteConfirm", "Delete {name} and all {count} assessment(s)? This cannot be undone.", { name: rec.name, count: rec.assessments.length }))) {
+      return;
+    }
+    await window.PROFILES.remove(rec.id);
+    STATE.profileId = null;
+    STATE.profileBaseline = responsesKey({});
+    await renderProfiles();
+    showProfileStatus(t("ui.profileDeleted", "Deleted {name}.", { name: rec.name }));
+  }
+
+  // Clear Form: the answers on screen no longer belong to the profile
+  function closeProfile() {
+    STATE.profileId = null;
+    STATE.profileBaseline = responsesKey({});
+    showProfileStatus("");
+    profileAction(renderProfiles)();
+  }
+
+  // The panel stays hidden where IndexedDB or encryption is unavailable
+  function wireProfiles() {
+    if (!$profilesPanel || !window.PROFILES || !window.PROFILES.available() || !window.VAULT.isUnlocked()) return;
+    $profilesPanel.hidden = false;
+    $profileSearch?.addEventListener("input", profileAction(renderProfileList));
+    document.getElementById("profile-create-btn")?.addEventListener("click", profileAction(createProfile));
+    $profileNewName?.addEventListener("keydown", e => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      profileAction(createProfile)();
     });
+    document.getElementById("profile-rename-btn")?.addEventListener("click", profileAction(renameProfile));
+    document.getElementById("profile-save-btn")?.addEventListener("click", profileAction(saveToProfile));
+    document.getElementById("profile-delete-btn")?.addEventListener("click", profileAction(deleteProfile));
+    document.getElementById("profile-research-btn")?.addEventListener("click", profileAction(exportProfilesResearch));
+    return profileAction(renderProfiles)();
   }
 
   // ---------- BUILD UI ----------
 
+  // Render one CONFIG instrument by its declared widget
+  function renderInstrument(parent, inst) {
+    switch (inst.widget) {
+      case "yesno":
+        renderYNGrid(parent, inst);
+        break;
+      case "likert":
+        renderLikertGroup(parent, inst, inst.scale);
+        break;
+      case "checklist": {
+        const items = STATE.instruments?.[inst.source]?.items || [];
+        if (!items.length) break;
+        // Type-ahead search, chips and free-text "other" entries (medpicker.js)
+        if (inst.picker && window.MEDPICKER) {
+          window.MEDPICKER.mount(parent, {
+            sectionLabel: inst.responsePrefix,
+            items,
+            threatByKey: csvLookups().threatByKey,
+            brandByKey: STATE.brandByKey,
+            otherPrefix: CONFIG.otherMedications.prefix,
+            otherMaxLength: CONFIG.otherMedications.maxLength
+          });
+        }
+        // Brand-labelled lists are grouped into sub-sections by CSV class
+        renderChecklistWithHelpers(parent, inst.responsePrefix, items, inst.helper === "brand" ? "meds" : "helper", inst.source);
+        break;
+      }
+      default:
+        throw new Error(`Unknown widget "${inst.widget}" for instrument ${inst.id}`);
+    }
+  }
+
   function renderAll() {
     // Ensure cleaned slate
     $cats.innerHTML = "";
+    STATE.progress = [];
     hideRedBanner();
 
-    // 1) Personal History (with nested questionnaires)
-    const secPersonal = makeAccordion({ id: "personal", label: "Personal History", startOpen: false });
-    renderYNGrid   (secPersonal.body, CONFIG.categories[0].instruments[0]); // Personal History
-    renderYNGrid   (secPersonal.body, CONFIG.categories[0].instruments[1]); // Medical & Lifestyle
-    renderLikertGroup(secPersonal.body, CONFIG.categories[0].instruments[2], CONFIG.categories[0].instruments[2].scale); // Sleep
-    renderLikertGroup(secPersonal.body, CONFIG.categories[0].instruments[3], CONFIG.categories[0].instruments[3].scale); // Stress
-    renderYNGrid   (secPersonal.body, CONFIG.categories[0].instruments[4]); // Physical Activity
-    $cats.appendChild(secPersonal.wrap);
-
-    // 2) Social & Loneliness
-    const secSocial = makeAccordion({ id: "social", label: "Social & Loneliness Assessment", startOpen: false });
-    renderLikertGroup(secSocial.body, CONFIG.categories[1].instruments[0], CONFIG.categories[1].instruments[0].scale); // LSNS-6
-    renderLikertGroup(secSocial.body, CONFIG.categories[1].instruments[1], CONFIG.categories[1].instruments[1].scale); // UCLA-3
-    $cats.appendChild(secSocial.wrap);
-
-    // 3) Sensory Assessment (with TWO sub-accordions)
-    const secSensory = makeAccordion({ id: "sensory", label: "Sensory Assessment", startOpen: false });
-    // Sub: HHIE-S
-    const subHearing = makeAccordion({ id: "hearing", label: "Hearing (HHIE-S)", startOpen: false });
-    renderLikertGroup(subHearing.body, CONFIG.categories[2].instruments[0], CONFIG.categories[2].instruments[0].scale);
-    secSensory.body.appendChild(subHearing.wrap);
-    // Sub: VFQ-3of7
-    const subVision = makeAccordion({ id: "vision", label: "Vision (VFQ-3 of 7)", startOpen: false });
-    renderLikertGroup(subVision.body, CONFIG.categories[2].instruments[1], CONFIG.categories[2].instruments[1].scale);
-    secSensory.body.appendChild(subVision.wrap);
-    $cats.appendChild(secSensory.wrap);
-
-    // 4) Medications (from instruments_config.json, with brand names)
-    const secMeds = makeAccordion({ id: "meds", label: "Medication Threat Assessment", startOpen: false });
-    if (STATE.instruments?.medications?.items?.length) {
-      // If no class provided, render as a single group titled "Medications" (no heuristics).
-      renderChecklistWithHelpers(secMeds.body, "Medications", STATE.instruments.medications.items, "meds");
-    }
-    $cats.appendChild(secMeds.wrap);
-
-    // 5) Micro/Nanoplastic Exposure (helper text required)
-    const secMicro = makeAccordion({ id: "microplastics", label: "Micro/Nanoplastic Exposure Assessment", startOpen: false });
-    if (STATE.instruments?.microplastics?.items?.length) {
-      renderChecklistWithHelpers(secMicro.body, "Micro/Nanoplastic Exposure", STATE.instruments.microplastics.items, "helper");
-    }
-    $cats.appendChild(secMicro.wrap);
-
-    // 6) Toxin Exposure (helper text required)
-    const secTox = makeAccordion({ id: "toxins", label: "Toxin Exposure Assessment", startOpen: false });
-    if (STATE.instruments?.toxins?.items?.length) {
-      renderChecklistWithHelpers(secTox.body, "Toxin Exposure", STATE.instruments.toxins.items, "helper");
-    }
-    $cats.appendChild(secTox.wrap);
-
-    // 7) Brain Threat Foods and Additives (helper text required)
-    const secFoods = makeAccordion({ id: "foods", label: "Brain Threat Foods and Additives Assessment", startOpen: false });
-    if (STATE.instruments?.foods?.items?.length) {
-      renderChecklistWithHelpers(secFoods.body, "Brain Threat Foods & Additives", STATE.instruments.foods.items, "helper");
-    }
-    $cats.appendChild(secFoods.wrap);
-
-    // Live updates to summary/scoring
-    wireLiveUpdates();
+    // One collapsed accordion per CONFIG category, in order; instruments with
+    // a `subAccordion` (Sensory: HHIE-S, VFQ-3of7) nest inside their own.
+    for (const cat of CONFIG.categories) {
+      const sec = makeAccordion({ id: cat.id, label: t(`category.${cat.id}`, cat.label), startOpen: false });
+      if (cat.intake === "demographics") {
+        renderDemographics(sec.body, CONFIG.demographics); // Age, height/weight → BMI
+      }
+
+      for (const inst of cat.instruments || []) {
+        if (inst.subAccordion) {
+          const sub = makeAccordion({
+            id: inst.subAccordion.id,
+            label: t(`instrument.${inst.id}`, inst.subAccordion.label || inst.label),
+            startOpen: false
+          });
+          renderInstrument(sub.body, inst);
+          if (inst.widget !== "checklist") trackProgress(sub, [inst]);
+          sec.body.appendChild(sub.wrap);
+        } else {
+          renderInstrument(sec.body, inst);
+        }
+      }
+
+      const questionnaires = (cat.instruments || []).filter(inst => inst.widget !== "checklist");
+      if (questionnaires.length) trackProgress(sec, questionnaires);
+      $cats.appendChild(sec.wrap);
+    }
+  }
+
+  // ---------- VAULT (encryption at rest) ----------
+
+  // Saved sessions, profiles and exports are sealed with the staff
+  // passphrase (vault.js). The form is only rendered or refilled once the
+  // vault is unlocked. Locking (button or CONFIG.vault.autoLockMinutes
+  // without activity) clears the answers from the page; their sealed copy
+  // in persist.js brings them back after the passphrase is entered again.
+
+  function vaultOptions() {
+    return CONFIG.vault || {};
+  }
+
+  // VaultError codes in the UI language; other errors keep their message
+  function vaultMessage(e) {
+    switch (e && e.code) {
+      case "wrong-passphrase":
+        return t("ui.vaultWrong", "Wrong passphrase. Nothing was unlocked.");
+      case "damaged":
+        return t("ui.vaultDamaged", "The encrypted data was changed or damaged, or sealed with another passphrase. Nothing was loaded.");
+      case "locked":
+        return t("ui.vaultLockedError", "Saved data is locked. Enter the passphrase first.");
+      default:
+        return e && e.message ? e.message : String(e);
+    }
+  }
+
+  function showVaultScreen(message) {
+    const setup = !window.VAULT.isSetUp();
+    $app?.classList.add("is-locked");
+    $vaultTitle.textContent = setup
+      ? t("ui.vaultSetupTitle", "Choose a passphrase")
+      : t("ui.vaultUnlockTitle", "Enter the passphrase");
+    $vaultIntro.textContent = message || (setup
+      ? t("ui.vaultSetupIntro", "Answers saved in this browser, client profiles and exported files are encrypted with this passphrase. It cannot be recovered: without it, saved data cannot be opened.")
+      : t("ui.vaultUnlockIntro", "Saved answers and client profiles are encrypted. Enter the passphrase to continue."));
+    $vaultConfirmRow.hidden = !setup;
+    $vaultErase.hidden = setup;
+    $vaultUnlock.textContent = setup ? t("ui.vaultSetUp", "Save passphrase") : t("ui.vaultUnlock", "Unlock");
+    $vaultError.textContent = "";
+    $vaultPass.value = "";
+    $vaultConfirm.value = "";
+    if ($vaultLock) $vaultLock.hidden = true;
+    $vaultScreen.hidden = false;
+    $vaultPass.focus();
+  }
+
+  // Resolves once the passphrase has been entered (or chosen) on the screen
+  function waitForUnlock(message) {
+    showVaultScreen(message);
+    return new Promise(resolve => {
+      STATE.onUnlock = resolve;
+    });
+  }
+
+  async function submitPassphrase() {
+    const pass = $vaultPass.value;
+    $vaultError.textContent = "";
+    try {
+      $vaultUnlock.disabled = true;
+      if (window.VAULT.isSetUp()) {
+        await window.VAULT.unlock(pass);
+      } else {
+        const min = vaultOptions().minPassphraseLength || 1;
+        if (pass.length < min) {
+          $vaultError.textContent = t("ui.vaultWeak", "Choose a passphrase of at least {count} characters.", { count: min });
+          return;
+        }
+        if (pass !== $vaultConfirm.value) {
+          $vaultError.textContent = t("ui.vaultMismatch", "The two passphrases do not match.");
+          return;
+        }
+        await window.VAULT.setUp(pass, { iterations: vaultOptions().iterations, minLength: min });
+      }
+    } catch (e) {
+      $vaultError.textContent = vaultMessage(e);
+      $vaultPass.value = "";
+      $vaultPass.focus();
+      return;
+    } finally {
+      $vaultUnlock.disabled = false;
+    }
+
+    $vaultPass.value = "";
+    $vaultConfirm.value = "";
+    $vaultScreen.hidden = true;
+    $app?.classList.remove("is-locked");
+    if ($vaultLock) $vaultLock.hidden = false;
+    STATE.locked = false;
+    resetLockTimer();
+    const done = STATE.onUnlock;
+    STATE.onUnlock = null;
+    if (done) done();
+  }
+
+  // Clear the page and ask for the passphrase again; the answers come back
+  // from the sealed session copy
+  async function lock(message) {
+    if (STATE.locked) return;
+    STATE.locked = true; // refreshSummary() below must not save the empty form
+    clearTimeout(STATE.lockTimer);
+    await STATE.pendingSave; // the last answer reaches the sealed copy first
+    window.VAULT.lock();
+
+    applyResponses({});
+    refreshSummary();
+    if (window.SUMMARY && typeof window.SUMMARY.reset === "function") window.SUMMARY.reset();
+    if (window.REPORT) window.REPORT.clear();
+    if (window.COMPARE) window.COMPARE.clear();
+    if ($reportName) $reportName.value = "";
+    if ($transferStatus) $transferStatus.hidden = true;
+    if ($profileList) $profileList.textContent = "";
+    if ($profileHistory) $profileHistory.textContent = "";
+    if ($profileCurrent) $profileCurrent.textContent = "";
+    showProfileStatus("");
+
+    await waitForUnlock(message);
+
+    // An unanswered resume prompt is still open (and still holds persistence)
+    if (!STATE.resumePending) {
+      const saved = await loadSession();
+      applyResponses(saved ? saved.responses : {});
+      refreshSummary();
+    }
+    if (!$profilesPanel?.hidden) {
+      await profileAction(async () => {
+        const rec = STATE.profileId ? await window.PROFILES.get(STATE.profileId) : null;
+        if (rec && $reportName) $reportName.value = rec.name;
+        await renderProfiles();
+      })();
+    }
+  }
+
+  function resetLockTimer() {
+    clearTimeout(STATE.lockTimer);
+    const minutes = Number(vaultOptions().autoLockMinutes);
+    if (STATE.locked || !(minutes > 0)) return;
+    STATE.lockTimer = setTimeout(() => {
+      lock(t("ui.vaultAutoLocked", "Locked after {minutes} minutes without activity. Enter the passphrase to continue.", { minutes }));
+    }, minutes * 60000);
+  }
+
+  // Forgotten passphrase: sealed data is useless without it, so it all goes
+  async function eraseVault() {
+    if (!confirmAction(t("ui.vaultEraseConfirm", "Erase the passphrase and ALL data saved in this browser (the unfinished session and every client profile)? This cannot be undone."))) {
+      return;
+    }
+    window.VAULT.erase();
+    if (window.PERSIST) window.PERSIST.clear();
+    if (window.PROFILES && window.PROFILES.available()) {
+      try {
+        await window.PROFILES.clear();
+      } catch (e) {
+        console.warn("VAULT: could not erase client profiles", e);
+      }
+    }
+    STATE.profileId = null;
+    STATE.profileBaseline = responsesKey({});
+    STATE.resumePending = false;
+    if ($resumePrompt) $resumePrompt.hidden = true;
+    showVaultScreen(t("ui.vaultErased", "Saved data was erased. Choose a new passphrase."));
+  }
+
+  function wireVault() {
+    $vaultUnlock?.addEventListener("click", submitPassphrase);
+    [$vaultPass, $vaultConfirm].forEach($input => $input?.addEventListener("keydown", e => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      submitPassphrase();
+    }));
+    $vaultErase?.addEventListener("click", eraseVault);
+    $vaultLock?.addEventListener("click", () => lock(t("ui.vaultLocked", "Locked. Enter the passphrase to continue.")));
+    // Any keyboard or pointer use restarts the inactivity countdown
+    ["pointerdown", "keydown", "input", "change"].forEach(type => document.addEventListener(type, resetLockTimer));
+  }
+
+  // ---------- DISPLAY MODE ----------
+
+  // Large-text / high-contrast mode: ui.css re-points its :root variables
+  // under html.display-contrast. The choice is remembered in this browser.
+  function setDisplayMode(on, remember) {
+    document.documentElement.classList.toggle("display-contrast", on);
+    $displayMode?.setAttribute("aria-pressed", String(on));
+    if (!remember) return;
+    try {
+      window.localStorage.setItem(DISPLAY_MODE_KEY, on ? "contrast" : "standard");
+    } catch (e) {
+      // Private mode / quota: the choice just is not remembered
+    }
+  }
+
+  function wireDisplayMode() {
+    let stored = null;
+    try {
+      stored = window.localStorage.getItem(DISPLAY_MODE_KEY);
+    } catch (e) {
+      stored = null;
+    }
+    setDisplayMode(stored === "contrast", false);
+    $displayMode?.addEventListener("click", () => {
+      setDisplayMode($displayMode.getAttribute("aria-pressed") !== "true", true);
+    });
+  }
+
+  // Patient / clinician summary (summary.js); remembered in this browser
+  function wireSummaryMode() {
+    const $mode = document.getElementById("summary-mode-select");
+    if (!$mode || !window.SUMMARY) return;
+    let stored = null;
+    try {
+      stored = window.localStorage.getItem(SUMMARY_MODE_KEY);
+    } catch (e) {
+      stored = null;
+    }
+    $mode.value = window.SUMMARY.setMode(stored);
+    $mode.addEventListener("change", () => {
+      $mode.value = window.SUMMARY.setMode($mode.value);
+      try {
+        window.localStorage.setItem(SUMMARY_MODE_KEY, $mode.value);
+      } catch (e) {
+        // Private mode / quota: the choice just is not remembered
+      }
+      refreshSummary();
+    });
+  }
+
+  // ---------- LANGUAGE ----------
+
+  // Static markup, <html lang> and CSV helper text follow I18N.language()
+  function applyLanguage() {
+    const lang = window.I18N.language();
+    document.documentElement.lang = lang;
+    window.I18N.translateDom(document);
+    STATE.lookups = window.DATA.localize(STATE, lang);
+    window.__CSV_LOOKUPS__ = STATE.lookups; // summary.js / plan.js
+  }
+
+  // Re-render the form in another language. Answers and open sections are
+  // kept; scores do not change because response values are language-neutral.
+  function switchLanguage(code) {
+    const responses = collectAllResponses();
+    const open = Array.from($cats.querySelectorAll(".bp-accordion"))
+      .filter(sec => sec.querySelector(".bp-acc-header")?.getAttribute("aria-expanded") === "true")
+      .map(sec => sec.dataset.accId);
+
+    window.I18N.setLanguage(code);
+    applyLanguage();
+    renderAll();
+    applyResponses(responses);
+    Array.from($cats.querySelectorAll(".bp-accordion"))
+      .filter(sec => open.includes(sec.dataset.accId))
+      .forEach(sec => setAccordionOpen(sec, true));
+    refreshSummary();
+    if (!$profilesPanel?.hidden) profileAction(renderProfiles)();
+  }
+
+  // Header selector: CONFIG.i18n.languages that have a loaded bundle
+  function wireLanguageSelect() {
+    const $lang = document.getElementById("lang-select");
+    if (!$lang) return;
+    $lang.innerHTML = "";
+    for (const { code, label } of CONFIG.i18n?.languages || []) {
+      if (!window.I18N.has(code)) continue;
+      const opt = document.createElement("option");
+      opt.value = code;
+      opt.textContent = label;
+      $lang.appendChild(opt);
+    }
+    $lang.value = window.I18N.language();
+    $lang.addEventListener("change", () => switchLanguage($lang.value));
   }
 
   // ---------- INIT ----------
@@ -529,33 +1724,64 @@
     try {
       hideRedBanner();
 
-      // 1) Load CSV and build strict dictionaries
-      const csv = await loadCSV(CSV_PATH);
-      buildCsvDictionaries(csv);
+      // 0) UI language: stored choice, else browser language, else CONFIG
+      //    default; display mode as last chosen (both work without data)
+      window.I18N.restore(CONFIG);
+      window.I18N.translateDom(document);
+      wireDisplayMode();
+
+      // Offline copy + update notice (no-op without service worker support)
+      window.OFFLINE?.register();
+
+      // 1) Load master.csv and instruments_config.json (declares items & csvKey per item)
+      const csvText = await loadText(CSV_PATH);
+      const instrumentsText = await loadText(INSTR_PATH);
 
-      // 2) Load instruments_config.json (declares items & csvKey per item)
-      const instruments = await loadJSON(INSTR_PATH);
+      // 2) Build strict dictionaries, validate every declared csvKey and
+      //    required detail field, attach medication class + anticholinergic
+      //    level (data.js; throws DataContractError → RED BANNER)
+      const { dicts, instruments } = window.DATA.prepare({ csvText, instrumentsText, config: CONFIG });
+      Object.assign(STATE, dicts);
       STATE.instruments = instruments;
+      STATE.dataVersion = window.PERSIST ? window.PERSIST.dataVersion(csvText, instrumentsText) : "";
 
-      // Expose for summary.js (single line fix)
+      // Expose for summary.js (single line fix); applyLanguage() sets
+      // __CSV_LOOKUPS__ in the UI language
       window.__INSTRUMENTS__ = instruments;
+      applyLanguage();
+
+      // 3) Unlock (or choose) the passphrase before any answer can be shown.
+      //    Without WebCrypto (plain http) the form still works, but nothing
+      //    is saved, exported or kept in profiles.
+      wireVault();
+      if (window.VAULT.supported()) {
+        await waitForUnlock();
+      } else {
+        showTransferStatus(t("ui.vaultUnsupported", "This browser cannot encrypt saved data (open the app over https or from this computer). Answers are not saved, and export and client profiles are off."), null, true);
+      }
 
-      // 3) Validate that every declared csvKey exists in CSV
-      validateInstrumentCsvKeys(instruments);
-
-      // 4) Render full UI
+      // 4) Render full UI (live updates are wired once; renderAll() re-runs on language change)
       renderAll();
+      wireLiveUpdates();
+      wireAccordionKeys();
 
-      // 5) Wire global buttons after UI exists
+      // 5) Wire global buttons, the language selector, the summary view and
+      //    client profiles after UI exists
       wireGlobalButtons();
+      wireLanguageSelect();
+      wireSummaryMode();
+      wireProfiles();
 
-      // 6) Initial empty summary
-      if (window.SUMMARY && typeof window.SUMMARY.updateSummary === "function") {
-        window.SUMMARY.updateSummary(collectAllResponses());
-      }
+      // 6) Offer to resume a stored session (holds persistence until answered)
+      await offerResume();
+
+      // 7) Initial empty summary
+      refreshSummary();
     } catch (err) {
       // If we reach here, a strict violation or load error occurred
-      if ($banner.style.display !== "block") {
+      if (window.DATA && err instanceof window.DATA.DataContractError) {
+        showRedBanner(err.message, err.details);
+      } else if ($banner.style.display !== "block") {
         showRedBanner("Initialization failed.", String(err && err.message ? err.message : err));
       }
       // Do not proceed further (STOP)
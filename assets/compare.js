@@ -0,0 +1,264 @@
+/* ===========================================================================
+   Brain Threat Analysis — COMPARE (longitudinal comparison)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Side-by-side view of two assessments of the same person (e.g. 6–12 months
+     apart): every instrument total with its delta, tier transitions, and the
+     medications / exposures that were added or resolved. Free-text "other"
+     medications (never rated) are matched by name, ignoring case and
+     spacing, and listed with the checked ones.
+   - Works on SCORING.compute() snapshots only. app.js recomputes both
+     snapshots from the stored responses with the CURRENT rules, so a change in
+     the report always reflects a change in answers, never in scoring code.
+   - Text is in the UI language (window.I18N; compare.*, measure.*,
+     category.*, instrument.*, tier.* string ids). diff() labels rows and
+     lists in that language; tiers stay CONFIG labels until rendered.
+
+   INTEGRATION
+   - app.js calls:
+       COMPARE.diff(before, after)          → structured diff (no DOM); rows
+                                              and lists follow CONFIG.categories
+       COMPARE.render(diff, { csv })        → fills #compare-view
+       COMPARE.clear()
+     where before/after = { label, date, snapshot }.
+   - This module reads window.CONFIG, window.SCORING and window.I18N
+     (English when absent).
+   =========================================================================== */
+
+(function () {
+  const $view = typeof document !== "undefined" ? document.getElementById("compare-view") : null;
+
+  // ------------- Utilities -------------
+
+  function el(tag, cls, text) {
+    const n = document.createElement(tag);
+    if (cls) n.className = cls;
+    if (text != null) n.textContent = text;
+    return n;
+  }
+
+  function lc(s) { return String(s || "").trim().toLowerCase(); }
+
+  // Display text in the UI language; `fallback` is the English text
+  function t(id, fallback, vars) {
+    if (window.I18N) return window.I18N.t(id, fallback, vars);
+    return String(fallback).replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] != null ? vars[k] : m));
+  }
+
+  function tierName(label) {
+    return label ? t(`tier.${label}`, label) : "—";
+  }
+
+  // null when there is no value (e.g. a composite index without enough data)
+  function num(v) {
+    if (v == null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function formatDelta(d) {
+    if (d === null) return "—";
+    if (d === 0) return "0";
+    return d > 0 ? `+${d}` : String(d);
+  }
+
+  function setDiff(a, b) {
+    const bs = new Set(b);
+    return a.filter(x => !bs.has(x));
+  }
+
+  // Free-text entries, as typed, compared by name (case and spacing ignored)
+  function otherDiff(from, to) {
+    const key = s => lc(s).replace(/\s+/g, " ");
+    const unique = list => Array.from(new Map(list.map(x => [key(x), String(x).trim()])).entries());
+    const fromKeys = new Set(unique(from).map(([k]) => k));
+    const toKeys = new Set(unique(to).map(([k]) => k));
+    return {
+      added: unique(to).filter(([k]) => !fromKeys.has(k)).map(([, v]) => v),
+      removed: unique(from).filter(([k]) => !toKeys.has(k)).map(([, v]) => v),
+      unchanged: unique(to).filter(([k]) => fromKeys.has(k)).map(([, v]) => v)
+    };
+  }
+
+  // Checklists are the whole category, so they go by the category label
+  function instrumentName(cat, inst) {
+    if (inst.widget === "checklist") return t(`category.${cat.id}`, cat.label);
+    return inst.shortLabel ? t(`instrument.${inst.id}.short`, inst.shortLabel) : t(`instrument.${inst.id}`, inst.label);
+  }
+
+  // Rows compared side by side: the composite index, then every measure of
+  // every CONFIG instrument (SCORING.measures(), ranges from CONFIG).
+  // `tier` is optional.
+  function measureRows(config) {
+    const rows = [{
+      id: "composite.index",
+      label: t("compare.index", "Overall brain-threat index (0–100)"),
+      total: s => s.composite?.index,
+      tier: s => s.composite?.tier
+    }];
+    for (const cat of config?.categories || []) {
+      for (const inst of cat.instruments || []) {
+        for (const m of window.SCORING.measures(inst)) {
+          const range = m.range ? ` (${m.range.min}–${m.range.max})` : "";
+          const block = s => window.SCORING.resultBlock(s, cat, inst);
+          rows.push({
+            id: `${inst.id}.${m.id}`,
+            label: t("compare.measure", "{instrument} — {measure}", { instrument: instrumentName(cat, inst), measure: t(`measure.${m.id}`, m.label) }) + range,
+            total: s => m.value(block(s)),
+            tier: m.tier && (s => m.tier(block(s)))
+          });
+        }
+      }
+    }
+    return rows;
+  }
+
+  // Checklist sections whose selections are diffed item by item
+  function checklists(config) {
+    const out = [];
+    for (const cat of config?.categories || []) {
+      for (const inst of cat.instruments || []) {
+        if (inst.widget !== "checklist") continue;
+        const meds = inst.scoring?.rule === "anticholinergic";
+        out.push({
+          id: inst.resultKey || inst.source,
+          label: t(`category.${cat.id}`, cat.label),
+          added: meds ? t("compare.added", "Added") : t("compare.newlyChecked", "Newly checked"),
+          removed: meds ? t("compare.stopped", "Stopped") : t("compare.resolved", "Resolved")
+        });
+      }
+    }
+    return out;
+  }
+
+  // ------------- Public API -------------
+
+  const COMPARE = {
+    /**
+     * Compare two snapshots. Pure; no DOM access.
+     * @param {{label:string, date:string, snapshot:Object}} before Earlier assessment.
+     * @param {{label:string, date:string, snapshot:Object}} after Later assessment.
+     * @param {Object} [opts] { config } (default: window.CONFIG)
+     */
+    diff(before, after, { config = window.CONFIG } = {}) {
+      const a = before.snapshot || {};
+      const b = after.snapshot || {};
+
+      const rows = measureRows(config).map(m => {
+        const from = num(m.total(a));
+        const to = num(m.total(b));
+        const row = { id: m.id, label: m.label, before: from, after: to, delta: from === null || to === null ? null : to - from };
+        if (m.tier) {
+          row.tierBefore = m.tier(a) || null;
+          row.tierAfter = m.tier(b) || null;
+          row.tierChanged = row.tierBefore !== row.tierAfter;
+        }
+        return row;
+      });
+
+      const lists = checklists(config).map(l => {
+        const from = a[l.id]?.selected || [];
+        const to = b[l.id]?.selected || [];
+        const other = otherDiff(a[l.id]?.other || [], b[l.id]?.other || []);
+        return {
+          id: l.id,
+          label: l.label,
+          addedLabel: l.added,
+          removedLabel: l.removed,
+          added: setDiff(to, from),
+          removed: setDiff(from, to),
+          unchanged: to.filter(x => from.includes(x)),
+          otherAdded: other.added,
+          otherRemoved: other.removed,
+          otherUnchanged: other.unchanged
+        };
+      });
+
+      return {
+        before: { label: before.label, date: before.date || "" },
+        after: { label: after.label, date: after.date || "" },
+        rows,
+        lists
+      };
+    },
+
+    /**
+     * Render a diff into #compare-view.
+     * @param {Object} diff Result of COMPARE.diff().
+     * @param {Object} [opts] { csv: {threatByKey, brandByKey}, notes: string[] }
+     */
+    render(diff, { csv = {}, notes = [] } = {}) {
+      if (!$view) return;
+      $view.innerHTML = "";
+      $view.hidden = false;
+
+      const name = key => {
+        const threat = (csv.threatByKey && csv.threatByKey[lc(key)]) || key;
+        const brand = csv.brandByKey && csv.brandByKey[lc(key)];
+        return brand ? `${threat} (${brand})` : threat;
+      };
+      const heading = side => side.date ? `${side.label} (${side.date})` : side.label;
+
+      $view.appendChild(el("h2", null, t("compare.title", "Assessment Comparison")));
+      notes.forEach(n => $view.appendChild(el("p", "bt-note", n)));
+
+      const table = el("table", "cmp-table");
+      const thead = el("thead");
+      const hr = el("tr");
+      [t("compare.measureHeading", "Measure"), heading(diff.before), heading(diff.after), t("compare.change", "Change")].forEach(h => hr.appendChild(el("th", null, h)));
+      thead.appendChild(hr);
+      table.appendChild(thead);
+
+      const tbody = el("tbody");
+      diff.rows.forEach(r => {
+        const tr = el("tr");
+        tr.appendChild(el("th", null, r.label));
+        const cell = (total, tier) => el("td", null, tier ? `${total} (${tierName(tier)})` : (total === null ? "—" : String(total)));
+        tr.appendChild(cell(r.before, r.tierBefore));
+        tr.appendChild(cell(r.after, r.tierAfter));
+        let change = formatDelta(r.delta);
+        if (r.tierChanged) change += ` — ${tierName(r.tierBefore)} → ${tierName(r.tierAfter)}`;
+        const td = el("td", r.before === r.after && !r.tierChanged ? "cmp-same" : "cmp-changed", change);
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+      });
+      table.appendChild(tbody);
+      $view.appendChild(table);
+
+      diff.lists.forEach(l => {
+        const sec = el("section", "cmp-list");
+        sec.appendChild(el("h3", null, l.label));
+        const other = names => names.map(n => t("compare.otherUnrated", "{name} (other — unrated)", { name: n }));
+        const added = l.added.map(name).concat(other(l.otherAdded || []));
+        const removed = l.removed.map(name).concat(other(l.otherRemoved || []));
+        if (!added.length && !removed.length) {
+          sec.appendChild(el("p", "sum-none", l.unchanged.length || l.otherUnchanged?.length
+            ? t("compare.noChange", "No change.")
+            : t("compare.noneEither", "None selected in either assessment.")));
+        }
+        [[l.addedLabel, added], [l.removedLabel, removed]].forEach(([title, entries]) => {
+          if (!entries.length) return;
+          sec.appendChild(el("h4", null, title));
+          const ul = el("ul", "sum-list");
+          entries.forEach(text => ul.appendChild(el("li", null, text)));
+          sec.appendChild(ul);
+        });
+        $view.appendChild(sec);
+      });
+    },
+
+    /**
+     * Hide and empty the comparison view.
+     */
+    clear() {
+      if (!$view) return;
+      $view.innerHTML = "";
+      $view.hidden = true;
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.COMPARE = COMPARE;
+  }
+})();
@@ -2,10 +2,40 @@
    Brain Threat Analysis — Config
    Clean rebuild from WP + master.csv (strict contract)
    ------------------------------------------------------------
-   - Defines category and instrument structure
+   - Defines category and instrument structure; app.js renders and
+     scoring.js scores every instrument from its declaration here, so a new
+     questionnaire needs no code changes (see INSTRUMENT SCHEMA below)
    - Defines scale options, reverse scoring flags, weight bands
    - Bands/tiers come ONLY from WP code (not CSV)
    - CSV is used strictly for threat/brand lookups at runtime
+   ------------------------------------------------------------
+   INSTRUMENT SCHEMA (CONFIG.categories[].instruments[])
+   - widget   "yesno"      Yes/No radio grid
+              "likert"     radios over `scale` ({ label: value })
+              "checklist"  checkboxes over instruments_config.json[`source`]
+                           items, named "<responsePrefix>.<csvKey>"; `helper`
+                           "brand" | "threat" picks the CSV text shown per row,
+                           `picker: true` adds the medication type-ahead
+   - scoring  { rule } (rules live in scoring.js):
+              "yesFlags"   "Yes" items → { selected, tiers (item.yesTier) }
+              "noFlags"    "No" items with item.noTier → { noFlags }
+              "sum"        scale total (`reverse` items flipped) → { total, tier,
+                           scored (points per item) }
+              "normalized" raw difficulty sum + 0–100 `normalized` score
+              "anticholinergic"  medication classes + ACB total/tier
+              "weighted"   checked keys + summed instruments_config weights
+              Questionnaire rules also return `answers` (item key → value).
+   - resultKey  snapshot key (default: id). Questionnaire results land in
+                snap[<category id>][resultKey]; checklist results in
+                snap[resultKey || source].
+   - tierActions  { <tier label>: text } action plan entry while the
+                instrument's tier is one listed (plan.js); item `action` does
+                the same for yesFlags "Yes" / noFlags risk "No" answers
+   - subAccordion { id, label }  renders inside its own nested accordion
+   - csvInstrumentId  master.csv `instrument_id` of this instrument's rows
+                (checked by tools/lint-data.js; omit when it has none)
+   Categories render in order as top-level accordions (id, label);
+   `intake: "demographics"` puts CONFIG.demographics at the top.
    ============================================================ */
 
 const CONFIG = {
@@ -13,32 +43,55 @@ const CONFIG = {
     {
       id: "personal",
       label: "Personal History",
+      intake: "demographics",
       instruments: [
         {
           id: "history",
           label: "Personal History Questionnaire",
+          shortLabel: "History",
+          csvInstrumentId: "history",
+          widget: "yesno",
+          scoring: { rule: "yesFlags" },
           items: [
-            { key: "heart", label: "History of heart disease", yesTier: "High" },
-            { key: "stroke", label: "History of stroke or TIA", yesTier: "High" },
-            { key: "thy", label: "History of thyroid disease", yesTier: "Moderate" },
-            { key: "chol", label: "History of high cholesterol", yesTier: "Moderate" },
-            { key: "head", label: "History of head trauma", yesTier: "Moderate" },
-            { key: "fam", label: "Family history of dementia", yesTier: "High" }
+            { key: "heart", label: "History of heart disease", yesTier: "High",
+              action: "Keep heart disease under regular cardiology follow-up; cerebral blood flow depends on cardiac health." },
+            { key: "stroke", label: "History of stroke or TIA", yesTier: "High",
+              action: "Stay on secondary stroke prevention (blood pressure, lipids, antithrombotic therapy) as prescribed." },
+            { key: "thy", label: "History of thyroid disease", yesTier: "Moderate",
+              action: "Check thyroid function regularly and keep levels within target with your clinician." },
+            { key: "chol", label: "History of high cholesterol", yesTier: "Moderate",
+              action: "Review lipid levels and treatment targets with your clinician." },
+            { key: "head", label: "History of head trauma", yesTier: "Moderate",
+              action: "Avoid further head injury: use helmets and seat belts, and reduce fall risk at home." },
+            { key: "fam", label: "Family history of dementia", yesTier: "High",
+              action: "Discuss family history with your clinician and schedule periodic cognitive check-ups." }
           ]
         },
         {
           id: "medical_lifestyle",
+          resultKey: "medicalLifestyle",
           label: "Medical & Lifestyle Questionnaire",
+          shortLabel: "Medical & Lifestyle",
+          widget: "yesno",
+          scoring: { rule: "yesFlags" },
           items: [
-            { key: "bp", label: "History of hypertension", yesTier: "Moderate" },
-            { key: "dm", label: "History of diabetes", yesTier: "High" },
-            { key: "afib", label: "History of atrial fibrillation", yesTier: "High" },
-            { key: "smoking", label: "Current smoker", yesTier: "High" }
+            { key: "bp", label: "History of hypertension", yesTier: "Moderate",
+              action: "Monitor blood pressure at home and keep it at the target agreed with your clinician." },
+            { key: "dm", label: "History of diabetes", yesTier: "High",
+              action: "Keep blood sugar (HbA1c) in target range and avoid episodes of low blood sugar." },
+            { key: "afib", label: "History of atrial fibrillation", yesTier: "High",
+              action: "Review stroke prevention (anticoagulation) for atrial fibrillation with your clinician." },
+            { key: "smoking", label: "Current smoker", yesTier: "High",
+              action: "Quit smoking; ask about cessation support and nicotine replacement." }
           ]
         },
         {
           id: "sleep",
           label: "Sleep Questionnaire",
+          shortLabel: "Sleep",
+          csvInstrumentId: "personal",
+          widget: "likert",
+          scoring: { rule: "sum" },
           scale: { Never: 0, Rarely: 1, Sometimes: 2, Often: 3, Always: 4 },
           tiers: [
             { min: 0, max: 5, label: "None" },
@@ -46,6 +99,12 @@ const CONFIG = {
             { min: 12, max: 17, label: "Moderate" },
             { min: 18, max: 24, label: "Severe" }
           ],
+          // Action plan entries for elevated tiers (tiers not listed add nothing)
+          tierActions: {
+            Mild: "Keep a regular sleep schedule, limit caffeine after noon and screens before bed.",
+            Moderate: "Discuss sleep problems with your clinician; cognitive behavioral therapy for insomnia (CBT-I) is the first-line treatment.",
+            Severe: "Ask your clinician about a sleep evaluation (including screening for sleep apnea) and CBT-I."
+          },
           items: [
             { key: "sleep1", label: "I have trouble falling asleep" },
             { key: "sleep2", label: "I wake frequently during the night" },
@@ -58,6 +117,10 @@ const CONFIG = {
         {
           id: "stress",
           label: "Stress (PSS-4)",
+          shortLabel: "Stress",
+          csvInstrumentId: "stress",
+          widget: "likert",
+          scoring: { rule: "sum" },
           scale: { Never: 0, AlmostNever: 1, Sometimes: 2, FairlyOften: 3, VeryOften: 4 },
           reverse: ["stress2", "stress3"],
           tiers: [
@@ -65,6 +128,10 @@ const CONFIG = {
             { min: 6, max: 10, label: "Moderate" },
             { min: 11, max: 16, label: "High" }
           ],
+          tierActions: {
+            Moderate: "Build a daily stress-reduction practice (breathing exercises, mindfulness, time outdoors).",
+            High: "Talk with your clinician or a counselor about persistent stress; structured programs such as MBSR can help."
+          },
           items: [
             { key: "stress1", label: "Unable to control important things" },
             { key: "stress2", label: "Felt confident about handling problems" },
@@ -75,10 +142,17 @@ const CONFIG = {
         {
           id: "activity",
           label: "Physical Activity",
+          shortLabel: "Activity",
+          csvInstrumentId: "activity",
+          widget: "yesno",
+          scoring: { rule: "noFlags" },
           items: [
-            { key: "steps", label: "Do you walk at least 7,000 steps per day?", noTier: "Moderate" },
-            { key: "aerobic", label: "Do you do ≥150 minutes/week aerobic exercise?", noTier: "High" },
-            { key: "strength", label: "Do you do ≥2 strength sessions per week?", noTier: "High" }
+            { key: "steps", label: "Do you walk at least 7,000 steps per day?", noTier: "Moderate",
+              action: "Build up gradually to at least 7,000 steps per day." },
+            { key: "aerobic", label: "Do you do ≥150 minutes/week aerobic exercise?", noTier: "High",
+              action: "Work up to 150 minutes per week of moderate aerobic exercise (e.g. brisk walking)." },
+            { key: "strength", label: "Do you do ≥2 strength sessions per week?", noTier: "High",
+              action: "Add at least two strength or resistance training sessions per week." }
           ]
         }
       ]
@@ -90,7 +164,16 @@ const CONFIG = {
         {
           id: "lsns6",
           label: "Lubben Social Network Scale (LSNS-6)",
+          shortLabel: "LSNS-6",
+          csvInstrumentId: "socialization",
+          widget: "likert",
+          scoring: { rule: "sum" },
           scale: { None: 0, One: 1, Two: 2, ThreeOrFour: 3, FiveToEight: 4, NineOrMore: 5 },
+          // Lubben et al. (2006): a total below 12 indicates social isolation
+          tiers: [
+            { min: 0, max: 11, label: "At risk for social isolation" },
+            { min: 12, max: 30, label: "Not isolated" }
+          ],
           items: [
             { key: "lsns1", label: "How many relatives do you see/hear from at least monthly?" },
             { key: "lsns2", label: "How many relatives do you feel at ease with to talk about private matters?" },
@@ -103,7 +186,16 @@ const CONFIG = {
         {
           id: "ucla3",
           label: "UCLA Loneliness Scale (3-item)",
+          shortLabel: "UCLA-3",
+          csvInstrumentId: "loneliness",
+          widget: "likert",
+          scoring: { rule: "sum" },
           scale: { HardlyEver: 1, SomeOfTheTime: 2, Often: 3 },
+          // Hughes et al. (2004) / Steptoe et al. (2013): 6 or more is lonely
+          tiers: [
+            { min: 3, max: 5, label: "Not lonely" },
+            { min: 6, max: 9, label: "Lonely" }
+          ],
           items: [
             { key: "ucla1", label: "How often do you feel that you lack companionship?" },
             { key: "ucla2", label: "How often do you feel left out?" },
@@ -119,7 +211,20 @@ const CONFIG = {
         {
           id: "hhie",
           label: "Hearing (HHIE-S)",
+          shortLabel: "HHIE-S",
+          csvInstrumentId: "hearing",
+          widget: "likert",
+          scoring: { rule: "sum" },
+          subAccordion: { id: "hearing", label: "Hearing (HHIE-S)" },
           scale: { Yes: 4, Sometimes: 2, No: 0 },
+          // Ventry & Weinstein (1983): 0–8 none, 10–24 mild–moderate,
+          // 26–40 significant. Totals are always even, so the bands are
+          // closed over the odd values in between.
+          tiers: [
+            { min: 0, max: 9, label: "No handicap" },
+            { min: 10, max: 25, label: "Mild–moderate handicap" },
+            { min: 26, max: 40, label: "Significant handicap" }
+          ],
           items: [
             { key: "h1", label: "Does a hearing problem cause you to use the phone less?" },
             { key: "h2", label: "Does a hearing problem cause you to feel embarrassed?" },
@@ -136,7 +241,16 @@ const CONFIG = {
         {
           id: "vfq3of7",
           label: "Vision (VFQ-3 of 7)",
+          shortLabel: "VFQ",
+          csvInstrumentId: "vision",
+          widget: "likert",
+          scoring: { rule: "normalized" },
+          subAccordion: { id: "vision", label: "Vision (VFQ-3 of 7)" },
           scale: { None: 0, Mild: 1, Moderate: 2, Severe: 3, Extreme: 4 },
+          // Reported as 0–100, higher = better vision function (NEI VFQ
+          // convention): 100 × (1 − mean difficulty / highest scale value),
+          // over the items answered.
+          normalized: { min: 0, max: 100 },
           items: [
             { key: "v1", label: "How much difficulty do you have reading ordinary print in newspapers?" },
             { key: "v2", label: "How much difficulty do you have reading street signs?" },
@@ -153,32 +267,291 @@ const CONFIG = {
       id: "meds",
       label: "Medication Threat Assessment",
       instruments: [
-        { id: "medications", label: "Medication Classes and Items", items: [] }
+        {
+          id: "medications",
+          label: "Medication Classes and Items",
+          widget: "checklist",
+          source: "medications",
+          csvInstrumentId: "meds",
+          responsePrefix: "Medications",
+          helper: "brand",
+          picker: true,
+          scoring: { rule: "anticholinergic" },
+          items: []
+        }
       ]
     },
     {
       id: "microplastics",
       label: "Micro/Nanoplastic Exposure Assessment",
       instruments: [
-        { id: "plastics", label: "Micro/Nanoplastic Items", items: [] }
+        {
+          id: "plastics",
+          label: "Micro/Nanoplastic Items",
+          widget: "checklist",
+          source: "microplastics",
+          csvInstrumentId: "microplastics",
+          responsePrefix: "Micro/Nanoplastic Exposure",
+          helper: "threat",
+          scoring: { rule: "weighted" },
+          items: []
+        }
       ]
     },
     {
       id: "toxins",
       label: "Toxin Exposure Assessment",
       instruments: [
-        { id: "toxins", label: "Toxin/Exposure Items", items: [] }
+        {
+          id: "toxins",
+          label: "Toxin/Exposure Items",
+          widget: "checklist",
+          source: "toxins",
+          csvInstrumentId: "toxins",
+          responsePrefix: "Toxin Exposure",
+          helper: "threat",
+          scoring: { rule: "weighted" },
+          items: []
+        }
       ]
     },
     {
       id: "foods",
       label: "Brain Threat Foods and Additives Assessment",
       instruments: [
-        { id: "foods", label: "Food/Additive Items", items: [] }
+        {
+          id: "foods",
+          label: "Food/Additive Items",
+          widget: "checklist",
+          source: "foods",
+          csvInstrumentId: "foods",
+          responsePrefix: "Brain Threat Foods & Additives",
+          helper: "threat",
+          scoring: { rule: "weighted" },
+          items: []
+        }
       ]
     }
   ],
 
+  // Demographics intake (rendered at the top of Personal History).
+  // Values feed SCORING.demographics() → compute(..., { age, bmi }).
+  // Ranges are plausibility limits for input validation, not risk bands.
+  demographics: {
+    id: "demographics",
+    label: "Demographics",
+    fields: [
+      { key: "dob", label: "Date of birth", type: "date" },
+      { key: "age", label: "Age (years, if date of birth unknown)", type: "number", min: 18, max: 120, step: 1 },
+      { key: "units", label: "Units", type: "choice", options: { Metric: "metric", Imperial: "imperial" } },
+      { key: "height_cm", label: "Height (cm)", type: "number", units: "metric", min: 100, max: 250, step: 0.1 },
+      { key: "weight_kg", label: "Weight (kg)", type: "number", units: "metric", min: 30, max: 300, step: 0.1 },
+      { key: "height_ft", label: "Height (ft)", type: "number", units: "imperial", min: 3, max: 8, step: 1 },
+      { key: "height_in", label: "Height (in)", type: "number", units: "imperial", min: 0, max: 11.9, step: 0.1 },
+      { key: "weight_lb", label: "Weight (lb)", type: "number", units: "imperial", min: 66, max: 660, step: 0.1 }
+    ],
+    ageRange: { min: 18, max: 120 },
+    heightCmRange: { min: 100, max: 250 },
+    weightKgRange: { min: 30, max: 300 },
+    bmiRange: { min: 10, max: 80 }
+  },
+
+  // master.csv contract. `requiredColumns` must be present in the header.
+  // `details` declares, per checklist section (instruments_config.json key),
+  // the CSV columns shown in each row's "More info" panel:
+  //   required: true  → column must exist AND be non-empty for every item of
+  //                     that section, otherwise the red banner halts rendering
+  //   required: false → shown when present; column may be absent or blank
+  csvContract: {
+    requiredColumns: ["instrument_id", "item_key", "threat", "brand_name", "class", "anticholinergic_burden_std"],
+    // Derived key columns that must repeat item_key exactly (lint-data.js)
+    keyColumns: ["item_key_norm", "item_key_trimmed"],
+    details: {
+      medications: [
+        { column: "primary_use", label: "Primary use", required: true },
+        { column: "direct_cognitive_risks", label: "Direct cognitive risks", required: true },
+        { column: "indirect_cognitive_risks", label: "Indirect cognitive risks", required: true },
+        { column: "mechanisms", label: "Mechanisms", required: false },
+        { column: "mitigation_strategies", label: "Mitigation strategies", required: false }
+      ],
+      microplastics: [
+        { column: "examples", label: "Examples", required: true },
+        { column: "plastic_types", label: "Plastic types", required: true },
+        { column: "direct_cognitive_risks", label: "Direct cognitive risks", required: true },
+        { column: "indirect_cognitive_risks", label: "Indirect cognitive risks", required: true },
+        { column: "mechanisms", label: "Mechanisms", required: false },
+        { column: "mitigation_strategies", label: "Mitigation strategies", required: true }
+      ],
+      toxins: [
+        { column: "examples", label: "Examples", required: true },
+        { column: "direct_cognitive_risks", label: "Direct cognitive risks", required: true },
+        { column: "indirect_cognitive_risks", label: "Indirect cognitive risks", required: true },
+        { column: "mechanisms", label: "Mechanisms", required: false },
+        { column: "mitigation_strategies", label: "Mitigation strategies", required: true }
+      ],
+      foods: [
+        { column: "examples", label: "Examples", required: true },
+        { column: "direct_cognitive_risks", label: "Direct cognitive risks", required: true },
+        { column: "indirect_cognitive_risks", label: "Indirect cognitive risks", required: true },
+        { column: "mechanisms", label: "Mechanisms", required: false },
+        { column: "mitigation_strategies", label: "Mitigation strategies", required: false }
+      ]
+    }
+  },
+
+  // Personalized action plan (plan.js). Checklist sections carry no tiers in
+  // the CSV, so each section declares the tier its entries are ranked at and
+  // which CSV columns supply the action text.
+  actionPlan: {
+    // Sort order, most severe first. Tiers not listed sort last.
+    tierOrder: ["Extreme", "Very High", "Severe", "High", "Moderate", "Mild", "Low", "None"],
+    sections: {
+      medications: {
+        label: "Medication",
+        // Tier per medication from its anticholinergic level
+        tierByAnticholinergic: { High: "High", Moderate: "Moderate", Low: "Low", None: "Low" },
+        columns: ["mitigation_strategies"],
+        // Used when the CSV has no mitigation text for the medication
+        fallback: "Review {name} with your prescriber or pharmacist: ask whether it is still needed and whether a lower-risk alternative exists. Do not stop it on your own."
+      },
+      microplastics: { label: "Micro/nanoplastics", tier: "Moderate", columns: ["mitigation_strategies"] },
+      toxins: { label: "Toxin exposure", tier: "High", columns: ["mitigation_strategies"] },
+      foods: {
+        label: "Foods & additives",
+        tier: "Moderate",
+        columns: ["mitigation_strategies"],
+        examplesTemplate: "Limit or replace {name}, e.g. {examples}."
+      }
+    }
+  },
+
+  // Free-text medications not on the checklist. Kept in the responses as
+  // "<prefix>.<slug>" => "<entered text>" and reported as unrated (no CSV row,
+  // so no class or anticholinergic level).
+  otherMedications: { prefix: "Other Medications", maxLength: 80 },
+
+  // Anticholinergic burden (ACB): points per medication by the CSV
+  // `anticholinergic_burden_std` level, summed across selected medications.
+  anticholinergicPoints: { None: 0, Low: 1, Moderate: 2, High: 3 },
+
+  // Bands for the cumulative ACB total. A total of 3 or more is the level
+  // the ACB literature associates with increased cognitive impairment risk.
+  anticholinergicTiers: [
+    { min: 0, max: 0, label: "None" },
+    { min: 1, max: 2, label: "Low" },
+    { min: 3, max: 5, label: "Moderate" },
+    { min: 6, max: 200, label: "High" }
+  ],
+
+  // Answer completeness for questionnaire instruments. A tier is only given
+  // when at least `threshold` of an instrument's items are answered (1 = all);
+  // below it the tier is left blank and the instrument reported incomplete,
+  // since a skipped item otherwise scores exactly like "Never"/"None".
+  completion: { threshold: 1 },
+
+  // Summary views (summary.js). "patient": plain-language labels and tiers
+  // with supportive framing; "clinician": item-level answers, raw and scored
+  // values, band tables, medication classes and anticholinergic levels.
+  // Both render the same SCORING.compute() snapshot; the selector under the
+  // Summary heading switches views and is remembered per browser (app.js).
+  summaryModes: { defaultMode: "patient" },
+
+  // Encryption at rest (vault.js). Saved sessions, client profiles and
+  // exported files are sealed with AES-GCM under a PBKDF2-SHA-256 key from
+  // the staff passphrase. `iterations` is recorded with each vault and file,
+  // so raising it affects only passphrases chosen afterwards; files naming
+  // more than 10 × `iterations` are refused as damaged. The form locks
+  // (answers cleared from the page, passphrase asked again) after
+  // `autoLockMinutes` without keyboard or pointer activity.
+  vault: { iterations: 600000, minPassphraseLength: 10, autoLockMinutes: 10 },
+
+  // FHIR R4 exchange (fhir.js). `canonical` is the Questionnaire.url that
+  // exported QuestionnaireResponses point at and the base of the local code
+  // systems (<canonical>/CodeSystem/scores, …/tiers, …/scale-<instrument>).
+  // Replace it with a URL your organization controls before exchanging data
+  // with an EHR; responses under another canonical are refused on import.
+  fhir: { canonical: "http://example.org/fhir/brain-threat-analysis" },
+
+  // Research CSV export (research.js). Response columns listed here are left
+  // out of the dataset and its dictionary: direct identifiers. The age
+  // derived from them is still exported as score.age.
+  research: { omitColumns: ["demographics.dob"] },
+
+  // UI languages (i18n.js). English is the source text throughout CONFIG and
+  // the code; other languages need a bundle in assets/i18n/<code>.js and may
+  // add master.csv columns `threat_<code>` / `<detail column>_<code>` (blank
+  // cells fall back to the English column). Display text only: response
+  // values, tiers in the snapshot and exports stay language-independent.
+  i18n: {
+    defaultLanguage: "en",
+    languages: [
+      { code: "en", label: "English" },
+      { code: "es", label: "Español" }
+    ]
+  },
+
+  // Overall brain-threat composite index (0–100), computed by
+  // SCORING.compute() as `composite`. Each category scores 0–1 as the mean of
+  // its components; a component reads a value from that category's snapshot
+  // block (`path`), counting list/object entries when `count` is set, and
+  // scales it from min..max (clamped; `invert` when higher is better).
+  // A component counts only once the instrument it reads is complete
+  // (CONFIG.completion); a category with no complete component has no score,
+  // and the index stays empty ("insufficient data") until every category has
+  // one. The index is the weight-averaged category score × 100.
+  compositeIndex: {
+    categories: [
+      {
+        id: "personal", label: "Personal History", weight: 25,
+        components: [
+          { path: "history.selected", count: true, min: 0, max: 6 },
+          { path: "medicalLifestyle.selected", count: true, min: 0, max: 4 },
+          { path: "sleep.total", min: 0, max: 24 },
+          { path: "stress.total", min: 0, max: 16 },
+          { path: "activity.noFlags", count: true, min: 0, max: 3 }
+        ]
+      },
+      {
+        id: "social", label: "Social & Loneliness", weight: 10,
+        components: [
+          { path: "lsns6.total", min: 0, max: 30, invert: true },
+          { path: "ucla3.total", min: 3, max: 9 }
+        ]
+      },
+      {
+        id: "sensory", label: "Sensory", weight: 10,
+        components: [
+          { path: "hhie.total", min: 0, max: 40 },
+          { path: "vfq3of7.rawTotal", min: 0, max: 28 }
+        ]
+      },
+      {
+        id: "medications", label: "Medications", weight: 20,
+        // ACB total saturates at 6, the start of the "High" band
+        components: [{ path: "anticholinergic.total", min: 0, max: 6 }]
+      },
+      {
+        id: "microplastics", label: "Micro/Nanoplastics", weight: 10,
+        components: [{ path: "selected", count: true, min: 0, max: 5 }]
+      },
+      {
+        id: "toxins", label: "Toxins", weight: 15,
+        components: [{ path: "selected", count: true, min: 0, max: 5 }]
+      },
+      {
+        id: "foods", label: "Foods & Additives", weight: 10,
+        components: [{ path: "selected", count: true, min: 0, max: 5 }]
+      }
+    ],
+    // Bands on the rounded 0–100 index
+    tiers: [
+      { min: 0, max: 19, label: "Low" },
+      { min: 20, max: 39, label: "Moderate" },
+      { min: 40, max: 59, label: "High" },
+      { min: 60, max: 100, label: "Very High" }
+    ]
+  },
+
   // Age and BMI bands from WP code (hard-coded; not CSV)
   ageBands: [
     { min: 0, max: 54, label: "Low" },
@@ -198,7 +571,10 @@ const CONFIG = {
   ]
 };
 
-// Export for modules
+// Export for modules (browser global; CommonJS for Node tools)
 if (typeof window !== "undefined") {
   window.CONFIG = CONFIG;
 }
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CONFIG;
+}
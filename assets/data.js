@@ -0,0 +1,517 @@
+/* ===========================================================================
+   Brain Threat Analysis — DATA (master.csv + instruments_config.json loading)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Parse master.csv (RFC 4180, see parseCSV) and instruments_config.json
+     from TEXT and enforce the strict contract (well-formed CSV, required
+     columns, csvKey matches, required detail fields, medication class +
+     anticholinergic level).
+   - No fetch / DOM / fs here, so the same code runs in the browser (app.js
+     fetches the files) and in Node (tools/score.js reads them from disk).
+
+   OUTPUT of DATA.prepare()
+     {
+       csv: { headers, rows, lines, errors },
+       dicts: {
+         threatByKey, brandByKey, classByKey, acbByKey,  // item_key.toLowerCase() => text
+         detailsByKey,                                   // item_key.toLowerCase() => { <detail column>: text }
+         csvKeys,                                        // Set of lowercased item_keys
+         localized                                       // <lang> => { threatByKey, detailsByKey } (DATA.localize)
+       },
+       instruments                                      // parsed JSON, medications annotated
+     }
+   - A contract violation throws DataContractError { message: headline, details };
+     app.js shows it in the RED BANNER, the CLI prints it and exits non-zero.
+
+   DATA.lint() runs the same checks and more (duplicate keys, instrument_id vs
+   section, unreferenced rows, key column agreement) and returns every problem
+   with its line number instead of throwing (tools/lint-data.js).
+   =========================================================================== */
+
+(function () {
+  // ------------- Errors -------------
+
+  class DataContractError extends Error {
+    constructor(headline, details) {
+      super(headline);
+      this.name = "DataContractError";
+      this.details = details || "";
+    }
+  }
+
+  // ------------- Utilities -------------
+
+  function lc(s) { return String(s || "").trim().toLowerCase(); }
+
+  // RFC 4180 CSV parser (no external deps), expects first row headers.
+  // - Quoted fields may contain commas, line breaks and "" escaped quotes
+  // - CRLF, LF or CR line endings; a leading UTF-8 BOM is dropped
+  // - Cells and headers are trimmed; rows whose cells are all blank are skipped
+  // - `lines[i]` is the 1-based file line where rows[i] starts
+  // - Malformed input never throws: problems are returned in `errors` as
+  //   { line, column, message } (1-based) and ragged rows are left out of
+  //   `rows`; DATA.prepare() turns them into a DataContractError
+  function parseCSV(text) {
+    let src = String(text);
+    if (src.charCodeAt(0) === 0xfeff) src = src.slice(1);
+
+    const n = src.length;
+    const records = [];
+    const errors = [];
+    const fail = (line, column, message) => errors.push({ line, column, message });
+
+    let i = 0;
+    let line = 1;
+    let column = 1;
+    const isEol = ch => ch === "\n" || ch === "\r";
+    const advance = () => {
+      if (src[i] === "\n" || (src[i] === "\r" && src[i + 1] !== "\n")) {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      i++;
+    };
+
+    let fields = [];
+    let recordLine = 1;
+    let unclosed = false;
+    for (;;) {
+      const start = { line, column };
+      let value = "";
+      if (src[i] === '"') {
+        advance();
+        let closed = false;
+        while (i < n) {
+          if (src[i] === '"') {
+            if (src[i + 1] === '"') {
+              value += '"';
+              advance();
+              advance();
+              continue;
+            }
+            advance();
+            closed = true;
+            break;
+          }
+          value += src[i];
+          advance();
+        }
+        if (!closed) {
+          unclosed = true;
+          fail(start.line, start.column, "quoted field is never closed");
+        } else if (i < n && src[i] !== "," && !isEol(src[i])) {
+          fail(line, column, "unexpected text after a closing quote");
+          while (i < n && src[i] !== "," && !isEol(src[i])) {
+            value += src[i];
+            advance();
+          }
+        }
+      } else {
+        while (i < n && src[i] !== "," && !isEol(src[i])) {
+          if (src[i] === '"') fail(line, column, "quote inside an unquoted field (quote the whole field and double the quote)");
+          value += src[i];
+          advance();
+        }
+      }
+      fields.push({ value, line: start.line, column: start.column });
+
+      if (i < n && src[i] === ",") {
+        advance();
+        continue;
+      }
+      records.push({ fields, line: recordLine, end: { line, column }, unclosed });
+      if (i >= n) break;
+      if (src[i] === "\r" && src[i + 1] === "\n") advance();
+      advance();
+      if (i >= n) break;
+      fields = [];
+      recordLine = line;
+    }
+
+    const blank = rec => rec.fields.every(f => f.value.trim() === "");
+    const data = records.filter(rec => !blank(rec));
+    if (data.length === 0) return { headers: [], rows: [], lines: [], errors };
+
+    const headers = data[0].fields.map(f => f.value.trim());
+    const rows = [];
+    const lines = [];
+    const fieldCount = k => `${k} field${k === 1 ? "" : "s"}`;
+    for (const rec of data.slice(1)) {
+      if (rec.unclosed) continue; // already reported; it swallowed the rest of the file
+      const count = rec.fields.length;
+      if (count > headers.length) {
+        const extra = rec.fields[headers.length];
+        fail(extra.line, extra.column, `row has ${fieldCount(count)}; the header has ${headers.length}`);
+        continue;
+      }
+      if (count < headers.length) {
+        fail(rec.end.line, rec.end.column, `row has ${fieldCount(count)}; the header has ${headers.length}`);
+        continue;
+      }
+      const obj = {};
+      headers.forEach((h, idx) => { obj[h] = rec.fields[idx].value.trim(); });
+      rows.push(obj);
+      lines.push(rec.line);
+    }
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { headers, rows, lines, errors };
+  }
+
+  function requireColumns(headers, required) {
+    const missing = required.filter(r => !headers.includes(r));
+    if (missing.length) {
+      throw new Error(`master.csv is missing required columns: ${missing.join(", ")}`);
+    }
+  }
+
+  // Every detail column declared in CONFIG.csvContract.details, with the
+  // strictest required flag any section gives it
+  function detailColumns(config) {
+    const cols = new Map();
+    for (const fields of Object.values(config.csvContract.details)) {
+      for (const f of fields) cols.set(f.column, Boolean(cols.get(f.column) || f.required));
+    }
+    return cols;
+  }
+
+  // ------------- Contract steps -------------
+
+  // Build strict dictionaries (threat & brand_name; class & anticholinergic
+  // burden for medications; declared "More info" detail columns)
+  function buildDictionaries(csv, config) {
+    const { headers, rows } = csv;
+    const details = detailColumns(config);
+    const requiredDetails = Array.from(details).filter(([, req]) => req).map(([col]) => col);
+    requireColumns(headers, config.csvContract.requiredColumns.concat(requiredDetails));
+    const presentDetails = Array.from(details.keys()).filter(col => headers.includes(col));
+
+    const dicts = {
+      threatByKey: Object.create(null),
+      brandByKey: Object.create(null),
+      classByKey: Object.create(null),
+      acbByKey: Object.create(null),
+      detailsByKey: Object.create(null),
+      csvKeys: new Set()
+    };
+
+    for (const r of rows) {
+      const key = lc(r["item_key"]);
+      if (!key) continue;
+      dicts.csvKeys.add(key);
+      dicts.threatByKey[key] = r["threat"] || "";
+      dicts.brandByKey[key] = r["brand_name"] || "";
+      dicts.classByKey[key] = r["class"] || "";
+      dicts.acbByKey[key] = r["anticholinergic_burden_std"] || "";
+      dicts.detailsByKey[key] = {};
+      presentDetails.forEach(col => { dicts.detailsByKey[key][col] = r[col] || ""; });
+    }
+    dicts.localized = buildLocalized(csv, config, Array.from(details.keys()));
+    return dicts;
+  }
+
+  // Locale columns for each non-default CONFIG.i18n language:
+  // threat_<code> and <detail column>_<code>. Only non-blank cells are kept,
+  // so DATA.localize() falls back to English per key and column.
+  function buildLocalized(csv, config, detailCols) {
+    const { headers, rows } = csv;
+    const localized = Object.create(null);
+    for (const { code } of config.i18n?.languages || []) {
+      if (code === config.i18n.defaultLanguage) continue;
+      const threatCol = `threat_${code}`;
+      const cols = detailCols.filter(col => headers.includes(`${col}_${code}`));
+      if (!headers.includes(threatCol) && !cols.length) continue;
+
+      const loc = { threatByKey: Object.create(null), detailsByKey: Object.create(null) };
+      for (const r of rows) {
+        const key = lc(r["item_key"]);
+        if (!key) continue;
+        if (r[threatCol]) loc.threatByKey[key] = r[threatCol];
+        for (const col of cols) {
+          if (!r[`${col}_${code}`]) continue;
+          if (!loc.detailsByKey[key]) loc.detailsByKey[key] = {};
+          loc.detailsByKey[key][col] = r[`${col}_${code}`];
+        }
+      }
+      localized[code] = loc;
+    }
+    return localized;
+  }
+
+  // Validate that every item that declares a csvKey exists in master.csv
+  // (checklist instruments in CONFIG name their instruments_config.json section)
+  function validateInstrumentCsvKeys(instruments, dicts, config) {
+    const missing = [];
+    for (const cat of config.categories) {
+      for (const inst of cat.instruments || []) {
+        if (inst.widget !== "checklist") continue;
+        for (const it of instruments?.[inst.source]?.items || []) {
+          if (it && typeof it.csvKey === "string" && it.csvKey.length > 0 && !dicts.csvKeys.has(lc(it.csvKey))) {
+            missing.push(`${inst.responsePrefix}: ${it.csvKey}`);
+          }
+        }
+      }
+    }
+    if (missing.length) {
+      throw new DataContractError(
+        "One or more items declare csvKey values that are NOT present in master.csv. Rendering halted.",
+        `Missing csvKey matches:\n• ${missing.join("\n• ")}`
+      );
+    }
+  }
+
+  // Validate required "More info" fields (CONFIG.csvContract.details) for every
+  // checklist item
+  function validateDetailFields(instruments, dicts, config) {
+    const missing = [];
+    for (const [sectionId, fields] of Object.entries(config.csvContract.details)) {
+      for (const it of instruments?.[sectionId]?.items || []) {
+        if (!it || !it.csvKey) continue;
+        const row = dicts.detailsByKey[lc(it.csvKey)] || {};
+        fields.filter(f => f.required && !String(row[f.column] || "").trim())
+          .forEach(f => missing.push(`${sectionId}: ${it.csvKey} → ${f.column}`));
+      }
+    }
+    if (missing.length) {
+      throw new DataContractError(
+        "Required detail fields are empty in master.csv. Rendering halted.",
+        `Missing required values:\n• ${missing.join("\n• ")}`
+      );
+    }
+  }
+
+  // Copy CSV `class` and anticholinergic level onto each medication item so
+  // rendering and SCORING see them. STRICT: both must be present in the CSV
+  // and the level must be one CONFIG.anticholinergicPoints knows.
+  function annotateMedications(instruments, dicts, config) {
+    const problems = [];
+    const points = config.anticholinergicPoints || {};
+    for (const it of instruments?.medications?.items || []) {
+      if (!it || !it.csvKey) continue;
+      const k = lc(it.csvKey);
+      const cls = dicts.classByKey[k];
+      const acb = dicts.acbByKey[k];
+      if (!cls) problems.push(`${it.csvKey}: class is empty`);
+      if (!Object.prototype.hasOwnProperty.call(points, acb)) {
+        problems.push(`${it.csvKey}: anticholinergic_burden_std "${acb || ""}" is not one of ${Object.keys(points).join("/")}`);
+      }
+      it.class = cls;
+      it.anticholinergic = acb;
+    }
+    if (problems.length) {
+      throw new DataContractError(
+        "Medication class or anticholinergic burden missing/invalid in CSV. Rendering halted.",
+        `• ${problems.join("\n• ")}`
+      );
+    }
+  }
+
+  // ------------- Lint (tools/lint-data.js) -------------
+  // Unlike prepare(), which stops at the first failing contract step, lint()
+  // collects every problem with its file and line so a content editor can fix
+  // master.csv in one pass. "error" = the app would halt or show broken rows;
+  // "warning" = content the app never shows.
+
+  const CSV_FILE = "master.csv";
+  const JSON_FILE = "instruments_config.json";
+
+  // 1-based line of an item's "csvKey" in instruments_config.json (null if not found)
+  function jsonLine(text, csvKey) {
+    const quoted = JSON.stringify(String(csvKey)).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const m = new RegExp(`"csvKey"\\s*:\\s*${quoted}`).exec(text);
+    return m ? text.slice(0, m.index).split("\n").length : null;
+  }
+
+  function lintData({ csvText, instrumentsText, config }) {
+    const problems = [];
+    const report = severity => (file, line, message) => problems.push({ severity, file, line, message });
+    const error = report("error");
+    const warning = report("warning");
+
+    let instruments = null;
+    try {
+      instruments = JSON.parse(instrumentsText);
+    } catch (e) {
+      error(JSON_FILE, null, `not valid JSON: ${e.message}`);
+    }
+
+    const contract = config.csvContract;
+    const { headers, rows, lines, errors } = parseCSV(csvText);
+    errors.forEach(e => error(CSV_FILE, e.line, `column ${e.column}: ${e.message}`));
+    const details = detailColumns(config);
+    const required = contract.requiredColumns
+      .concat(Array.from(details).filter(([, req]) => req).map(([col]) => col))
+      .concat(contract.keyColumns || []);
+    const missingColumns = required.filter(c => !headers.includes(c));
+    if (missingColumns.length) error(CSV_FILE, 1, `missing required columns: ${missingColumns.join(", ")}`);
+
+    // CONFIG instruments by their CSV instrument_id, and every key any of
+    // them uses (questionnaire items from CONFIG, checklist items from JSON)
+    const byCsvId = new Map();
+    const referenced = new Set();
+    for (const cat of config.categories) {
+      for (const inst of cat.instruments || []) {
+        if (inst.csvInstrumentId) byCsvId.set(inst.csvInstrumentId, inst);
+        const items = inst.widget === "checklist" ? instruments?.[inst.source]?.items : inst.items;
+        for (const it of Array.isArray(items) ? items : []) {
+          const k = lc(it && (it.csvKey || it.key));
+          if (k) referenced.add(k);
+        }
+      }
+    }
+
+    // -- master.csv rows
+    const seen = new Map(); // lc(item_key) → { line, row }
+    const points = config.anticholinergicPoints || {};
+    rows.forEach((row, i) => {
+      const line = lines[i];
+      const key = row["item_key"];
+      if (!key) {
+        error(CSV_FILE, line, "item_key is empty");
+        return;
+      }
+      const k = lc(key);
+      if (seen.has(k)) {
+        error(CSV_FILE, line, `duplicate item_key "${key}" (first on line ${seen.get(k).line})`);
+        return;
+      }
+      seen.set(k, { line, row });
+
+      const disagree = (contract.keyColumns || []).filter(c => headers.includes(c) && row[c] !== key);
+      if (disagree.length) {
+        error(CSV_FILE, line, `item_key "${key}" disagrees with ${disagree.map(c => `${c} "${row[c]}"`).join(", ")}`);
+      }
+
+      const inst = byCsvId.get(row["instrument_id"]);
+      if (!inst) {
+        warning(CSV_FILE, line, `instrument_id "${row["instrument_id"]}" of "${key}" is not declared by any CONFIG instrument`);
+        return;
+      }
+      if (!referenced.has(k)) {
+        warning(CSV_FILE, line, `"${key}" (${row["instrument_id"]}) is not referenced by any instrument`);
+      }
+      if (inst.widget !== "checklist") return;
+
+      if (inst.helper === "brand" && !row["brand_name"]) error(CSV_FILE, line, `"${key}" has no brand_name`);
+      if (inst.helper === "threat" && !row["threat"]) error(CSV_FILE, line, `"${key}" has no threat (helper text)`);
+      for (const f of contract.details[inst.source] || []) {
+        if (f.required && headers.includes(f.column) && !row[f.column]) {
+          error(CSV_FILE, line, `"${key}" has no ${f.column}`);
+        }
+      }
+      if (inst.scoring?.rule === "anticholinergic") {
+        if (!row["class"]) error(CSV_FILE, line, `"${key}" has no class`);
+        if (!Object.prototype.hasOwnProperty.call(points, row["anticholinergic_burden_std"])) {
+          error(CSV_FILE, line, `"${key}": anticholinergic_burden_std "${row["anticholinergic_burden_std"] || ""}" is not one of ${Object.keys(points).join("/")}`);
+        }
+      }
+    });
+
+    // -- instruments_config.json checklist sections
+    for (const cat of instruments ? config.categories : []) {
+      for (const inst of cat.instruments || []) {
+        if (inst.widget !== "checklist") continue;
+        const items = instruments[inst.source]?.items;
+        if (!Array.isArray(items)) {
+          error(JSON_FILE, null, `section "${inst.source}" has no items array`);
+          continue;
+        }
+        items.forEach((it, idx) => {
+          if (!it || !it.csvKey) {
+            error(JSON_FILE, null, `${inst.source}.items[${idx}] has no csvKey`);
+            return;
+          }
+          const hit = seen.get(lc(it.csvKey));
+          if (!hit) {
+            error(JSON_FILE, jsonLine(instrumentsText, it.csvKey), `${inst.source}.items[${idx}]: csvKey "${it.csvKey}" is not an item_key in ${CSV_FILE}`);
+          } else if (inst.csvInstrumentId && hit.row["instrument_id"] !== inst.csvInstrumentId) {
+            error(CSV_FILE, hit.line, `"${hit.row["item_key"]}" is listed under ${inst.source} in ${JSON_FILE} but its instrument_id is "${hit.row["instrument_id"]}" (expected "${inst.csvInstrumentId}")`);
+          }
+        });
+      }
+    }
+
+    // master.csv first, then by line (file-level problems last)
+    const fileOrder = [CSV_FILE, JSON_FILE];
+    return problems
+      .map((p, i) => ({ p, i }))
+      .sort((a, b) =>
+        fileOrder.indexOf(a.p.file) - fileOrder.indexOf(b.p.file) ||
+        (a.p.line ?? Infinity) - (b.p.line ?? Infinity) ||
+        a.i - b.i)
+      .map(({ p }) => p);
+  }
+
+  // ------------- Public API -------------
+
+  const DATA = {
+    DataContractError,
+    parseCSV,
+
+    /**
+     * Parse both data files and enforce the strict contract.
+     * Throws DataContractError on a contract violation, Error on unreadable input.
+     * @param {Object} args
+     * @param {string} args.csvText Contents of data/master.csv.
+     * @param {string} args.instrumentsText Contents of data/instruments_config.json.
+     * @param {Object} args.config CONFIG from assets/config.js.
+     * @returns {{ csv: Object, dicts: Object, instruments: Object }}
+     */
+    prepare({ csvText, instrumentsText, config }) {
+      const csv = parseCSV(csvText);
+      if (csv.errors.length) {
+        throw new DataContractError(
+          "master.csv is not valid CSV. Rendering halted.",
+          `Fix these rows:\n• ${csv.errors.map(e => `Line ${e.line}, column ${e.column}: ${e.message}`).join("\n• ")}`
+        );
+      }
+      const dicts = buildDictionaries(csv, config);
+      const instruments = JSON.parse(instrumentsText);
+
+      validateInstrumentCsvKeys(instruments, dicts, config);
+      validateDetailFields(instruments, dicts, config);
+      annotateMedications(instruments, dicts, config);
+
+      return { csv, dicts, instruments };
+    },
+
+    /**
+     * Check both data files against CONFIG (csvContract, instrument
+     * csvInstrumentId / source / helper) without throwing.
+     * @param {Object} args Same as prepare().
+     * @returns {Array<{severity:"error"|"warning", file:string, line:?number, message:string}>}
+     *   Sorted by file, then line; empty when both files are clean.
+     */
+    lint({ csvText, instrumentsText, config }) {
+      return lintData({ csvText, instrumentsText, config });
+    },
+
+    /**
+     * CSV display lookups in a language: `threat_<code>` / `<column>_<code>`
+     * where filled in, the English columns otherwise.
+     * @param {Object} dicts `dicts` from prepare().
+     * @param {string} code Language code (I18N.language()).
+     * @returns {{ threatByKey: Object, detailsByKey: Object }}
+     */
+    localize(dicts, code) {
+      const loc = dicts.localized?.[code];
+      if (!loc) return { threatByKey: dicts.threatByKey, detailsByKey: dicts.detailsByKey };
+      const threatByKey = Object.create(null);
+      const detailsByKey = Object.create(null);
+      for (const key of Object.keys(dicts.threatByKey)) {
+        threatByKey[key] = loc.threatByKey[key] || dicts.threatByKey[key];
+        detailsByKey[key] = Object.assign({}, dicts.detailsByKey[key], loc.detailsByKey[key]);
+      }
+      return { threatByKey, detailsByKey };
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.DATA = DATA;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = DATA;
+  }
+})();
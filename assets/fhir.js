@@ -0,0 +1,486 @@
+/* ===========================================================================
+   Brain Threat Analysis — FHIR (R4 Questionnaire / QuestionnaireResponse)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Structured exchange with an EHR instead of pasted summary text.
+   - FHIR.questionnaire() builds ONE Questionnaire from CONFIG.categories:
+       group  "category/<id>"      one per CONFIG category, in order
+         group "demographics"       CONFIG.demographics (intake category)
+         group "instrument/<id>"   one per instrument
+           question                linkId = the response key, exactly as
+                                   collectAllResponses() names it
+     yes/no items    choice, HL7 v2-0136 Y / N
+     likert items    choice over the instrument `scale`: code = stored value,
+                     display = scale label, ordinalValue = points
+     checklists      boolean per instruments_config.json item (label and
+                     brand / helper text from master.csv); the medication
+                     picker adds "<otherMedications.prefix>", a repeating
+                     string for free-text medications
+     demographics    date / integer / decimal / choice with min/max
+   - FHIR.bundle() exports the current answers as a QuestionnaireResponse
+     (same nesting, answered questions only; unchecked boxes are left out)
+     plus one Observation per computed total / tier in the SCORING.compute()
+     snapshot, in a "collection" Bundle. Age and BMI use their LOINC codes;
+     every other score is coded in "<canonical>/CodeSystem/scores" and its
+     tier given as interpretation ("<canonical>/CodeSystem/tiers").
+   - FHIR.toResponses() turns a QuestionnaireResponse (or a Bundle holding
+     one) back into the flat response map. The caller checks that map like
+     any import (TRANSFER.checkResponses): this file does not drop values.
+   - Questionnaire.url is CONFIG.fhir.canonical and its version the data
+     version of master.csv + instruments_config.json (persist.js); responses
+     point at "<url>|<version>".
+   - Environment-neutral: attaches to window.FHIR in the browser and to
+     module.exports under Node.
+
+   INTEGRATION
+   - app.js calls:
+       FHIR.questionnaire({ config, instruments, csv, dataVersion })
+       FHIR.bundle({ responses, snapshot, config, instruments, csv, dataVersion, subject })
+       FHIR.toResponses(resource, { config })  → { responses, unreadable, questionnaire, version, authored }
+   =========================================================================== */
+
+(function () {
+  const YES_NO_SYSTEM = "http://terminology.hl7.org/CodeSystem/v2-0136";
+  const YES_NO = { Yes: "Y", No: "N" };
+  const EXT = {
+    ordinal: "http://hl7.org/fhir/StructureDefinition/ordinalValue",
+    min: "http://hl7.org/fhir/StructureDefinition/minValue",
+    max: "http://hl7.org/fhir/StructureDefinition/maxValue",
+    itemControl: "http://hl7.org/fhir/StructureDefinition/questionnaire-itemControl"
+  };
+  const SURVEY = {
+    coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "survey", display: "Survey" }]
+  };
+  const LOINC = "http://loinc.org";
+  const UCUM = "http://unitsofmeasure.org";
+
+  // ------------- Utilities -------------
+
+  function lc(s) { return String(s || "").trim().toLowerCase(); }
+
+  function humanize(s) {
+    return String(s).replace(/([A-Z])/g, " $1").replace(/_/g, " ").replace(/\s+/g, " ").trim();
+  }
+
+  // Same slug medpicker.js gives free-text medications
+  function slug(text) {
+    return lc(text).replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  }
+
+  function newId() {
+    const c = typeof crypto !== "undefined" ? crypto : null;
+    if (c && typeof c.randomUUID === "function") return c.randomUUID();
+    const hex = n => Array.from({ length: n }, () => Math.floor(Math.random() * 16).toString(16)).join("");
+    return `${hex(8)}-${hex(4)}-4${hex(3)}-a${hex(3)}-${hex(12)}`;
+  }
+
+  function canonical(config) {
+    return String(config?.fhir?.canonical || "").replace(/\/+$/, "");
+  }
+
+  function system(config, name) {
+    return `${canonical(config)}/CodeSystem/${name}`;
+  }
+
+  function isPlainObject(v) {
+    return v !== null && typeof v === "object" && !Array.isArray(v);
+  }
+
+  // Snapshot block for a CONFIG instrument (as summary.js reads it)
+  function snapBlock(snap, cat, inst) {
+    if (inst.widget === "checklist") return snap?.[inst.resultKey || inst.source];
+    return snap?.[cat.id]?.[inst.resultKey || inst.id];
+  }
+
+  // ------------- Questionnaire -------------
+
+  function demographicsGroup(spec, config) {
+    return {
+      linkId: spec.id,
+      text: spec.label,
+      type: "group",
+      item: spec.fields.map(f => {
+        const q = { linkId: `${spec.id}.${f.key}`, text: f.label };
+        if (f.type === "choice") {
+          q.type = "choice";
+          q.answerOption = Object.entries(f.options || {}).map(([label, value]) => ({
+            valueCoding: { system: system(config, `${spec.id}-${f.key}`), code: value, display: label }
+          }));
+        } else if (f.type === "number") {
+          q.type = f.step === 1 ? "integer" : "decimal";
+          const kind = q.type === "integer" ? "valueInteger" : "valueDecimal";
+          const ext = [];
+          if (f.min != null) ext.push({ url: EXT.min, [kind]: f.min });
+          if (f.max != null) ext.push({ url: EXT.max, [kind]: f.max });
+          if (ext.length) q.extension = ext;
+        } else {
+          q.type = f.type === "date" ? "date" : "string";
+        }
+        return q;
+      })
+    };
+  }
+
+  function questionnaireItems(inst, ctx) {
+    if (inst.widget === "yesno") {
+      return (inst.items || []).map(it => ({
+        linkId: `${inst.id}.${it.key}`,
+        text: it.label,
+        type: "choice",
+        answerOption: Object.entries(YES_NO).map(([display, code]) => ({ valueCoding: { system: YES_NO_SYSTEM, code, display } }))
+      }));
+    }
+    if (inst.widget === "likert") {
+      const options = Object.entries(inst.scale || {}).map(([label, value]) => ({
+        valueCoding: {
+          system: system(ctx.config, `scale-${inst.id}`),
+          code: String(value),
+          display: humanize(label),
+          extension: [{ url: EXT.ordinal, valueDecimal: value }]
+        }
+      }));
+      return (inst.items || []).map(it => ({ linkId: `${inst.id}.${it.key}`, text: it.label, type: "choice", answerOption: options }));
+    }
+
+    // Checklist: one boolean per instruments_config.json item
+    const brands = ctx.csv?.brandByKey || {};
+    const threats = ctx.csv?.threatByKey || {};
+    const out = (ctx.instruments?.[inst.source]?.items || []).filter(it => it && it.csvKey).map(it => {
+      const name = it.label || it.csvKey;
+      const brand = inst.helper === "brand" ? brands[lc(it.csvKey)] : "";
+      const q = { linkId: `${inst.responsePrefix}.${it.csvKey}`, text: brand ? `${name} (${brand})` : name, type: "boolean" };
+      const help = inst.helper === "threat" ? threats[lc(it.csvKey)] : "";
+      if (help) {
+        q.item = [{
+          linkId: `${q.linkId}.help`,
+          text: help,
+          type: "display",
+          extension: [{ url: EXT.itemControl, valueCodeableConcept: { coding: [{ system: "http://hl7.org/fhir/questionnaire-item-control", code: "help" }] } }]
+        }];
+      }
+      return q;
+    });
+    if (inst.picker && ctx.config.otherMedications) {
+      out.push({ linkId: ctx.config.otherMedications.prefix, text: "Other medications (free text)", type: "string", repeats: true, maxLength: ctx.config.otherMedications.maxLength });
+    }
+    return out;
+  }
+
+  function buildQuestionnaire({ config, instruments, csv, dataVersion }) {
+    const ctx = { config, instruments, csv };
+    return {
+      resourceType: "Questionnaire",
+      id: "brain-threat-analysis",
+      url: canonical(config),
+      version: dataVersion || "",
+      name: "BrainThreatAnalysis",
+      title: "Brain Threat Analysis",
+      status: "active",
+      subjectType: ["Patient"],
+      item: config.categories.map(cat => {
+        const items = [];
+        if (cat.intake === "demographics" && config.demographics) {
+          items.push(demographicsGroup(config.demographics, config));
+        }
+        for (const inst of cat.instruments || []) {
+          items.push({ linkId: `instrument/${inst.id}`, text: inst.label, type: "group", item: questionnaireItems(inst, ctx) });
+        }
+        return { linkId: `category/${cat.id}`, text: cat.label, type: "group", item: items };
+      })
+    };
+  }
+
+  // ------------- QuestionnaireResponse -------------
+
+  // FHIR answers for one question from the response map (none when unanswered)
+  function answersFor(q, responses, config) {
+    if (q.type === "string" && q.repeats && q.linkId === config.otherMedications?.prefix) {
+      const prefix = `${q.linkId}.`;
+      return Object.keys(responses).filter(k => k.startsWith(prefix)).sort().map(k => ({ valueString: String(responses[k]) }));
+    }
+    if (!Object.prototype.hasOwnProperty.call(responses, q.linkId)) return [];
+    const value = String(responses[q.linkId]);
+    switch (q.type) {
+      case "choice": {
+        const opt = (q.answerOption || []).find(o => o.valueCoding.system === YES_NO_SYSTEM
+          ? o.valueCoding.display === value
+          : o.valueCoding.code === value);
+        if (!opt) return [];
+        const { system: sys, code, display } = opt.valueCoding;
+        return [{ valueCoding: { system: sys, code, display } }];
+      }
+      case "boolean":
+        return value === "1" ? [{ valueBoolean: true }] : [];
+      case "integer":
+        return /^-?\d+$/.test(value) ? [{ valueInteger: Number(value) }] : [];
+      case "decimal":
+        return /^-?\d+(\.\d+)?$/.test(value) ? [{ valueDecimal: Number(value) }] : [];
+      case "date":
+        return [{ valueDate: value }];
+      default:
+        return [{ valueString: value }];
+    }
+  }
+
+  // Mirror the questionnaire's nesting; groups without answers are left out
+  function responseItems(items, responses, config) {
+    const out = [];
+    for (const q of items || []) {
+      if (q.type === "display") continue;
+      if (q.type === "group") {
+        const item = responseItems(q.item, responses, config);
+        if (item.length) out.push({ linkId: q.linkId, text: q.text, item });
+        continue;
+      }
+      const answer = answersFor(q, responses, config);
+      if (answer.length) out.push({ linkId: q.linkId, text: q.text, answer });
+    }
+    return out;
+  }
+
+  // ------------- Observations -------------
+
+  function interpretation(config, tier) {
+    return tier ? [{ coding: [{ system: system(config, "tiers"), code: tier, display: tier }], text: tier }] : undefined;
+  }
+
+  function scoreCode(config, code, display) {
+    return { coding: [{ system: system(config, "scores"), code, display }], text: display };
+  }
+
+  function quantity(value, unit = "{score}") {
+    return { value, unit, system: UCUM, code: unit };
+  }
+
+  // One entry per computed total / tier, in CONFIG order
+  function observations(snap, config) {
+    const out = [];
+    const add = (obs) => out.push(Object.assign({ status: "final" }, obs));
+
+    if (snap?.composite && typeof snap.composite.index === "number") {
+      add({
+        code: scoreCode(config, "composite.index", "Brain-Threat Index (0–100)"),
+        valueQuantity: quantity(snap.composite.index),
+        interpretation: interpretation(config, snap.composite.tier),
+        component: (snap.composite.categories || []).filter(c => typeof c.score === "number").map(c => ({
+          code: scoreCode(config, `composite.${c.id}`, `${c.label} score (0–100)`),
+          valueQuantity: quantity(c.score)
+        }))
+      });
+    }
+
+    for (const cat of config.categories) {
+      for (const inst of cat.instruments || []) {
+        const b = snapBlock(snap, cat, inst);
+        if (!b) continue;
+        const status = b.complete === false ? "preliminary" : "final";
+        switch (inst.scoring?.rule) {
+          case "sum":
+            if (!b.answered) break;
+            add({
+              status,
+              code: scoreCode(config, `${inst.id}.total`, `${inst.label} total`),
+              valueQuantity: quantity(b.total),
+              interpretation: interpretation(config, b.tier)
+            });
+            break;
+          case "normalized":
+            if (!b.answered) break;
+            add({
+              status,
+              code: scoreCode(config, `${inst.id}.score`, `${inst.label} score (0–100)`),
+              valueQuantity: quantity(b.score),
+              component: [{ code: scoreCode(config, `${inst.id}.rawTotal`, `${inst.label} raw difficulty total`), valueQuantity: quantity(b.rawTotal) }]
+            });
+            break;
+          case "yesFlags":
+          case "noFlags": {
+            if (!b.answered) break;
+            const tiers = inst.scoring.rule === "yesFlags" ? b.tiers || {} : b.noFlags || {};
+            add({
+              status,
+              code: scoreCode(config, `${inst.id}.flags`, `${inst.label} flagged items`),
+              valueInteger: Object.keys(tiers).length,
+              component: Object.entries(tiers).map(([key, tier]) => {
+                const it = (inst.items || []).find(i => i.key === key);
+                return {
+                  code: scoreCode(config, `${inst.id}.${key}`, it ? it.label : key),
+                  valueCodeableConcept: interpretation(config, tier)[0]
+                };
+              })
+            });
+            break;
+          }
+          case "anticholinergic":
+            if (!(b.selected || []).length) break;
+            add({
+              code: scoreCode(config, `${inst.id}.anticholinergic`, "Anticholinergic burden total"),
+              valueQuantity: quantity(b.anticholinergic.total),
+              interpretation: interpretation(config, b.anticholinergic.tier),
+              component: [{ code: scoreCode(config, `${inst.id}.selected`, "Medications selected"), valueInteger: b.selected.length }]
+            });
+            break;
+          case "weighted":
+            if (!(b.selected || []).length) break;
+            add({
+              code: scoreCode(config, `${inst.id}.weighted`, `${inst.label} weighted total`),
+              valueQuantity: quantity(b.weighted),
+              component: [{ code: scoreCode(config, `${inst.id}.selected`, `${inst.label} selected`), valueInteger: b.selected.length }]
+            });
+            break;
+          default:
+            break;
+        }
+      }
+    }
+
+    const ab = snap?.ageBmi || {};
+    if (typeof ab.age === "number") {
+      add({
+        code: { coding: [{ system: LOINC, code: "30525-0", display: "Age" }], text: "Age" },
+        valueQuantity: quantity(ab.age, "a"),
+        interpretation: interpretation(config, ab.ageTier)
+      });
+    }
+    if (typeof ab.bmi === "number") {
+      add({
+        code: { coding: [{ system: LOINC, code: "39156-5", display: "Body mass index (BMI) [Ratio]" }], text: "BMI" },
+        valueQuantity: quantity(ab.bmi, "kg/m2"),
+        interpretation: interpretation(config, ab.bmiTier)
+      });
+    }
+
+    // Drop empty optional fields so the JSON stays valid FHIR
+    return out.map(o => {
+      for (const k of ["interpretation", "component"]) if (!o[k] || !o[k].length) delete o[k];
+      return o;
+    });
+  }
+
+  // ------------- Import -------------
+
+  function findResponse(resource) {
+    if (resource?.resourceType === "QuestionnaireResponse") return resource;
+    if (resource?.resourceType === "Bundle") {
+      const hit = (resource.entry || []).map(e => e && e.resource).find(r => r && r.resourceType === "QuestionnaireResponse");
+      if (hit) return hit;
+      throw new Error("The FHIR Bundle holds no QuestionnaireResponse.");
+    }
+    throw new Error("File is not a FHIR QuestionnaireResponse or Bundle.");
+  }
+
+  // ------------- Public API -------------
+
+  const FHIR = {
+    /**
+     * Questionnaire for the current CONFIG, instruments_config.json and
+     * master.csv (see header).
+     * @param {Object} args { config, instruments, csv: { brandByKey, threatByKey }, dataVersion }
+     * @returns {Object} FHIR R4 Questionnaire.
+     */
+    questionnaire(args) {
+      return buildQuestionnaire(args);
+    },
+
+    /**
+     * Bundle (type "collection") of one QuestionnaireResponse for `responses`
+     * and the Observations computed from `snapshot`.
+     * @param {Object} args
+     * @param {Object} args.responses Flat map from collectAllResponses().
+     * @param {Object} args.snapshot SCORING.compute() snapshot for those responses.
+     * @param {Object} args.config / args.instruments / args.csv / args.dataVersion As for questionnaire().
+     * @param {Object} [args.subject] FHIR Reference to the patient (e.g. { display: name }).
+     * @param {string} [args.authored] ISO 8601 timestamp (default: now).
+     * @returns {Object} FHIR R4 Bundle.
+     */
+    bundle({ responses, snapshot, config, instruments, csv, dataVersion, subject, authored }) {
+      const q = buildQuestionnaire({ config, instruments, csv, dataVersion });
+      const when = authored || new Date().toISOString();
+      const qrUrl = `urn:uuid:${newId()}`;
+      const complete = config.categories.every(cat => (cat.instruments || [])
+        .filter(inst => inst.widget !== "checklist")
+        .every(inst => snapBlock(snapshot, cat, inst)?.complete));
+
+      const qr = {
+        resourceType: "QuestionnaireResponse",
+        questionnaire: `${q.url}|${q.version}`,
+        status: complete ? "completed" : "in-progress",
+        authored: when,
+        item: responseItems(q.item, responses || {}, config)
+      };
+      if (subject) qr.subject = subject;
+
+      const entries = [{ fullUrl: qrUrl, resource: qr }];
+      for (const obs of observations(snapshot, config)) {
+        const resource = Object.assign({ resourceType: "Observation", status: obs.status, category: [SURVEY] }, obs);
+        if (subject) resource.subject = subject;
+        resource.effectiveDateTime = when;
+        resource.derivedFrom = [{ reference: qrUrl }];
+        entries.push({ fullUrl: `urn:uuid:${newId()}`, resource });
+      }
+      return { resourceType: "Bundle", type: "collection", timestamp: when, entry: entries };
+    },
+
+    /**
+     * Response map from a QuestionnaireResponse, or the first one in a Bundle.
+     * Answers that cannot be expressed as a response value are listed in
+     * `unreadable`; validating the map is the caller's job.
+     * Throws an Error when the resource is not a QuestionnaireResponse for
+     * this questionnaire.
+     * @param {Object} resource Parsed FHIR JSON.
+     * @param {Object} ctx { config }
+     * @returns {{ responses: Object, unreadable: Array<{key:string, value:*, reason:string}>, questionnaire: string, version: string, authored: string }}
+     */
+    toResponses(resource, { config }) {
+      const qr = findResponse(resource);
+      const [url, version = ""] = String(qr.questionnaire || "").split("|");
+      if (url !== canonical(config)) {
+        throw new Error(`The QuestionnaireResponse answers ${url || "no questionnaire"}, not ${canonical(config)}.`);
+      }
+
+      const prefix = config.otherMedications?.prefix;
+      const responses = Object.create(null);
+      const unreadable = [];
+      (function walk(items) {
+        for (const it of items || []) {
+          if (!isPlainObject(it)) continue;
+          walk(it.item);
+          for (const a of it.answer || []) {
+            walk(a && a.item);
+            const key = String(it.linkId || "");
+            if (!isPlainObject(a)) continue;
+            if ("valueCoding" in a) {
+              const c = a.valueCoding || {};
+              if (c.system === YES_NO_SYSTEM) {
+                const yn = Object.keys(YES_NO).find(k => YES_NO[k] === c.code);
+                if (yn) responses[key] = yn;
+                else unreadable.push({ key, value: c.code, reason: "not a Y/N code" });
+              } else {
+                responses[key] = String(c.code ?? "");
+              }
+            } else if ("valueBoolean" in a) {
+              if (a.valueBoolean === true) responses[key] = "1";
+            } else if (key === prefix && "valueString" in a) {
+              const id = slug(a.valueString);
+              if (id) responses[`${prefix}.${id}`] = String(a.valueString).trim();
+            } else if ("valueString" in a || "valueDate" in a || "valueInteger" in a || "valueDecimal" in a) {
+              responses[key] = String(a.valueString ?? a.valueDate ?? a.valueInteger ?? a.valueDecimal);
+            } else {
+              unreadable.push({ key, value: JSON.stringify(a), reason: "unsupported answer type" });
+            }
+          }
+        }
+      })(qr.item);
+
+      return { responses, unreadable, questionnaire: url, version, authored: String(qr.authored || "") };
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.FHIR = FHIR;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = FHIR;
+  }
+})();
@@ -0,0 +1,169 @@
+/* ===========================================================================
+   Brain Threat Analysis — I18N (display language)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Translate DISPLAY text. English stays where it has always been (CONFIG
+     labels, literals in app.js / summary.js / report.js / compare.js /
+     plan.js, index.html) and is the
+     fallback for any id a bundle lacks; bundles in assets/i18n/<code>.js hold
+     the other languages, keyed by item key and UI string id.
+   - Response values ("Yes", scale numbers, "1"), CONFIG keys and the tiers in
+     a SCORING snapshot never change with the language, so scoring,
+     persistence and exports are language-independent.
+   - Environment-neutral: attaches to window.I18N in the browser and to
+     module.exports under Node.
+
+   STRING IDS
+     category.<categoryId>               accordion titles
+     instrument.<instrumentId>[.short]   questionnaire titles / badge labels
+     checklist.<source>                  checklist titles (medications, foods, …)
+     item.<instrumentId>.<itemKey>       question labels
+     scale.<instrumentId>.<ScaleKey>     answer labels (falls back to scale.<ScaleKey>)
+     answer.Yes / answer.No              Y/N grid labels
+     tier.<label>                        tier / band labels
+     action.<instrumentId>.<itemKey|Tier>  action plan entries from CONFIG
+     demographics.<field|label|Metric|Imperial>, detail.<csvColumn>,
+     composite.<categoryId>, plan.<section>[.fallback|.examples]
+     (CSV names and "More info" text come from master.csv `<column>_<code>`
+     columns via DATA.localize, not from bundles)
+     measure.<measureId>                 headline values (SCORING.measures())
+     ui.<id>, summary.<id>, report.<id>, compare.<id>, medpicker.<id>
+                                         app chrome and generated text
+   Text may hold {placeholders} filled from `vars`.
+
+   STATIC HTML
+     <span data-i18n="ui.summary">Summary</span>   → textContent
+     data-i18n-aria="ui.copySummaryAria"           → aria-label
+   The English in the markup is remembered the first time, so switching back
+   restores it.
+
+   INTEGRATION
+   - Bundles call I18N.register(code, strings) when loaded.
+   - app.js calls I18N.restore(CONFIG) on load, I18N.setLanguage(code) from
+     the language selector, and I18N.translateDom(document) after either.
+   =========================================================================== */
+
+(function () {
+  const SOURCE_LANGUAGE = "en";
+  const STORAGE_KEY = "brainThreat.language";
+
+  const bundles = Object.create(null);
+  let current = SOURCE_LANGUAGE;
+
+  // -------------------- Utilities --------------------
+
+  function storage() {
+    try {
+      return typeof window !== "undefined" ? window.localStorage : null;
+    } catch (e) {
+      return null; // access can throw when storage is disabled
+    }
+  }
+
+  function fill(text, vars) {
+    if (!vars) return String(text);
+    return String(text).replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? vars[k] : m));
+  }
+
+  function lookup(id) {
+    const bundle = bundles[current];
+    return bundle && Object.prototype.hasOwnProperty.call(bundle, id) ? bundle[id] : undefined;
+  }
+
+  // -------------------- Public API --------------------
+
+  const I18N = {
+    SOURCE_LANGUAGE,
+
+    /**
+     * Add (or extend) the strings for a language.
+     * @param {string} code Language code, e.g. "es".
+     * @param {Object} strings { <string id>: text }
+     */
+    register(code, strings) {
+      bundles[code] = Object.assign(bundles[code] || Object.create(null), strings);
+    },
+
+    /** True when text is available in `code` (English always is). */
+    has(code) {
+      return code === SOURCE_LANGUAGE || Object.prototype.hasOwnProperty.call(bundles, code);
+    },
+
+    /** Current display language code. */
+    language() {
+      return current;
+    },
+
+    /**
+     * Switch the display language and remember it in this browser.
+     * Unknown codes fall back to English.
+     * @param {string} code
+     * @returns {string} The language now in effect.
+     */
+    setLanguage(code) {
+      current = I18N.has(code) ? code : SOURCE_LANGUAGE;
+      try {
+        storage()?.setItem(STORAGE_KEY, current);
+      } catch (e) {
+        // Private mode / quota: the choice just is not remembered
+      }
+      return current;
+    },
+
+    /**
+     * Pick the language at start-up: the stored choice, else the browser's
+     * language when a bundle exists, else CONFIG.i18n.defaultLanguage.
+     * @param {Object} config CONFIG from assets/config.js.
+     * @returns {string} The language now in effect.
+     */
+    restore(config) {
+      let stored = null;
+      try {
+        stored = storage()?.getItem(STORAGE_KEY) || null;
+      } catch (e) {
+        stored = null;
+      }
+      const nav = typeof navigator !== "undefined" && navigator.language
+        ? String(navigator.language).split("-")[0].toLowerCase()
+        : null;
+      const code = [stored, nav, config?.i18n?.defaultLanguage].find(c => c && I18N.has(c));
+      current = code || SOURCE_LANGUAGE;
+      return current;
+    },
+
+    /**
+     * Translate a string id, falling back to the English text.
+     * @param {string} id String id (see STRING IDS above).
+     * @param {string} fallback English text.
+     * @param {Object} [vars] Values for {placeholders}.
+     * @returns {string}
+     */
+    t(id, fallback, vars) {
+      const text = lookup(id);
+      return fill(text !== undefined ? text : fallback, vars);
+    },
+
+    /**
+     * Translate the static markup under `root` (data-i18n / data-i18n-aria).
+     * @param {Document|Element} root
+     */
+    translateDom(root) {
+      for (const el of Array.from(root.querySelectorAll("[data-i18n]"))) {
+        if (!el.hasAttribute("data-i18n-source")) el.setAttribute("data-i18n-source", el.textContent.trim());
+        el.textContent = I18N.t(el.getAttribute("data-i18n"), el.getAttribute("data-i18n-source"));
+      }
+      for (const el of Array.from(root.querySelectorAll("[data-i18n-aria]"))) {
+        if (!el.hasAttribute("data-i18n-aria-source")) el.setAttribute("data-i18n-aria-source", el.getAttribute("aria-label") || "");
+        el.setAttribute("aria-label", I18N.t(el.getAttribute("data-i18n-aria"), el.getAttribute("data-i18n-aria-source")));
+      }
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.I18N = I18N;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = I18N;
+  }
+})();
@@ -0,0 +1,463 @@
+/* ===========================================================================
+   Brain Threat Analysis — I18N bundle: Español (es)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   - Display text only, keyed by the string ids documented in i18n.js.
+     Ids missing here show the English text from CONFIG / the source.
+   - Medication, plastic, toxin and food names come from the master.csv
+     `threat_es` column, not from this file.
+   =========================================================================== */
+
+(function () {
+  const ES = {
+    // ------------- App chrome (index.html + app.js) -------------
+    "ui.title": "Análisis de amenazas cerebrales",
+    "ui.subtitle": "Reconstrucción a partir del código de WordPress + master.csv (contrato estricto; sin heurísticas)",
+    "ui.language": "Idioma",
+    "ui.displayMode": "Letra grande y alto contraste",
+    "ui.summaryView": "Vista",
+    "ui.summaryPatient": "Paciente",
+    "ui.summaryClinician": "Profesional clínico",
+    "ui.resumeTitle": "Se encontró una evaluación sin terminar",
+    "ui.resumeSavedOn": "Las respuestas guardadas el",
+    "ui.resumeStored": "están almacenadas en este navegador.",
+    "ui.resume": "Reanudar la sesión anterior",
+    "ui.startFresh": "Empezar de nuevo",
+    "ui.earlierSession": "una sesión anterior",
+    "ui.summary": "Resumen",
+    "ui.reportDetails": "Datos del informe",
+    "ui.reportName": "Nombre",
+    "ui.reportDate": "Fecha",
+    "ui.reportAssessor": "Evaluador",
+    "ui.copySummary": "Copiar resumen",
+    "ui.copySummaryAria": "Copiar el resumen al portapapeles",
+    "ui.printReport": "Imprimir informe",
+    "ui.printReportAria": "Imprimir el informe de la evaluación o guardarlo como PDF",
+    "ui.exportAssessment": "Exportar evaluación",
+    "ui.exportAssessmentAria": "Exportar esta evaluación como archivo JSON",
+    "ui.importAssessment": "Importar evaluación",
+    "ui.importAssessmentAria": "Importar una evaluación desde un archivo JSON o FHIR",
+    "ui.exportFhir": "Exportar FHIR",
+    "ui.exportFhirAria": "Exportar las respuestas y puntuaciones como FHIR QuestionnaireResponse y Observations",
+    "ui.fhirQuestionnaire": "Cuestionario FHIR",
+    "ui.fhirQuestionnaireAria": "Descargar la definición del formulario como FHIR Questionnaire",
+    "ui.researchCsv": "CSV de investigación",
+    "ui.researchCsvAria": "Exportar esta evaluación como fila de CSV de investigación con puntuaciones",
+    "ui.dataDictionary": "Diccionario de datos",
+    "ui.dataDictionaryAria": "Descargar el diccionario de datos del CSV de investigación",
+    "ui.compareAssessments": "Comparar evaluaciones",
+    "ui.compareAssessmentsAria": "Comparar una o dos evaluaciones exportadas",
+    "ui.clearForm": "Borrar formulario",
+    "ui.clearFormAria": "Borrar todas las respuestas y contraer todas las secciones",
+    "ui.clearSection": "Borrar esta sección",
+    "ui.moreInfo": "Más información",
+    "ui.computedBmi": "IMC calculado: {bmi}",
+    "ui.exported": "Se exportaron {count} respuestas.",
+    "ui.researchExported": "Se exportaron {count} evaluación(es) como CSV de investigación.",
+    "ui.researchIgnored": "{count} respuesta(s) no coinciden con el cuestionario actual y se omitieron.",
+    "ui.researchNone": "Los perfiles listados no tienen evaluaciones guardadas.",
+    "ui.researchConfirm": "El CSV de investigación NO está cifrado. Omite los nombres y los identificadores directos, pero contiene respuestas de salud. ¿Guardarlo sin cifrar?",
+    "ui.researchCancelled": "No se exportó el CSV de investigación.",
+    "ui.researchUnsupported": "este navegador no puede cifrar los datos guardados, así que las exportaciones están desactivadas.",
+    "ui.fhirExported": "Se exportaron {count} respuestas y {observations} puntuaciones como FHIR.",
+    "ui.importFailed": "La importación falló: {error}",
+    "ui.plainFileConfirm": "{file} no está cifrado, así que no se puede comprobar si se modificó después de exportarlo. ¿Usarlo de todos modos?",
+    "ui.plainFileRefused": "el archivo no está cifrado y no se confirmó su uso.",
+    "ui.imported": "Se importaron {count} respuestas de {file}.",
+    "ui.importDataVersion": "El archivo se exportó con otra versión de los archivos de datos.",
+    "ui.importRejected": "{count} respuesta(s) no coinciden con el cuestionario actual y NO se importaron:",
+    "ui.compareChoose": "Elija una evaluación exportada (se compara con el formulario actual) o dos para compararlas entre sí.",
+    "ui.compareFailed": "La comparación falló para {file}: {error}",
+    "ui.compareIgnored": "{file}: {count} respuesta(s) no coinciden con el cuestionario actual y se ignoraron.",
+    "ui.currentForm": "Formulario actual",
+    "ui.updateAvailable": "Hay datos actualizados: recargue para usarlos. Termine o exporte antes la evaluación actual: las respuestas guardadas no pasan a los datos nuevos.",
+    "ui.reload": "Recargar",
+    "ui.profiles": "Perfiles de clientes",
+    "ui.profileSearch": "Buscar",
+    "ui.profileNewName": "Nuevo cliente",
+    "ui.profileResearch": "CSV de investigación (perfiles listados)",
+    "ui.profileResearchAria": "Exportar todas las evaluaciones guardadas de los perfiles listados en un CSV de investigación",
+    "ui.profileCreate": "Crear perfil",
+    "ui.profileName": "Nombre",
+    "ui.profileRename": "Cambiar nombre",
+    "ui.profileSave": "Guardar evaluación en el perfil",
+    "ui.profileDelete": "Eliminar perfil",
+    "ui.profileHistory": "Historial de evaluaciones",
+    "ui.profileFailed": "Falló el almacenamiento de perfiles: {error}",
+    "ui.profileNoMatch": "Ningún perfil coincide con la búsqueda.",
+    "ui.profileNone": "Todavía no hay perfiles de clientes.",
+    "ui.profileCount": "{count} evaluación(es), la última el {date}",
+    "ui.profileEmpty": "Todavía no hay evaluaciones",
+    "ui.profileOpen": "Abrir",
+    "ui.profileOpenAria": "Abrir el perfil de {name}",
+    "ui.profileNoneOpen": "Ningún cliente seleccionado: las respuestas no se guardan en un perfil.",
+    "ui.profileCurrent": "Cliente actual: {name}",
+    "ui.profileAnswers": "{count} respuestas",
+    "ui.profileLoad": "Cargar",
+    "ui.profileLoadAria": "Cargar la evaluación del {date}",
+    "ui.profileRejected": "{count} respuesta(s) guardada(s) no coinciden con el cuestionario actual y no se cargaron.",
+    "ui.profileDiscard": "Las respuestas actuales no están guardadas en un perfil. ¿Descartarlas?",
+    "ui.profileGone": "Ese perfil ya no existe.",
+    "ui.profileOpened": "Se abrió {name}.",
+    "ui.profileLoaded": "Se cargó la evaluación del {date}.",
+    "ui.profileSaved": "Se guardaron {count} respuestas en el perfil.",
+    "ui.profileCreated": "Se creó {name}. Guarde la evaluación para conservar estas respuestas.",
+    "ui.profileRenamed": "Nuevo nombre: {name}.",
+    "ui.profileDeleteConfirm": "¿Eliminar a {name} y sus {count} evaluación(es)? No se puede deshacer.",
+    "ui.profileDeleted": "Se eliminó {name}.",
+    "ui.profileDamaged": "Registro dañado",
+    "ui.profileDamagedNote": "No se puede descifrar con esta frase de contraseña",
+    "ui.profileRemove": "Quitar",
+    "ui.profileRemoveAria": "Quitar el registro dañado",
+    "ui.profileRemoveConfirm": "¿Quitar este registro dañado? Su contenido no se puede recuperar.",
+    "ui.profileRemoved": "Se quitó el registro dañado.",
+    "ui.vaultLock": "Bloquear",
+    "ui.vaultPassphrase": "Frase de contraseña",
+    "ui.vaultConfirm": "Repita la frase de contraseña",
+    "ui.vaultErase": "Olvidé la frase: borrar los datos guardados",
+    "ui.vaultSetupTitle": "Elija una frase de contraseña",
+    "ui.vaultUnlockTitle": "Introduzca la frase de contraseña",
+    "ui.vaultSetupIntro": "Las respuestas guardadas en este navegador, los perfiles de clientes y los archivos exportados se cifran con esta frase. No se puede recuperar: sin ella, los datos guardados no se pueden abrir.",
+    "ui.vaultUnlockIntro": "Las respuestas guardadas y los perfiles de clientes están cifrados. Introduzca la frase de contraseña para continuar.",
+    "ui.vaultSetUp": "Guardar la frase",
+    "ui.vaultUnlock": "Desbloquear",
+    "ui.vaultWrong": "Frase de contraseña incorrecta. No se desbloqueó nada.",
+    "ui.vaultDamaged": "Los datos cifrados se modificaron o dañaron, o se cifraron con otra frase. No se cargó nada.",
+    "ui.vaultLockedError": "Los datos guardados están bloqueados. Introduzca antes la frase de contraseña.",
+    "ui.vaultWeak": "Elija una frase de al menos {count} caracteres.",
+    "ui.vaultMismatch": "Las dos frases no coinciden.",
+    "ui.vaultAutoLocked": "Se bloqueó tras {minutes} minutos sin actividad. Introduzca la frase de contraseña para continuar.",
+    "ui.vaultLocked": "Bloqueado. Introduzca la frase de contraseña para continuar.",
+    "ui.vaultEraseConfirm": "¿Borrar la frase de contraseña y TODOS los datos guardados en este navegador (la sesión sin terminar y todos los perfiles de clientes)? No se puede deshacer.",
+    "ui.vaultErased": "Se borraron los datos guardados. Elija una nueva frase de contraseña.",
+    "ui.vaultUnsupported": "Este navegador no puede cifrar los datos guardados (abra la aplicación por https o desde este equipo). Las respuestas no se guardan, y la exportación y los perfiles de clientes están desactivados.",
+    "ui.sessionDamaged": "La sesión guardada no se pudo descifrar y no se cargó: {error}",
+    "ui.exportFailed": "La exportación falló: {error}",
+    "ui.exportEncrypted": "El archivo está cifrado con la frase de contraseña.",
+
+    // ------------- Categories and instruments -------------
+    "category.personal": "Antecedentes personales",
+    "category.social": "Evaluación social y de soledad",
+    "category.sensory": "Evaluación sensorial",
+    "category.meds": "Evaluación de amenazas por medicamentos",
+    "category.microplastics": "Evaluación de exposición a micro/nanoplásticos",
+    "category.toxins": "Evaluación de exposición a toxinas",
+    "category.foods": "Evaluación de alimentos y aditivos que amenazan el cerebro",
+
+    "instrument.history": "Cuestionario de antecedentes personales",
+    "instrument.history.short": "Antecedentes",
+    "instrument.medical_lifestyle": "Cuestionario médico y de estilo de vida",
+    "instrument.medical_lifestyle.short": "Médico y estilo de vida",
+    "instrument.sleep": "Cuestionario de sueño",
+    "instrument.sleep.short": "Sueño",
+    "instrument.stress": "Estrés (PSS-4)",
+    "instrument.stress.short": "Estrés",
+    "instrument.activity": "Actividad física",
+    "instrument.activity.short": "Actividad",
+    "instrument.lsns6": "Escala de red social de Lubben (LSNS-6)",
+    "instrument.ucla3": "Escala de soledad UCLA (3 ítems)",
+    "instrument.hhie": "Audición (HHIE-S)",
+    "instrument.vfq3of7": "Visión (VFQ-3 de 7)",
+
+    "checklist.medications": "Medicamentos",
+    "checklist.microplastics": "Exposición a micro/nanoplásticos",
+    "checklist.toxins": "Exposición a toxinas",
+    "checklist.foods": "Alimentos y aditivos que amenazan el cerebro",
+
+    // ------------- Items -------------
+    "item.history.heart": "Antecedentes de enfermedad cardíaca",
+    "item.history.stroke": "Antecedentes de accidente cerebrovascular o AIT",
+    "item.history.thy": "Antecedentes de enfermedad de la tiroides",
+    "item.history.chol": "Antecedentes de colesterol alto",
+    "item.history.head": "Antecedentes de traumatismo craneal",
+    "item.history.fam": "Antecedentes familiares de demencia",
+
+    "item.medical_lifestyle.bp": "Antecedentes de hipertensión",
+    "item.medical_lifestyle.dm": "Antecedentes de diabetes",
+    "item.medical_lifestyle.afib": "Antecedentes de fibrilación auricular",
+    "item.medical_lifestyle.smoking": "Fumador actual",
+
+    "item.sleep.sleep1": "Me cuesta quedarme dormido",
+    "item.sleep.sleep2": "Me despierto con frecuencia durante la noche",
+    "item.sleep.sleep3": "Me despierto demasiado temprano y no puedo volver a dormirme",
+    "item.sleep.sleep4": "Mi sueño no es reparador",
+    "item.sleep.sleep5": "Tengo sueño durante el día",
+    "item.sleep.sleep6": "Duermo siestas en exceso",
+
+    "item.stress.stress1": "Incapaz de controlar las cosas importantes",
+    "item.stress.stress2": "Se sintió seguro de poder manejar sus problemas",
+    "item.stress.stress3": "Sintió que las cosas le iban bien",
+    "item.stress.stress4": "Las dificultades se acumulaban demasiado",
+
+    "item.activity.steps": "¿Camina al menos 7.000 pasos al día?",
+    "item.activity.aerobic": "¿Hace ≥150 minutos/semana de ejercicio aeróbico?",
+    "item.activity.strength": "¿Hace ≥2 sesiones de fuerza por semana?",
+
+    "item.lsns6.lsns1": "¿A cuántos familiares ve o tiene noticias al menos una vez al mes?",
+    "item.lsns6.lsns2": "¿Con cuántos familiares se siente cómodo para hablar de asuntos privados?",
+    "item.lsns6.lsns3": "¿A cuántos familiares puede pedir ayuda?",
+    "item.lsns6.lsns4": "¿A cuántos amigos ve o tiene noticias al menos una vez al mes?",
+    "item.lsns6.lsns5": "¿Con cuántos amigos se siente cómodo para hablar de asuntos privados?",
+    "item.lsns6.lsns6": "¿A cuántos amigos puede pedir ayuda?",
+
+    "item.ucla3.ucla1": "¿Con qué frecuencia siente que le falta compañía?",
+    "item.ucla3.ucla2": "¿Con qué frecuencia se siente excluido?",
+    "item.ucla3.ucla3": "¿Con qué frecuencia se siente aislado de los demás?",
+
+    "item.hhie.h1": "¿Un problema de audición hace que use menos el teléfono?",
+    "item.hhie.h2": "¿Un problema de audición hace que se sienta avergonzado?",
+    "item.hhie.h3": "¿Un problema de audición hace que visite menos a sus amigos?",
+    "item.hhie.h4": "¿Un problema de audición le causa problemas con vecinos o familiares?",
+    "item.hhie.h5": "¿Un problema de audición hace que asista menos a servicios religiosos?",
+    "item.hhie.h6": "¿Un problema de audición provoca discusiones con su familia?",
+    "item.hhie.h7": "¿Un problema de audición le dificulta escuchar la televisión?",
+    "item.hhie.h8": "¿Un problema de audición hace que se sienta nervioso?",
+    "item.hhie.h9": "¿Un problema de audición hace que vaya menos a restaurantes?",
+    "item.hhie.h10": "¿Un problema de audición le dificulta las conversaciones?",
+
+    "item.vfq3of7.v1": "¿Cuánta dificultad tiene para leer la letra normal de los periódicos?",
+    "item.vfq3of7.v2": "¿Cuánta dificultad tiene para leer los letreros de la calle?",
+    "item.vfq3of7.v3": "¿Cuánta dificultad tiene para hacer trabajos de cerca (p. ej., coser)?",
+    "item.vfq3of7.v4": "¿Cuánta dificultad tiene para ver escalones, escaleras o bordillos?",
+    "item.vfq3of7.v5": "¿Cuánta dificultad tiene para notar objetos a los lados?",
+    "item.vfq3of7.v6": "¿Cuánta dificultad tiene para encontrar cosas en un estante lleno?",
+    "item.vfq3of7.v7": "¿Cuánta dificultad tiene para ir al cine, al teatro o a eventos deportivos?",
+
+    // ------------- Answer scales -------------
+    "scale.Never": "Nunca",
+    "scale.Rarely": "Rara vez",
+    "scale.Sometimes": "A veces",
+    "scale.Often": "A menudo",
+    "scale.Always": "Siempre",
+    "scale.AlmostNever": "Casi nunca",
+    "scale.FairlyOften": "Bastante a menudo",
+    "scale.VeryOften": "Muy a menudo",
+    "scale.None": "Ninguno",
+    "scale.One": "Uno",
+    "scale.Two": "Dos",
+    "scale.ThreeOrFour": "Tres o cuatro",
+    "scale.FiveToEight": "De cinco a ocho",
+    "scale.NineOrMore": "Nueve o más",
+    "scale.HardlyEver": "Casi nunca",
+    "scale.SomeOfTheTime": "Algunas veces",
+    "scale.Yes": "Sí",
+    "scale.No": "No",
+    "scale.Mild": "Leve",
+    "scale.Moderate": "Moderada",
+    "scale.Severe": "Grave",
+    "scale.Extreme": "Extrema",
+    "scale.vfq3of7.None": "Ninguna",
+    "answer.Yes": "Sí",
+    "answer.No": "No",
+
+    // ------------- Tiers and bands -------------
+    "tier.None": "Ninguno",
+    "tier.Low": "Bajo",
+    "tier.Mild": "Leve",
+    "tier.Moderate": "Moderado",
+    "tier.High": "Alto",
+    "tier.Very High": "Muy alto",
+    "tier.Severe": "Grave",
+    "tier.Extreme": "Extremo",
+    "tier.Optimal": "Óptimo",
+    "tier.At risk for social isolation": "En riesgo de aislamiento social",
+    "tier.Not isolated": "No aislado",
+    "tier.Lonely": "Solo",
+    "tier.Not lonely": "No solo",
+    "tier.No handicap": "Sin discapacidad",
+    "tier.Mild–moderate handicap": "Discapacidad leve a moderada",
+    "tier.Significant handicap": "Discapacidad significativa",
+
+    // ------------- Action plan (CONFIG) -------------
+    "action.history.heart": "Mantenga la enfermedad cardíaca en seguimiento regular con cardiología; el flujo sanguíneo cerebral depende de la salud del corazón.",
+    "action.history.stroke": "Continúe con la prevención secundaria del ictus (presión arterial, lípidos, tratamiento antitrombótico) según lo prescrito.",
+    "action.history.thy": "Controle la función tiroidea con regularidad y mantenga los niveles dentro del objetivo con su médico.",
+    "action.history.chol": "Revise con su médico los niveles de lípidos y los objetivos del tratamiento.",
+    "action.history.head": "Evite nuevas lesiones en la cabeza: use casco y cinturón de seguridad, y reduzca el riesgo de caídas en casa.",
+    "action.history.fam": "Hable de sus antecedentes familiares con su médico y programe revisiones cognitivas periódicas.",
+    "action.medical_lifestyle.bp": "Controle la presión arterial en casa y manténgala en el objetivo acordado con su médico.",
+    "action.medical_lifestyle.dm": "Mantenga el azúcar en sangre (HbA1c) en el rango objetivo y evite los episodios de hipoglucemia.",
+    "action.medical_lifestyle.afib": "Revise con su médico la prevención del ictus (anticoagulación) por la fibrilación auricular.",
+    "action.medical_lifestyle.smoking": "Deje de fumar; pregunte por apoyo para dejarlo y por terapia de reemplazo de nicotina.",
+    "action.activity.steps": "Aumente gradualmente hasta al menos 7.000 pasos al día.",
+    "action.activity.aerobic": "Llegue poco a poco a 150 minutos semanales de ejercicio aeróbico moderado (p. ej., caminar a paso rápido).",
+    "action.activity.strength": "Añada al menos dos sesiones semanales de entrenamiento de fuerza o resistencia.",
+    "action.sleep.Mild": "Mantenga un horario de sueño regular, limite la cafeína después del mediodía y las pantallas antes de acostarse.",
+    "action.sleep.Moderate": "Hable de sus problemas de sueño con su médico; la terapia cognitivo-conductual para el insomnio (TCC-I) es el tratamiento de primera línea.",
+    "action.sleep.Severe": "Pida a su médico una evaluación del sueño (incluido el cribado de apnea del sueño) y TCC-I.",
+    "action.stress.Moderate": "Adopte una práctica diaria para reducir el estrés (ejercicios de respiración, atención plena, tiempo al aire libre).",
+    "action.stress.High": "Hable con su médico o un consejero sobre el estrés persistente; los programas estructurados como MBSR pueden ayudar.",
+
+    "plan.medications": "Medicamento",
+    "plan.medications.fallback": "Revise {name} con su médico o farmacéutico: pregunte si todavía es necesario y si existe una alternativa de menor riesgo. No lo suspenda por su cuenta.",
+    "plan.microplastics": "Micro/nanoplásticos",
+    "plan.toxins": "Exposición a toxinas",
+    "plan.foods": "Alimentos y aditivos",
+    "plan.foods.examples": "Limite o sustituya {name}, p. ej. {examples}.",
+
+    // ------------- Demographics and “More info” -------------
+    "demographics.label": "Datos demográficos",
+    "demographics.dob": "Fecha de nacimiento",
+    "demographics.age": "Edad (años, si no se conoce la fecha de nacimiento)",
+    "demographics.units": "Unidades",
+    "demographics.Metric": "Métrico",
+    "demographics.Imperial": "Imperial",
+    "demographics.height_cm": "Estatura (cm)",
+    "demographics.weight_kg": "Peso (kg)",
+    "demographics.height_ft": "Estatura (pies)",
+    "demographics.height_in": "Estatura (pulgadas)",
+    "demographics.weight_lb": "Peso (lb)",
+
+    "detail.primary_use": "Uso principal",
+    "detail.examples": "Ejemplos",
+    "detail.plastic_types": "Tipos de plástico",
+    "detail.direct_cognitive_risks": "Riesgos cognitivos directos",
+    "detail.indirect_cognitive_risks": "Riesgos cognitivos indirectos",
+    "detail.mechanisms": "Mecanismos",
+    "detail.mitigation_strategies": "Estrategias de mitigación",
+
+    // ------------- Summary (summary.js) -------------
+    "composite.personal": "Antecedentes personales",
+    "composite.social": "Social y soledad",
+    "composite.sensory": "Sensorial",
+    "composite.medications": "Medicamentos",
+    "composite.microplastics": "Micro/nanoplásticos",
+    "composite.toxins": "Toxinas",
+    "composite.foods": "Alimentos y aditivos",
+
+    "summary.noneSelected": "Nada seleccionado",
+    "summary.incomplete": "Incompleto ({answered}/{itemCount} respondidas)",
+    "summary.composite": "Índice global de amenaza cerebral",
+    "summary.index": "Índice (0–100)",
+    "summary.tier": "Nivel",
+    "summary.category": "Categoría",
+    "summary.categoryScore": "Puntuación de la categoría",
+    "summary.weight": "Peso",
+    "summary.contribution": "Contribución",
+    "summary.points": "{points} pts",
+    "summary.total": "Total ({range})",
+    "summary.totalPlain": "Total",
+    "summary.activityMet": "Cumple todos los objetivos de actividad seleccionados.",
+    "summary.vfqScore": "Puntuación (0–100, más alto es mejor)",
+    "summary.rawTotal": "Total bruto ({range})",
+    "summary.selectedMedications": "Medicamentos seleccionados",
+    "summary.otherMedications": "Otros medicamentos (sin clasificar)",
+    "summary.otherUnrated": "{name} — sin clasificar; revisar manualmente",
+    "summary.anticholinergic": "Carga anticolinérgica",
+    "summary.weighted": "Puntuación ponderada",
+    "summary.ageBmi": "Clasificación por edad e IMC",
+    "summary.ageBand": "Franja de edad",
+    "summary.ageValue": "{tier} (edad {age})",
+    "summary.bmiBand": "Franja de IMC",
+    "summary.bmiValue": "{tier} (IMC {bmi})",
+    "summary.unanswered": "Preguntas sin responder",
+    "summary.progress": "{instrument} — {answered}/{itemCount} respondidas",
+    "summary.notStarted": "Sin empezar.",
+    "summary.allAnswered": "Todas las preguntas de los cuestionarios están respondidas.",
+    "summary.actionPlan": "Plan de acción",
+    "summary.noActions": "Todavía no hay acciones: el plan se completa a medida que se seleccionan riesgos.",
+    "summary.planFor": "Para: {sources}",
+    "summary.tierChanges": "Niveles actualizados — {changes}.",
+    "summary.patientIntro": "Este resumen es una ayuda de cribado, no un diagnóstico. Muchos riesgos para la salud cerebral se pueden cambiar: el plan de acción del final enumera pasos prácticos para revisar con su profesional de salud.",
+    "summary.insufficientData": "Datos insuficientes",
+    "summary.indexInsufficient": "Aún no hay suficientes respuestas: complete todos los cuestionarios para ver su índice.",
+    "summary.yourIndex": "Su índice",
+    "summary.indexOf": "{index} de 100 — {tier}",
+    "summary.largestContributors": "Mayores contribuciones",
+    "summary.notAnswered": "Todavía sin responder.",
+    "summary.nothingFlagged": "Nada señalado aquí.",
+    "summary.worthDiscussing": "Conviene comentarlo con su profesional de salud:",
+    "summary.targets": "Objetivos en los que trabajar:",
+    "summary.result": "Resultado",
+    "summary.scoreOf": "{score} de 100 (más alto es mejor)",
+    "summary.otherReview": "{name} — pida a su farmacéutico que lo revise",
+    "summary.medsNote": "Algunos medicamentos pueden afectar la memoria y la atención. Revíselos con quien se los recetó o con su farmacéutico; no deje ningún medicamento por su cuenta.",
+    "summary.item": "Pregunta",
+    "summary.answer": "Respuesta",
+    "summary.raw": "Bruto",
+    "summary.scored": "Puntuado",
+    "summary.reversed": "{points} (invertido)",
+    "summary.band": "Franja",
+    "summary.range": "Rango",
+    "summary.currentBand": "{tier} (actual)",
+    "summary.medication": "Medicamento",
+    "summary.class": "Clase",
+    "summary.acbLevel": "Nivel anticolinérgico",
+    "summary.acbPoints": "Puntos",
+
+    // ------------- Measures (report.js, compare.js) -------------
+    "measure.flags": "Señales de riesgo",
+    "measure.notMet": "Objetivos no cumplidos",
+    "measure.total": "Total",
+    "measure.score": "Puntuación, más alto es mejor",
+    "measure.rawTotal": "Total bruto",
+    "measure.selected": "Seleccionados",
+    "measure.other": "Otros (sin clasificar)",
+    "measure.anticholinergic": "Carga anticolinérgica",
+
+    // ------------- Printable report (report.js) -------------
+    "report.title": "Análisis de amenazas cerebrales — Informe de evaluación",
+    "report.name": "Nombre",
+    "report.date": "Fecha de la evaluación",
+    "report.assessor": "Evaluador",
+    "report.composite": "Índice global de amenaza cerebral",
+    "report.index": "Índice (0–100)",
+    "report.tier": "Nivel",
+    "report.insufficientData": "Datos insuficientes",
+    "report.categoryWeight": "{category} (peso {weight})",
+    "report.contribution": "{score}% → {points} pts",
+    "report.incomplete": "Incompleto ({answered}/{itemCount} respondidas)",
+    "report.flagTier": "{item} — Nivel: {tier}",
+    "report.notMet": "No cumplido: {item} — Nivel: {tier}",
+    "report.notAnswered": "Sin responder.",
+    "report.noFlags": "No se seleccionaron señales de riesgo.",
+    "report.targetsMet": "Cumple todos los objetivos seleccionados.",
+    "report.noneSelected": "Nada seleccionado",
+    "report.otherMedications": "Otros medicamentos (sin clasificar)",
+    "report.notRated": "{name} — sin clasificar",
+    "report.acbTotal": "Carga anticolinérgica total",
+    "report.acbTier": "Nivel de carga anticolinérgica",
+    "report.weightedScore": "Puntuación ponderada",
+    "report.ageBmi": "Clasificación por edad e IMC",
+    "report.age": "Edad",
+    "report.ageBand": "Franja de edad",
+    "report.bmi": "IMC",
+    "report.bmiBand": "Franja de IMC",
+    "report.actionPlan": "Plan de acción",
+    "report.noActions": "No se identificaron acciones.",
+    "report.planFor": "Para: {sources}",
+    "report.generated": "Generado el {date}",
+
+    // ------------- Assessment comparison (compare.js) -------------
+    "compare.title": "Comparación de evaluaciones",
+    "compare.measureHeading": "Medida",
+    "compare.change": "Cambio",
+    "compare.index": "Índice global de amenaza cerebral (0–100)",
+    "compare.measure": "{instrument} — {measure}",
+    "compare.added": "Añadidos",
+    "compare.stopped": "Suspendidos",
+    "compare.newlyChecked": "Marcados por primera vez",
+    "compare.resolved": "Resueltos",
+    "compare.otherUnrated": "{name} (otro — sin clasificar)",
+    "compare.noChange": "Sin cambios.",
+    "compare.noneEither": "Nada seleccionado en ninguna de las dos evaluaciones.",
+
+    // ------------- Medication picker (medpicker.js) -------------
+    "medpicker.search": "Buscar un medicamento (nombre genérico o comercial)",
+    "medpicker.noMatch": "Sin resultados: añádalo abajo como otro medicamento.",
+    "medpicker.selected": "seleccionado",
+    "medpicker.selectedHeading": "Medicamentos seleccionados",
+    "medpicker.none": "No hay medicamentos seleccionados.",
+    "medpicker.remove": "Quitar {name}",
+    "medpicker.otherChip": "{name} (otro — sin clasificar)",
+    "medpicker.other": "Otro medicamento (no incluido en la lista)",
+    "medpicker.add": "Añadir"
+  };
+
+  if (typeof window !== "undefined" && window.I18N) {
+    window.I18N.register("es", ES);
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ES;
+  }
+})();
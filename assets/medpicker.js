@@ -0,0 +1,342 @@
+/* ===========================================================================
+   Brain Threat Analysis — MEDPICKER (searchable medication picker)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Type-ahead search over the medication checklist: matches the generic
+     item_key, the CSV `threat` display name and every CSV `brand_name`
+     (comma/semicolon/slash separated, e.g. "Vicodin, Norco").
+   - Keyboard selection (↑/↓, Enter, Escape) following the ARIA combobox
+     pattern; selecting a result checks the SAME checkbox the flat list uses,
+     so responses and scoring are unchanged.
+   - "Selected medications" chip list mirroring the checked boxes.
+   - Free-text "other medication" entries, kept in the responses as
+       "<CONFIG.otherMedications.prefix>.<slug>" => "<entered text>"
+     and flagged by the summary as unrated.
+   - Labels follow the UI language (window.I18N, medpicker.* string ids);
+     `threatByKey` is passed in already localized by app.js.
+
+   INTEGRATION
+   - app.js calls:
+       MEDPICKER.mount(container, { sectionLabel, items, threatByKey, brandByKey, otherPrefix, otherMaxLength })
+       MEDPICKER.restoreOther(responses)   (before re-checking inputs from a map)
+       MEDPICKER.sync()                    (after any change to refresh chips)
+   =========================================================================== */
+
+(function () {
+  const MAX_RESULTS = 8;
+
+  // Mounted state (one picker per page)
+  let ctx = null;
+
+  // ------------- Utilities -------------
+
+  function el(tag, cls, text) {
+    const n = document.createElement(tag);
+    if (cls) n.className = cls;
+    if (text != null) n.textContent = text;
+    return n;
+  }
+
+  // Display text in the UI language; `fallback` is the English text
+  function t(id, fallback, vars) {
+    if (window.I18N) return window.I18N.t(id, fallback, vars);
+    return String(fallback).replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] != null ? vars[k] : m));
+  }
+
+  function lc(s) { return String(s || "").trim().toLowerCase(); }
+
+  // Stable, dot-free key for a free-text entry (dots split response keys)
+  function slug(text) {
+    return lc(text).replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  }
+
+  function splitBrands(b) {
+    return String(b || "").split(/[,;/]/).map(x => x.trim()).filter(Boolean);
+  }
+
+  function buildIndex(items, threatByKey, brandByKey) {
+    return items.filter(it => it && it.csvKey).map(it => {
+      const key = it.csvKey;
+      const name = threatByKey[lc(key)] || key;
+      const brands = splitBrands(brandByKey[lc(key)]);
+      return {
+        key,
+        label: brands.length ? `${name} (${brands.join(", ")})` : name,
+        terms: [key, name, ...brands].map(lc)
+      };
+    });
+  }
+
+  // Prefix matches rank before substring matches; ties keep checklist order.
+  function search(query) {
+    const q = lc(query);
+    if (!q) return [];
+    const scored = [];
+    ctx.index.forEach((entry, i) => {
+      let rank = -1;
+      if (entry.terms.some(t => t.startsWith(q))) rank = 0;
+      else if (entry.terms.some(t => t.includes(q))) rank = 1;
+      if (rank >= 0) scored.push({ entry, rank, i });
+    });
+    scored.sort((a, b) => a.rank - b.rank || a.i - b.i);
+    return scored.slice(0, MAX_RESULTS).map(s => s.entry);
+  }
+
+  function checkbox(key) {
+    const name = `${ctx.sectionLabel}.${key}`;
+    return Array.from(ctx.container.querySelectorAll('input[type="checkbox"]')).find(i => i.name === name) || null;
+  }
+
+  function setChecked(inp, checked) {
+    if (!inp || inp.checked === checked) return;
+    inp.checked = checked;
+    inp.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  // ------------- Free-text "other" entries -------------
+
+  function addOther(text, { silent = false } = {}) {
+    const value = String(text || "").trim();
+    const key = slug(value);
+    if (!key) return;
+    const name = `${ctx.otherPrefix}.${key}`;
+    let inp = Array.from(ctx.otherStore.querySelectorAll("input")).find(i => i.name === name);
+    if (!inp) {
+      inp = document.createElement("input");
+      inp.type = "hidden";
+      inp.name = name;
+      ctx.otherStore.appendChild(inp);
+    }
+    inp.value = value;
+    if (!silent) inp.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  function removeOther(inp) {
+    inp.value = "";
+    inp.dispatchEvent(new Event("change", { bubbles: true }));
+    inp.remove();
+  }
+
+  // ------------- Rendering -------------
+
+  function renderResults(results) {
+    const { list, input } = ctx;
+    list.innerHTML = "";
+    ctx.results = results;
+    ctx.active = results.length ? 0 : -1;
+
+    if (!lc(input.value)) {
+      list.hidden = true;
+      input.setAttribute("aria-expanded", "false");
+      input.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    if (!results.length) {
+      list.appendChild(el("li", "med-noresult", t("medpicker.noMatch", "No match — add it below as an other medication.")));
+    }
+    results.forEach((entry, i) => {
+      const li = el("li", "med-option", entry.label);
+      li.id = `med-option-${i}`;
+      li.setAttribute("role", "option");
+      const inp = checkbox(entry.key);
+      if (inp && inp.checked) li.appendChild(el("span", "med-option-note", ` — ${t("medpicker.selected", "selected")}`));
+      // mousedown keeps focus in the input (click would blur first)
+      li.addEventListener("mousedown", e => {
+        e.preventDefault();
+        choose(i);
+      });
+      list.appendChild(li);
+    });
+    list.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+    highlight();
+  }
+
+  function highlight() {
+    const { list, input } = ctx;
+    list.querySelectorAll(".med-option").forEach((li, i) => {
+      const on = i === ctx.active;
+      li.setAttribute("aria-selected", on ? "true" : "false");
+      li.classList.toggle("is-active", on);
+    });
+    if (ctx.active >= 0) input.setAttribute("aria-activedescendant", `med-option-${ctx.active}`);
+    else input.removeAttribute("aria-activedescendant");
+  }
+
+  function choose(i) {
+    const entry = ctx.results[i];
+    if (!entry) return;
+    setChecked(checkbox(entry.key), true);
+    ctx.input.value = "";
+    renderResults([]);
+    ctx.input.focus();
+  }
+
+  function renderChips() {
+    const { chips } = ctx;
+    chips.innerHTML = "";
+    const selected = ctx.index.filter(entry => {
+      const inp = checkbox(entry.key);
+      return inp && inp.checked;
+    });
+    const others = Array.from(ctx.otherStore.querySelectorAll("input")).filter(i => i.value.trim());
+
+    if (!selected.length && !others.length) {
+      chips.appendChild(el("li", "med-chip-none", t("medpicker.none", "No medications selected.")));
+      return;
+    }
+
+    const chip = (text, cls, remove) => {
+      const li = el("li", `med-chip ${cls}`);
+      li.appendChild(el("span", null, text));
+      const btn = el("button", "med-chip-remove", "×");
+      btn.type = "button";
+      btn.setAttribute("aria-label", t("medpicker.remove", "Remove {name}", { name: text }));
+      btn.addEventListener("click", remove);
+      li.appendChild(btn);
+      chips.appendChild(li);
+    };
+
+    selected.forEach(entry => chip(entry.label, "", () => setChecked(checkbox(entry.key), false)));
+    others.forEach(inp => chip(t("medpicker.otherChip", "{name} (other — unrated)", { name: inp.value }), "is-other", () => removeOther(inp)));
+  }
+
+  // ------------- Public API -------------
+
+  const MEDPICKER = {
+    /**
+     * Build the picker at the top of the medication section.
+     * @param {HTMLElement} container Accordion body holding the medication checkboxes.
+     * @param {Object} opts { sectionLabel, items, threatByKey, brandByKey, otherPrefix, otherMaxLength }
+     */
+    mount(container, { sectionLabel, items, threatByKey, brandByKey, otherPrefix, otherMaxLength = 80 }) {
+      const wrap = el("div", "med-picker");
+
+      const searchLbl = el("label", "med-search-label", t("medpicker.search", "Find a medication (generic or brand name)"));
+      searchLbl.setAttribute("for", "med-search");
+      const input = el("input");
+      input.type = "text";
+      input.id = "med-search";
+      input.autocomplete = "off";
+      input.setAttribute("role", "combobox");
+      input.setAttribute("aria-autocomplete", "list");
+      input.setAttribute("aria-expanded", "false");
+      input.setAttribute("aria-controls", "med-search-list");
+      const list = el("ul", "med-results");
+      list.id = "med-search-list";
+      list.setAttribute("role", "listbox");
+      list.hidden = true;
+
+      const chipsWrap = el("div", "med-chips-wrap");
+      chipsWrap.appendChild(el("h4", null, t("medpicker.selectedHeading", "Selected medications")));
+      const chips = el("ul", "med-chips");
+      chips.setAttribute("aria-live", "polite");
+      chipsWrap.appendChild(chips);
+
+      const otherWrap = el("div", "med-other");
+      const otherLbl = el("label", null, t("medpicker.other", "Other medication (not listed)") + " ");
+      otherLbl.setAttribute("for", "med-other-input");
+      const otherInput = el("input");
+      otherInput.type = "text";
+      otherInput.id = "med-other-input";
+      otherInput.autocomplete = "off";
+      otherInput.maxLength = otherMaxLength;
+      const otherBtn = el("button", null, t("medpicker.add", "Add"));
+      otherBtn.type = "button";
+      otherWrap.appendChild(otherLbl);
+      otherWrap.appendChild(otherInput);
+      otherWrap.appendChild(otherBtn);
+
+      const otherStore = el("div", "med-other-store");
+      otherStore.hidden = true;
+
+      wrap.appendChild(searchLbl);
+      wrap.appendChild(input);
+      wrap.appendChild(list);
+      wrap.appendChild(chipsWrap);
+      wrap.appendChild(otherWrap);
+      wrap.appendChild(otherStore);
+      container.appendChild(wrap);
+
+      ctx = {
+        container,
+        sectionLabel,
+        otherPrefix,
+        index: buildIndex(items, threatByKey, brandByKey),
+        input,
+        list,
+        chips,
+        otherStore,
+        results: [],
+        active: -1
+      };
+
+      input.addEventListener("input", () => renderResults(search(input.value)));
+      input.addEventListener("keydown", e => {
+        const n = ctx.results.length;
+        if (e.key === "ArrowDown" && n) {
+          e.preventDefault();
+          ctx.active = (ctx.active + 1) % n;
+          highlight();
+        } else if (e.key === "ArrowUp" && n) {
+          e.preventDefault();
+          ctx.active = (ctx.active - 1 + n) % n;
+          highlight();
+        } else if (e.key === "Enter") {
+          e.preventDefault();
+          if (ctx.active >= 0) choose(ctx.active);
+        } else if (e.key === "Escape") {
+          input.value = "";
+          renderResults([]);
+        }
+      });
+      input.addEventListener("blur", () => renderResults([]));
+
+      const submitOther = () => {
+        addOther(otherInput.value);
+        otherInput.value = "";
+      };
+      otherBtn.addEventListener("click", submitOther);
+      otherInput.addEventListener("keydown", e => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          submitOther();
+        }
+      });
+
+      renderChips();
+    },
+
+    /**
+     * Recreate hidden inputs for "other" entries present in a response map so
+     * the generic re-check pass can fill them. Existing entries are replaced.
+     * @param {Object} responses Flat response map.
+     */
+    restoreOther(responses) {
+      if (!ctx) return;
+      ctx.otherStore.innerHTML = "";
+      const prefix = `${ctx.otherPrefix}.`;
+      for (const [k, v] of Object.entries(responses || {})) {
+        if (k.startsWith(prefix) && String(v).trim()) addOther(v, { silent: true });
+      }
+    },
+
+    /**
+     * Refresh the chip list from the current checkbox / other-entry state.
+     */
+    sync() {
+      if (!ctx) return;
+      // Drop other-entries that were blanked (e.g. by Clear This Section)
+      Array.from(ctx.otherStore.querySelectorAll("input")).forEach(i => {
+        if (!i.value.trim()) i.remove();
+      });
+      renderChips();
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.MEDPICKER = MEDPICKER;
+  }
+})();
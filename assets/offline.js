@@ -0,0 +1,127 @@
+/* ===========================================================================
+   Brain Threat Analysis — OFFLINE (service worker client)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Register service-worker.js, which keeps a versioned offline copy of the
+     app shell, master.csv and instruments_config.json (see that file).
+   - Ask the worker to look for a newer copy after each load and whenever the
+     connection comes back; when one is staged, show the
+     "Updated data available — reload" notice (#update-notice).
+   - The new files are only used after the reload, so a running assessment
+     never sees old and new data side by side. Answers saved by persist.js
+     are keyed to the data version, so the notice asks to finish or export
+     first.
+   - No-op where service workers are unavailable (file://, old browsers,
+     the Node test DOM).
+
+   INTEGRATION
+   - app.js calls:
+       OFFLINE.register()
+   =========================================================================== */
+
+(function () {
+  const WORKER_URL = "service-worker.js";
+
+  let reloading = false;
+
+  // ------------- Utilities -------------
+
+  // Display text in the UI language; `fallback` is the English text
+  function t(id, fallback, vars) {
+    if (window.I18N) return window.I18N.t(id, fallback, vars);
+    return String(fallback).replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] != null ? vars[k] : m));
+  }
+
+  function supported() {
+    return typeof navigator !== "undefined" && navigator.serviceWorker && typeof navigator.serviceWorker.register === "function";
+  }
+
+  function reload() {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  }
+
+  // ------------- Update notice -------------
+
+  // `apply` hands the staged version over; the page reloads once the worker
+  // confirms ("update-applied" or controllerchange)
+  function showNotice(apply) {
+    const $notice = document.getElementById("update-notice");
+    if (!$notice) return;
+    $notice.textContent = "";
+
+    const p = document.createElement("p");
+    p.textContent = t("ui.updateAvailable", "Updated data available — reload to use it. Finish or export the current assessment first: saved answers do not carry over to new data.");
+    $notice.appendChild(p);
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = t("ui.reload", "Reload");
+    btn.addEventListener("click", () => {
+      btn.disabled = true;
+      apply();
+    });
+    $notice.appendChild(btn);
+    $notice.hidden = false;
+  }
+
+  function checkForUpdate() {
+    const controller = navigator.serviceWorker.controller;
+    if (controller) controller.postMessage({ type: "check-for-update" });
+  }
+
+  // A changed service-worker.js waits until the user chooses to reload
+  function watchWaiting(reg) {
+    const offer = worker => showNotice(() => worker.postMessage({ type: "skip-waiting" }));
+    if (reg.waiting && navigator.serviceWorker.controller) offer(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) offer(worker);
+      });
+    });
+  }
+
+  // ------------- Public API -------------
+
+  const OFFLINE = {
+    /**
+     * Register the service worker and wire the update notice.
+     * @returns {Promise<void>} Resolves once registration settled (never rejects).
+     */
+    async register() {
+      if (!supported()) return;
+      const sw = navigator.serviceWorker;
+
+      sw.addEventListener("message", e => {
+        const type = e.data && e.data.type;
+        if (type === "update-available") {
+          showNotice(() => sw.controller && sw.controller.postMessage({ type: "apply-update" }));
+        } else if (type === "update-applied") {
+          reload();
+        }
+      });
+      // A worker activated by "skip-waiting" serves the new version
+      sw.addEventListener("controllerchange", () => {
+        if (document.querySelector("#update-notice button[disabled]")) reload();
+      });
+      window.addEventListener("online", checkForUpdate);
+
+      try {
+        const reg = await sw.register(WORKER_URL);
+        watchWaiting(reg);
+        checkForUpdate();
+      } catch (e) {
+        // Offline copy is a convenience; the app works online without it
+        console.warn("OFFLINE: service worker registration failed", e);
+      }
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.OFFLINE = OFFLINE;
+  }
+})();
@@ -0,0 +1,153 @@
+/* ===========================================================================
+   Brain Threat Analysis — PERSIST
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Keeps an in-progress copy of the response map in localStorage so a reload
+     or an accidental tab close does not wipe an interview.
+   - The stored copy is keyed to the DATA VERSION of master.csv +
+     instruments_config.json. If either file changes, the stored copy is
+     discarded rather than replayed against a different item set.
+   - The responses are encrypted with the session key (vault.js, context
+     "session"); nothing is saved while the vault is locked. Format 1
+     records (plain text, before encryption) are discarded on load.
+
+   STORED RECORD (single localStorage key, JSON)
+     {
+       "format": 2,                  // record layout version (this file)
+       "dataVersion": "<hash>",      // PERSIST.dataVersion(csvText, jsonText)
+       "savedAt": "<ISO 8601>",
+       "responses": <envelope>       // VAULT.seal({ "<instrumentId>.<itemKey>": "<value>", ... })
+     }
+
+   INTEGRATION
+   - app.js calls:
+       PERSIST.dataVersion(csvText, instrumentsText)
+       await PERSIST.load(dataVersion) → { responses, savedAt } | null
+       PERSIST.save(dataVersion, responses)
+       PERSIST.clear()
+   - Storage failures (private mode, quota, locked vault) are swallowed:
+     persistence is a convenience and must never block the assessment
+     itself. load() does reject with a VaultError when the stored copy
+     cannot be decrypted, so a damaged record is reported, not half-used.
+   =========================================================================== */
+
+(function () {
+  const STORAGE_KEY = "brainThreat.session";
+  const FORMAT = 2;
+  const CONTEXT = "session";
+
+  let saveSeq = 0; // only the latest save() may write (sealing is async)
+
+  // -------------------- Utilities --------------------
+
+  function storage() {
+    try {
+      return typeof window !== "undefined" ? window.localStorage : null;
+    } catch (e) {
+      return null; // access can throw when storage is disabled
+    }
+  }
+
+  // FNV-1a (32-bit) over the concatenated inputs; stable and dependency-free.
+  function fnv1a(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, "0");
+  }
+
+  function isEmpty(responses) {
+    return !responses || Object.keys(responses).length === 0;
+  }
+
+  function vault() {
+    return typeof window !== "undefined" ? window.VAULT : null;
+  }
+
+  // -------------------- Public API --------------------
+
+  const PERSIST = {
+    /**
+     * Derive the data version from the raw text of the data files.
+     * @param {...string} texts Raw file contents, in a fixed order.
+     * @returns {string} Short hex digest.
+     */
+    dataVersion(...texts) {
+      return texts.map(t => fnv1a(String(t ?? ""))).join("-");
+    },
+
+    /**
+     * Return the stored session for this data version, or null.
+     * A record written against another data version is discarded.
+     * @param {string} dataVersion
+     * @returns {Promise<{responses: Object, savedAt: string|null}|null>}
+     * @throws {VaultError} When the stored copy cannot be decrypted.
+     */
+    async load(dataVersion) {
+      const store = storage();
+      if (!store) return null;
+      let rec = null;
+      try {
+        rec = JSON.parse(store.getItem(STORAGE_KEY) || "null");
+      } catch (e) {
+        rec = null;
+      }
+      if (!rec || rec.format !== FORMAT || rec.dataVersion !== dataVersion || !rec.responses) {
+        if (rec) PERSIST.clear();
+        return null;
+      }
+      const responses = await vault().open(rec.responses, CONTEXT);
+      if (isEmpty(responses)) return null;
+      return { responses, savedAt: rec.savedAt || null };
+    },
+
+    /**
+     * Store the response map. An empty map clears the stored copy instead.
+     * @param {string} dataVersion
+     * @param {Object} responses Flat map from app.js collectAllResponses().
+     */
+    async save(dataVersion, responses) {
+      const store = storage();
+      if (!store) return;
+      if (isEmpty(responses)) {
+        PERSIST.clear();
+        return;
+      }
+      const seq = ++saveSeq;
+      try {
+        const sealed = await vault().seal(Object.assign({}, responses), CONTEXT);
+        if (seq !== saveSeq) return; // a later save or clear() won
+        const rec = {
+          format: FORMAT,
+          dataVersion,
+          savedAt: new Date().toISOString(),
+          responses: sealed
+        };
+        store.setItem(STORAGE_KEY, JSON.stringify(rec));
+      } catch (e) {
+        console.warn("PERSIST: could not save session", e);
+      }
+    },
+
+    /**
+     * Remove the stored copy (Clear Form, Start fresh).
+     */
+    clear() {
+      saveSeq++; // drop saves still being sealed
+      const store = storage();
+      if (!store) return;
+      try {
+        store.removeItem(STORAGE_KEY);
+      } catch (e) {
+        /* ignore */
+      }
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.PERSIST = PERSIST;
+  }
+})();
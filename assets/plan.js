@@ -0,0 +1,179 @@
+/* ===========================================================================
+   Brain Threat Analysis — PLAN (personalized mitigation action plan)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Turn a SCORING.compute() snapshot into a deduplicated list of actions,
+     ordered by tier severity (CONFIG.actionPlan.tierOrder).
+   - Sources, walking CONFIG.categories by `scoring.rule`:
+       • checked checklist items → CSV `mitigation_strategies` (foods also
+         `examples`), tier per CONFIG.actionPlan.sections[<snapshot key>]
+         (medications: per anticholinergic level)
+       • "Yes" answers of yesFlags instruments → item `action`
+       • risk "No" answers of noFlags instruments → item `action`
+       • instrument tiers with CONFIG `tierActions` → that action
+   - No text is invented here: every action comes from CONFIG or the CSV.
+   - Optional `t` (I18N.t) translates CONFIG text by string id (action.*,
+     item.*, instrument.*, tier.*, plan.*); CSV text arrives already
+     localized in `csv`. Tiers in the output stay as CONFIG labels.
+
+   OUTPUT
+     [ { tier, action, sources: ["Smoking", ...] }, ... ]   (most severe first)
+
+   INTEGRATION
+   - summary.js / report.js call:
+       PLAN.build(snapshot, { config, csv, t })
+         csv: { threatByKey, detailsByKey }  (lowercased item_key lookups)
+         t:   (id, englishText, vars) => text  (default: English)
+   =========================================================================== */
+
+(function () {
+  // ------------- Utilities -------------
+
+  function lc(s) { return String(s || "").trim().toLowerCase(); }
+
+  function fill(template, vars) {
+    return String(template).replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? vars[k] : m));
+  }
+
+  // English text with {placeholders} filled; stands in for I18N.t
+  function english(id, text, vars) {
+    return vars ? fill(text, vars) : text;
+  }
+
+  // Collects entries, merging identical action text (keeps the most severe tier)
+  function collector(tierOrder) {
+    const rank = t => {
+      const i = tierOrder.indexOf(t);
+      return i === -1 ? tierOrder.length : i;
+    };
+    const byText = new Map();
+    return {
+      add(tier, action, source) {
+        const text = String(action || "").trim();
+        if (!text) return;
+        const k = lc(text).replace(/\s+/g, " ");
+        const prev = byText.get(k);
+        if (!prev) {
+          byText.set(k, { tier, action: text, sources: [source], order: byText.size });
+          return;
+        }
+        if (!prev.sources.includes(source)) prev.sources.push(source);
+        if (rank(tier) < rank(prev.tier)) prev.tier = tier;
+      },
+      list() {
+        return Array.from(byText.values())
+          .sort((a, b) => rank(a.tier) - rank(b.tier) || a.order - b.order)
+          .map(({ tier, action, sources }) => ({ tier, action, sources }));
+      }
+    };
+  }
+
+  // ------------- Sources -------------
+
+  function itemAction(out, tier, instrument, it, t) {
+    out.add(
+      tier,
+      t(`action.${instrument.id}.${it.key}`, it.action),
+      t(`item.${instrument.id}.${it.key}`, it.label)
+    );
+  }
+
+  function addFlagActions(out, block, instrument, t) {
+    for (const key of block?.selected || []) {
+      const it = (instrument?.items || []).find(i => i.key === key);
+      if (it && it.action) itemAction(out, block.tiers?.[key] || it.yesTier, instrument, it, t);
+    }
+  }
+
+  // Yes/No answers → item `action`; tiers → instrument `tierActions`
+  function addQuestionnaire(out, block, instrument, t) {
+    const rule = instrument.scoring?.rule;
+    if (rule === "yesFlags") addFlagActions(out, block, instrument, t);
+    if (rule === "noFlags") {
+      for (const [key, tier] of Object.entries(block?.noFlags || {})) {
+        const it = (instrument.items || []).find(i => i.key === key);
+        if (it && it.action) itemAction(out, tier, instrument, it, t);
+      }
+    }
+
+    const action = block?.tier && instrument.tierActions?.[block.tier];
+    if (action) {
+      out.add(
+        block.tier,
+        t(`action.${instrument.id}.${block.tier}`, action),
+        `${t(`instrument.${instrument.id}`, instrument.label)}: ${t(`tier.${block.tier}`, block.tier)}`
+      );
+    }
+  }
+
+  function addChecklist(out, keys, id, spec, csv, tierFor, t) {
+    for (const key of keys || []) {
+      const name = csv?.threatByKey?.[lc(key)] || key;
+      const row = csv?.detailsByKey?.[lc(key)] || {};
+      const tier = tierFor(key);
+      const source = `${t(`plan.${id}`, spec.label)}: ${name}`;
+      let added = false;
+
+      for (const col of spec.columns || []) {
+        if (String(row[col] || "").trim()) {
+          out.add(tier, row[col], source);
+          added = true;
+        }
+      }
+      if (spec.examplesTemplate && String(row.examples || "").trim()) {
+        out.add(tier, t(`plan.${id}.examples`, spec.examplesTemplate, { name, examples: row.examples }), source);
+        added = true;
+      }
+      if (!added && spec.fallback) {
+        out.add(tier, t(`plan.${id}.fallback`, spec.fallback, { name }), source);
+      }
+    }
+  }
+
+  // ------------- Public API -------------
+
+  const PLAN = {
+    /**
+     * Build the action plan for a scoring snapshot.
+     * @param {Object} snap SCORING.compute() snapshot.
+     * @param {Object} opts { config, csv: { threatByKey, detailsByKey }, t }
+     * @returns {Array<{tier:string, action:string, sources:string[]}>}
+     */
+    build(snap, { config, csv, t = english } = {}) {
+      const spec = config?.actionPlan || {};
+      const out = collector(spec.tierOrder || []);
+      const sections = spec.sections || {};
+
+      for (const cat of config?.categories || []) {
+        for (const inst of cat.instruments || []) {
+          if (inst.widget !== "checklist") {
+            addQuestionnaire(out, snap?.[cat.id]?.[inst.resultKey || inst.id], inst, t);
+            continue;
+          }
+          // Checklist sections by snapshot key (CONFIG.actionPlan.sections)
+          const id = inst.resultKey || inst.source;
+          const section = sections[id];
+          const block = snap?.[id];
+          if (!section) continue;
+          if (inst.scoring?.rule === "anticholinergic") {
+            const levels = block?.anticholinergic?.levels || {};
+            const map = section.tierByAnticholinergic || {};
+            addChecklist(out, block?.selected, id, section, csv, key => map[levels[key]] || section.tier || null, t);
+          } else {
+            addChecklist(out, block?.selected, id, section, csv, () => section.tier, t);
+          }
+        }
+      }
+
+      return out.list();
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.PLAN = PLAN;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = PLAN;
+  }
+})();
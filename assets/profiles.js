@@ -0,0 +1,313 @@
+/* ===========================================================================
+   Brain Threat Analysis — PROFILES (named clients, IndexedDB)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - One workstation screens many people: keep named client profiles in the
+     browser's IndexedDB, each with its history of dated assessments.
+   - An assessment is stored exactly as export does it (transfer.js): the
+     collectAllResponses() map is authoritative, the SCORING.compute()
+     snapshot is kept for reference, with the data version it was taken on.
+   - Nothing leaves the browser. Unlike persist.js (one in-progress form in
+     localStorage), profiles are kept until staff delete them.
+   - Name and assessments are encrypted (vault.js, context "profile:<id>");
+     only the id and timestamps are stored in the clear. A record that is
+     not sealed (plain text, e.g. placed in the database from outside the
+     app) is never opened; like one that fails to decrypt, it is listed as
+     `damaged` and can only be removed.
+   - Crypto runs between IndexedDB transactions (a transaction commits as
+     soon as it waits on anything else), so updates read, then write.
+   - Environment-neutral: attaches to window.PROFILES in the browser and to
+     module.exports under Node; the IndexedDB factory and the vault can be
+     swapped with PROFILES.use() (tests).
+
+   DATABASE "brainThreat" (version 1), object store "profiles" (keyPath "id")
+     {
+       "id": "<generated>",
+       "createdAt": "<ISO 8601>",
+       "updatedAt": "<ISO 8601>",
+       "sealed": <envelope>                   // VAULT.seal({ name, assessments })
+     }
+   PROFILE (what get() resolves with)
+     {
+       "id", "createdAt", "updatedAt",
+       "name": "Jane Doe",
+       "assessments": [                       // oldest first
+         {
+           "id": "<generated>",
+           "date": "<ISO 8601>",
+           "dataVersion": "<hash>",           // PERSIST.dataVersion at save
+           "language": "en",
+           "responses": { ... },              // collectAllResponses() map
+           "scoring": { ... }                 // SCORING.compute() snapshot
+         }
+       ]
+     }
+
+   INTEGRATION
+   - app.js calls:
+       PROFILES.available()
+       PROFILES.list(query)                   → [{ id, name, assessmentCount, lastAssessedAt, damaged, ... }]
+       PROFILES.get(id) / create(name) / rename(id, name) / remove(id) / clear()
+       PROFILES.addAssessment(id, { responses, scoring, dataVersion, language })
+   =========================================================================== */
+
+(function () {
+  const DB_NAME = "brainThreat";
+  const DB_VERSION = 1;
+  const STORE = "profiles";
+
+  let factory = null; // PROFILES.use(); defaults to the global indexedDB
+  let vaultImpl = null; // PROFILES.use(); defaults to window.VAULT
+  let dbPromise = null;
+
+  // -------------------- Utilities --------------------
+
+  function idbFactory() {
+    if (factory) return factory;
+    try {
+      if (typeof window !== "undefined" && window.indexedDB) return window.indexedDB;
+      return typeof indexedDB !== "undefined" ? indexedDB : null;
+    } catch (e) {
+      return null; // access can throw when storage is disabled
+    }
+  }
+
+  function vault() {
+    return vaultImpl || (typeof window !== "undefined" ? window.VAULT : null);
+  }
+
+  function newId() {
+    const c = typeof crypto !== "undefined" ? crypto : null;
+    if (c && typeof c.randomUUID === "function") return c.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  function cleanName(name) {
+    const n = String(name ?? "").replace(/\s+/g, " ").trim();
+    if (!n) throw new Error("A profile needs a name.");
+    return n;
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    const idb = idbFactory();
+    if (!idb) return Promise.reject(new Error("Profiles need IndexedDB, which this browser does not provide."));
+    const req = idb.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "id" });
+    };
+    dbPromise = request(req).catch(e => {
+      dbPromise = null;
+      throw e;
+    });
+    return dbPromise;
+  }
+
+  // Run `fn(store)` in one transaction; resolves with its result once committed
+  async function withStore(mode, fn) {
+    const db = await open();
+    const tx = db.transaction(STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = tx.onabort = () => reject(tx.error || new Error("Profile storage failed."));
+    });
+    const result = await fn(tx.objectStore(STORE));
+    await done;
+    return result;
+  }
+
+  function context(id) {
+    return `profile:${id}`;
+  }
+
+  // Stored record → profile; rejects with a VaultError when it cannot be opened
+  async function unseal(stored) {
+    if (!vault().isSealed(stored.sealed)) {
+      throw new (vault().VaultError)("damaged", "This profile is not encrypted, so it was not saved by this app; it will not be opened.");
+    }
+    const { name, assessments } = await vault().open(stored.sealed, context(stored.id));
+    return { id: stored.id, createdAt: stored.createdAt, updatedAt: stored.updatedAt, name, assessments };
+  }
+
+  async function seal(rec) {
+    const sealed = await vault().seal({ name: rec.name, assessments: rec.assessments }, context(rec.id));
+    return { id: rec.id, createdAt: rec.createdAt, updatedAt: rec.updatedAt, sealed };
+  }
+
+  async function put(rec) {
+    const stored = await seal(rec);
+    await withStore("readwrite", store => request(store.put(stored)));
+  }
+
+  async function mustGet(id) {
+    const stored = await withStore("readonly", store => request(store.get(id)));
+    if (!stored) throw new Error("That profile no longer exists.");
+    return unseal(stored);
+  }
+
+  function summary(rec) {
+    const last = rec.assessments[rec.assessments.length - 1];
+    return {
+      id: rec.id,
+      name: rec.name,
+      createdAt: rec.createdAt,
+      updatedAt: rec.updatedAt,
+      assessmentCount: rec.assessments.length,
+      lastAssessedAt: last ? last.date : null,
+      damaged: false
+    };
+  }
+
+  function damagedSummary(stored) {
+    return {
+      id: stored.id,
+      name: "",
+      createdAt: stored.createdAt,
+      updatedAt: stored.updatedAt,
+      assessmentCount: 0,
+      lastAssessedAt: null,
+      damaged: true
+    };
+  }
+
+  // -------------------- Public API --------------------
+
+  const PROFILES = {
+    /**
+     * Use another IndexedDB factory and vault (tests); null restores the
+     * global ones.
+     * @param {IDBFactory|null} idb
+     * @param {Object|null} [sealer] VAULT (seal / open).
+     */
+    use(idb, sealer = null) {
+      factory = idb;
+      vaultImpl = sealer;
+      dbPromise = null;
+    },
+
+    /** True when IndexedDB is available in this browser. */
+    available() {
+      return Boolean(idbFactory());
+    },
+
+    /**
+     * Profiles whose name contains `query` (case-insensitive), by name.
+     * Records that cannot be decrypted come first, flagged `damaged`, when
+     * there is no query.
+     * @param {string} [query]
+     * @returns {Promise<Array<{id, name, createdAt, updatedAt, assessmentCount, lastAssessedAt, damaged}>>}
+     */
+    async list(query = "") {
+      const q = String(query).trim().toLowerCase();
+      const all = await withStore("readonly", store => request(store.getAll()));
+      const profiles = [];
+      const damaged = [];
+      for (const stored of all) {
+        let rec;
+        try {
+          rec = await unseal(stored);
+        } catch (e) {
+          if (!e || e.code !== "damaged") throw e; // locked vault: nothing to list
+          damaged.push(damagedSummary(stored));
+          continue;
+        }
+        profiles.push(rec);
+      }
+      const found = profiles
+        .filter(rec => !q || rec.name.toLowerCase().includes(q))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.createdAt.localeCompare(b.createdAt))
+        .map(summary);
+      return q ? found : damaged.concat(found);
+    },
+
+    /**
+     * Full profile record with its assessments, or null.
+     * @param {string} id
+     * @throws {VaultError} When the record cannot be decrypted.
+     */
+    async get(id) {
+      const stored = await withStore("readonly", store => request(store.get(id)));
+      return stored ? unseal(stored) : null;
+    },
+
+    /**
+     * Create an empty profile. Names need not be unique.
+     * @param {string} name
+     * @returns {Promise<Object>} The new record.
+     */
+    async create(name) {
+      const now = new Date().toISOString();
+      const rec = { id: newId(), name: cleanName(name), createdAt: now, updatedAt: now, assessments: [] };
+      await put(rec);
+      return rec;
+    },
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @returns {Promise<Object>} The updated record.
+     */
+    async rename(id, name) {
+      const clean = cleanName(name);
+      const rec = await mustGet(id);
+      rec.name = clean;
+      rec.updatedAt = new Date().toISOString();
+      await put(rec);
+      return rec;
+    },
+
+    /**
+     * Delete a profile and every assessment in it.
+     * @param {string} id
+     */
+    async remove(id) {
+      await withStore("readwrite", store => request(store.delete(id)));
+    },
+
+    /**
+     * Delete every profile (forgotten passphrase: sealed records are lost).
+     * Works while the vault is locked.
+     */
+    async clear() {
+      await withStore("readwrite", store => request(store.clear()));
+    },
+
+    /**
+     * Append a dated assessment to a profile.
+     * @param {string} id Profile id.
+     * @param {Object} entry { responses, scoring, dataVersion, language, date? }
+     * @returns {Promise<Object>} The stored assessment.
+     */
+    async addAssessment(id, { responses, scoring, dataVersion, language, date } = {}) {
+      const assessment = {
+        id: newId(),
+        date: date || new Date().toISOString(),
+        dataVersion: dataVersion || "",
+        language: language || "en",
+        responses: Object.assign({}, responses),
+        scoring: scoring || null
+      };
+      const rec = await mustGet(id);
+      rec.assessments.push(assessment);
+      rec.updatedAt = new Date().toISOString();
+      await put(rec);
+      return assessment;
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.PROFILES = PROFILES;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = PROFILES;
+  }
+})();
@@ -0,0 +1,284 @@
+/* ===========================================================================
+   Brain Threat Analysis — REPORT (printable clinical report)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Render a chart-ready report of ONE scoring snapshot into #report-view.
+   - The print stylesheet in ui.css hides the interactive app and shows only
+     this view, so the browser's "Print → Save as PDF" produces the document.
+   - Items are shown by their human labels: CONFIG labels for questionnaire
+     items, CSV `threat` (+ `brand_name` for medications) for checklist items.
+   - No scores are computed here; everything comes from SCORING.compute().
+   - Text is in the UI language (window.I18N; report.*, measure.*,
+     category.*, instrument.*, item.*, tier.*, composite.* string ids), like
+     the on-page summary. CSV names arrive already localized in `csv`.
+     Categories and instruments render in CONFIG order, one view per
+     `scoring.rule`; totals and their ranges come from SCORING.measures().
+
+   INTEGRATION
+   - app.js calls:
+       REPORT.render(snapshot, { meta, csv })
+         meta: { name, date, assessor }         (header block; blanks allowed)
+         csv:  { threatByKey, brandByKey, detailsByKey }  (lowercased item_key lookups)
+       REPORT.clear()
+   - This module reads window.CONFIG, window.SCORING, window.PLAN and
+     window.I18N (English when absent).
+   =========================================================================== */
+
+(function () {
+  const $report = typeof document !== "undefined" ? document.getElementById("report-view") : null;
+
+  // ------------- Utilities -------------
+
+  function el(tag, cls, text) {
+    const n = document.createElement(tag);
+    if (cls) n.className = cls;
+    if (text != null) n.textContent = text;
+    return n;
+  }
+
+  function lc(s) { return String(s || "").trim().toLowerCase(); }
+
+  // Display text in the UI language; `fallback` is the English text
+  function t(id, fallback, vars) {
+    if (window.I18N) return window.I18N.t(id, fallback, vars);
+    return String(fallback).replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] != null ? vars[k] : m));
+  }
+
+  function tierName(label) {
+    return label ? t(`tier.${label}`, label) : null;
+  }
+
+  function kvRow(tbody, label, value) {
+    const tr = el("tr");
+    tr.appendChild(el("th", null, label));
+    tr.appendChild(el("td", null, value == null || value === "" ? "—" : String(value)));
+    tbody.appendChild(tr);
+  }
+
+  function kvTable(rows) {
+    const table = el("table", "rpt-kv");
+    const tbody = el("tbody");
+    rows.forEach(([k, v]) => kvRow(tbody, k, v));
+    table.appendChild(tbody);
+    return table;
+  }
+
+  function itemList(items, noneMsg) {
+    if (!items.length) return el("p", "rpt-none", noneMsg);
+    const ul = el("ul", "rpt-list");
+    items.forEach(text => ul.appendChild(el("li", null, text)));
+    return ul;
+  }
+
+  // CONFIG label of an instrument item, falling back to the key
+  function itemLabel(inst, key) {
+    const it = (inst.items || []).find(i => i.key === key);
+    return t(`item.${inst.id}.${key}`, (it && it.label) || key);
+  }
+
+  function threatLabel(csv, key) {
+    return (csv?.threatByKey && csv.threatByKey[lc(key)]) || key;
+  }
+
+  function medLabel(csv, key) {
+    const brand = csv?.brandByKey && csv.brandByKey[lc(key)];
+    return brand ? `${threatLabel(csv, key)} (${brand})` : threatLabel(csv, key);
+  }
+
+  // Tier, or "Incomplete (a/n answered)" when CONFIG.completion is not met
+  function tierText(block) {
+    if (block?.tier) return tierName(block.tier);
+    if (block && block.complete === false) return t("report.incomplete", "Incomplete ({answered}/{itemCount} answered)", block);
+    return null;
+  }
+
+  // "0–24" for a CONFIG range, "" when the measure has none
+  function rangeText(range) {
+    return range ? `${range.min}–${range.max}` : "";
+  }
+
+  // Label/value rows of an instrument's SCORING.measures(), ranges in the label
+  function measureRows(inst, block) {
+    const rows = [];
+    for (const m of window.SCORING.measures(inst)) {
+      const label = t(`measure.${m.id}`, m.label);
+      const range = rangeText(m.range);
+      rows.push([range ? `${label} (${range})` : label, m.value(block)]);
+      if (m.tier) rows.push([t("report.tier", "Tier"), tierName(m.tier(block)) || tierText(block)]);
+    }
+    return rows;
+  }
+
+  function category(title) {
+    const sec = el("section", "rpt-category");
+    sec.appendChild(el("h2", "rpt-h2", title));
+    return sec;
+  }
+
+  function subhead(sec, title) {
+    sec.appendChild(el("h3", "rpt-h3", title));
+  }
+
+  // ------------- Sections -------------
+
+  function renderHeader(root, meta) {
+    const head = el("header", "rpt-header");
+    head.appendChild(el("h1", "rpt-h1", t("report.title", "Brain Threat Analysis — Assessment Report")));
+    head.appendChild(kvTable([
+      [t("report.name", "Name"), meta?.name],
+      [t("report.date", "Assessment date"), meta?.date],
+      [t("report.assessor", "Assessor"), meta?.assessor]
+    ]));
+    root.appendChild(head);
+  }
+
+  function renderComposite(root, composite) {
+    if (!composite) return;
+    const insufficient = t("report.insufficientData", "Insufficient data");
+    const sec = category(t("report.composite", "Overall Brain-Threat Index"));
+    sec.appendChild(kvTable([
+      [t("report.index", "Index (0–100)"), composite.index === null ? insufficient : composite.index],
+      [t("report.tier", "Tier"), tierName(composite.tier)],
+      ...composite.categories.map(c => [
+        t("report.categoryWeight", "{category} (weight {weight})", { category: t(`composite.${c.id}`, c.label), weight: c.weight }),
+        c.score === null ? insufficient : t("report.contribution", "{score}% → {points} pts", { score: c.score, points: c.contribution })
+      ])
+    ]));
+    root.appendChild(sec);
+  }
+
+  // One view per CONFIG `scoring.rule`: view(sec, instrument, block, csv)
+  const VIEWS = {
+    yesFlags(sec, inst, b) {
+      const flagged = (b.selected || []).map(k => (b.tiers && b.tiers[k]
+        ? t("report.flagTier", "{item} — Tier: {tier}", { item: itemLabel(inst, k), tier: tierName(b.tiers[k]) })
+        : itemLabel(inst, k)));
+      sec.appendChild(itemList(flagged, b.answered === 0
+        ? t("report.notAnswered", "Not answered.")
+        : t("report.noFlags", "No risk flags selected.")));
+    },
+
+    noFlags(sec, inst, b) {
+      const flags = b.noFlags || {};
+      sec.appendChild(itemList(
+        Object.keys(flags).map(k => t("report.notMet", "Not met: {item} — Tier: {tier}", { item: itemLabel(inst, k), tier: tierName(flags[k]) })),
+        b.answered === 0 ? t("report.notAnswered", "Not answered.") : t("report.targetsMet", "Meets all targets selected.")
+      ));
+    },
+
+    sum(sec, inst, b) {
+      sec.appendChild(kvTable(measureRows(inst, b)));
+    },
+
+    normalized(sec, inst, b) {
+      sec.appendChild(kvTable(measureRows(inst, b)));
+    },
+
+    anticholinergic(sec, inst, b, csv) {
+      const byClass = b.byClass || {};
+      const classes = Object.keys(byClass);
+      const none = t("report.noneSelected", "None selected");
+      if (!classes.length) {
+        sec.appendChild(el("p", "rpt-none", none));
+      }
+      classes.forEach(cls => {
+        subhead(sec, cls);
+        sec.appendChild(itemList(byClass[cls].map(k => medLabel(csv, k)), none));
+      });
+      if (b.other?.length) {
+        subhead(sec, t("report.otherMedications", "Other medications (unrated)"));
+        sec.appendChild(itemList(b.other.map(name => t("report.notRated", "{name} — not rated", { name })), none));
+      }
+      sec.appendChild(kvTable([
+        [t("report.acbTotal", "Anticholinergic burden total"), b.anticholinergic?.total ?? 0],
+        [t("report.acbTier", "Anticholinergic burden tier"), tierName(b.anticholinergic?.tier)]
+      ]));
+    },
+
+    weighted(sec, inst, b, csv) {
+      sec.appendChild(itemList((b.selected || []).map(k => threatLabel(csv, k)), t("report.noneSelected", "None selected")));
+      if (typeof b.weighted === "number") {
+        sec.appendChild(kvTable([[t("report.weightedScore", "Weighted score"), b.weighted]]));
+      }
+    }
+  };
+
+  // One section per CONFIG category; checklists are the whole category, so
+  // only questionnaires get a subheading of their own.
+  function renderCategories(root, snap, config, csv) {
+    for (const cat of config?.categories || []) {
+      const sec = category(t(`category.${cat.id}`, cat.label));
+      for (const inst of cat.instruments || []) {
+        const view = VIEWS[inst.scoring?.rule];
+        if (!view) continue;
+        if (inst.widget !== "checklist") subhead(sec, t(`instrument.${inst.id}`, inst.label));
+        view(sec, inst, window.SCORING.resultBlock(snap, cat, inst) || {}, csv);
+      }
+      root.appendChild(sec);
+    }
+  }
+
+  function renderAgeBmi(root, ageBmi) {
+    const { age, bmi, ageTier, bmiTier } = ageBmi || {};
+    if (!ageTier && !bmiTier) return;
+    const sec = category(t("report.ageBmi", "Age & BMI Classification"));
+    sec.appendChild(kvTable([
+      [t("report.age", "Age"), age],
+      [t("report.ageBand", "Age band"), tierName(ageTier)],
+      [t("report.bmi", "BMI"), bmi],
+      [t("report.bmiBand", "BMI band"), tierName(bmiTier)]
+    ]));
+    root.appendChild(sec);
+  }
+
+  function renderActionPlan(root, plan) {
+    const sec = category(t("report.actionPlan", "Action Plan"));
+    if (!plan.length) {
+      sec.appendChild(el("p", "rpt-none", t("report.noActions", "No actions identified.")));
+    } else {
+      const ol = el("ol", "rpt-list");
+      plan.forEach(p => {
+        const li = el("li", null, `[${tierName(p.tier) || "—"}] ${p.action}`);
+        li.appendChild(el("div", "rpt-plan-src", t("report.planFor", "For: {sources}", { sources: p.sources.join("; ") })));
+        ol.appendChild(li);
+      });
+      sec.appendChild(ol);
+    }
+    root.appendChild(sec);
+  }
+
+  // ------------- Public API -------------
+
+  const REPORT = {
+    /**
+     * Render the printable report for a scoring snapshot.
+     * @param {Object} snap SCORING.compute() snapshot.
+     * @param {Object} opts { meta: {name,date,assessor}, csv: {threatByKey,brandByKey,detailsByKey} }
+     */
+    render(snap, { meta = {}, csv = {} } = {}) {
+      if (!$report) return;
+      $report.innerHTML = "";
+      const config = window.CONFIG;
+
+      renderHeader($report, meta);
+      renderComposite($report, snap.composite);
+      renderCategories($report, snap, config, csv);
+      renderAgeBmi($report, snap.ageBmi);
+      if (window.PLAN) renderActionPlan($report, window.PLAN.build(snap, { config, csv, t }));
+
+      $report.appendChild(el("p", "rpt-footer", t("report.generated", "Generated {date}", { date: new Date().toLocaleString() })));
+    },
+
+    /**
+     * Remove the rendered report (used when global Clear Form is pressed).
+     */
+    clear() {
+      if ($report) $report.innerHTML = "";
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.REPORT = REPORT;
+  }
+})();
@@ -0,0 +1,297 @@
+/* ===========================================================================
+   Brain Threat Analysis — RESEARCH (wide CSV + data dictionary)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Research datasets: ONE ROW PER ASSESSMENT, ONE COLUMN PER ITEM, so files
+     from different days and workstations stack without reshaping.
+   - Column names are stable and come from CONFIG + instruments_config.json
+     only (never the UI language), in form order:
+       assessment_id, subject_id, assessed_at, data_version, language
+       demographics.<field>            entered value (CONFIG.research.omitColumns
+                                       are left out: direct identifiers)
+       <instrumentId>.<itemKey>        radio value as stored ("Yes"/"No", scale code)
+       <responsePrefix>.<csvKey>       1 = checked, 0 = not checked
+       <otherMedications.prefix>       free-text medications, "; "-separated
+       score.<instrumentId>.<measure>  totals / tiers from SCORING.compute()
+       score.age / ageTier / bmi / bmiTier
+       score.composite.index / tier / <categoryId>
+     Blank = not answered (radios, demographics) or not computed (scores).
+   - dictionary() describes every column (section, label, type, codes with
+     their labels, notes) from the same list, so the two never disagree.
+   - subject_id is the client profile id (profiles.js), never the name.
+     Unlike assessment exports the CSV is NOT encrypted (analysis software
+     has to read it), hence the pseudonymous id and omitted identifiers;
+     app.js only writes it with the vault unlocked and after the staff
+     member confirms an unencrypted file.
+   - Text cells starting with = + - @, a tab or a carriage return get a
+     leading ' so spreadsheets do not run them as formulas.
+   - Pure: the caller passes each assessment with its snapshot (app.js
+     recomputes it with the current rules); RFC 4180 CSV, CRLF line ends.
+   - Environment-neutral: attaches to window.RESEARCH in the browser and to
+     module.exports under Node.
+
+   INTEGRATION
+   - app.js calls:
+       RESEARCH.dataset(assessments, { config, instruments })   → CSV text
+         assessments: [{ id, subjectId, date, dataVersion, language, responses, scoring }]
+       RESEARCH.dictionary({ config, instruments })              → CSV text
+       RESEARCH.columns({ config, instruments })                 → column descriptions
+   =========================================================================== */
+
+(function () {
+  const DICTIONARY_HEADER = ["column", "section", "label", "type", "codes", "notes"];
+
+  // ------------- Utilities -------------
+
+  function humanize(s) {
+    return String(s).replace(/([A-Z])/g, " $1").replace(/_/g, " ").replace(/\s+/g, " ").trim();
+  }
+
+  // Text starting with = + - @, a tab or a carriage return would run as a
+  // formula in a spreadsheet: a leading ' keeps it text (numbers are
+  // written as they are)
+  function csvCell(value) {
+    let s = value == null ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function csvText(rows) {
+    return rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+  }
+
+  function num(v) {
+    return typeof v === "number" && Number.isFinite(v) ? v : "";
+  }
+
+  function tierCodes(bands) {
+    return (bands || []).map(b => [b.label, `${b.min}–${b.max}`]);
+  }
+
+  // Snapshot block for a CONFIG instrument (as summary.js reads it)
+  function snapBlock(snap, cat, inst) {
+    if (inst.widget === "checklist") return snap?.[inst.resultKey || inst.source];
+    return snap?.[cat.id]?.[inst.resultKey || inst.id];
+  }
+
+  // ------------- Columns -------------
+  // { name, section, label, type, codes: [[code, meaning]], notes, value(row) }
+  // row: { assessment, responses, scoring }
+
+  function metaColumns() {
+    const a = key => row => row.assessment[key] ?? "";
+    return [
+      { name: "assessment_id", section: "Assessment", label: "Assessment id", type: "string", value: a("id"),
+        notes: "Blank for the form as it was on screen (not saved to a profile)." },
+      { name: "subject_id", section: "Assessment", label: "Client profile id", type: "string", value: a("subjectId"),
+        notes: "Pseudonymous id of the client profile; the name is not exported." },
+      { name: "assessed_at", section: "Assessment", label: "Assessment date and time", type: "datetime", value: a("date"),
+        notes: "ISO 8601, UTC." },
+      { name: "data_version", section: "Assessment", label: "Data version", type: "string", value: a("dataVersion"),
+        notes: "Hash of master.csv + instruments_config.json the answers were given on." },
+      { name: "language", section: "Assessment", label: "Form language", type: "code", value: a("language"),
+        notes: "Display language only; values are the same in every language." }
+    ];
+  }
+
+  function demographicsColumns(config, omit) {
+    const spec = config.demographics;
+    if (!spec) return [];
+    return spec.fields.filter(f => !omit.has(`${spec.id}.${f.key}`)).map(f => {
+      const name = `${spec.id}.${f.key}`;
+      const col = { name, section: spec.label, label: f.label, value: row => row.responses[name] ?? "" };
+      if (f.type === "choice") {
+        col.type = "code";
+        col.codes = Object.entries(f.options || {}).map(([label, value]) => [value, label]);
+      } else if (f.type === "number") {
+        col.type = f.step === 1 ? "integer" : "decimal";
+        col.notes = `Accepted range ${f.min}–${f.max}.`;
+      } else {
+        col.type = f.type;
+      }
+      return col;
+    });
+  }
+
+  function itemColumns(inst, ctx) {
+    const section = inst.label;
+    if (inst.widget === "yesno" || inst.widget === "likert") {
+      const codes = inst.widget === "yesno"
+        ? [["Yes", "Yes"], ["No", "No"]]
+        : Object.entries(inst.scale || {}).map(([label, value]) => [String(value), humanize(label)]);
+      return (inst.items || []).map(it => {
+        const name = `${inst.id}.${it.key}`;
+        return { name, section, label: it.label, type: "code", codes, value: row => row.responses[name] ?? "" };
+      });
+    }
+
+    const out = (ctx.instruments?.[inst.source]?.items || []).filter(it => it && it.csvKey).map(it => {
+      const name = `${inst.responsePrefix}.${it.csvKey}`;
+      return {
+        name, section, label: it.label || it.csvKey, type: "boolean",
+        codes: [["1", "Checked"], ["0", "Not checked"]],
+        value: row => (row.responses[name] === "1" ? 1 : 0)
+      };
+    });
+    const other = ctx.config.otherMedications;
+    if (inst.picker && other) {
+      out.push({
+        name: other.prefix, section, label: "Other medications (free text)", type: "text",
+        notes: "Entries not on the checklist, separated by \"; \"; not rated.",
+        value: row => Object.keys(row.responses).filter(k => k.startsWith(`${other.prefix}.`)).sort()
+          .map(k => String(row.responses[k]).trim()).join("; ")
+      });
+    }
+    return out;
+  }
+
+  // Totals / tiers per scoring rule, read from the snapshot block
+  function scoreColumns(cat, inst, config) {
+    const base = `score.${inst.id}`;
+    const section = `${inst.label} (scores)`;
+    const b = row => snapBlock(row.scoring, cat, inst) || {};
+    const answered = {
+      name: `${base}.answered`, section, label: `${inst.label}: items answered`, type: "integer",
+      notes: `Of ${(inst.items || []).length}.`, value: row => num(b(row).answered)
+    };
+    switch (inst.scoring?.rule) {
+      case "sum":
+        return [
+          { name: `${base}.total`, section, label: `${inst.label}: total`, type: "integer", value: row => (b(row).answered ? num(b(row).total) : "") },
+          { name: `${base}.tier`, section, label: `${inst.label}: tier`, type: "code", codes: tierCodes(inst.tiers),
+            notes: "Codes list the total range of each tier. Blank until enough items are answered (CONFIG.completion).",
+            value: row => b(row).tier || "" },
+          answered
+        ];
+      case "normalized":
+        return [
+          { name: `${base}.score`, section, label: `${inst.label}: score (0–100)`, type: "decimal", value: row => num(b(row).score) },
+          { name: `${base}.rawTotal`, section, label: `${inst.label}: raw total`, type: "integer", value: row => (b(row).answered ? num(b(row).rawTotal) : "") },
+          answered
+        ];
+      case "yesFlags":
+      case "noFlags": {
+        const flags = inst.scoring.rule === "yesFlags" ? "tiers" : "noFlags";
+        return [
+          { name: `${base}.flags`, section, label: `${inst.label}: flagged items`, type: "integer",
+            notes: `Items answered ${inst.scoring.rule === "yesFlags" ? "Yes" : "No"} that carry a tier.`,
+            value: row => (b(row).answered ? Object.keys(b(row)[flags] || {}).length : "") },
+          answered
+        ];
+      }
+      case "anticholinergic":
+        return [
+          { name: `${base}.selected`, section, label: `${inst.label}: checked`, type: "integer", value: row => (b(row).selected || []).length },
+          { name: `${base}.acbTotal`, section, label: "Anticholinergic burden total", type: "integer", value: row => num(b(row).anticholinergic?.total) },
+          { name: `${base}.acbTier`, section, label: "Anticholinergic burden tier", type: "code", codes: tierCodes(config.anticholinergicTiers),
+            notes: "Codes list the total range of each tier.", value: row => b(row).anticholinergic?.tier || "" }
+        ];
+      case "weighted":
+        return [
+          { name: `${base}.selected`, section, label: `${inst.label}: checked`, type: "integer", value: row => (b(row).selected || []).length },
+          { name: `${base}.weighted`, section, label: `${inst.label}: weighted total`, type: "decimal",
+            notes: "Sum of item weights from instruments_config.json.", value: row => num(b(row).weighted) }
+        ];
+      default:
+        return [];
+    }
+  }
+
+  function summaryColumns(config) {
+    const section = "Overall (scores)";
+    const ab = row => row.scoring?.ageBmi || {};
+    const comp = row => row.scoring?.composite || {};
+    const cols = [
+      { name: "score.age", section, label: "Age (years)", type: "integer", notes: "From date of birth at the assessment date, or the entered age.", value: row => num(ab(row).age) },
+      { name: "score.ageTier", section, label: "Age tier", type: "code", codes: tierCodes(config.ageBands), value: row => ab(row).ageTier || "" },
+      { name: "score.bmi", section, label: "BMI (kg/m²)", type: "decimal", value: row => num(ab(row).bmi) },
+      { name: "score.bmiTier", section, label: "BMI tier", type: "code", codes: tierCodes(config.bmiBands), value: row => ab(row).bmiTier || "" }
+    ];
+    if (config.compositeIndex) {
+      cols.push(
+        { name: "score.composite.index", section, label: "Brain-Threat Index (0–100)", type: "integer", value: row => num(comp(row).index) },
+        { name: "score.composite.tier", section, label: "Brain-Threat Index tier", type: "code", codes: tierCodes(config.compositeIndex.tiers), value: row => comp(row).tier || "" }
+      );
+      for (const c of config.compositeIndex.categories || []) {
+        cols.push({
+          name: `score.composite.${c.id}`, section, label: `${c.label || c.id} score (0–100)`, type: "integer",
+          notes: `Weight ${c.weight} in the index.`,
+          value: row => num((comp(row).categories || []).find(x => x.id === c.id)?.score)
+        });
+      }
+    }
+    return cols;
+  }
+
+  function buildColumns({ config, instruments }) {
+    const ctx = { config, instruments };
+    const omit = new Set(config.research?.omitColumns || []);
+    const items = [];
+    const scores = [];
+    for (const cat of config.categories) {
+      for (const inst of cat.instruments || []) {
+        items.push(...itemColumns(inst, ctx));
+        scores.push(...scoreColumns(cat, inst, config));
+      }
+    }
+    return metaColumns().concat(demographicsColumns(config, omit), items, scores, summaryColumns(config));
+  }
+
+  // ------------- Public API -------------
+
+  const RESEARCH = {
+    /**
+     * Column descriptions in file order (the data dictionary as objects).
+     * @param {Object} ctx { config, instruments }
+     * @returns {Array<{name:string, section:string, label:string, type:string, codes:Array<[string,string]>, notes:string}>}
+     */
+    columns(ctx) {
+      return buildColumns(ctx).map(c => ({
+        name: c.name,
+        section: c.section,
+        label: c.label,
+        type: c.type,
+        codes: c.codes || [],
+        notes: c.notes || ""
+      }));
+    },
+
+    /**
+     * Wide CSV: a header row, then one row per assessment.
+     * @param {Array<Object>} assessments [{ id, subjectId, date, dataVersion, language, responses, scoring }]
+     * @param {Object} ctx { config, instruments }
+     * @returns {string} CSV text.
+     */
+    dataset(assessments, ctx) {
+      const cols = buildColumns(ctx);
+      const rows = [cols.map(c => c.name)];
+      for (const a of assessments || []) {
+        const row = { assessment: a, responses: a.responses || {}, scoring: a.scoring || {} };
+        rows.push(cols.map(c => c.value(row)));
+      }
+      return csvText(rows);
+    },
+
+    /**
+     * Data dictionary CSV for dataset(): column, section, label, type,
+     * codes ("<code>=<meaning>" joined by " | "), notes.
+     * @param {Object} ctx { config, instruments }
+     * @returns {string} CSV text.
+     */
+    dictionary(ctx) {
+      const rows = [DICTIONARY_HEADER];
+      for (const c of RESEARCH.columns(ctx)) {
+        rows.push([c.name, c.section, c.label, c.type, c.codes.map(([code, meaning]) => `${code}=${meaning}`).join(" | "), c.notes]);
+      }
+      return csvText(rows);
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.RESEARCH = RESEARCH;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = RESEARCH;
+  }
+})();
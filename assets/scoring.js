@@ -5,13 +5,20 @@
    PURPOSE
    - Provides deterministic scoring utilities mirrored from WP code semantics.
    - Uses ONLY code-defined rules/weights/bands (NOT the CSV).
+   - Each CONFIG instrument names its scoring rule (`scoring.rule`, see RULES);
+     compute() walks CONFIG.categories, so new instruments need no code here.
+   - measures() / resultBlock() let the report, comparison and CLI walk the
+     same CONFIG.categories to read each instrument's headline values.
    - CSV is used only for helper text / brand names (handled in app.js).
+   - Environment-neutral (no DOM): attaches to window.SCORING in the browser
+     and to module.exports under Node (tools/score.js).
 
    INPUTS
    - responses: flat map from app.js of the form:
        "<instrumentId>.<itemKey>" => numeric/string value
        For Y/N grids, value is "Yes" or "No".
        For checklists, app.js keys as "<SectionLabel>.<itemKey>" => "1" when checked.
+       Free-text other medications: "<otherMedications.prefix>.<slug>" => text.
    - CONFIG: global CONFIG object from assets/config.js
    - instruments: parsed data/instruments_config.json (for section item lists, and
                   optional item weights for exposures/foods/medications)
@@ -33,6 +40,12 @@
     return Number.isFinite(n) ? n : fallback;
   }
 
+  // Like toNumber, but blank/missing stays null (Number(null) would be 0)
+  function toNumberOrNull(v) {
+    if (v == null || String(v).trim() === "") return null;
+    return toNumber(v, null);
+  }
+
   function sum(arr) {
     let s = 0;
     for (let i = 0; i < arr.length; i++) s += toNumber(arr[i], 0);
@@ -77,172 +90,409 @@
     return out;
   }
 
-  // -------------------- Category Scorers --------------------
+  // Answered/total counts for one questionnaire instrument
+  function instrumentCompletion(responses, instrument, config) {
+    const items = (instrument?.items || []).filter(it => it && it.key);
+    const unanswered = items
+      .filter(it => String(responses[`${instrument.id}.${it.key}`] ?? "").trim() === "")
+      .map(it => it.key);
+    const answered = items.length - unanswered.length;
+    const threshold = toNumber(config?.completion?.threshold, 1);
+    return {
+      answered,
+      itemCount: items.length,
+      unanswered,
+      complete: items.length > 0 && answered / items.length >= threshold
+    };
+  }
 
-  // PERSONAL HISTORY (five sub-questionnaires inside this category)
-  function scorePersonal(responses, config) {
-    const category = config.categories.find(c => c.id === "personal");
-    if (!category) return {};
+  // Tier only when enough of the instrument is answered (CONFIG.completion)
+  function tierIfComplete(bands, total, completion) {
+    return completion.complete ? findTier(bands, total) : null;
+  }
 
-    const [qHistory, qMedLife, qSleep, qStress, qActivity] = category.instruments;
+  // -------------------- Scoring Rules --------------------
+  // One scorer per CONFIG `scoring.rule`. Each gets the instrument spec and
+  // returns its snapshot block; questionnaire blocks also carry completion
+  // counts (answered, itemCount, unanswered, complete) and the item-level
+  // `answers` as given ({ itemKey: value }), so every summary view reads
+  // the same snapshot.
 
-    // A) History: treat each "Yes" as a risk flag with yesTier from CONFIG
-    const historyVals = collectInstrumentValues(responses, qHistory);
-    const historyHits = [];
-    const historyTiers = {};
-    for (const item of qHistory.items) {
-      const v = historyVals[item.key];
-      if (String(v).toLowerCase() === "yes") {
-        historyHits.push(item.key);
-        if (item.yesTier) historyTiers[item.key] = item.yesTier;
-      }
-    }
+  function scaleMax(instrument, fallback = 4) {
+    const values = Object.values(instrument.scale || {}).map(v => toNumber(v, null)).filter(v => v !== null);
+    return values.length ? Math.max(...values) : fallback;
+  }
 
-    // B) Medical & Lifestyle: similar to History
-    const medVals = collectInstrumentValues(responses, qMedLife);
-    const medHits = [];
-    const medTiers = {};
-    for (const item of qMedLife.items) {
-      const v = medVals[item.key];
-      if (String(v).toLowerCase() === "yes") {
-        medHits.push(item.key);
-        if (item.yesTier) medTiers[item.key] = item.yesTier;
+  const RULES = {
+    // Y/N grid: each "Yes" is a risk flag, tiered by item.yesTier
+    // (Personal History, Medical & Lifestyle)
+    yesFlags(responses, instrument, ctx) {
+      const vals = collectInstrumentValues(responses, instrument);
+      const selected = [];
+      const tiers = {};
+      for (const item of instrument.items) {
+        if (ynToBool(vals[item.key])) {
+          selected.push(item.key);
+          if (item.yesTier) tiers[item.key] = item.yesTier;
+        }
       }
-    }
+      return { selected, tiers, answers: vals, ...instrumentCompletion(responses, instrument, ctx.config) };
+    },
+
+    // Y/N grid where "No" is the risk answer; only items with a noTier count
+    // (Physical Activity)
+    noFlags(responses, instrument, ctx) {
+      const vals = collectInstrumentValues(responses, instrument);
+      const noFlags = {};
+      for (const item of instrument.items) {
+        if (String(vals[item.key]).toLowerCase() === "no" && item.noTier) {
+          noFlags[item.key] = item.noTier;
+        }
+      }
+      return { noFlags, answers: vals, ...instrumentCompletion(responses, instrument, ctx.config) };
+    },
+
+    // Likert total: answers clamped to 0..highest scale value, `reverse` items
+    // flipped (PSS-4 items 2 and 3); bands from CONFIG `tiers`. No tier until
+    // complete (e.g. a blank LSNS-6 total of 0 would read as isolated).
+    // `scored` holds the points each answered item added (after reversing).
+    sum(responses, instrument, ctx) {
+      const vals = collectInstrumentValues(responses, instrument);
+      const max = scaleMax(instrument);
+      const revSet = new Set(instrument.reverse || []);
+      const scored = {};
+      for (const it of instrument.items) {
+        const raw = toNumber(vals[it.key], null);
+        if (raw === null) continue;
+        scored[it.key] = revSet.has(it.key) ? reverseLikert(raw, max) : clamp(raw, 0, max);
+      }
+      const total = sum(Object.values(scored));
+      const done = instrumentCompletion(responses, instrument, ctx.config);
+      return { total, tier: tierIfComplete(instrument.tiers, total, done), answers: vals, scored, ...done };
+    },
+
+    // Difficulty scale (VFQ-3of7): raw sum plus the “higher better (0–100)”
+    // score per CONFIG `normalized`, averaged over answered items only
+    // (null when none are answered, so it ignores CONFIG.completion).
+    // No tiers are codified for it.
+    normalized(responses, instrument, ctx) {
+      const vals = collectInstrumentValues(responses, instrument);
+      const max = scaleMax(instrument);
+      const rawTotal = sum(instrument.items.map(it => clamp(toNumber(vals[it.key], 0), 0, max)));
+      const answered = instrument.items.map(it => toNumberOrNull(vals[it.key])).filter(v => v !== null);
+      let score = null;
+      if (instrument.normalized && answered.length && max > 0) {
+        const { min, max: top } = instrument.normalized;
+        const meanDifficulty = sum(answered.map(v => clamp(v, 0, max))) / answered.length;
+        score = Math.round(min + (top - min) * (1 - meanDifficulty / max));
+      }
+      return { rawTotal, score, answers: vals, ...instrumentCompletion(responses, instrument, ctx.config) };
+    },
+
+    // Medication checklist grouped by class, with the anticholinergic burden
+    // total. `class` and `anticholinergic` are annotated onto each item from
+    // master.csv by data.js; points and tiers come from CONFIG.
+    anticholinergic(responses, instrument, ctx) {
+      const { config, instruments } = ctx;
+      const out = {
+        selected: [],
+        byClass: {},
+        other: [],
+        anticholinergic: { total: 0, tier: null, levels: {} }
+      };
+      const points = config?.anticholinergicPoints || {};
+      for (const it of instruments?.[instrument.source]?.items || []) {
+        if (!it || !it.csvKey) continue;
+        if (responses[`${instrument.responsePrefix}.${it.csvKey}`] === "1") {
+          out.selected.push(it.csvKey);
+          const cls = it.class || instrument.responsePrefix;
+          if (!out.byClass[cls]) out.byClass[cls] = [];
+          out.byClass[cls].push(it.csvKey);
+          if (Object.prototype.hasOwnProperty.call(points, it.anticholinergic)) {
+            out.anticholinergic.levels[it.csvKey] = it.anticholinergic;
+            out.anticholinergic.total += points[it.anticholinergic];
+          }
+        }
+      }
+      out.anticholinergic.tier = findTier(config?.anticholinergicTiers, out.anticholinergic.total);
 
-    // C) Sleep (Likert 0..4), explicit severity bands from CONFIG
-    const sleepVals = collectInstrumentValues(responses, qSleep);
-    const sleepNums = qSleep.items.map(it => toNumber(sleepVals[it.key], 0));
-    const sleepTotal = sum(sleepNums);
-    const sleepTier = findTier(qSleep.tiers, sleepTotal);
-
-    // D) Stress (PSS-4 with reverse-scored items 2 and 3; bands from CONFIG)
-    const stressVals = collectInstrumentValues(responses, qStress);
-    const revSet = new Set(qStress.reverse || []);
-    const stressNums = qStress.items.map(it => {
-      const raw = toNumber(stressVals[it.key], null);
-      if (raw === null) return 0;
-      if (revSet.has(it.key)) return reverseLikert(raw, 4);
-      return clamp(raw, 0, 4);
-    });
-    const stressTotal = sum(stressNums);
-    const stressTier = findTier(qStress.tiers, stressTotal);
-
-    // E) Physical Activity (YN grid; "No" maps to risk tiers via noTier)
-    const actVals = collectInstrumentValues(responses, qActivity);
-    const activityFlags = {};
-    for (const item of qActivity.items) {
-      const v = actVals[item.key];
-      if (String(v).toLowerCase() === "no" && item.noTier) {
-        activityFlags[item.key] = item.noTier;
+      // Free-text "other" medications: listed, never rated
+      const otherPrefix = `${config?.otherMedications?.prefix || "Other Medications"}.`;
+      for (const [k, v] of Object.entries(responses)) {
+        if (k.startsWith(otherPrefix) && String(v).trim()) out.other.push(String(v).trim());
+      }
+      return out;
+    },
+
+    // Exposure checklists (Micro/Nanoplastics; Toxins; Foods/Additives).
+    // Optional numeric weights come from instruments_config.json (per WP code).
+    weighted(responses, instrument, ctx) {
+      const selected = [];
+      let weighted = 0;
+      for (const it of ctx.instruments?.[instrument.source]?.items || []) {
+        if (!it || !it.csvKey) continue;
+        if (responses[`${instrument.responsePrefix}.${it.csvKey}`] === "1") {
+          selected.push(it.csvKey);
+          if (typeof it.weight === "number") weighted += it.weight;
+        }
       }
+      return { selected, weighted };
     }
+  };
 
-    return {
-      history: { selected: historyHits, tiers: historyTiers },
-      medicalLifestyle: { selected: medHits, tiers: medTiers },
-      sleep: { total: sleepTotal, tier: sleepTier },
-      stress: { total: stressTotal, tier: stressTier },
-      activity: { noFlags: activityFlags }
-    };
+  // -------------------- Measures --------------------
+  // The headline numbers of each rule's block, for listings and side-by-side
+  // comparison (report, compare, tools/score.js): `value(block)`, optional
+  // `tier(block)` and, where CONFIG defines one, the possible `range`.
+
+  // Lowest..highest total: item count × lowest/highest scale value
+  function scaleRange(instrument) {
+    const values = Object.values(instrument.scale || {}).map(v => toNumber(v, null)).filter(v => v !== null);
+    if (!values.length) return null;
+    const n = (instrument.items || []).length;
+    return { min: n * Math.min(...values), max: n * Math.max(...values) };
   }
 
-  // SOCIAL & LONELINESS (LSNS-6 and UCLA-3)
-  function scoreSocial(responses, config) {
-    const category = config.categories.find(c => c.id === "social");
-    if (!category) return {};
-
-    const [lsns6, ucla3] = category.instruments;
+  function count(v) {
+    return Array.isArray(v) ? v.length : Object.keys(v || {}).length;
+  }
 
-    // LSNS-6: sum of 6 items (0..5) — WP text didn’t stipulate cutpoints to enforce
-    const lsVals = collectInstrumentValues(responses, lsns6);
-    const lsNums = lsns6.items.map(it => clamp(toNumber(lsVals[it.key], 0), 0, 5));
-    const lsTotal = sum(lsNums);
+  const MEASURES = {
+    yesFlags: () => [{ id: "flags", label: "Risk flags", value: b => count(b?.selected) }],
+    noFlags: () => [{ id: "notMet", label: "Targets not met", value: b => count(b?.noFlags) }],
+    sum: inst => [{ id: "total", label: "Total", value: b => b?.total, tier: b => b?.tier, range: scaleRange(inst) }],
+    normalized: inst => [
+      { id: "score", label: "Score, higher is better", value: b => b?.score, range: inst.normalized ? { min: inst.normalized.min, max: inst.normalized.max } : null },
+      { id: "rawTotal", label: "Raw total", value: b => b?.rawTotal, range: scaleRange(inst) }
+    ],
+    anticholinergic: () => [
+      { id: "selected", label: "Selected", value: b => count(b?.selected) },
+      { id: "other", label: "Other (unrated)", value: b => count(b?.other) },
+      { id: "anticholinergic", label: "Anticholinergic burden", value: b => b?.anticholinergic?.total, tier: b => b?.anticholinergic?.tier }
+    ],
+    weighted: () => [{ id: "selected", label: "Selected", value: b => count(b?.selected) }]
+  };
 
-    // UCLA-3: sum of 3 items (1..3) — again, no explicit tiers in WP script; report raw
-    const ucVals = collectInstrumentValues(responses, ucla3);
-    const ucNums = ucla3.items.map(it => clamp(toNumber(ucVals[it.key], 0), 0, 3));
-    const ucTotal = sum(ucNums);
+  // Snapshot key path of a CONFIG instrument (see CONFIG `resultKey`)
+  function resultPath(category, instrument) {
+    if (instrument.widget === "checklist") return [instrument.resultKey || instrument.source];
+    return [category.id, instrument.resultKey || instrument.id];
+  }
 
-    return { lsns6: { total: lsTotal }, ucla3: { total: ucTotal } };
+  // Walk CONFIG.categories and score every instrument by its `scoring.rule`.
+  // Questionnaires nest under their category; checklists sit at the top level.
+  function scoreCategories(responses, config, instruments) {
+    const snap = {};
+    const ctx = { config, instruments };
+    for (const cat of config?.categories || []) {
+      for (const inst of cat.instruments || []) {
+        const rule = inst.scoring?.rule;
+        if (!rule) continue;
+        if (!Object.prototype.hasOwnProperty.call(RULES, rule)) {
+          throw new Error(`Unknown scoring rule "${rule}" for instrument ${inst.id}`);
+        }
+        const block = RULES[rule](responses, inst, ctx);
+        const [key, sub] = resultPath(cat, inst);
+        if (sub === undefined) {
+          snap[key] = block;
+        } else {
+          if (!snap[key]) snap[key] = {};
+          snap[key][sub] = block;
+        }
+      }
+    }
+    return snap;
   }
 
-  // SENSORY (HHIE-S and VFQ-3of7)
-  function scoreSensory(responses, config) {
-    const category = config.categories.find(c => c.id === "sensory");
-    if (!category) return {};
+  // DEMOGRAPHICS (age + BMI from the intake block; ranges from CONFIG.demographics)
+  // Keys are "demographics.<field>". Out-of-range values are reported in
+  // `errors` and yield null rather than a guessed value.
+  function deriveDemographics(responses, config, asOf = new Date()) {
+    const spec = config.demographics || {};
+    const id = spec.id || "demographics";
+    const get = k => {
+      const v = responses[`${id}.${k}`];
+      return v == null || String(v).trim() === "" ? null : String(v).trim();
+    };
+    const inRange = (v, range) => !range || (v >= range.min && v <= range.max);
+    const errors = [];
+
+    // Age: date of birth wins over the typed age
+    let age = null;
+    const dob = get("dob");
+    if (dob) {
+      const d = new Date(`${dob}T00:00:00`);
+      if (Number.isNaN(d.getTime())) {
+        errors.push("Date of birth is not a valid date.");
+      } else {
+        age = asOf.getFullYear() - d.getFullYear();
+        const beforeBirthday = asOf.getMonth() < d.getMonth() ||
+          (asOf.getMonth() === d.getMonth() && asOf.getDate() < d.getDate());
+        if (beforeBirthday) age -= 1;
+      }
+    } else if (get("age") !== null) {
+      age = toNumberOrNull(get("age"));
+    }
+    if (age !== null && !inRange(age, spec.ageRange)) {
+      errors.push(`Age must be between ${spec.ageRange.min} and ${spec.ageRange.max} years.`);
+      age = null;
+    }
 
-    const [hhie, vfq] = category.instruments;
+    // Height/weight in metric or imperial units, normalized to cm/kg
+    let heightCm = null;
+    let weightKg = null;
+    if (get("units") === "imperial") {
+      const ft = toNumberOrNull(get("height_ft"));
+      const inch = toNumberOrNull(get("height_in")) ?? 0;
+      if (ft !== null) heightCm = (ft * 12 + inch) * 2.54;
+      const lb = toNumberOrNull(get("weight_lb"));
+      if (lb !== null) weightKg = lb * 0.45359237;
+    } else {
+      heightCm = toNumberOrNull(get("height_cm"));
+      weightKg = toNumberOrNull(get("weight_kg"));
+    }
+    if (heightCm !== null && !inRange(heightCm, spec.heightCmRange)) {
+      errors.push(`Height must be between ${spec.heightCmRange.min} and ${spec.heightCmRange.max} cm.`);
+      heightCm = null;
+    }
+    if (weightKg !== null && !inRange(weightKg, spec.weightKgRange)) {
+      errors.push(`Weight must be between ${spec.weightKgRange.min} and ${spec.weightKgRange.max} kg.`);
+      weightKg = null;
+    }
 
-    // HHIE-S: Yes=4, Sometimes=2, No=0 → total 0..40 (no tiers invented)
-    const hVals = collectInstrumentValues(responses, hhie);
-    const hNums = hhie.items.map(it => {
-      const raw = hVals[it.key];
-      if (String(raw).toLowerCase() === "yes") return 4;
-      if (String(raw).toLowerCase() === "sometimes") return 2;
-      return 0;
-    });
-    const hhieTotal = sum(hNums);
+    let bmi = null;
+    if (heightCm !== null && weightKg !== null) {
+      const m = heightCm / 100;
+      bmi = Math.round((weightKg / (m * m)) * 10) / 10;
+      if (!inRange(bmi, spec.bmiRange)) {
+        errors.push(`Computed BMI ${bmi} is outside ${spec.bmiRange.min}–${spec.bmiRange.max}; check height and weight.`);
+        bmi = null;
+      }
+    }
 
-    // VFQ-3of7: WP page mentions 3-of-7 logic and “Higher better (0–100)”,
-    // but no algorithmic details are codified in the materials provided.
-    // We therefore report the raw sum only (0..28) without normalizing or tiering.
-    const vVals = collectInstrumentValues(responses, vfq);
-    const vNums = vfq.items.map(it => clamp(toNumber(vVals[it.key], 0), 0, 4));
-    const vfqRawTotal = sum(vNums);
+    return {
+      age,
+      bmi,
+      heightCm: heightCm === null ? null : Math.round(heightCm * 10) / 10,
+      weightKg: weightKg === null ? null : Math.round(weightKg * 10) / 10,
+      errors
+    };
+  }
 
-    return { hhie: { total: hhieTotal }, vfq3of7: { rawTotal: vfqRawTotal } };
+  // AGE/BMI (bands available in CONFIG, if desired by summary)
+  // WP bands use whole numbers (e.g. BMI 20–24, 25–29), so values are floored
+  // before lookup: BMI 24.9 stays "Optimal" instead of falling between bands.
+  function classifyAgeBmi(age, bmi, config) {
+    const ageNum = toNumberOrNull(age);
+    const bmiNum = toNumberOrNull(bmi);
+    const ageTier = ageNum === null ? null : findTier(config.ageBands, Math.floor(ageNum));
+    const bmiTier = bmiNum === null ? null : findTier(config.bmiBands, Math.floor(bmiNum));
+    return { age: ageNum, bmi: bmiNum, ageTier, bmiTier };
   }
 
-  // MEDICATIONS (checklist; no scores unless config defines specific rules)
-  function scoreMedications(responses, instruments) {
-    const out = { selected: [], byClass: {} };
-    const meds = instruments?.medications?.items || [];
-    // Items are checkboxes named "<SectionLabel>.<itemKey>" with value "1" when checked.
-    for (const it of meds) {
-      if (!it || !it.csvKey) continue;
-      const k = `Medications.${it.csvKey}`; // matches app.js naming
-      if (responses[k] === "1") {
-        out.selected.push(it.csvKey);
-        const cls = it.class || "Medications";
-        if (!out.byClass[cls]) out.byClass[cls] = [];
-        out.byClass[cls].push(it.csvKey);
-      }
+  // COMPOSITE INDEX (weights, components and bands from CONFIG.compositeIndex)
+  // Runs on the finished snapshot so it never re-reads responses.
+  function readPath(block, path) {
+    let v = block;
+    for (const part of String(path || "").split(".")) {
+      if (v == null) break;
+      v = v[part];
     }
-    return out;
+    return v;
   }
 
-  // EXPOSURES (Micro/Nanoplastics; Toxins; Foods/Additives)
-  // Optional numeric weights come from instruments_config.json (per WP code).
-  function scoreExposureSection(responses, sectionId, sectionLabel, instruments) {
-    const section = instruments?.[sectionId];
-    const items = section?.items || [];
-    const selected = [];
-    let weighted = 0;
-
-    for (const it of items) {
-      if (!it || !it.csvKey) continue;
-      const k = `${sectionLabel}.${it.csvKey}`; // matches app.js naming
-      if (responses[k] === "1") {
-        selected.push(it.csvKey);
-        if (typeof it.weight === "number") {
-          weighted += it.weight;
-        }
-      }
+  function componentValue(block, comp) {
+    const v = readPath(block, comp.path);
+    if (comp.count) {
+      if (Array.isArray(v)) return v.length;
+      return v && typeof v === "object" ? Object.keys(v).length : 0;
     }
-    return { selected, weighted };
+    return toNumber(v, 0);
   }
 
-  // AGE/BMI (bands available in CONFIG, if desired by summary)
-  function classifyAgeBmi(age, bmi, config) {
-    const ageTier = findTier(config.ageBands, toNumber(age, -1));
-    const bmiTier = findTier(config.bmiBands, toNumber(bmi, -1));
-    return { ageTier, bmiTier };
+  // A component counts only when the instrument it reads is complete
+  // (CONFIG.completion): the first block on its path carrying `complete`
+  // (questionnaire rules) decides. Unanswered items would otherwise read as
+  // 0 — maximum risk on an inverted scale, no risk on the others. Checklist
+  // blocks have no unanswered state and always count.
+  function componentComplete(block, path) {
+    let v = block;
+    for (const part of String(path || "").split(".")) {
+      if (v == null || typeof v !== "object") break;
+      if ("complete" in v) return v.complete === true;
+      v = v[part];
+    }
+    return true;
+  }
+
+  function scoreComposite(snap, config) {
+    const spec = config?.compositeIndex;
+    if (!spec || !Array.isArray(spec.categories)) return null;
+
+    const totalWeight = sum(spec.categories.map(c => c.weight));
+    if (totalWeight <= 0) return null;
+
+    const categories = spec.categories.map(cat => {
+      const all = cat.components || [];
+      const comps = all.filter(comp => componentComplete(snap[cat.id], comp.path));
+      const parts = comps.map(comp => {
+        const span = comp.max - comp.min;
+        if (!(span > 0)) return 0;
+        const frac = clamp((componentValue(snap[cat.id], comp) - comp.min) / span, 0, 1);
+        return comp.invert ? 1 - frac : frac;
+      });
+      const weight = toNumber(cat.weight, 0);
+      // No complete instrument: "insufficient data", not a score of 0
+      const score = parts.length ? sum(parts) / parts.length : null;
+      return {
+        id: cat.id,
+        label: cat.label || cat.id,
+        weight,
+        score: score === null ? null : Math.round(score * 100),
+        // Points this category adds to the 0–100 index
+        contribution: score === null ? null : Math.round((score * weight / totalWeight) * 1000) / 10,
+        // Components left out because their instrument is incomplete
+        skipped: all.length - comps.length
+      };
+    });
+
+    // The index needs every category; until then it is insufficient data
+    const insufficient = categories.some(c => c.score === null);
+    const index = insufficient ? null : Math.round(sum(categories.map(c => c.contribution)));
+    return { index, tier: insufficient ? null : findTier(spec.tiers, index), insufficient, categories };
   }
 
   // -------------------- Public API --------------------
 
   const SCORING = {
+    /**
+     * Answered/total counts for every questionnaire instrument in CONFIG
+     * (checklists have no "unanswered" state and are not included).
+     * @param {Object} responses Flat map from app.js of all user inputs.
+     * @param {Object} config CONFIG from assets/config.js.
+     * @returns {Object} { <instrumentId>: {answered, itemCount, unanswered:string[], complete} }
+     */
+    completion(responses, config) {
+      const out = {};
+      for (const cat of config?.categories || []) {
+        for (const inst of cat.instruments || []) {
+          if (inst.items && inst.items.length) out[inst.id] = instrumentCompletion(responses || {}, inst, config);
+        }
+      }
+      return out;
+    },
+
+    /**
+     * Derive age and BMI from the demographics intake responses.
+     * @param {Object} responses Flat map from app.js of all user inputs.
+     * @param {Object} config CONFIG from assets/config.js.
+     * @param {Date} [asOf] Reference date for age from date of birth (default: today).
+     * @returns {{age:?number, bmi:?number, heightCm:?number, weightKg:?number, errors:string[]}}
+     */
+    demographics(responses, config, asOf) {
+      return deriveDemographics(responses || {}, config, asOf);
+    },
+
     /**
      * Compute full scoring snapshot for all categories.
      * @param {Object} responses Flat map from app.js of all user inputs.
@@ -251,31 +501,41 @@
      * @param {Object} [opts] Optional { age, bmi } to classify with bands.
      */
     compute(responses, config, instruments, opts = {}) {
-      const personal = scorePersonal(responses, config);
-      const social = scoreSocial(responses, config);
-      const sensory = scoreSensory(responses, config);
-      const meds = scoreMedications(responses, instruments);
-
-      const micro = scoreExposureSection(responses, "microplastics", "Micro/Nanoplastic Exposure", instruments);
-      const toxins = scoreExposureSection(responses, "toxins", "Toxin Exposure", instruments);
-      const foods = scoreExposureSection(responses, "foods", "Brain Threat Foods & Additives", instruments);
+      const snap = scoreCategories(responses, config, instruments);
+      snap.ageBmi = classifyAgeBmi(opts.age, opts.bmi, config);
+      snap.composite = scoreComposite(snap, config);
+      return snap;
+    },
 
-      const ageBmi = classifyAgeBmi(opts.age, opts.bmi, config);
+    /**
+     * Snapshot block of a CONFIG instrument: snap[<category id>][resultKey || id]
+     * for questionnaires, snap[resultKey || source] for checklists.
+     * @param {Object} snap SCORING.compute() snapshot.
+     * @param {Object} category CONFIG category holding the instrument.
+     * @param {Object} instrument CONFIG instrument.
+     * @returns {Object|undefined}
+     */
+    resultBlock(snap, category, instrument) {
+      return resultPath(category, instrument).reduce((node, k) => node?.[k], snap);
+    },
 
-      return {
-        personal,
-        social,
-        sensory,
-        medications: meds,
-        microplastics: micro,
-        toxins,
-        foods,
-        ageBmi
-      };
+    /**
+     * Headline values of an instrument's block by its `scoring.rule`, with
+     * ranges from CONFIG (sum: item count × scale; normalized: `normalized`).
+     * Unknown rules have none.
+     * @param {Object} instrument CONFIG instrument.
+     * @returns {Array<{id:string, label:string, value:Function, tier?:Function, range?:{min:number,max:number}}>}
+     */
+    measures(instrument) {
+      const rule = instrument?.scoring?.rule;
+      return Object.prototype.hasOwnProperty.call(MEASURES, rule) ? MEASURES[rule](instrument) : [];
     }
   };
 
   if (typeof window !== "undefined") {
     window.SCORING = SCORING;
   }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = SCORING;
+  }
 })();
@@ -5,21 +5,49 @@
    PURPOSE
    - Render a transparent, non-inferential summary of current responses.
    - Uses ONLY code-defined scores/tiers from SCORING + CONFIG.
-   - Does not read CSV; helper text and brands are handled in app.js UI.
+   - Two views of the SAME SCORING.compute() snapshot (SUMMARY.setMode):
+       patient    plain-language item labels from CONFIG and CSV `threat`
+                  text, results as tiers, supportive framing
+       clinician  item-level answers, raw and scored values (reverse-scored
+                  PSS items marked), band tables, medication classes and
+                  anticholinergic levels/points
+     Categories and instruments render in CONFIG order, one view per
+     `scoring.rule`.
+   - CSV text (checklist labels) comes from __CSV_LOOKUPS__, already in the
+     UI language; nothing is read from the CSV directly.
    - No heuristics. If data is missing, sections simply report "None selected"
      or raw totals that can be computed from provided inputs.
+   - Text is in the UI language (window.I18N; summary.*, category.*,
+     instrument.*, item.*, scale.*, tier.*, composite.* string ids), so the
+     copied summary matches the screen. Numbers are shown as-is.
+   - Tier changes are announced politely through #summary-announcer (an
+     aria-live region) so screen-reader users hear what changed without the
+     rebuilt summary being read out.
 
    INTEGRATION
    - app.js calls:
        SUMMARY.updateSummary(collectAllResponses())
+       SUMMARY.setMode(mode)      (then updateSummary again)
        SUMMARY.reset()
    - This module reads from:
        window.SCORING (provided by assets/scoring.js)
        window.CONFIG  (provided by assets/config.js)
+       window.PLAN    (provided by assets/plan.js; Action Plan section)
+       window.I18N    (provided by assets/i18n.js; English when absent)
+       window.__CSV_LOOKUPS__ (threat/detail text set by app.js; checklist
+                              labels and PLAN)
    =========================================================================== */
 
 (function () {
   const $summary = document.getElementById("summary-content");
+  const $announcer = document.getElementById("summary-announcer");
+
+  const MODES = ["patient", "clinician"];
+
+  // currentTiers() of the previous update (null until the first one)
+  let lastTiers = null;
+  // SUMMARY.setMode(); null = CONFIG.summaryModes.defaultMode
+  let mode = null;
 
   // ------------- Utilities -------------
 
@@ -31,6 +59,26 @@
       .replace(/"/g, "&quot;");
   }
 
+  // Display text in the UI language; `fallback` is the English text
+  function t(id, fallback, vars) {
+    if (window.I18N) return window.I18N.t(id, fallback, vars);
+    return String(fallback).replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] != null ? vars[k] : m));
+  }
+
+  function activeMode() {
+    const fallback = window.CONFIG?.summaryModes?.defaultMode;
+    return mode || (MODES.includes(fallback) ? fallback : "patient");
+  }
+
+  function tierName(label) {
+    return label ? t(`tier.${label}`, label) : "—";
+  }
+
+  // Composite index / category without enough complete instruments
+  function insufficient() {
+    return t("summary.insufficientData", "Insufficient data");
+  }
+
   function el(tag, cls, text) {
     const n = document.createElement(tag);
     if (cls) n.className = cls;
@@ -49,7 +97,7 @@
     return row;
   }
 
-  function listOrNone(arr, noneMsg = "None selected") {
+  function listOrNone(arr, noneMsg = t("summary.noneSelected", "None selected")) {
     if (!Array.isArray(arr) || arr.length === 0) {
       const p = el("p", "sum-none", noneMsg);
       return p;
@@ -62,187 +110,410 @@
     return ul;
   }
 
-  function groupList(obj, noneMsg = "None selected") {
-    const wrap = document.createDocumentFragment();
-    if (!obj || Object.keys(obj).length === 0) {
-      wrap.appendChild(el("p", "sum-none", noneMsg));
-      return wrap;
-    }
-    for (const cls of Object.keys(obj)) {
-      const h = el("h4", "sum-h4", cls);
-      wrap.appendChild(h);
-      wrap.appendChild(listOrNone(obj[cls]));
+  function totalLabel(range) {
+    return t("summary.total", "Total ({range})", { range });
+  }
+
+  // Tier, or why there is none yet (CONFIG.completion not met)
+  function tierText(block) {
+    if (block?.tier) return tierName(block.tier);
+    if (block && block.complete === false) {
+      return t("summary.incomplete", "Incomplete ({answered}/{itemCount} answered)", block);
     }
-    return wrap;
+    return "—";
+  }
+
+  function lc(s) { return String(s || "").trim().toLowerCase(); }
+
+  function table(headers, rows, cls = "sum-table") {
+    const tbl = el("table", cls);
+    const hr = el("tr");
+    headers.forEach(h => hr.appendChild(el("th", null, h)));
+    tbl.appendChild(hr);
+    rows.forEach(cells => {
+      const tr = el("tr");
+      cells.forEach(c => tr.appendChild(el("td", null, c == null || c === "" ? "—" : String(c))));
+      tbl.appendChild(tr);
+    });
+    return tbl;
+  }
+
+  // CONFIG bands ({min, max, label}) with the band in effect marked
+  function bandTable(bands, current) {
+    return table(
+      [t("summary.band", "Band"), t("summary.range", "Range")],
+      (bands || []).map(b => [
+        b.label === current ? t("summary.currentBand", "{tier} (current)", { tier: tierName(b.label) }) : tierName(b.label),
+        `${b.min}–${b.max}`
+      ])
+    );
+  }
+
+  function humanize(s) {
+    return String(s).replace(/([A-Z])/g, " $1").replace(/_/g, " ").replace(/\s+/g, " ").trim();
+  }
+
+  function instrumentTitle(inst) {
+    return t(`instrument.${inst.id}`, inst.label);
+  }
+
+  function itemLabel(inst, key) {
+    return t(`item.${inst.id}.${key}`, (inst.items.find(it => it.key === key) || {}).label || key);
+  }
+
+  // Answer as shown on the form: Yes/No, or the scale option for a value
+  function answerText(inst, value) {
+    if (value == null || String(value).trim() === "") return "—";
+    if (inst.widget === "yesno") return t(`answer.${value}`, value);
+    const lab = Object.keys(inst.scale || {}).find(k => String(inst.scale[k]) === String(value));
+    return lab ? t(`scale.${inst.id}.${lab}`, t(`scale.${lab}`, humanize(lab))) : String(value);
+  }
+
+  // Lowest–highest possible total, e.g. "0–24"
+  function totalRange(inst) {
+    const values = Object.values(inst.scale || {}).map(Number).filter(Number.isFinite);
+    if (!values.length) return "";
+    const n = inst.items.length;
+    return `${n * Math.min(...values)}–${n * Math.max(...values)}`;
+  }
+
+  // CSV `threat` text (UI language) for a checklist item key
+  function csvLabel(key) {
+    const threat = window.__CSV_LOOKUPS__?.threatByKey || {};
+    return threat[lc(key)] || key;
+  }
+
+  // Snapshot block for a CONFIG instrument (see CONFIG `resultKey`)
+  function snapBlock(snap, cat, inst) {
+    if (inst.widget === "checklist") return snap[inst.resultKey || inst.source];
+    return snap[cat.id]?.[inst.resultKey || inst.id];
   }
 
   // ------------- Renderers -------------
 
-  function renderPersonal(block, personal) {
-    const sec = el("section", "sum-sec");
-    sec.appendChild(el("h3", "sum-h3", "Personal History"));
-
-    // History (Yes flags with tiers)
-    const hCard = el("div", "sum-card");
-    hCard.appendChild(el("h4", "sum-h4", "Personal History Questionnaire"));
-    if (personal?.history) {
-      const { selected = [], tiers = {} } = personal.history;
-      if (selected.length === 0) {
-        hCard.appendChild(el("p", "sum-none", "No risk flags selected."));
-      } else {
-        const ul = el("ul", "sum-list");
-        selected.forEach(k => {
-          const t = tiers[k] ? ` — Tier: ${tiers[k]}` : "";
-          const li = el("li", null, `${k}${t}`);
-          ul.appendChild(li);
-        });
-        hCard.appendChild(ul);
-      }
-    }
-    sec.appendChild(hCard);
-
-    // Medical & Lifestyle (Yes flags with tiers)
-    const mCard = el("div", "sum-card");
-    mCard.appendChild(el("h4", "sum-h4", "Medical & Lifestyle"));
-    if (personal?.medicalLifestyle) {
-      const { selected = [], tiers = {} } = personal.medicalLifestyle;
-      if (selected.length === 0) {
-        mCard.appendChild(el("p", "sum-none", "No risk flags selected."));
-      } else {
-        const ul = el("ul", "sum-list");
-        selected.forEach(k => {
-          const t = tiers[k] ? ` — Tier: ${tiers[k]}` : "";
-          ul.appendChild(el("li", null, `${k}${t}`));
-        });
-        mCard.appendChild(ul);
-      }
-    }
-    sec.appendChild(mCard);
-
-    // Sleep (total + severity tier if defined)
-    const sCard = el("div", "sum-card");
-    sCard.appendChild(el("h4", "sum-h4", "Sleep"));
-    if (personal?.sleep) {
-      sCard.appendChild(kvLine("Total (0–24)", personal.sleep.total ?? 0));
-      sCard.appendChild(kvLine("Severity", personal.sleep.tier ?? "—"));
-    }
-    sec.appendChild(sCard);
-
-    // Stress (total + tier)
-    const pCard = el("div", "sum-card");
-    pCard.appendChild(el("h4", "sum-h4", "Stress (PSS-4)"));
-    if (personal?.stress) {
-      pCard.appendChild(kvLine("Total (0–16)", personal.stress.total ?? 0));
-      pCard.appendChild(kvLine("Tier", personal.stress.tier ?? "—"));
+  function renderComposite(block, composite) {
+    if (!composite) return;
+    const sec = el("section", "sum-sec sum-composite");
+    sec.appendChild(el("h3", "sum-h3", t("summary.composite", "Overall Brain-Threat Index")));
+    sec.appendChild(kvLine(t("summary.index", "Index (0–100)"), composite.index === null ? insufficient() : composite.index));
+    sec.appendChild(kvLine(t("summary.tier", "Tier"), tierName(composite.tier)));
+
+    // Largest contributors first so follow-up priorities read top-down
+    sec.appendChild(table(
+      [
+        t("summary.category", "Category"),
+        t("summary.categoryScore", "Category score"),
+        t("summary.weight", "Weight"),
+        t("summary.contribution", "Contribution")
+      ],
+      composite.categories
+        .slice()
+        .sort((a, b) => (b.contribution ?? -1) - (a.contribution ?? -1))
+        .map(c => [
+          t(`composite.${c.id}`, c.label),
+          c.score === null ? insufficient() : `${c.score}%`,
+          String(c.weight),
+          c.contribution === null ? "—" : t("summary.points", "{points} pts", { points: c.contribution })
+        ]),
+      "sum-composite-table"
+    ));
+    sec.appendChild(bandTable(window.CONFIG.compositeIndex?.tiers, composite.tier));
+
+    block.appendChild(sec);
+  }
+
+  function renderPatientComposite(block, composite) {
+    if (!composite) return;
+    const sec = el("section", "sum-sec sum-composite");
+    sec.appendChild(el("h3", "sum-h3", t("summary.composite", "Overall Brain-Threat Index")));
+    sec.appendChild(kvLine(t("summary.yourIndex", "Your index"), composite.index === null
+      ? t("summary.indexInsufficient", "Not enough answers yet — complete every questionnaire to see your index.")
+      : t("summary.indexOf", "{index} of 100 — {tier}", { index: composite.index, tier: tierName(composite.tier) })));
+    if (composite.index === null) {
+      block.appendChild(sec);
+      return;
     }
-    sec.appendChild(pCard);
-
-    // Physical Activity (No flags with tiers)
-    const aCard = el("div", "sum-card");
-    aCard.appendChild(el("h4", "sum-h4", "Physical Activity"));
-    if (personal?.activity) {
-      const flags = personal.activity.noFlags || {};
-      if (Object.keys(flags).length === 0) {
-        aCard.appendChild(el("p", "sum-none", "Meets all activity targets selected."));
+    const top = composite.categories
+      .filter(c => c.contribution > 0)
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, 3)
+      .map(c => t(`composite.${c.id}`, c.label));
+    if (top.length) sec.appendChild(kvLine(t("summary.largestContributors", "Largest contributors"), top.join(", ")));
+    block.appendChild(sec);
+  }
+
+  // One view per CONFIG `scoring.rule`: view(card, instrument, snapshot block)
+  const CLINICIAN = {
+    // Every item with its answer; the tier of each risk answer
+    yesFlags(card, inst, b) {
+      card.appendChild(table(
+        [t("summary.item", "Item"), t("summary.answer", "Answer"), t("summary.tier", "Tier")],
+        inst.items.map(it => [itemLabel(inst, it.key), answerText(inst, b.answers?.[it.key]), b.tiers?.[it.key] ? tierName(b.tiers[it.key]) : ""])
+      ));
+    },
+
+    noFlags(card, inst, b) {
+      card.appendChild(table(
+        [t("summary.item", "Item"), t("summary.answer", "Answer"), t("summary.tier", "Tier")],
+        inst.items.map(it => [itemLabel(inst, it.key), answerText(inst, b.answers?.[it.key]), b.noFlags?.[it.key] ? tierName(b.noFlags[it.key]) : ""])
+      ));
+    },
+
+    // Raw answer and the points it scored (reverse-scored items marked)
+    sum(card, inst, b) {
+      const reverse = new Set(inst.reverse || []);
+      card.appendChild(table(
+        [t("summary.item", "Item"), t("summary.answer", "Answer"), t("summary.raw", "Raw"), t("summary.scored", "Scored")],
+        inst.items.map(it => {
+          const scored = b.scored?.[it.key];
+          return [
+            itemLabel(inst, it.key),
+            answerText(inst, b.answers?.[it.key]),
+            b.answers?.[it.key],
+            scored != null && reverse.has(it.key) ? t("summary.reversed", "{points} (reversed)", { points: scored }) : scored
+          ];
+        })
+      ));
+      card.appendChild(kvLine(totalLabel(totalRange(inst)), b.total ?? 0));
+      card.appendChild(kvLine(t("summary.tier", "Tier"), tierText(b)));
+      if (inst.tiers) card.appendChild(bandTable(inst.tiers, b.tier));
+    },
+
+    normalized(card, inst, b) {
+      card.appendChild(table(
+        [t("summary.item", "Item"), t("summary.answer", "Answer"), t("summary.raw", "Raw")],
+        inst.items.map(it => [itemLabel(inst, it.key), answerText(inst, b.answers?.[it.key]), b.answers?.[it.key]])
+      ));
+      card.appendChild(kvLine(t("summary.vfqScore", "Score (0–100, higher is better)"), b.score ?? "—"));
+      card.appendChild(kvLine(t("summary.rawTotal", "Raw total ({range})", { range: totalRange(inst) }), b.rawTotal ?? 0));
+    },
+
+    // Class and anticholinergic level (with CONFIG points) per medication
+    anticholinergic(card, inst, b) {
+      const points = window.CONFIG.anticholinergicPoints || {};
+      const levels = b.anticholinergic?.levels || {};
+      card.appendChild(el("h4", "sum-h4", t("summary.selectedMedications", "Selected Medications")));
+      if (!b.selected?.length) {
+        card.appendChild(el("p", "sum-none", t("summary.noneSelected", "None selected")));
       } else {
-        const ul = el("ul", "sum-list");
-        for (const k of Object.keys(flags)) {
-          ul.appendChild(el("li", null, `${k} — Tier: ${flags[k]}`));
+        const rows = [];
+        for (const cls of Object.keys(b.byClass || {})) {
+          for (const key of b.byClass[cls]) {
+            const level = levels[key];
+            rows.push([csvLabel(key), cls, level ? tierName(level) : "", level ? points[level] : ""]);
+          }
         }
-        aCard.appendChild(ul);
+        card.appendChild(table(
+          [t("summary.medication", "Medication"), t("summary.class", "Class"), t("summary.acbLevel", "Anticholinergic level"), t("summary.acbPoints", "Points")],
+          rows
+        ));
+      }
+
+      // Free-text entries have no CSV row: listed but explicitly unrated
+      if (b.other?.length) {
+        card.appendChild(el("h4", "sum-h4", t("summary.otherMedications", "Other Medications (unrated)")));
+        card.appendChild(listOrNone(b.other.map(name => t("summary.otherUnrated", "{name} — not rated; review manually", { name }))));
+      }
+
+      // Cumulative anticholinergic burden (points/tiers from CONFIG)
+      card.appendChild(el("h4", "sum-h4", t("summary.anticholinergic", "Anticholinergic Burden")));
+      card.appendChild(kvLine(t("summary.totalPlain", "Total"), b.anticholinergic?.total ?? 0));
+      card.appendChild(kvLine(t("summary.tier", "Tier"), tierName(b.anticholinergic?.tier)));
+      card.appendChild(bandTable(window.CONFIG.anticholinergicTiers, b.anticholinergic?.tier));
+    },
+
+    weighted(card, inst, b) {
+      card.appendChild(listOrNone((b.selected || []).map(csvLabel)));
+      // If weighted score was defined in instruments_config.json, show it
+      if (typeof b.weighted === "number") {
+        card.appendChild(kvLine(t("summary.weighted", "Weighted score"), b.weighted));
       }
     }
-    sec.appendChild(aCard);
+  };
 
-    block.appendChild(sec);
+  // Nothing answered yet: say so rather than "nothing flagged" / "targets met"
+  function notAnswered(card, b) {
+    if (b.answered !== 0) return false;
+    card.appendChild(el("p", "sum-none", t("summary.notAnswered", "Not answered yet.")));
+    return true;
   }
 
-  function renderSocial(block, social) {
-    const sec = el("section", "sum-sec");
-    sec.appendChild(el("h3", "sum-h3", "Social & Loneliness Assessment"));
-
-    const sCard = el("div", "sum-card");
-    sCard.appendChild(el("h4", "sum-h4", "LSNS-6"));
-    sCard.appendChild(kvLine("Total (0–30)", social?.lsns6?.total ?? 0));
-    sec.appendChild(sCard);
+  // Plain-language labels and tiers only: no item scores, band tables or
+  // per-item tier labels
+  const PATIENT = {
+    yesFlags(card, inst, b) {
+      if (notAnswered(card, b)) return;
+      if (!b.selected?.length) {
+        card.appendChild(el("p", "sum-none", t("summary.nothingFlagged", "Nothing flagged here.")));
+        return;
+      }
+      card.appendChild(el("p", null, t("summary.worthDiscussing", "Worth discussing with your clinician:")));
+      card.appendChild(listOrNone(b.selected.map(k => itemLabel(inst, k))));
+    },
 
-    const uCard = el("div", "sum-card");
-    uCard.appendChild(el("h4", "sum-h4", "UCLA-3"));
-    uCard.appendChild(kvLine("Total (3–9)", social?.ucla3?.total ?? 0));
-    sec.appendChild(uCard);
+    noFlags(card, inst, b) {
+      if (notAnswered(card, b)) return;
+      const keys = Object.keys(b.noFlags || {});
+      if (!keys.length) {
+        card.appendChild(el("p", "sum-none", t("summary.activityMet", "Meets all activity targets selected.")));
+        return;
+      }
+      card.appendChild(el("p", null, t("summary.targets", "Targets to work toward:")));
+      card.appendChild(listOrNone(keys.map(k => itemLabel(inst, k))));
+    },
 
-    block.appendChild(sec);
-  }
+    sum(card, inst, b) {
+      card.appendChild(kvLine(t("summary.result", "Result"), tierText(b)));
+    },
 
-  function renderSensory(block, sensory) {
-    const sec = el("section", "sum-sec");
-    sec.appendChild(el("h3", "sum-h3", "Sensory Assessment"));
+    normalized(card, inst, b) {
+      card.appendChild(kvLine(t("summary.result", "Result"), b.score == null
+        ? "—"
+        : t("summary.scoreOf", "{score} of 100 (higher is better)", { score: b.score })));
+    },
 
-    const hCard = el("div", "sum-card");
-    hCard.appendChild(el("h4", "sum-h4", "Hearing (HHIE-S)"));
-    hCard.appendChild(kvLine("Total (0–40)", sensory?.hhie?.total ?? 0));
-    sec.appendChild(hCard);
+    anticholinergic(card, inst, b) {
+      card.appendChild(listOrNone((b.selected || []).map(csvLabel)));
+      if (b.other?.length) {
+        card.appendChild(listOrNone(b.other.map(name => t("summary.otherReview", "{name} — ask your pharmacist to review it", { name }))));
+      }
+      if (b.selected?.length) {
+        card.appendChild(kvLine(t("summary.anticholinergic", "Anticholinergic Burden"), tierName(b.anticholinergic?.tier)));
+        card.appendChild(el("p", "sum-note", t("summary.medsNote", "Some medicines can affect memory and attention. Review them with your prescriber or pharmacist; do not stop any medicine on your own.")));
+      }
+    },
 
-    const vCard = el("div", "sum-card");
-    vCard.appendChild(el("h4", "sum-h4", "Vision (VFQ-3 of 7)"));
-    vCard.appendChild(kvLine("Raw total (0–28)", sensory?.vfq3of7?.rawTotal ?? 0));
-    sec.appendChild(vCard);
+    weighted(card, inst, b) {
+      card.appendChild(listOrNone((b.selected || []).map(csvLabel)));
+    }
+  };
 
-    block.appendChild(sec);
+  // One section per CONFIG category, one card per instrument. Checklists
+  // are the whole category, so their card has no heading of its own.
+  function renderCategories(block, snap, view) {
+    for (const cat of window.CONFIG.categories || []) {
+      const sec = el("section", "sum-sec");
+      sec.appendChild(el("h3", "sum-h3", t(`category.${cat.id}`, cat.label)));
+      for (const inst of cat.instruments || []) {
+        const render = view[inst.scoring?.rule];
+        if (!render) continue;
+        const card = el("div", "sum-card");
+        if (inst.widget !== "checklist") card.appendChild(el("h4", "sum-h4", instrumentTitle(inst)));
+        render(card, inst, snapBlock(snap, cat, inst) || {});
+        sec.appendChild(card);
+      }
+      block.appendChild(sec);
+    }
   }
 
-  function renderMedications(block, meds) {
+  function renderActionPlan(block, plan) {
     const sec = el("section", "sum-sec");
-    sec.appendChild(el("h3", "sum-h3", "Medication Threat Assessment"));
-
-    const mCard = el("div", "sum-card");
-    mCard.appendChild(el("h4", "sum-h4", "Selected Medications"));
-    if (!meds || (Array.isArray(meds.selected) && meds.selected.length === 0)) {
-      mCard.appendChild(el("p", "sum-none", "None selected"));
-    } else {
-      // Show by class grouping where available
-      mCard.appendChild(groupList(meds.byClass, "None selected"));
+    sec.appendChild(el("h3", "sum-h3", t("summary.actionPlan", "Action Plan")));
+
+    if (!plan || plan.length === 0) {
+      sec.appendChild(el("p", "sum-none", t("summary.noActions", "No actions yet — plan entries appear as risks are selected.")));
+      block.appendChild(sec);
+      return;
     }
-    sec.appendChild(mCard);
 
+    const ol = el("ol", "sum-list sum-plan");
+    plan.forEach(p => {
+      const li = el("li");
+      li.appendChild(el("strong", null, `[${tierName(p.tier)}] `));
+      li.appendChild(document.createTextNode(p.action));
+      li.appendChild(el("div", "sum-plan-src", t("summary.planFor", "For: {sources}", { sources: p.sources.join("; ") })));
+      ol.appendChild(li);
+    });
+    sec.appendChild(ol);
     block.appendChild(sec);
   }
 
-  function renderExposure(block, label, section) {
+  // Items still unanswered, per questionnaire (labels from CONFIG)
+  function renderUnanswered(block, completion) {
     const sec = el("section", "sum-sec");
-    sec.appendChild(el("h3", "sum-h3", label));
-
-    const card = el("div", "sum-card");
-    card.appendChild(el("h4", "sum-h4", "Selections"));
-    if (!section || (Array.isArray(section.selected) && section.selected.length === 0)) {
-      card.appendChild(el("p", "sum-none", "None selected"));
-    } else {
-      card.appendChild(listOrNone(section.selected));
-    }
-
-    // If weighted score was defined in instruments_config.json, show it
-    if (section && typeof section.weighted === "number") {
-      card.appendChild(kvLine("Weighted score", section.weighted));
+    sec.appendChild(el("h3", "sum-h3", t("summary.unanswered", "Unanswered Items")));
+
+    let any = false;
+    for (const cat of window.CONFIG.categories || []) {
+      for (const inst of cat.instruments || []) {
+        const c = completion[inst.id];
+        if (!c || c.unanswered.length === 0) continue;
+        any = true;
+        const card = el("div", "sum-card");
+        card.appendChild(el("h4", "sum-h4", t("summary.progress", "{instrument} — {answered}/{itemCount} answered", {
+          instrument: t(`instrument.${inst.id}`, inst.label),
+          answered: c.answered,
+          itemCount: c.itemCount
+        })));
+        // A section not started at all is one line, not every question
+        if (c.answered === 0) {
+          card.appendChild(el("p", "sum-none", t("summary.notStarted", "Not started.")));
+        } else {
+          const labels = c.unanswered.map(k => t(`item.${inst.id}.${k}`, (inst.items.find(it => it.key === k) || {}).label || k));
+          card.appendChild(listOrNone(labels));
+        }
+        sec.appendChild(card);
+      }
     }
+    if (!any) sec.appendChild(el("p", "sum-none", t("summary.allAnswered", "All questionnaire items answered.")));
 
-    sec.appendChild(card);
     block.appendChild(sec);
   }
 
   function renderAgeBmi(block, ageBmi) {
     // Optional section (only shows if any tier is available)
-    const { ageTier, bmiTier } = (ageBmi || {});
+    const { age, bmi, ageTier, bmiTier } = (ageBmi || {});
     if (!ageTier && !bmiTier) return;
 
     const sec = el("section", "sum-sec");
-    sec.appendChild(el("h3", "sum-h3", "Age & BMI Classification"));
+    sec.appendChild(el("h3", "sum-h3", t("summary.ageBmi", "Age & BMI Classification")));
 
-    if (ageTier) sec.appendChild(kvLine("Age band", ageTier));
-    if (bmiTier) sec.appendChild(kvLine("BMI band", bmiTier));
+    if (ageTier) {
+      sec.appendChild(kvLine(t("summary.ageBand", "Age band"), t("summary.ageValue", "{tier} (age {age})", { tier: tierName(ageTier), age })));
+    }
+    if (bmiTier) {
+      sec.appendChild(kvLine(t("summary.bmiBand", "BMI band"), t("summary.bmiValue", "{tier} (BMI {bmi})", { tier: tierName(bmiTier), bmi })));
+    }
 
     block.appendChild(sec);
   }
 
+  // ------------- Announcements -------------
+
+  // id => { name, tier } for everything that carries a tier (ids, not display
+  // names, so a language switch is not reported as a change)
+  function currentTiers(snap) {
+    const tiers = new Map();
+    if (snap.composite) {
+      tiers.set("composite", { name: t("summary.composite", "Overall Brain-Threat Index"), tier: snap.composite.tier });
+    }
+    for (const cat of window.CONFIG.categories || []) {
+      for (const inst of cat.instruments || []) {
+        if (inst.widget === "checklist") continue;
+        const block = snapBlock(snap, cat, inst);
+        if (block && "tier" in block) tiers.set(inst.id, { name: t(`instrument.${inst.id}`, inst.label), tier: block.tier });
+      }
+    }
+    const acb = snap.medications?.anticholinergic;
+    if (acb) tiers.set("anticholinergic", { name: t("summary.anticholinergic", "Anticholinergic Burden"), tier: acb.tier });
+    return tiers;
+  }
+
+  // Announce tiers that appeared or changed since the last update
+  function announceTierChanges(snap) {
+    const tiers = currentTiers(snap);
+    const changes = [];
+    if (lastTiers) {
+      for (const [id, { name, tier }] of tiers) {
+        if (tier && tier !== lastTiers.get(id)?.tier) changes.push(`${name}: ${tierName(tier)}`);
+      }
+    }
+    lastTiers = tiers;
+    if (changes.length && $announcer) {
+      $announcer.textContent = t("summary.tierChanges", "Updated tiers — {changes}.", { changes: changes.join("; ") });
+    }
+  }
+
   // ------------- Public API -------------
 
   const SUMMARY = {
@@ -254,10 +525,9 @@
       if (!$summary) return;
       $summary.innerHTML = "";
 
-      // Pull optional age/BMI from inputs if you later add them to the UI.
-      // For now they are undefined (classification section will hide).
-      const age = undefined;
-      const bmi = undefined;
+      // Age/BMI from the demographics intake (null when blank or out of range;
+      // the classification section then hides).
+      const { age, bmi } = window.SCORING.demographics(responses, window.CONFIG);
 
       // Compute snapshot via SCORING; no heuristics.
       const snap = window.SCORING.compute(
@@ -267,15 +537,48 @@
         { age, bmi }
       );
 
-      // Render sections in canonical order
-      renderPersonal($summary, snap.personal);
-      renderSocial($summary, snap.social);
-      renderSensory($summary, snap.sensory);
-      renderMedications($summary, snap.medications);
-      renderExposure($summary, "Micro/Nanoplastic Exposure Assessment", snap.microplastics);
-      renderExposure($summary, "Toxin Exposure Assessment", snap.toxins);
-      renderExposure($summary, "Brain Threat Foods and Additives Assessment", snap.foods);
+      // Render sections in canonical order (overall index first for triage);
+      // both views read this one snapshot
+      const clinician = activeMode() === "clinician";
+      $summary.classList.toggle("sum-clinician", clinician);
+      $summary.classList.toggle("sum-patient", !clinician);
+      if (clinician) {
+        renderComposite($summary, snap.composite);
+        renderCategories($summary, snap, CLINICIAN);
+      } else {
+        $summary.appendChild(el("p", "sum-intro", t("summary.patientIntro", "This summary is a screening aid, not a diagnosis. Many brain-health risks can be changed: the action plan at the end lists practical next steps to go through with your clinician.")));
+        renderPatientComposite($summary, snap.composite);
+        renderCategories($summary, snap, PATIENT);
+      }
       renderAgeBmi($summary, snap.ageBmi);
+      renderUnanswered($summary, window.SCORING.completion(responses, window.CONFIG));
+      announceTierChanges(snap);
+
+      // Action plan last so the copied summary ends with what to do next
+      if (window.PLAN) {
+        renderActionPlan($summary, window.PLAN.build(snap, {
+          config: window.CONFIG,
+          csv: window.__CSV_LOOKUPS__ || {},
+          t
+        }));
+      }
+    },
+
+    /**
+     * Switch between the patient and clinician views. Unknown modes fall back
+     * to CONFIG.summaryModes.defaultMode. Takes effect on the next
+     * updateSummary().
+     * @param {string} next "patient" | "clinician"
+     * @returns {string} The mode now in effect.
+     */
+    setMode(next) {
+      mode = MODES.includes(next) ? next : null;
+      return activeMode();
+    },
+
+    /** Current view ("patient" | "clinician"). */
+    mode() {
+      return activeMode();
     },
 
     /**
@@ -283,6 +586,8 @@
      */
     reset() {
       if ($summary) $summary.innerHTML = "";
+      if ($announcer) $announcer.textContent = "";
+      lastTiers = null;
     }
   };
 
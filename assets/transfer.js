@@ -0,0 +1,211 @@
+/* ===========================================================================
+   Brain Threat Analysis — TRANSFER (Export / Import)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Serialize a complete assessment to a self-describing JSON document so it
+     can be handed from one workstation to another without a server.
+   - Parse such a document back into the flat response map, reporting every
+     key/value that does not match the CURRENT CONFIG + instruments_config.json
+     instead of silently dropping it.
+
+   DOCUMENT SCHEMA (schemaVersion 1)
+     {
+       "schema": "brain-threat-assessment",   // fixed identifier
+       "schemaVersion": 1,                    // bumped on breaking changes
+       "exportedAt": "<ISO 8601 timestamp>",
+       "dataVersion": "<hash>",               // PERSIST.dataVersion at export
+       "language": "en",                      // UI language at export (optional)
+       "responses": {                         // collectAllResponses() map
+         "<instrumentId>.<itemKey>": "<radio value>",   // e.g. "sleep.sleep1": "3"
+         "demographics.<field>": "<entered value>",     // e.g. "demographics.age": "67"
+         "<SectionLabel>.<csvKey>": "1",                // checked checklist item
+         "Other Medications.<slug>": "<entered text>"   // free-text medication
+       },
+       "scoring": { ... }                     // SCORING.compute() snapshot
+     }
+   - "responses" is authoritative. "scoring" is informational: on import the
+     snapshot is recomputed from the responses with the current rules.
+   - A differing dataVersion is reported but does not block the import; only
+     the individual keys that no longer exist are rejected.
+   - On disk the document is sealed with the staff passphrase (app.js +
+     vault.js, context "export"); this file only sees the opened JSON.
+     Files exported before encryption are plain documents; app.js reads
+     them only after staff confirm, since nothing shows they are unchanged.
+   - "language" records which language the form was filled in. Response
+     values and the scoring snapshot are language-neutral, so it never
+     affects an import.
+
+   INTEGRATION
+   - app.js calls:
+       TRANSFER.buildDocument({ responses, scoring, dataVersion, language })
+       TRANSFER.parseDocument(text, { config, instruments, dataVersion })
+       TRANSFER.checkResponses(responses, { config, instruments })
+   =========================================================================== */
+
+(function () {
+  const SCHEMA_ID = "brain-threat-assessment";
+  const SCHEMA_VERSION = 1;
+
+  // -------------------- Utilities --------------------
+
+  function isPlainObject(v) {
+    return v !== null && typeof v === "object" && !Array.isArray(v);
+  }
+
+  // Free-entry demographics values: accept anything of the right shape;
+  // range checks happen in SCORING.demographics().
+  const FIELD_PATTERNS = {
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    number: /^-?\d+(\.\d+)?$/
+  };
+
+  function fieldValues(field) {
+    if (field.type === "choice") return new Set(Object.values(field.options || {}));
+    const re = FIELD_PATTERNS[field.type];
+    return { has: v => !re || re.test(v) };
+  }
+
+  // Every response key the current UI can produce, with its allowed values
+  // (a Set, or a { has(value) } matcher for free-entry fields).
+  function knownResponseKeys(config, instruments) {
+    const known = new Map();
+
+    const demo = config?.demographics;
+    for (const f of demo?.fields || []) {
+      known.set(`${demo.id}.${f.key}`, fieldValues(f));
+    }
+
+    // Radios per CONFIG widget; checkboxes are "<responsePrefix>.<csvKey>"
+    for (const cat of config?.categories || []) {
+      for (const inst of cat.instruments || []) {
+        if (inst.widget === "checklist") {
+          for (const it of instruments?.[inst.source]?.items || []) {
+            if (!it || !it.csvKey) continue;
+            known.set(`${inst.responsePrefix}.${it.csvKey}`, new Set(["1"]));
+          }
+          continue;
+        }
+        const values = inst.widget === "likert"
+          ? Object.values(inst.scale || {}).map(String)
+          : ["Yes", "No"];
+        for (const it of inst.items || []) {
+          if (!it || !it.key) continue;
+          known.set(`${inst.id}.${it.key}`, new Set(values));
+        }
+      }
+    }
+
+    return known;
+  }
+
+  // Free-text medication entries ("<prefix>.<slug>" => text)
+  function isOtherMedication(config, key, value) {
+    const prefix = `${config?.otherMedications?.prefix || "Other Medications"}.`;
+    const max = config?.otherMedications?.maxLength || 80;
+    const text = String(value).trim();
+    return key.startsWith(prefix) && text.length > 0 && text.length <= max;
+  }
+
+  // -------------------- Public API --------------------
+
+  const TRANSFER = {
+    SCHEMA_ID,
+    SCHEMA_VERSION,
+
+    /**
+     * Build an export document (see schema above).
+     * @param {Object} args
+     * @param {Object} args.responses Flat map from app.js collectAllResponses().
+     * @param {Object} args.scoring SCORING.compute() snapshot for those responses.
+     * @param {string} args.dataVersion Data version the responses were captured on.
+     * @param {string} [args.language] UI language code at export (I18N.language()).
+     */
+    buildDocument({ responses, scoring, dataVersion, language }) {
+      return {
+        schema: SCHEMA_ID,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        dataVersion: dataVersion || "",
+        language: language || "en",
+        responses: Object.assign({}, responses),
+        scoring: scoring || null
+      };
+    },
+
+    /**
+     * Suggested download file name for a document.
+     * @param {Object} doc Document from buildDocument().
+     */
+    fileName(doc) {
+      const day = String(doc?.exportedAt || new Date().toISOString()).slice(0, 10);
+      return `brain-threat-assessment-${day}.json`;
+    },
+
+    /**
+     * Parse and check an export document against the current configuration.
+     * Throws an Error when the text is not a readable document at all.
+     * @param {string} text Raw file contents.
+     * @param {Object} ctx { config, instruments, dataVersion } currently loaded.
+     * @returns {{ doc: Object, responses: Object, rejected: Array<{key:string, value:*, reason:string}>, dataVersionMismatch: boolean }}
+     */
+    parseDocument(text, { config, instruments, dataVersion }) {
+      let doc;
+      try {
+        doc = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`File is not valid JSON: ${e.message}`);
+      }
+      if (!isPlainObject(doc) || doc.schema !== SCHEMA_ID) {
+        throw new Error(`File is not a ${SCHEMA_ID} document.`);
+      }
+      if (doc.schemaVersion !== SCHEMA_VERSION) {
+        throw new Error(`Unsupported schemaVersion ${doc.schemaVersion} (expected ${SCHEMA_VERSION}).`);
+      }
+      if (!isPlainObject(doc.responses)) {
+        throw new Error("Document has no responses object.");
+      }
+
+      const { responses, rejected } = TRANSFER.checkResponses(doc.responses, { config, instruments });
+      return {
+        doc,
+        responses,
+        rejected,
+        dataVersionMismatch: Boolean(doc.dataVersion && dataVersion && doc.dataVersion !== dataVersion)
+      };
+    },
+
+    /**
+     * Split a stored response map into the entries the current configuration
+     * can show and those it cannot (also used for profile assessments).
+     * @param {Object} stored Response map as saved.
+     * @param {Object} ctx { config, instruments } currently loaded.
+     * @returns {{ responses: Object, rejected: Array<{key:string, value:*, reason:string}> }}
+     */
+    checkResponses(stored, { config, instruments }) {
+      const known = knownResponseKeys(config, instruments);
+      const responses = Object.create(null);
+      const rejected = [];
+
+      for (const [key, raw] of Object.entries(stored || {})) {
+        const value = String(raw);
+        const allowed = known.get(key);
+        if (isOtherMedication(config, key, value)) {
+          responses[key] = value.trim();
+        } else if (!allowed) {
+          rejected.push({ key, value: raw, reason: "unknown item" });
+        } else if (!allowed.has(value)) {
+          rejected.push({ key, value: raw, reason: "value not on this item's scale" });
+        } else {
+          responses[key] = value;
+        }
+      }
+
+      return { responses, rejected };
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.TRANSFER = TRANSFER;
+  }
+})();
@@ -0,0 +1,347 @@
+/* ===========================================================================
+   Brain Threat Analysis — VAULT (passphrase encryption at rest)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Assessments are health records: everything the app keeps in the browser
+     (persist.js session copy, profiles.js records) and every exported
+     assessment file is encrypted with a key derived from a user passphrase.
+   - WebCrypto only: PBKDF2-SHA-256 derives an AES-GCM 256-bit key; AES-GCM
+     authenticates every sealed value, so a wrong key or a changed byte fails
+     as a whole instead of loading part of a record.
+   - The passphrase itself is never stored. While unlocked the session holds
+     the derived key and a non-extractable PBKDF2 base key (to open exports
+     sealed with another salt); lock() forgets both.
+   - Environment-neutral: attaches to window.VAULT in the browser and to
+     module.exports under Node (globalThis.crypto.subtle); the meta storage
+     can be swapped with VAULT.use() (tests).
+
+   VAULT META (localStorage "brainThreat.vault", JSON, one per browser)
+     {
+       "format": 1,
+       "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "salt": "<base64>" },
+       "check": <envelope>                  // known text sealed with the key
+     }
+   - unlock() opens "check" first: failure there means a WRONG PASSPHRASE;
+     a failure on any later envelope with the vault's own salt means the
+     data was CHANGED OR DAMAGED.
+
+   ENVELOPE (what seal() returns; stored or exported as JSON)
+     {
+       "sealed": "brain-threat-vault",      // fixed identifier
+       "version": 1,
+       "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": <n>, "salt": "<base64>" },
+       "cipher": { "name": "AES-GCM", "iv": "<base64, 12 bytes>" },
+       "context": "<what the value is>",    // also authenticated (AES-GCM additional data)
+       "data": "<base64 ciphertext + tag>"
+     }
+   - `context` ("session", "profile:<id>", "export") is bound into the tag,
+     so a sealed value cannot be moved to another slot unnoticed.
+   - open() rejects an envelope whose kdf.iterations is not a whole number
+     from 1 to 10 × CONFIG.vault.iterations (default 600000) as "damaged",
+     before deriving anything.
+
+   INTEGRATION
+   - app.js calls:
+       VAULT.supported() / isSetUp() / setUp(passphrase, { iterations }) / unlock(passphrase)
+       VAULT.lock() / isUnlocked() / erase()
+       VAULT.seal(value, context) / open(envelope, context) / isSealed(value)
+   - tools/score.js calls VAULT.openWithPassphrase() for encrypted exports.
+   - persist.js and profiles.js seal what they store; errors are VaultError
+     { code: "locked" | "wrong-passphrase" | "damaged" | "weak-passphrase" }.
+   =========================================================================== */
+
+(function () {
+  const META_KEY = "brainThreat.vault";
+  const FORMAT = 1;
+  const SEALED_ID = "brain-threat-vault";
+  const SEALED_VERSION = 1;
+  const CHECK_TEXT = "brain-threat-vault-check";
+  const DEFAULT_ITERATIONS = 600000;
+
+  class VaultError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = "VaultError";
+      this.code = code;
+    }
+  }
+
+  let storageImpl = null; // VAULT.use(); defaults to window.localStorage
+  let session = null;     // { kdf, key, baseKey } while unlocked
+
+  // -------------------- Utilities --------------------
+
+  function storage() {
+    if (storageImpl) return storageImpl;
+    try {
+      return typeof window !== "undefined" ? window.localStorage : null;
+    } catch (e) {
+      return null; // access can throw when storage is disabled
+    }
+  }
+
+  function subtle() {
+    const c = typeof crypto !== "undefined" ? crypto : null;
+    if (!c || !c.subtle) {
+      throw new VaultError("unsupported", "Encryption needs WebCrypto, which this browser does not provide (open the app over https or from localhost).");
+    }
+    return c.subtle;
+  }
+
+  function randomBytes(n) {
+    return crypto.getRandomValues(new Uint8Array(n));
+  }
+
+  function toBase64(bytes) {
+    let bin = "";
+    const view = new Uint8Array(bytes);
+    for (let i = 0; i < view.length; i++) bin += String.fromCharCode(view[i]);
+    return btoa(bin);
+  }
+
+  function fromBase64(text) {
+    const bin = atob(String(text));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  function readMeta() {
+    const store = storage();
+    if (!store) return null;
+    try {
+      const meta = JSON.parse(store.getItem(META_KEY) || "null");
+      return meta && meta.format === FORMAT ? meta : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function sameKdf(a, b) {
+    return a.name === b.name && a.hash === b.hash && a.iterations === b.iterations && a.salt === b.salt;
+  }
+
+  async function baseKeyFor(passphrase) {
+    return subtle().importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  }
+
+  async function deriveKey(baseKey, kdf) {
+    return subtle().deriveKey(
+      { name: "PBKDF2", hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async function encrypt(key, kdf, value, context) {
+    const iv = randomBytes(12);
+    const data = await subtle().encrypt(
+      { name: "AES-GCM", iv, additionalData: new TextEncoder().encode(context) },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return {
+      sealed: SEALED_ID,
+      version: SEALED_VERSION,
+      kdf: Object.assign({}, kdf),
+      cipher: { name: "AES-GCM", iv: toBase64(iv) },
+      context,
+      data: toBase64(data)
+    };
+  }
+
+  // Resolves with the value, or null when the key or the data do not match
+  async function decrypt(key, envelope, context) {
+    try {
+      const plain = await subtle().decrypt(
+        { name: "AES-GCM", iv: fromBase64(envelope.cipher.iv), additionalData: new TextEncoder().encode(context) },
+        key,
+        fromBase64(envelope.data)
+      );
+      return { value: JSON.parse(new TextDecoder().decode(plain)) };
+    } catch (e) {
+      if (e instanceof VaultError) throw e;
+      return null;
+    }
+  }
+
+  // Highest PBKDF2 work factor an envelope may ask for: an imported file
+  // naming a huge count would freeze the page while the key is derived
+  function maxIterations() {
+    const configured = typeof window !== "undefined" && window.CONFIG && window.CONFIG.vault && window.CONFIG.vault.iterations;
+    return 10 * (configured || DEFAULT_ITERATIONS);
+  }
+
+  function checkEnvelope(envelope) {
+    if (!VAULT.isSealed(envelope) || envelope.version !== SEALED_VERSION || !envelope.kdf || !envelope.cipher || typeof envelope.data !== "string") {
+      throw new VaultError("damaged", "Encrypted data is incomplete or in an unknown format.");
+    }
+    const n = envelope.kdf.iterations;
+    if (!Number.isInteger(n) || n < 1 || n > maxIterations()) {
+      throw new VaultError("damaged", "Encrypted data names a key derivation work factor outside the accepted range.");
+    }
+  }
+
+  async function deriveFor(baseKey, envelope) {
+    try {
+      return await deriveKey(baseKey, envelope.kdf);
+    } catch (e) {
+      throw new VaultError("damaged", "Encrypted data names a key derivation this browser cannot use.");
+    }
+  }
+
+  function requireSession() {
+    if (!session) throw new VaultError("locked", "Saved data is locked. Enter the passphrase first.");
+    return session;
+  }
+
+  // -------------------- Public API --------------------
+
+  const VAULT = {
+    VaultError,
+
+    /**
+     * Use another storage for the vault meta (tests); null restores localStorage.
+     * @param {Storage|null} store
+     */
+    use(store) {
+      storageImpl = store;
+      session = null;
+    },
+
+    /** True where WebCrypto is available (secure contexts: https, localhost, file). */
+    supported() {
+      return typeof crypto !== "undefined" && Boolean(crypto && crypto.subtle);
+    },
+
+    /** True once a passphrase has been chosen in this browser. */
+    isSetUp() {
+      return Boolean(readMeta());
+    },
+
+    /** True while the key is held (between unlock()/setUp() and lock()). */
+    isUnlocked() {
+      return Boolean(session);
+    },
+
+    /**
+     * Choose the passphrase for this browser and unlock.
+     * @param {string} passphrase
+     * @param {Object} [opts] { iterations, minLength }
+     */
+    async setUp(passphrase, { iterations = DEFAULT_ITERATIONS, minLength = 1 } = {}) {
+      const pass = String(passphrase ?? "");
+      if (pass.length < minLength) {
+        throw new VaultError("weak-passphrase", `Choose a passphrase of at least ${minLength} characters.`);
+      }
+      const kdf = { name: "PBKDF2", hash: "SHA-256", iterations, salt: toBase64(randomBytes(16)) };
+      const baseKey = await baseKeyFor(pass);
+      const key = await deriveKey(baseKey, kdf);
+      const meta = { format: FORMAT, kdf, check: await encrypt(key, kdf, CHECK_TEXT, "check") };
+      const store = storage();
+      if (!store) throw new VaultError("unsupported", "This browser does not allow saving data locally.");
+      store.setItem(META_KEY, JSON.stringify(meta));
+      session = { kdf, key, baseKey };
+    },
+
+    /**
+     * Derive the key from the passphrase and check it against the vault.
+     * @param {string} passphrase
+     * @throws {VaultError} "wrong-passphrase" (nothing is unlocked).
+     */
+    async unlock(passphrase) {
+      const meta = readMeta();
+      if (!meta) throw new VaultError("locked", "No passphrase has been set up in this browser.");
+      const baseKey = await baseKeyFor(String(passphrase ?? ""));
+      const key = await deriveKey(baseKey, meta.kdf);
+      const check = meta.check && meta.check.cipher ? await decrypt(key, meta.check, "check") : null;
+      if (!check || check.value !== CHECK_TEXT) {
+        throw new VaultError("wrong-passphrase", "Wrong passphrase.");
+      }
+      session = { kdf: meta.kdf, key, baseKey };
+    },
+
+    /** Forget the keys; sealed data stays where it is. */
+    lock() {
+      session = null;
+    },
+
+    /**
+     * Remove the vault meta (forgotten passphrase). Data sealed with it can
+     * no longer be opened; the caller deletes it.
+     */
+    erase() {
+      session = null;
+      const store = storage();
+      if (store) store.removeItem(META_KEY);
+    },
+
+    /**
+     * True for an envelope produced by seal().
+     * @param {*} value
+     */
+    isSealed(value) {
+      return Boolean(value && typeof value === "object" && value.sealed === SEALED_ID);
+    },
+
+    /**
+     * Encrypt a JSON-serializable value with the session key.
+     * @param {*} value
+     * @param {string} context What the value is ("session", "profile:<id>", "export").
+     * @returns {Promise<Object>} Envelope (see header).
+     */
+    async seal(value, context) {
+      const { key, kdf } = requireSession();
+      return encrypt(key, kdf, value, String(context));
+    },
+
+    /**
+     * Decrypt an envelope. Envelopes with another salt (exports from another
+     * browser) are opened with the same passphrase and their own salt.
+     * @param {Object} envelope
+     * @param {string} context Must equal the context it was sealed with.
+     * @throws {VaultError} "damaged" when the key, context or any byte does not match.
+     */
+    async open(envelope, context) {
+      const s = requireSession();
+      checkEnvelope(envelope);
+      const own = sameKdf(envelope.kdf, s.kdf);
+      const key = own ? s.key : await deriveFor(s.baseKey, envelope);
+      const opened = await decrypt(key, envelope, String(context));
+      if (!opened) {
+        throw new VaultError("damaged", own
+          ? "Encrypted data was changed or damaged and was not loaded."
+          : "Encrypted data could not be opened: it was sealed with another passphrase, or changed since.");
+      }
+      return opened.value;
+    },
+
+    /**
+     * Decrypt one envelope with a passphrase, without a vault or session
+     * (tools/score.js reading an exported file).
+     * @param {Object} envelope
+     * @param {string} passphrase
+     * @param {string} context
+     * @throws {VaultError} "damaged" for a wrong passphrase or changed data.
+     */
+    async openWithPassphrase(envelope, passphrase, context) {
+      checkEnvelope(envelope);
+      const key = await deriveFor(await baseKeyFor(String(passphrase ?? "")), envelope);
+      const opened = await decrypt(key, envelope, String(context));
+      if (!opened) {
+        throw new VaultError("damaged", "Encrypted data could not be opened: wrong passphrase, or the file was changed.");
+      }
+      return opened.value;
+    }
+  };
+
+  if (typeof window !== "undefined") {
+    window.VAULT = VAULT;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = VAULT;
+  }
+})();
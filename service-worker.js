@@ -0,0 +1,201 @@
+/* ===========================================================================
+   Brain Threat Analysis — SERVICE WORKER (offline copy)
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in app.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Pre-cache the app shell AND both data files (master.csv,
+     instruments_config.json) so screenings work without a network.
+   - Everything is cached together under one CONTENT VERSION (FNV-1a over all
+     PRECACHE files) in the cache "bta-<version>". Pages are always served
+     from the single current version, so the UI never mixes old and new
+     data or code.
+   - Updates are staged, never swapped under a running page:
+       1. offline.js asks "check-for-update" after each load and when the
+          connection comes back.
+       2. The worker re-downloads every file; a different content version is
+          stored complete as the PENDING cache and the page is told
+          "update-available" (it shows the reload notice).
+       3. "apply-update" (Reload button) promotes the pending version; the
+          page reloads and starts on the new files. Old caches are deleted.
+   - A changed service-worker.js installs as a waiting worker that stages its
+     own pending version the same way; "skip-waiting" activates it and the
+     page reloads on controllerchange (offline.js).
+
+   STATE (cache "bta-meta", survives worker restarts)
+     current-version   content version pages are served from
+     pending-version   staged version waiting for "apply-update" (optional)
+
+   MESSAGES
+     page → worker: { type: "check-for-update" } | { type: "apply-update" } | { type: "skip-waiting" }
+     worker → page: { type: "update-available", version } | { type: "update-applied", version }
+   =========================================================================== */
+
+"use strict";
+
+const CACHE_PREFIX = "bta-";
+const META_CACHE = "bta-meta";
+
+// App shell + data, relative to the worker's scope. Keep in step with the
+// <link>/<script> tags in index.html (test/service-worker.test.js checks).
+const PRECACHE = [
+  "index.html",
+  "manifest.webmanifest",
+  "assets/icon.svg",
+  "assets/ui.css",
+  "assets/config.js",
+  "assets/i18n.js",
+  "assets/i18n/es.js",
+  "assets/scoring.js",
+  "assets/data.js",
+  "assets/plan.js",
+  "assets/summary.js",
+  "assets/vault.js",
+  "assets/persist.js",
+  "assets/transfer.js",
+  "assets/fhir.js",
+  "assets/research.js",
+  "assets/report.js",
+  "assets/compare.js",
+  "assets/medpicker.js",
+  "assets/profiles.js",
+  "assets/offline.js",
+  "assets/app.js",
+  "data/master.csv",
+  "data/instruments_config.json"
+];
+
+// -------------------- Utilities --------------------
+
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+// FNV-1a (32-bit), as persist.js uses for the data version
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+async function readMeta(key) {
+  const meta = await caches.open(META_CACHE);
+  const res = await meta.match(scopeUrl(`__meta__/${key}`));
+  return res ? res.text() : null;
+}
+
+async function writeMeta(key, value) {
+  const meta = await caches.open(META_CACHE);
+  const url = scopeUrl(`__meta__/${key}`);
+  if (value == null) await meta.delete(url);
+  else await meta.put(url, new Response(value));
+}
+
+// Download every PRECACHE file past the HTTP cache. Throws if any is missing
+// (offline, 404): a partial set is never stored.
+async function downloadAll() {
+  const files = [];
+  for (const path of PRECACHE) {
+    const res = await fetch(new Request(scopeUrl(path), { cache: "no-store" }));
+    if (!res.ok) throw new Error(`Failed to fetch ${path}: ${res.status}`);
+    files.push({ url: scopeUrl(path), text: await res.clone().text(), res });
+  }
+  return { version: fnv1a(files.map(f => `${f.url}\n${f.text}`).join("\n")), files };
+}
+
+async function store({ version, files }) {
+  const cache = await caches.open(CACHE_PREFIX + version);
+  for (const f of files) await cache.put(f.url, f.res);
+  return version;
+}
+
+// Drop every version cache except `keep`
+async function prune(keep) {
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(n => n.startsWith(CACHE_PREFIX) && n !== META_CACHE && !keep.includes(n.slice(CACHE_PREFIX.length)))
+    .map(n => caches.delete(n)));
+}
+
+// Stage the network copy when it differs from what pages are served.
+// Resolves to the pending version, or null when already current.
+async function stageUpdate() {
+  const download = await downloadAll();
+  const current = await readMeta("current-version");
+  if (download.version === current) {
+    await writeMeta("pending-version", null);
+    await prune([current]);
+    return null;
+  }
+  await store(download);
+  await writeMeta("pending-version", download.version);
+  await prune([current, download.version].filter(Boolean));
+  return download.version;
+}
+
+async function applyUpdate() {
+  const pending = await readMeta("pending-version");
+  if (!pending) return readMeta("current-version");
+  await writeMeta("current-version", pending);
+  await writeMeta("pending-version", null);
+  await prune([pending]);
+  return pending;
+}
+
+// -------------------- Lifecycle --------------------
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const current = await readMeta("current-version");
+    if (current) {
+      await stageUpdate(); // an open page keeps its files until it reloads
+    } else {
+      await writeMeta("current-version", await store(await downloadAll()));
+      await self.skipWaiting(); // first install: nothing to keep consistent with
+    }
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    // A worker activated by "skip-waiting" (or after every page closed)
+    // brings its staged files with it
+    const current = await applyUpdate();
+    await prune([current]);
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", event => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  url.search = "";
+  url.hash = "";
+  const path = req.mode === "navigate" ? scopeUrl("index.html") : url.href;
+  if (!PRECACHE.some(p => scopeUrl(p) === path)) return;
+
+  event.respondWith((async () => {
+    const current = await readMeta("current-version");
+    const cache = current ? await caches.open(CACHE_PREFIX + current) : null;
+    const hit = cache ? await cache.match(path) : null;
+    return hit || fetch(req);
+  })());
+});
+
+self.addEventListener("message", event => {
+  const type = event.data && event.data.type;
+  const reply = msg => event.source && event.source.postMessage(msg);
+
+  if (type === "check-for-update") {
+    event.waitUntil(stageUpdate()
+      .then(version => { if (version) reply({ type: "update-available", version }); })
+      .catch(() => {})); // offline: keep serving the current version
+  } else if (type === "apply-update") {
+    event.waitUntil(applyUpdate().then(version => reply({ type: "update-applied", version })));
+  } else if (type === "skip-waiting") {
+    event.waitUntil(self.skipWaiting());
+  }
+});
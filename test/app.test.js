@@ -0,0 +1,644 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { bootPage, outline, readFixture, readResponses, FIXTURE_DATA } = require("./helpers/page");
+
+test("the page boots on the fixture data without the red banner", async () => {
+  const page = await bootPage();
+  assert.equal(page.document.getElementById("error-banner").textContent, "");
+  assert.equal(page.document.querySelectorAll(".bp-accordion").length, 9); // 7 categories + 2 sensory subs
+  assert.deepEqual(page.lastResponses, {});
+});
+
+test("a ragged master.csv row stops the page with its line and column", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bta-data-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.copyFileSync(path.join(FIXTURE_DATA, "instruments_config.json"), path.join(dir, "instruments_config.json"));
+  fs.writeFileSync(path.join(dir, "master.csv"), readFixture("data", "master.csv").replace("Xanax,", "Xanax,,"));
+  t.mock.method(console, "error", () => {}); // init() logs the halt
+
+  const page = await bootPage({ dataDir: dir });
+  const banner = page.document.getElementById("error-banner").textContent;
+  assert.match(banner, /master\.csv is not valid CSV/);
+  assert.match(banner, /Line 3, column \d+: row has 19 fields; the header has 18/);
+  assert.equal(page.document.querySelectorAll(".bp-accordion").length, 0);
+});
+
+test("rendered inputs round-trip through collectAllResponses() to SCORING.compute()", async () => {
+  const page = await bootPage();
+  const expected = readResponses("full");
+  page.fill(expected);
+
+  assert.deepEqual(page.lastResponses, expected);
+
+  const { SCORING, CONFIG, __INSTRUMENTS__ } = page.window;
+  const { age, bmi } = SCORING.demographics(page.lastResponses, CONFIG);
+  const snap = SCORING.compute(page.lastResponses, CONFIG, __INSTRUMENTS__, { age, bmi });
+  assert.equal(snap.personal.stress.total, 11);
+  assert.equal(snap.sensory.hhie.total, 18);
+  // Arrays from the page's vm realm: compare contents, not prototypes
+  assert.deepEqual([...snap.medications.other], ["Herbal sleep tea"]);
+  assert.deepEqual([...snap.foods.selected], ["salt", "sugary_drinks"]);
+});
+
+test("a changed radio answer replaces the previous one", async () => {
+  const page = await bootPage();
+  page.answer("sleep.sleep1", "4");
+  page.answer("sleep.sleep1", "1");
+  assert.equal(page.lastResponses["sleep.sleep1"], "1");
+});
+
+test("HHIE-S answers reach the hearing total from the rendered radios", async () => {
+  const page = await bootPage();
+  page.answer("hhie.h1", "4");
+  page.answer("hhie.h2", "2");
+  const { SCORING, CONFIG, __INSTRUMENTS__ } = page.window;
+  assert.equal(SCORING.compute(page.lastResponses, CONFIG, __INSTRUMENTS__).sensory.hhie.total, 6);
+});
+
+test("accordion headers show answered/total badges", async () => {
+  const page = await bootPage();
+  page.fill(readResponses("partial"));
+  const badges = page.document.querySelectorAll(".acc-progress").map(b => b.textContent);
+  assert.equal(badges[0], "History 2/6 · Medical & Lifestyle 0/4 · Sleep 2/6 · Stress 2/4 · Activity 0/3");
+  assert.equal(badges[1], "LSNS-6 0/6 · UCLA-3 1/3");
+});
+
+test("Clear This Section drops only that section's answers", async () => {
+  const page = await bootPage();
+  page.fill(readResponses("partial"));
+  const social = page.document.querySelectorAll(".bp-accordion").find(a => a.dataset.accId === "social");
+  social.querySelector(".section-clear-btn").click();
+  assert.equal(page.lastResponses["ucla3.ucla1"], undefined);
+  assert.equal(page.lastResponses["history.heart"], "Yes");
+});
+
+test("an instrument added to CONFIG renders, tracks progress and scores", async () => {
+  const page = await bootPage({
+    configure(config) {
+      config.categories.push({
+        id: "mood",
+        label: "Mood",
+        instruments: [{
+          id: "phq2",
+          label: "PHQ-2",
+          shortLabel: "PHQ-2",
+          widget: "yesno",
+          scoring: { rule: "yesFlags" },
+          items: [{ key: "interest", label: "Little interest or pleasure", yesTier: "Moderate" }, { key: "down", label: "Feeling down" }]
+        }]
+      });
+    }
+  });
+  const mood = page.document.querySelectorAll(".bp-accordion").find(a => a.dataset.accId === "mood");
+  assert.ok(mood);
+  page.answer("phq2.interest", "Yes");
+  assert.equal(mood.querySelector(".acc-progress").textContent, "PHQ-2 1/2");
+
+  const { SCORING, CONFIG, __INSTRUMENTS__ } = page.window;
+  const snap = SCORING.compute(page.lastResponses, CONFIG, __INSTRUMENTS__);
+  assert.deepEqual({ ...snap.mood.phq2.tiers }, { interest: "Moderate" });
+});
+
+test("switching the language re-renders the form and keeps answers and open sections", async () => {
+  const page = await bootPage();
+  page.fill(readResponses("partial"));
+  const before = { ...page.lastResponses };
+  const social = () => page.document.querySelectorAll(".bp-accordion").find(a => a.dataset.accId === "social");
+  social().querySelector(".bp-acc-header").click();
+
+  const select = page.document.getElementById("lang-select");
+  assert.deepEqual(select.querySelectorAll("option").map(o => o.value), ["en", "es"]);
+  select.value = "es";
+  select.dispatchEvent(new page.window.Event("change", { bubbles: true }));
+
+  assert.equal(page.document.documentElement.lang, "es");
+  assert.equal(page.document.querySelector("h1").textContent, "Análisis de amenazas cerebrales");
+  assert.equal(social().querySelector(".bp-acc-header").getAttribute("aria-expanded"), "true");
+  assert.match(social().querySelector(".bp-acc-header").textContent, /Evaluación social y de soledad/);
+  assert.deepEqual(page.lastResponses, before);
+
+  // Helper text from threat_es; blank cells fall back to the English column
+  const helpers = page.document.querySelectorAll(".helper-text").map(h => h.textContent);
+  assert.ok(helpers.includes("Agua contaminada"));
+  assert.equal(page.window.localStorage.getItem("brainThreat.language"), "es");
+});
+
+test("the stored language is restored on load, and English is the fallback", async () => {
+  const { Storage } = require("./helpers/dom");
+  const storage = new Storage();
+  storage.setItem("brainThreat.language", "es");
+  const page = await bootPage({ storage });
+  assert.equal(page.document.getElementById("lang-select").value, "es");
+  assert.equal(page.document.getElementById("copy-summary-btn").getAttribute("aria-label"), "Copiar el resumen al portapapeles");
+
+  storage.setItem("brainThreat.language", "xx");
+  const fallback = await bootPage({ storage });
+  assert.equal(fallback.window.I18N.language(), "en");
+  assert.equal(fallback.document.querySelector("h1").textContent, "Brain Threat Analysis");
+});
+
+test("the printable report and the comparison follow the UI language", async () => {
+  const page = await bootPage();
+  page.fill(readResponses("full"));
+  const select = page.document.getElementById("lang-select");
+  select.value = "es";
+  select.dispatchEvent(new page.window.Event("change", { bubbles: true }));
+  page.document.defaultView.dispatchEvent(new page.window.Event("beforeprint"));
+
+  const report = outline(page.document.getElementById("report-view"));
+  assert.match(report, /^Análisis de amenazas cerebrales — Informe de evaluación\n/);
+  assert.match(report, /\nCuestionario de sueño\nTotal \(0–24\) \| 13\nNivel \| Moderado\n/);
+  assert.match(report, /\n- Difenhidramina \(Benadryl\)\n/);
+  assert.match(report, /\n- Antecedentes de enfermedad cardíaca — Nivel: Alto\n/);
+
+  const { SCORING, CONFIG, __INSTRUMENTS__, COMPARE } = page.window;
+  const snapshot = SCORING.compute(page.lastResponses, CONFIG, __INSTRUMENTS__);
+  COMPARE.render(COMPARE.diff({ label: "A", snapshot: SCORING.compute({}, CONFIG, __INSTRUMENTS__) }, { label: "B", snapshot }));
+  const compare = outline(page.document.getElementById("compare-view"));
+  assert.match(compare, /^Comparación de evaluaciones\nMedida \| A \| B \| Cambio\n/);
+  assert.match(compare, /\nSueño — Total \(0–24\) \| 0 \| 13 \(Moderado\) \| \+13 — — → Moderado\n/);
+});
+
+test("the comparison lists other medications started and stopped by name", async () => {
+  const page = await bootPage();
+  const { SCORING, CONFIG, __INSTRUMENTS__, COMPARE } = page.window;
+  const before = SCORING.compute({ "Other Medications.1": "Herbal sleep tea", "Other Medications.2": "Melatonin" }, CONFIG, __INSTRUMENTS__);
+  const after = SCORING.compute({ "Medications.diphenhydramine": "1", "Other Medications.1": " melatonin", "Other Medications.2": "Ginkgo  Biloba" }, CONFIG, __INSTRUMENTS__);
+
+  const diff = COMPARE.diff({ label: "A", snapshot: before }, { label: "B", snapshot: after });
+  const meds = diff.lists.find(l => l.id === "medications");
+  assert.deepEqual([meds.added, meds.otherAdded, meds.otherRemoved, meds.otherUnchanged].map(a => Array.from(a)),
+    [["diphenhydramine"], ["Ginkgo  Biloba"], ["Herbal sleep tea"], ["melatonin"]]);
+
+  COMPARE.render(diff, { csv: { threatByKey: { diphenhydramine: "Diphenhydramine" }, brandByKey: { diphenhydramine: "Benadryl" } } });
+  const view = outline(page.document.getElementById("compare-view"));
+  assert.match(view, /\nAdded\n- Diphenhydramine \(Benadryl\)\n- Ginkgo {2}Biloba \(other — unrated\)\nStopped\n- Herbal sleep tea \(other — unrated\)\n/);
+
+  // Only the spelling changed: no change
+  const same = COMPARE.diff({ label: "A", snapshot: before }, { label: "B", snapshot: SCORING.compute({ "Other Medications.1": "HERBAL sleep tea", "Other Medications.2": "melatonin" }, CONFIG, __INSTRUMENTS__) });
+  COMPARE.render(same);
+  assert.match(outline(page.document.getElementById("compare-view")), /\nMedication Threat Assessment\nNo change\.\n/);
+});
+
+test("the medication picker finds generic and brand names, selects by keyboard and keeps other entries", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bta-data-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.copyFileSync(path.join(FIXTURE_DATA, "instruments_config.json"), path.join(dir, "instruments_config.json"));
+  fs.writeFileSync(path.join(dir, "master.csv"), readFixture("data", "master.csv").replace(",Ditropan,", ',"Ditropan, Oxytrol",'));
+
+  const page = await bootPage({ dataDir: dir });
+  const $ = id => page.document.getElementById(id);
+  const search = $("med-search");
+  const type = (input, text) => {
+    input.value = text;
+    input.dispatchEvent(new page.window.Event("input", { bubbles: true }));
+  };
+  const key = (input, k) => input.dispatchEvent(new page.window.Event("keydown", { key: k, bubbles: true }));
+  const options = () => Array.from($("med-search-list").querySelectorAll(".med-option"), li => li.textContent);
+  const chips = () => Array.from(page.document.querySelectorAll(".med-chip"), li => li.querySelector("span").textContent);
+
+  // Brand, second brand, generic and threat name all find the item
+  type(search, "Benadryl");
+  assert.deepEqual(options(), ["Diphenhydramine (Benadryl)"]);
+  assert.equal(search.getAttribute("aria-expanded"), "true");
+  key(search, "Enter");
+  assert.equal(search.value, "");
+  assert.equal($("med-search-list").hidden, true);
+  assert.equal(page.lastResponses["Medications.diphenhydramine"], "1");
+  type(search, "oxytrol");
+  assert.deepEqual(options(), ["Oxybutynin (Ditropan, Oxytrol)"]);
+  type(search, "ALPRAZ");
+  assert.deepEqual(options(), ["Alprazolam (Xanax)"]);
+
+  // Prefix matches first; arrows move the active option
+  type(search, "a");
+  assert.deepEqual(options().slice(0, 2), ["Acetaminophen (Tylenol)", "Alprazolam (Xanax)"]);
+  key(search, "ArrowDown");
+  assert.equal(search.getAttribute("aria-activedescendant"), "med-option-1");
+  key(search, "Enter");
+  assert.equal(page.lastResponses["Medications.alprazolam"], "1");
+
+  const other = $("med-other-input");
+  other.value = "Herbal sleep tea";
+  key(other, "Enter");
+  assert.equal(page.lastResponses["Other Medications.herbal_sleep_tea"], "Herbal sleep tea");
+  assert.deepEqual(chips(), ["Alprazolam (Xanax)", "Diphenhydramine (Benadryl)", "Herbal sleep tea (other — unrated)"]);
+  assert.match($("summary-content").textContent, /Herbal sleep tea — ask your pharmacist to review it/);
+
+  // Removing chips unchecks the item and drops the other entry
+  const remove = label => page.document.querySelector(`.med-chip-remove[aria-label="Remove ${label}"]`).click();
+  remove("Alprazolam (Xanax)");
+  remove("Herbal sleep tea (other — unrated)");
+  assert.deepEqual(chips(), ["Diphenhydramine (Benadryl)"]);
+  assert.equal(page.lastResponses["Medications.alprazolam"], undefined);
+  assert.equal(page.lastResponses["Other Medications.herbal_sleep_tea"], undefined);
+  assert.doesNotMatch($("summary-content").textContent, /Herbal sleep tea/);
+
+  // The threat name follows the UI language
+  const select = $("lang-select");
+  select.value = "es";
+  select.dispatchEvent(new page.window.Event("change", { bubbles: true }));
+  type($("med-search"), "difenhid");
+  assert.deepEqual(options(), ["Difenhidramina (Benadryl) — seleccionado"]);
+});
+
+test("accordion headers are labelled disclosures with arrow-key navigation", async () => {
+  const page = await bootPage();
+  const { document } = page;
+  const headers = document.querySelectorAll(".bp-acc-header").filter(h => h.parentNode.parentNode === document.getElementById("categories"));
+  const first = headers[0];
+  const panel = document.getElementById(first.getAttribute("aria-controls"));
+  assert.equal(panel.getAttribute("aria-labelledby"), first.id);
+  assert.equal(panel.getAttribute("role"), "region");
+
+  const key = (el, k) => el.dispatchEvent(new page.window.Event("keydown", { key: k, bubbles: true }));
+  key(first, "ArrowDown");
+  assert.equal(document.activeElement, headers[1]);
+  key(headers[1], "ArrowUp");
+  key(first, "ArrowUp"); // wraps to the last section
+  assert.equal(document.activeElement, headers[headers.length - 1]);
+  key(document.activeElement, "Home");
+  assert.equal(document.activeElement, first);
+});
+
+test("each question is a fieldset whose legend is the question", async () => {
+  const page = await bootPage();
+  const radio = page.document.getElementById("sleep.sleep1.Never");
+  const group = radio.closest("fieldset");
+  assert.equal(group.querySelector("legend").textContent, "I have trouble falling asleep");
+});
+
+test("tier changes are announced in the polite live region", async () => {
+  const page = await bootPage();
+  const live = page.document.getElementById("summary-announcer");
+  assert.equal(live.getAttribute("aria-live"), "polite");
+  assert.equal(live.textContent, "");
+  for (const k of ["stress1", "stress2", "stress3", "stress4"]) page.answer(`stress.${k}`, "4"); // 2 and 3 reverse-scored
+  assert.equal(live.textContent, "Updated tiers — Stress (PSS-4): Moderate.");
+});
+
+test("the large-text / high-contrast mode toggles and is remembered", async () => {
+  const { Storage } = require("./helpers/dom");
+  const storage = new Storage();
+  const page = await bootPage({ storage });
+  const btn = page.document.getElementById("display-mode-btn");
+  btn.click();
+  assert.equal(btn.getAttribute("aria-pressed"), "true");
+  assert.ok(page.document.documentElement.classList.contains("display-contrast"));
+
+  const again = await bootPage({ storage });
+  assert.ok(again.document.documentElement.classList.contains("display-contrast"));
+});
+
+test("the summary view selector switches patient / clinician and is remembered", async () => {
+  const { Storage } = require("./helpers/dom");
+  const storage = new Storage();
+  const page = await bootPage({ storage });
+  page.fill(readResponses("partial"));
+  const select = page.document.getElementById("summary-mode-select");
+  const summary = () => page.document.getElementById("summary-content").textContent;
+  assert.equal(select.value, "patient");
+  assert.match(summary(), /not a diagnosis/);
+
+  select.value = "clinician";
+  select.dispatchEvent(new page.window.Event("change", { bubbles: true }));
+  assert.match(summary(), /Felt confident about handling problems/);
+  assert.doesNotMatch(summary(), /not a diagnosis/);
+  assert.deepEqual(page.lastResponses, readResponses("partial"));
+
+  const again = await bootPage({ storage });
+  assert.equal(again.document.getElementById("summary-mode-select").value, "clinician");
+  assert.equal(again.window.SUMMARY.mode(), "clinician");
+});
+
+test("client profiles save assessments and reopen them through the form", async () => {
+  const { createIndexedDB } = require("./helpers/idb");
+  const indexedDB = createIndexedDB();
+  const page = await bootPage({ indexedDB });
+  const $ = id => page.document.getElementById(id);
+  await page.idle();
+  assert.equal($("profiles-panel").hidden, false);
+
+  $("profile-new-name").value = "Ana Pérez";
+  $("profile-create-btn").click();
+  await page.idle();
+  assert.equal($("profile-current").textContent, "Current client: Ana Pérez");
+  page.fill(readResponses("partial"));
+  $("profile-save-btn").click();
+  await page.idle();
+  assert.match($("profile-history").textContent, /\d+ answers/);
+
+  $("clear-form-btn").click();
+  await page.idle();
+  assert.equal($("profile-active").hidden, true);
+  $("profile-new-name").value = "Bob Stone";
+  $("profile-create-btn").click();
+  await page.idle();
+
+  // Same database after a reload: open Ana again from the searched list
+  const again = await bootPage({ indexedDB });
+  const $$ = id => again.document.getElementById(id);
+  await again.idle();
+  $$("profile-search").value = "ana";
+  $$("profile-search").dispatchEvent(new again.window.Event("input"));
+  await again.idle();
+  const rows = $$("profile-list").querySelectorAll("li");
+  assert.equal(rows.length, 1);
+  rows[0].querySelector("button").click();
+  await again.idle();
+  assert.deepEqual(again.lastResponses, readResponses("partial"));
+  assert.equal($$("report-name").value, "Ana Pérez");
+
+  $$("profile-rename-input").value = "Ana P. Ruiz";
+  $$("profile-rename-btn").click();
+  await again.idle();
+  assert.equal($$("profile-current").textContent, "Current client: Ana P. Ruiz");
+
+  $$("profile-delete-btn").click();
+  $$("profile-search").value = "";
+  await again.idle();
+  assert.equal($$("profile-active").hidden, true);
+  const left = await again.window.PROFILES.list();
+  assert.deepEqual(Array.from(left, p => p.name), ["Bob Stone"]); // main-realm array
+});
+
+// Rewrite one stored profile record behind the app's back
+function changeStoredProfile(indexedDB, id, change) {
+  return new Promise(resolve => {
+    const req = indexedDB.open("brainThreat", 1);
+    req.onsuccess = () => {
+      const store = req.result.transaction("profiles", "readwrite").objectStore("profiles");
+      const get = store.get(id);
+      get.onsuccess = () => {
+        const put = store.put(change(get.result));
+        put.onsuccess = resolve;
+      };
+    };
+  });
+}
+
+test("a damaged profile is listed without Open and can be removed from the list", async () => {
+  const { createIndexedDB } = require("./helpers/idb");
+  const indexedDB = createIndexedDB();
+  const page = await bootPage({ indexedDB });
+  const ana = await page.window.PROFILES.create("Ana Pérez");
+  await page.window.PROFILES.create("Bob Stone");
+  await changeStoredProfile(indexedDB, ana.id, rec => {
+    const bytes = Buffer.from(rec.sealed.data, "base64");
+    bytes[0] ^= 1;
+    return Object.assign(rec, { sealed: Object.assign({}, rec.sealed, { data: bytes.toString("base64") }) });
+  });
+
+  const again = await bootPage({ indexedDB });
+  const $ = id => again.document.getElementById(id);
+  await again.idle();
+  const rows = () => Array.from($("profile-list").querySelectorAll("li"));
+  const [damaged, bob] = rows();
+  assert.match(damaged.textContent, /^Damaged record/);
+  assert.deepEqual(Array.from(damaged.querySelectorAll("button"), b => b.textContent), ["Remove"]);
+  assert.match(bob.textContent, /^Bob Stone/);
+
+  const asked = [];
+  let answer = false;
+  again.window.confirm = message => { asked.push(message); return answer; };
+  damaged.querySelector("button").click();
+  await again.idle();
+  assert.match(asked[0], /^Remove this damaged record\?/);
+  assert.equal(rows().length, 2);
+
+  answer = true;
+  rows()[0].querySelector("button").click();
+  await again.idle();
+  assert.deepEqual(rows().map(li => li.querySelector("span").textContent), ["Bob Stone"]);
+  assert.equal($("profile-status").textContent, "Removed the damaged record.");
+  assert.equal(await again.window.PROFILES.get(ana.id), null);
+});
+
+test("a plain-text record planted in the database can be removed from the list", async () => {
+  const { createIndexedDB } = require("./helpers/idb");
+  const indexedDB = createIndexedDB();
+  await (await bootPage({ indexedDB })).idle(); // creates the database
+  const now = new Date().toISOString();
+  await changeStoredProfile(indexedDB, "planted", () => ({ id: "planted", createdAt: now, updatedAt: now, name: "Ana Pérez", assessments: [] }));
+
+  const page = await bootPage({ indexedDB });
+  const $ = id => page.document.getElementById(id);
+  await page.idle();
+  const [row] = $("profile-list").querySelectorAll("li");
+  assert.match(row.textContent, /^Damaged record/);
+  assert.doesNotMatch($("profile-list").textContent, /Ana/);
+
+  row.querySelector("button").click(); // no window.confirm here: accepted
+  await page.idle();
+  assert.equal($("profile-list").textContent, "No client profiles yet.");
+  assert.equal((await page.window.PROFILES.list()).length, 0);
+});
+
+test("the profiles panel stays hidden without IndexedDB", async () => {
+  const page = await bootPage();
+  assert.equal(page.document.getElementById("profiles-panel").hidden, true);
+});
+
+test("the form waits behind the unlock screen until a passphrase is chosen", async () => {
+  const page = await bootPage({ passphrase: null });
+  const $ = id => page.document.getElementById(id);
+  assert.equal($("vault-screen").hidden, false);
+  assert.equal($("vault-title").textContent, "Choose a passphrase");
+  assert.ok($("app").classList.contains("is-locked"));
+  assert.equal(page.document.querySelectorAll(".bp-accordion").length, 0);
+
+  await page.unlock("short");
+  assert.match($("vault-error").textContent, /at least 10 characters/);
+  $("vault-passphrase").value = "long enough passphrase";
+  $("vault-confirm").value = "long enough passphrasf";
+  $("vault-unlock-btn").click();
+  await page.idle();
+  assert.match($("vault-error").textContent, /do not match/);
+
+  await page.unlock("long enough passphrase");
+  assert.equal($("vault-screen").hidden, true);
+  assert.ok(!$("app").classList.contains("is-locked"));
+  assert.equal(page.document.querySelectorAll(".bp-accordion").length, 9);
+});
+
+test("saved answers are encrypted and resume only with the right passphrase", async () => {
+  const { Storage } = require("./helpers/dom");
+  const storage = new Storage();
+  const page = await bootPage({ storage });
+  page.fill(readResponses("partial"));
+  await page.idle();
+  const stored = storage.getItem("brainThreat.session");
+  assert.ok(stored);
+  for (const key of Object.keys(readResponses("partial"))) assert.ok(!stored.includes(key), `${key} stored in the clear`);
+
+  const again = await bootPage({ storage, passphrase: "not the passphrase" });
+  const $ = id => again.document.getElementById(id);
+  assert.equal($("vault-error").textContent, "Wrong passphrase. Nothing was unlocked.");
+  assert.equal(again.document.querySelectorAll(".bp-accordion").length, 0);
+  assert.equal($("resume-prompt").hidden, true);
+
+  await again.unlock();
+  assert.equal($("resume-prompt").hidden, false);
+  $("resume-session-btn").click();
+  assert.deepEqual(again.lastResponses, readResponses("partial"));
+});
+
+test("a tampered session is reported instead of half-loaded", async () => {
+  const { Storage } = require("./helpers/dom");
+  const storage = new Storage();
+  const page = await bootPage({ storage });
+  page.fill(readResponses("partial"));
+  await page.idle();
+  const rec = JSON.parse(storage.getItem("brainThreat.session"));
+  const bytes = Buffer.from(rec.responses.data, "base64");
+  bytes[0] ^= 1;
+  rec.responses.data = bytes.toString("base64");
+  storage.setItem("brainThreat.session", JSON.stringify(rec));
+
+  const again = await bootPage({ storage });
+  assert.equal(again.document.getElementById("resume-prompt").hidden, true);
+  assert.match(again.document.getElementById("transfer-status").textContent, /could not be decrypted and was not loaded: The encrypted data was changed or damaged/);
+  assert.deepEqual(again.lastResponses, {});
+});
+
+test("locking clears the page and unlocking restores the answers", async () => {
+  const page = await bootPage();
+  const $ = id => page.document.getElementById(id);
+  page.fill(readResponses("partial"));
+  $("report-name").value = "Ana";
+  $("vault-lock-btn").click();
+  await page.idle();
+  assert.equal($("vault-screen").hidden, false);
+  assert.equal($("vault-title").textContent, "Enter the passphrase");
+  assert.deepEqual(page.lastResponses, {});
+  assert.equal($("report-name").value, "");
+  assert.equal(page.window.VAULT.isUnlocked(), false);
+
+  await page.unlock();
+  assert.deepEqual(page.lastResponses, readResponses("partial"));
+});
+
+test("the form locks itself after the configured inactivity", async () => {
+  const page = await bootPage({ configure: config => { config.vault.autoLockMinutes = 0.001; } });
+  page.fill(readResponses("partial"));
+  await new Promise(r => setTimeout(r, 150));
+  await page.idle();
+  assert.equal(page.document.getElementById("vault-screen").hidden, false);
+  assert.match(page.document.getElementById("vault-intro").textContent, /without activity/);
+  assert.deepEqual(page.lastResponses, {});
+});
+
+test("encrypted exports import with the passphrase; a changed file is rejected whole", async () => {
+  const page = await bootPage();
+  const $ = id => page.document.getElementById(id);
+  const doc = page.window.TRANSFER.buildDocument({ responses: readResponses("partial"), dataVersion: "", language: "en" });
+  const sealed = await page.window.VAULT.seal(doc, "export");
+  const importFile = async (name, text) => {
+    $("import-assessment-file").files = [{ name, text: async () => text }];
+    $("import-assessment-file").dispatchEvent(new page.window.Event("change"));
+    await page.idle();
+  };
+
+  const bytes = Buffer.from(sealed.data, "base64");
+  bytes[5] ^= 1;
+  await importFile("changed.json", JSON.stringify(Object.assign({}, sealed, { data: bytes.toString("base64") })));
+  assert.match($("transfer-status").textContent, /^Import failed: The encrypted data was changed or damaged/);
+  assert.deepEqual(page.lastResponses, {});
+
+  await importFile("ana.json", JSON.stringify(sealed));
+  assert.match($("transfer-status").textContent, /^Imported \d+ answers from ana\.json\./);
+  assert.deepEqual(page.lastResponses, readResponses("partial"));
+});
+
+test("FHIR QuestionnaireResponses import through the same checks as exports, once confirmed", async () => {
+  const page = await bootPage();
+  const $ = id => page.document.getElementById(id);
+  const { FHIR, SCORING, CONFIG, __INSTRUMENTS__ } = page.window;
+  const responses = readResponses("partial");
+  const bundle = FHIR.bundle({
+    responses,
+    snapshot: SCORING.compute(responses, CONFIG, __INSTRUMENTS__),
+    config: CONFIG,
+    instruments: __INSTRUMENTS__,
+    csv: {},
+    dataVersion: ""
+  });
+  // An item the current questionnaire does not have (e.g. from a newer form)
+  const sleep = bundle.entry[0].resource.item.find(g => g.linkId === "category/personal").item.find(g => g.linkId === "instrument/sleep");
+  sleep.item.push({ linkId: "sleep.sleep9", answer: [{ valueCoding: { code: "2" } }] });
+
+  // A plain (unencrypted) file loads only after staff confirm it
+  const asked = [];
+  let answer = false;
+  page.window.confirm = message => { asked.push(message); return answer; };
+  const importBundle = async () => {
+    $("import-assessment-file").files = [{ name: "ehr.json", text: async () => JSON.stringify(bundle) }];
+    $("import-assessment-file").dispatchEvent(new page.window.Event("change"));
+    await page.idle();
+  };
+  await importBundle();
+  assert.match(asked[0], /^ehr\.json is not encrypted/);
+  assert.equal($("transfer-status").textContent, "Import failed: the file is not encrypted and was not confirmed.");
+  assert.deepEqual(page.lastResponses, {});
+
+  answer = true;
+  await importBundle();
+  assert.equal(asked.length, 2);
+  assert.match($("transfer-status").textContent, /^Imported \d+ answers from ehr\.json\. 1 answer\(s\) do not match/);
+  assert.match($("transfer-status").textContent, /sleep\.sleep9 = "2" \(unknown item\)/);
+  assert.deepEqual(page.lastResponses, responses);
+});
+
+test("the research CSV holds one row per saved assessment of the listed profiles", async () => {
+  const { createIndexedDB } = require("./helpers/idb");
+  const page = await bootPage({ indexedDB: createIndexedDB() });
+  const $ = id => page.document.getElementById(id);
+  const downloads = [];
+  page.window.Blob = class { constructor(parts) { downloads.push(parts.join("")); } };
+  page.window.URL = { createObjectURL: () => "blob:test", revokeObjectURL() {} };
+
+  const { PROFILES } = page.window;
+  const ana = await PROFILES.create("Ana");
+  await PROFILES.addAssessment(ana.id, { responses: readResponses("partial"), dataVersion: "v1", date: "2026-01-01T10:00:00.000Z" });
+  await PROFILES.addAssessment(ana.id, { responses: readResponses("full"), dataVersion: "v1", date: "2026-02-01T10:00:00.000Z" });
+  await PROFILES.create("Ben"); // no assessments: no row
+
+  // The one unencrypted export: nothing is written until it is confirmed
+  const asked = [];
+  let answer = false;
+  page.window.confirm = message => { asked.push(message); return answer; };
+  $("profile-research-btn").click();
+  await page.idle();
+  assert.match(asked[0], /NOT encrypted/);
+  assert.equal($("profile-status").textContent, "The research CSV was not exported.");
+  assert.equal(downloads.length, 0);
+
+  answer = true;
+  $("profile-research-btn").click();
+  await page.idle();
+  assert.match($("profile-status").textContent, /^Exported 2 assessment\(s\) as research CSV\./);
+  const lines = downloads.at(-1).trim().split("\r\n");
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^assessment_id,subject_id,assessed_at,data_version,language,/);
+  assert.ok(lines.slice(1).every(l => l.includes(`,${ana.id},`)));
+  assert.doesNotMatch(downloads.at(-1), /Ana/);
+
+  $("data-dictionary-btn").click();
+  assert.match(downloads.at(-1), /^column,section,label,type,codes,notes\r\n/);
+
+  // Off while the vault is locked, like every other export
+  const count = downloads.length;
+  page.window.VAULT.lock();
+  $("research-csv-btn").click();
+  assert.match($("transfer-status").textContent, /^Export failed: Saved data is locked\./);
+  page.window.crypto = undefined; // plain http: no WebCrypto
+  $("research-csv-btn").click();
+  assert.match($("transfer-status").textContent, /^Export failed: this browser cannot encrypt/);
+  assert.equal(downloads.length, count);
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CONFIG = require("../assets/config.js");
+const DATA = require("../assets/data.js");
+const { readFixture } = require("./helpers/page");
+
+const csvText = readFixture("data", "master.csv");
+const instrumentsText = readFixture("data", "instruments_config.json");
+
+test("prepare builds lowercased lookups and annotates medications", () => {
+  const { dicts, instruments } = DATA.prepare({ csvText, instrumentsText, config: CONFIG });
+  assert.equal(dicts.threatByKey.diphenhydramine, "Diphenhydramine");
+  assert.equal(dicts.brandByKey.diphenhydramine, "Benadryl");
+  assert.equal(dicts.detailsByKey.sel_air.examples, "Vehicle emissions, wildfires");
+  assert.ok(dicts.csvKeys.has("sugary_drinks"));
+  const med = instruments.medications.items.find(i => i.csvKey === "alprazolam");
+  assert.equal(med.class, "Benzodiazepine");
+  assert.equal(med.anticholinergic, "Low");
+});
+
+// ------------- parseCSV() -------------
+
+test("parseCSV handles quoted commas, escaped quotes and CRLF", () => {
+  const { headers, rows, errors } = DATA.parseCSV('a,b\r\n"x, y","say ""hi"""\r\n\r\n1,2\r\n');
+  assert.deepEqual(headers, ["a", "b"]);
+  assert.deepEqual(rows, [{ a: "x, y", b: 'say "hi"' }, { a: "1", b: "2" }]);
+  assert.deepEqual(errors, []);
+});
+
+test("parseCSV keeps line breaks inside quoted fields and counts file lines", () => {
+  const { rows, lines } = DATA.parseCSV('key,examples\nsalt,"Soups\r\nchips\nsauces"\nsugar,Soda\rdone,x');
+  assert.deepEqual(rows, [
+    { key: "salt", examples: "Soups\r\nchips\nsauces" },
+    { key: "sugar", examples: "Soda" },
+    { key: "done", examples: "x" }
+  ]);
+  assert.deepEqual(lines, [2, 5, 6]);
+});
+
+test("parseCSV drops a UTF-8 BOM", () => {
+  assert.deepEqual(DATA.parseCSV("\uFEFFinstrument_id,item_key\nmeds,x\n").headers, ["instrument_id", "item_key"]);
+});
+
+test("parseCSV reports ragged rows and bad quoting by line and column", () => {
+  const { rows, errors } = DATA.parseCSV('a,b,c\n1,2\n1,2,3,4\n"x"y,2,3\n4,5"6,7\n8,"open,9\n');
+  assert.deepEqual(rows, [{ a: "xy", b: "2", c: "3" }, { a: "4", b: '5"6', c: "7" }]);
+  assert.deepEqual(errors, [
+    { line: 2, column: 4, message: "row has 2 fields; the header has 3" },
+    { line: 3, column: 7, message: "row has 4 fields; the header has 3" },
+    { line: 4, column: 4, message: "unexpected text after a closing quote" },
+    { line: 5, column: 4, message: "quote inside an unquoted field (quote the whole field and double the quote)" },
+    { line: 6, column: 3, message: "quoted field is never closed" }
+  ]);
+});
+
+test("a malformed master.csv is a contract violation with locations", () => {
+  const ragged = csvText.replace("Tylenol,Analgesic", "Tylenol,Analgesic,Extra");
+  assert.throws(
+    () => DATA.prepare({ csvText: ragged, instrumentsText, config: CONFIG }),
+    err => err instanceof DATA.DataContractError && /Line 2, column \d+: row has 19 fields; the header has 18/.test(err.details)
+  );
+});
+
+test("a csvKey missing from master.csv is a contract violation", () => {
+  const broken = JSON.parse(instrumentsText);
+  broken.toxins.items.push({ csvKey: "sel_radon" });
+  assert.throws(
+    () => DATA.prepare({ csvText, instrumentsText: JSON.stringify(broken), config: CONFIG }),
+    err => err instanceof DATA.DataContractError && /Toxin Exposure: sel_radon/.test(err.details)
+  );
+});
+
+test("a blank required detail field is a contract violation", () => {
+  const blanked = csvText.replace("Neurotoxicity", "");
+  assert.throws(
+    () => DATA.prepare({ csvText: blanked, instrumentsText, config: CONFIG }),
+    err => err instanceof DATA.DataContractError && /sel_water → direct_cognitive_risks/.test(err.details)
+  );
+});
+
+test("an unknown anticholinergic level is a contract violation", () => {
+  const bad = csvText.replace(/,Low\r\nmeds,diphenhydramine/, ",Severe\r\nmeds,diphenhydramine");
+  assert.throws(
+    () => DATA.prepare({ csvText: bad, instrumentsText, config: CONFIG }),
+    err => err instanceof DATA.DataContractError && /alprazolam: anticholinergic_burden_std "Severe"/.test(err.details)
+  );
+});
+
+test("missing required columns fail before any row is read", () => {
+  const noClass = csvText.replace(",class,", ",klass,");
+  assert.throws(() => DATA.prepare({ csvText: noClass, instrumentsText, config: CONFIG }), /missing required columns: class/);
+});
+
+// ------------- lint() -------------
+
+function lint(csv = csvText, json = instrumentsText) {
+  return DATA.lint({ csvText: csv, instrumentsText: json, config: CONFIG })
+    .map(p => `${p.file}:${p.line} ${p.severity}: ${p.message}`);
+}
+
+test("the fixture data lints clean", () => {
+  assert.deepEqual(lint(), []);
+});
+
+test("lint reports duplicates, key column drift and missing helper text by line", () => {
+  const rows = csvText.split("\r\n");
+  rows[4] = rows[4].replace("oxybutynin,Oxybutynin,Ditropan", "alprazolam,Oxybutynin,Ditropan"); // line 5
+  rows[5] = rows[5].replace(",bottles,Plastic water bottles,", ",bottles,,"); // line 6
+  rows[8] = rows[8].replace(",sel_water,sel_water,", ",sel_water,water,"); // line 9
+  assert.deepEqual(lint(rows.join("\r\n")), [
+    'master.csv:5 error: duplicate item_key "alprazolam" (first on line 3)',
+    'master.csv:6 error: "bottles" has no threat (helper text)',
+    'master.csv:9 error: item_key "sel_water" disagrees with item_key_trimmed "water"',
+    'instruments_config.json:7 error: medications.items[3]: csvKey "oxybutynin" is not an item_key in master.csv'
+  ]);
+});
+
+test("lint reports section mismatches, missing brands and unreferenced rows", () => {
+  const csv = csvText
+    .replace("meds,acetaminophen,Acetaminophen,Tylenol", "meds,acetaminophen,Acetaminophen,")
+    .replace("foods,salt,", "toxins,salt,")
+    + "foods,kale,Kale,,,,,Greens,,None,None,Eat more,,,,kale,kale,\r\n";
+  assert.deepEqual(lint(csv), [
+    'master.csv:2 error: "acetaminophen" has no brand_name',
+    'master.csv:10 error: "salt" has no mitigation_strategies', // required for toxins, not foods
+    'master.csv:10 error: "salt" is listed under foods in instruments_config.json but its instrument_id is "toxins" (expected "foods")',
+    'master.csv:12 warning: "kale" (foods) is not referenced by any instrument'
+  ]);
+});
+
+// ------------- localize() -------------
+
+test("localize() uses the locale columns and falls back to English per cell", () => {
+  const { dicts } = DATA.prepare({ csvText, instrumentsText, config: CONFIG });
+  const es = DATA.localize(dicts, "es");
+  assert.equal(es.threatByKey.sel_water, "Agua contaminada");
+  assert.equal(es.threatByKey.alprazolam, "Alprazolam"); // threat_es left blank
+  assert.equal(es.detailsByKey.sel_water.mitigation_strategies, "Analice y filtre el agua potable.");
+  assert.equal(es.detailsByKey.sel_water.examples, "Lead pipes, well water");
+  assert.equal(DATA.localize(dicts, "en").threatByKey.sel_water, "Contaminated water");
+});
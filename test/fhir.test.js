@@ -0,0 +1,132 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CONFIG = require("../assets/config.js");
+const SCORING = require("../assets/scoring.js");
+const FHIR = require("../assets/fhir.js");
+const { prepareFixture, readResponses } = require("./helpers/page");
+
+// FHIR.questionnaire() / bundle() arguments, as app.js fhirArgs() builds them
+function prepared() {
+  const { dicts, instruments } = prepareFixture();
+  return {
+    config: CONFIG,
+    instruments,
+    csv: { brandByKey: dicts.brandByKey, threatByKey: dicts.threatByKey },
+    dataVersion: "abc123"
+  };
+}
+
+// Every non-group item of a Questionnaire / QuestionnaireResponse, by linkId
+function leaves(items, out = new Map()) {
+  for (const it of items || []) {
+    if (it.type === "group" || (!it.type && it.item && !it.answer)) leaves(it.item, out);
+    else out.set(it.linkId, it);
+  }
+  return out;
+}
+
+function exportBundle(responses) {
+  const args = prepared();
+  const { age, bmi } = SCORING.demographics(responses, CONFIG, new Date("2026-01-01"));
+  return FHIR.bundle(Object.assign(args, {
+    responses,
+    snapshot: SCORING.compute(responses, CONFIG, args.instruments, { age, bmi }),
+    subject: { display: "Test Client" },
+    authored: "2026-01-01T10:00:00.000Z"
+  }));
+}
+
+test("the Questionnaire covers every category, instrument and response key", () => {
+  const args = prepared();
+  const q = FHIR.questionnaire(args);
+  assert.equal(q.resourceType, "Questionnaire");
+  assert.equal(q.url, CONFIG.fhir.canonical);
+  assert.equal(q.version, "abc123");
+  assert.deepEqual(q.item.map(g => g.linkId), CONFIG.categories.map(c => `category/${c.id}`));
+
+  const items = leaves(q.item);
+  // Yes/No grid: HL7 Y/N codes
+  assert.deepEqual(items.get("history.heart").answerOption.map(o => o.valueCoding.code), ["Y", "N"]);
+  // Likert: codes are the stored values, with the scale points as ordinals
+  const sleep = CONFIG.categories.flatMap(c => c.instruments).find(i => i.id === "sleep");
+  const options = items.get("sleep.sleep1").answerOption.map(o => o.valueCoding);
+  assert.deepEqual(options.map(c => c.code), Object.values(sleep.scale).map(String));
+  assert.equal(options[0].system, `${CONFIG.fhir.canonical}/CodeSystem/scale-sleep`);
+  assert.equal(options[0].extension[0].valueDecimal, Object.values(sleep.scale)[0]);
+  // Checklists: booleans with brand names / threat help text from master.csv
+  assert.equal(items.get("Medications.diphenhydramine").type, "boolean");
+  assert.match(items.get("Medications.diphenhydramine").text, /\(Benadryl\)/i);
+  assert.equal(items.get(CONFIG.otherMedications.prefix).repeats, true);
+  const plastic = items.get("Micro/Nanoplastic Exposure.bottles");
+  assert.equal(plastic.item[0].type, "display");
+  // Demographics: typed, with the plausibility limits
+  assert.equal(items.get("demographics.dob").type, "date");
+  assert.equal(items.get("demographics.age").type, "integer");
+  assert.equal(items.get("demographics.height_cm").type, "decimal");
+  assert.deepEqual(items.get("demographics.age").extension.map(e => e.valueInteger), [18, 120]);
+});
+
+test("answers export as a QuestionnaireResponse and scores as Observations", () => {
+  const responses = readResponses("full");
+  const bundle = exportBundle(responses);
+  assert.equal(bundle.type, "collection");
+  const [qrEntry, ...obsEntries] = bundle.entry;
+  const qr = qrEntry.resource;
+  assert.equal(qr.resourceType, "QuestionnaireResponse");
+  assert.equal(qr.questionnaire, `${CONFIG.fhir.canonical}|abc123`);
+  assert.equal(qr.subject.display, "Test Client");
+
+  const answers = leaves(qr.item);
+  assert.deepEqual(answers.get("history.heart").answer, [{ valueCoding: { system: "http://terminology.hl7.org/CodeSystem/v2-0136", code: "Y", display: "Yes" } }]);
+  assert.equal(answers.get("sleep.sleep1").answer[0].valueCoding.code, "4");
+  assert.deepEqual(answers.get("Medications.diphenhydramine").answer, [{ valueBoolean: true }]);
+  assert.deepEqual(answers.get("demographics.age").answer, [{ valueInteger: 72 }]);
+  assert.deepEqual(answers.get(CONFIG.otherMedications.prefix).answer, [{ valueString: "Herbal sleep tea" }]);
+  // Unchecked boxes are left out
+  const prefixes = CONFIG.categories.flatMap(c => c.instruments).filter(i => i.widget === "checklist").map(i => `${i.responsePrefix}.`);
+  const checked = Object.keys(responses).filter(k => prefixes.some(p => k.startsWith(p))).length;
+  assert.equal(Array.from(answers.values()).filter(a => "valueBoolean" in a.answer[0]).length, checked);
+
+  const obs = obsEntries.map(e => e.resource);
+  assert.ok(obs.every(o => o.resourceType === "Observation" && o.derivedFrom[0].reference === qrEntry.fullUrl));
+  const byCode = new Map(obs.map(o => [o.code.coding[0].code, o]));
+  const snap = SCORING.compute(responses, CONFIG, prepared().instruments, { age: 72, bmi: 28.4 });
+  assert.equal(byCode.get("sleep.total").valueQuantity.value, snap.personal.sleep.total);
+  assert.equal(byCode.get("composite.index").interpretation[0].text, snap.composite.tier);
+  assert.equal(byCode.get("medications.anticholinergic").valueQuantity.value, snap.medications.anticholinergic.total);
+  assert.equal(byCode.get("30525-0").valueQuantity.value, 72);
+  assert.equal(byCode.get("39156-5").valueQuantity.unit, "kg/m2");
+});
+
+test("a partial form exports as in-progress with preliminary scores", () => {
+  const bundle = exportBundle(readResponses("partial"));
+  assert.equal(bundle.entry[0].resource.status, "in-progress");
+  assert.ok(bundle.entry.some(e => e.resource.status === "preliminary"));
+});
+
+test("a QuestionnaireResponse imports back to the same response map", () => {
+  const responses = readResponses("full");
+  const bundle = exportBundle(responses);
+  const back = FHIR.toResponses(JSON.parse(JSON.stringify(bundle)), { config: CONFIG });
+  const expected = Object.assign({}, responses);
+  assert.deepEqual(Object.assign({}, back.responses), expected);
+  assert.deepEqual(back.unreadable, []);
+  assert.equal(back.version, "abc123");
+  assert.equal(back.authored, "2026-01-01T10:00:00.000Z");
+
+  // The bare resource works too; unknown answer types are reported
+  const qr = bundle.entry[0].resource;
+  qr.item[0].item[1].item[0].answer = [{ valueAttachment: { url: "x" } }];
+  assert.equal(FHIR.toResponses(qr, { config: CONFIG }).unreadable[0].reason, "unsupported answer type");
+});
+
+test("resources for another questionnaire or of another type are refused", () => {
+  const qr = exportBundle({}).entry[0].resource;
+  qr.questionnaire = "http://example.com/other|1";
+  assert.throws(() => FHIR.toResponses(qr, { config: CONFIG }), /not http:\/\/example.org/);
+  assert.throws(() => FHIR.toResponses({ resourceType: "Patient" }, { config: CONFIG }), /not a FHIR QuestionnaireResponse/);
+  assert.throws(() => FHIR.toResponses({ resourceType: "Bundle", entry: [] }, { config: CONFIG }), /no QuestionnaireResponse/);
+});
@@ -0,0 +1,397 @@
+/* ===========================================================================
+   Minimal DOM stand-in for the Node test suite (no dependencies)
+   ---------------------------------------------------------------------------
+   Implements only what the assets/*.js modules touch: element creation and
+   tree edits, attributes/properties for inputs, classList/dataset/style,
+   textContent, a small innerHTML parser (the app only writes simple markup),
+   simple selectors (tag, #id, .class, [attr="value"], comma lists) and
+   bubbling events. Radios in the same document are mutually exclusive.
+   =========================================================================== */
+
+"use strict";
+
+const VOID_TAGS = new Set(["input", "br", "hr", "img", "meta", "link"]);
+
+// ------------- Events -------------
+
+class Event {
+  constructor(type, opts = {}) {
+    this.type = type;
+    this.bubbles = Boolean(opts.bubbles);
+    this.key = opts.key;
+    this.target = null;
+    this.currentTarget = null;
+    this.defaultPrevented = false;
+    this._stopped = false;
+  }
+  preventDefault() { this.defaultPrevented = true; }
+  stopPropagation() { this._stopped = true; }
+}
+
+class EventTarget {
+  constructor() { this._listeners = new Map(); }
+  addEventListener(type, fn) {
+    if (!this._listeners.has(type)) this._listeners.set(type, []);
+    this._listeners.get(type).push(fn);
+  }
+  removeEventListener(type, fn) {
+    const list = this._listeners.get(type) || [];
+    const i = list.indexOf(fn);
+    if (i !== -1) list.splice(i, 1);
+  }
+  dispatchEvent(event) {
+    if (!event.target) event.target = this;
+    let node = this;
+    while (node) {
+      event.currentTarget = node;
+      for (const fn of (node._listeners.get(event.type) || []).slice()) fn.call(node, event);
+      if (!event.bubbles || event._stopped) break;
+      node = node.parentNode || (node.nodeType === 9 ? node.defaultView : null);
+    }
+    return !event.defaultPrevented;
+  }
+}
+
+// ------------- Selectors -------------
+
+// "tag#id.cls[attr=\"v\"]" → matcher; no combinators
+function compileSimple(sel) {
+  const m = /^([a-zA-Z][\w-]*)?((?:#[\w.-]+|\.[\w-]+|\[[\w-]+(?:=(?:"[^"]*"|'[^']*'|[^\]]*))?\])*)$/.exec(sel.trim());
+  if (!m) throw new Error(`Unsupported selector in DOM stand-in: ${sel}`);
+  const tag = m[1] ? m[1].toLowerCase() : null;
+  const parts = m[2].match(/#[\w.-]+|\.[\w-]+|\[[^\]]+\]/g) || [];
+  return el => {
+    if (el.nodeType !== 1) return false;
+    if (tag && el.localName !== tag) return false;
+    return parts.every(p => {
+      if (p[0] === "#") return el.id === p.slice(1);
+      if (p[0] === ".") return el.classList.contains(p.slice(1));
+      const [, name, raw] = /^\[([\w-]+)(?:=(.*))?\]$/.exec(p);
+      if (raw === undefined) return el.hasAttribute(name);
+      return el.getAttribute(name) === raw.replace(/^["']|["']$/g, "");
+    });
+  };
+}
+
+function compile(selector) {
+  const matchers = selector.split(",").map(compileSimple);
+  return el => matchers.some(m => m(el));
+}
+
+// ------------- Nodes -------------
+
+class Node extends EventTarget {
+  constructor(doc) {
+    super();
+    this.ownerDocument = doc;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+  get firstChild() { return this.childNodes[0] || null; }
+  get lastChild() { return this.childNodes[this.childNodes.length - 1] || null; }
+  get children() { return this.childNodes.filter(n => n.nodeType === 1); }
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const sibs = this.parentNode.childNodes;
+    return sibs[sibs.indexOf(this) + 1] || null;
+  }
+
+  appendChild(child) { return this.insertBefore(child, null); }
+
+  insertBefore(child, ref) {
+    if (child.nodeType === 11) {
+      for (const c of child.childNodes.slice()) this.insertBefore(c, ref);
+      return child;
+    }
+    if (child.parentNode) child.parentNode.removeChild(child);
+    const i = ref ? this.childNodes.indexOf(ref) : -1;
+    if (i === -1) this.childNodes.push(child);
+    else this.childNodes.splice(i, 0, child);
+    child.parentNode = this;
+    return child;
+  }
+
+  prepend(...nodes) {
+    const first = this.firstChild;
+    nodes.forEach(n => this.insertBefore(n, first));
+  }
+
+  append(...nodes) { nodes.forEach(n => this.appendChild(n)); }
+
+  removeChild(child) {
+    const i = this.childNodes.indexOf(child);
+    if (i !== -1) this.childNodes.splice(i, 1);
+    child.parentNode = null;
+    return child;
+  }
+
+  remove() { if (this.parentNode) this.parentNode.removeChild(this); }
+
+  contains(node) {
+    for (let n = node; n; n = n.parentNode) if (n === this) return true;
+    return false;
+  }
+
+  get textContent() { return this.childNodes.map(c => c.textContent).join(""); }
+  set textContent(v) {
+    this.childNodes.forEach(c => { c.parentNode = null; });
+    this.childNodes = [];
+    if (v != null && v !== "") this.appendChild(this.ownerDocument.createTextNode(String(v)));
+  }
+
+  *_descendants() {
+    for (const c of this.childNodes) {
+      yield c;
+      yield* c._descendants();
+    }
+  }
+
+  querySelectorAll(selector) {
+    const match = compile(selector);
+    return Array.from(this._descendants()).filter(match);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+class Text extends Node {
+  constructor(doc, data) {
+    super(doc);
+    this.nodeType = 3;
+    this.data = String(data);
+  }
+  get textContent() { return this.data; }
+  set textContent(v) { this.data = String(v); }
+}
+
+class DocumentFragment extends Node {
+  constructor(doc) {
+    super(doc);
+    this.nodeType = 11;
+  }
+}
+
+// Attribute-backed properties (reflected both ways)
+const REFLECTED = ["id", "name", "type", "min", "max", "step", "placeholder", "autocomplete", "role", "src", "href", "title", "lang", "rel"];
+
+class Element extends Node {
+  constructor(doc, tag) {
+    super(doc);
+    this.nodeType = 1;
+    this.localName = tag.toLowerCase();
+    this.tagName = this.localName.toUpperCase();
+    this.attributes = new Map();
+    this.style = {};
+    this.dataset = {};
+    this._checked = false;
+    this._value = null;
+    this.disabled = false;
+    this.open = false;
+  }
+
+  get className() { return this.getAttribute("class") || ""; }
+  set className(v) { this.setAttribute("class", v); }
+
+  get classList() {
+    const el = this;
+    const list = () => el.className.split(/\s+/).filter(Boolean);
+    return {
+      contains: c => list().includes(c),
+      add: (...cs) => { el.className = Array.from(new Set(list().concat(cs))).join(" "); },
+      remove: (...cs) => { el.className = list().filter(x => !cs.includes(x)).join(" "); },
+      toggle(c, force) {
+        const on = force === undefined ? !list().includes(c) : Boolean(force);
+        if (on) this.add(c); else this.remove(c);
+        return on;
+      }
+    };
+  }
+
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+  removeAttribute(name) { this.attributes.delete(name); }
+  hasAttribute(name) { return this.attributes.has(name); }
+  toggleAttribute(name, force) {
+    const on = force === undefined ? !this.hasAttribute(name) : Boolean(force);
+    if (on) this.setAttribute(name, ""); else this.removeAttribute(name);
+    return on;
+  }
+
+  get hidden() { return this.hasAttribute("hidden"); }
+  set hidden(v) { this.toggleAttribute("hidden", Boolean(v)); }
+
+  get htmlFor() { return this.getAttribute("for") || ""; }
+  set htmlFor(v) { this.setAttribute("for", v); }
+
+  get maxLength() { return Number(this.getAttribute("maxlength") ?? -1); }
+  set maxLength(v) { this.setAttribute("maxlength", v); }
+
+  get value() {
+    if (this._value !== null) return this._value;
+    if (this.localName === "textarea") return this.textContent;
+    const attr = this.getAttribute("value");
+    if (attr !== null) return attr;
+    return this.type === "checkbox" || this.type === "radio" ? "on" : "";
+  }
+  set value(v) { this._value = String(v); }
+
+  get checked() { return this._checked; }
+  set checked(v) {
+    this._checked = Boolean(v);
+    if (this._checked && this.type === "radio" && this.name) {
+      let root = this;
+      while (root.parentNode) root = root.parentNode;
+      for (const other of root.querySelectorAll("input")) {
+        if (other !== this && other.type === "radio" && other.name === this.name) other._checked = false;
+      }
+    }
+  }
+
+  get innerText() { return this.textContent; }
+  set innerText(v) { this.textContent = v; }
+
+  get innerHTML() { return this.childNodes.map(serialize).join(""); }
+  set innerHTML(html) {
+    this.textContent = "";
+    parseInto(this, String(html));
+  }
+
+  closest(selector) {
+    const match = compile(selector);
+    for (let n = this; n && n.nodeType === 1; n = n.parentNode) if (match(n)) return n;
+    return null;
+  }
+
+  matches(selector) { return compile(selector)(this); }
+
+  click() {
+    const ev = new Event("click", { bubbles: true });
+    if (this.type === "checkbox") this.checked = !this.checked;
+    else if (this.type === "radio") this.checked = true;
+    this.dispatchEvent(ev);
+    if (this.type === "checkbox" || this.type === "radio") this.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  focus() { this.ownerDocument.activeElement = this; }
+  blur() {
+    if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = null;
+    this.dispatchEvent(new Event("blur"));
+  }
+  select() {}
+  scrollIntoView() {}
+}
+
+REFLECTED.forEach(name => {
+  Object.defineProperty(Element.prototype, name, {
+    get() { return this.getAttribute(name) || ""; },
+    set(v) { this.setAttribute(name, v); }
+  });
+});
+
+// ------------- HTML (tiny subset) -------------
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", "#39": "'", apos: "'", nbsp: " " };
+
+function decode(s) {
+  return s.replace(/&(#?\w+);/g, (m, e) => ENTITIES[e] ?? m);
+}
+
+function escapeText(s) {
+  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function serialize(node) {
+  if (node.nodeType === 3) return escapeText(node.data);
+  if (node.nodeType !== 1) return node.childNodes.map(serialize).join("");
+  const attrs = Array.from(node.attributes).map(([k, v]) => (v === "" ? ` ${k}` : ` ${k}="${v.replace(/"/g, "&quot;")}"`)).join("");
+  if (VOID_TAGS.has(node.localName)) return `<${node.localName}${attrs}>`;
+  return `<${node.localName}${attrs}>${node.childNodes.map(serialize).join("")}</${node.localName}>`;
+}
+
+// Handles elements, attributes (quoted, unquoted, boolean), text, comments and
+// doctype. Raw-text elements (script/style) keep their body as text.
+function parseInto(parent, html) {
+  const doc = parent.ownerDocument;
+  const stack = [parent];
+  const top = () => stack[stack.length - 1];
+  const re = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+|<)/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const [, close, open, attrText, selfClose, text] = m;
+    if (text !== undefined) {
+      top().appendChild(doc.createTextNode(decode(text)));
+    } else if (close) {
+      const tag = close.toLowerCase();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].localName === tag) { stack.length = i; break; }
+      }
+    } else if (open) {
+      const el = doc.createElement(open);
+      const attrRe = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+      let a;
+      while ((a = attrRe.exec(attrText || ""))) {
+        el.setAttribute(a[1].toLowerCase(), decode(a[2] ?? a[3] ?? a[4] ?? ""));
+      }
+      top().appendChild(el);
+      const tag = el.localName;
+      if (tag === "script" || tag === "style") {
+        const end = html.toLowerCase().indexOf(`</${tag}`, re.lastIndex);
+        const body = html.slice(re.lastIndex, end === -1 ? html.length : end);
+        if (body) el.appendChild(doc.createTextNode(body));
+        re.lastIndex = end === -1 ? html.length : html.indexOf(">", end) + 1;
+      } else if (!selfClose && !VOID_TAGS.has(tag)) {
+        stack.push(el);
+      }
+    }
+  }
+}
+
+// ------------- Document / window -------------
+
+class Document extends Node {
+  constructor() {
+    super(null);
+    this.ownerDocument = this;
+    this.nodeType = 9;
+    this.activeElement = null;
+    this.defaultView = null;
+    this.documentElement = this.createElement("html");
+    this.head = this.createElement("head");
+    this.body = this.createElement("body");
+    this.documentElement.appendChild(this.head);
+    this.documentElement.appendChild(this.body);
+    this.appendChild(this.documentElement);
+  }
+  createElement(tag) { return new Element(this, tag); }
+  createTextNode(text) { return new Text(this, text); }
+  createDocumentFragment() { return new DocumentFragment(this); }
+  getElementById(id) {
+    for (const n of this._descendants()) if (n.nodeType === 1 && n.id === id) return n;
+    return null;
+  }
+  execCommand() { return false; }
+}
+
+class Storage {
+  constructor() { this._map = new Map(); }
+  getItem(k) { return this._map.has(k) ? this._map.get(k) : null; }
+  setItem(k, v) { this._map.set(k, String(v)); }
+  removeItem(k) { this._map.delete(k); }
+  clear() { this._map.clear(); }
+}
+
+/**
+ * Build a document from an HTML page: the <body> markup is parsed into
+ * document.body (scripts are kept as inert elements).
+ * @param {string} html Full page markup (e.g. index.html).
+ */
+function createDocument(html = "") {
+  const doc = new Document();
+  const body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html);
+  parseInto(doc.body, body ? body[1] : html);
+  return doc;
+}
+
+module.exports = { createDocument, Document, Element, Event, EventTarget, Storage };
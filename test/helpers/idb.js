@@ -0,0 +1,144 @@
+/* ===========================================================================
+   Minimal IndexedDB stand-in for the Node test suite (no dependencies)
+   ---------------------------------------------------------------------------
+   Implements only what assets/profiles.js touches: open() with
+   onupgradeneeded, object stores with an in-line keyPath, and get / getAll /
+   put / delete / clear requests inside transactions that complete once no request is
+   pending. Values are structured-cloned, as a real database would store them.
+   Databases live as long as the factory, so two pages booted with the same
+   factory see the same data (a reload).
+   =========================================================================== */
+
+"use strict";
+
+// Settle a request on a later turn, like the browser's event loop
+function settle(req, tx, fn) {
+  tx._pending++;
+  setImmediate(() => {
+    try {
+      req.result = fn();
+      if (req.onsuccess) req.onsuccess({ target: req });
+    } catch (e) {
+      req.error = e;
+      if (req.onerror) req.onerror({ target: req });
+    }
+    tx._pending--;
+    tx._maybeComplete();
+  });
+  return req;
+}
+
+class ObjectStore {
+  constructor(tx, data, keyPath) {
+    this._tx = tx;
+    this._data = data;
+    this._keyPath = keyPath;
+  }
+
+  get(key) {
+    return settle({}, this._tx, () => (this._data.has(key) ? structuredClone(this._data.get(key)) : undefined));
+  }
+
+  getAll() {
+    return settle({}, this._tx, () => Array.from(this._data.values(), v => structuredClone(v)));
+  }
+
+  put(value) {
+    if (this._tx.mode !== "readwrite") throw new Error("ReadOnlyError");
+    return settle({}, this._tx, () => {
+      const key = value[this._keyPath];
+      this._data.set(key, structuredClone(value));
+      return key;
+    });
+  }
+
+  clear() {
+    if (this._tx.mode !== "readwrite") throw new Error("ReadOnlyError");
+    return settle({}, this._tx, () => {
+      this._data.clear();
+    });
+  }
+
+  delete(key) {
+    if (this._tx.mode !== "readwrite") throw new Error("ReadOnlyError");
+    return settle({}, this._tx, () => {
+      this._data.delete(key);
+    });
+  }
+}
+
+class Transaction {
+  constructor(db, mode) {
+    this.db = db;
+    this.mode = mode;
+    this._pending = 0;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    // A transaction with no requests still completes
+    setImmediate(() => this._maybeComplete());
+  }
+
+  objectStore(name) {
+    const store = this.db._stores.get(name);
+    if (!store) throw new Error(`NotFoundError: no object store ${name}`);
+    return new ObjectStore(this, store.data, store.keyPath);
+  }
+
+  // Commit once a turn passes without new requests, as a browser commits
+  // when the transaction's callbacks queue nothing more
+  _maybeComplete() {
+    if (this._done || this._pending) return;
+    setImmediate(() => {
+      if (this._done || this._pending) return;
+      this._done = true;
+      if (this.oncomplete) this.oncomplete();
+    });
+  }
+}
+
+class Database {
+  constructor(name, version, stores) {
+    this.name = name;
+    this.version = version;
+    this._stores = stores;
+    this.objectStoreNames = { contains: n => stores.has(n) };
+  }
+
+  createObjectStore(name, { keyPath } = {}) {
+    this._stores.set(name, { keyPath, data: new Map() });
+  }
+
+  transaction(name, mode = "readonly") {
+    return new Transaction(this, mode);
+  }
+
+  close() {}
+}
+
+/**
+ * A fresh, empty IndexedDB factory.
+ * @returns {{ open(name: string, version: number): Object }}
+ */
+function createIndexedDB() {
+  const databases = new Map(); // name => { version, stores }
+  return {
+    open(name, version = 1) {
+      const req = { result: null, error: null };
+      setImmediate(() => {
+        const known = databases.get(name) || { version: 0, stores: new Map() };
+        databases.set(name, known);
+        req.result = new Database(name, version, known.stores);
+        if (version > known.version) {
+          const oldVersion = known.version;
+          known.version = version;
+          if (req.onupgradeneeded) req.onupgradeneeded({ target: req, oldVersion });
+        }
+        if (req.onsuccess) req.onsuccess({ target: req });
+      });
+      return req;
+    }
+  };
+}
+
+module.exports = { createIndexedDB };
@@ -0,0 +1,234 @@
+/* ===========================================================================
+   Test helpers — boot index.html + assets/*.js in a vm context
+   ---------------------------------------------------------------------------
+   - prepareFixture() gives the same data to tests that require() the
+     modules directly.
+   - The page's <script src> tags are run in index.html order against the DOM
+     stand-in (dom.js); fetch() serves data files from a fixture directory.
+   - SUMMARY.updateSummary is wrapped so tests can read the exact
+     collectAllResponses() map app.js produced (page.lastResponses).
+   - The unlock screen (vault.js) is answered with TEST_PASSPHRASE unless
+     `passphrase: null`; CONFIG.vault.iterations is lowered to keep the
+     suite fast and the auto-lock is off unless `configure` sets it. VAULT / PROFILES calls are counted so page.idle() can wait
+     for crypto and IndexedDB work to finish.
+
+   Run the suite with:  node --test test/
+   =========================================================================== */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { createDocument, Event, EventTarget, Storage } = require("./dom");
+const CONFIG = require("../../assets/config.js");
+const DATA = require("../../assets/data.js");
+
+const ROOT = path.join(__dirname, "..", "..");
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+const FIXTURE_DATA = path.join(FIXTURES, "data");
+
+function readFixture(...parts) {
+  return fs.readFileSync(path.join(FIXTURES, ...parts), "utf8");
+}
+
+const TEST_PASSPHRASE = "test passphrase 1";
+
+function readResponses(name) {
+  return JSON.parse(readFixture("responses", `${name}.json`));
+}
+
+/**
+ * The fixture data files through DATA.prepare(), as the page and
+ * tools/score.js load them (for tests that call the modules directly).
+ * @param {Object} [config] CONFIG to check them against (default: assets/config.js).
+ * @returns {{config:Object, dicts:Object, instruments:Object}}
+ */
+function prepareFixture(config = CONFIG) {
+  const { dicts, instruments } = DATA.prepare({
+    csvText: readFixture("data", "master.csv"),
+    instrumentsText: readFixture("data", "instruments_config.json"),
+    config
+  });
+  return { config, dicts, instruments };
+}
+
+// Let init()'s awaited fetches settle
+async function settle() {
+  for (let i = 0; i < 5; i++) await new Promise(r => setImmediate(r));
+}
+
+/**
+ * Load the app the way a browser would.
+ * @param {Object} [opts]
+ * @param {string} [opts.dataDir] Directory serving data/master.csv and data/instruments_config.json.
+ * @param {Storage} [opts.storage] localStorage stand-in (shared to test resume).
+ * @param {Function} [opts.configure] Called with the page's CONFIG before init() runs.
+ * @param {Object} [opts.indexedDB] IndexedDB stand-in (helpers/idb.js); none by default, like a browser without it.
+ * @param {string|null} [opts.passphrase] Entered on the unlock screen; null leaves the screen up.
+ */
+async function bootPage({ dataDir = FIXTURE_DATA, storage = new Storage(), configure, indexedDB, passphrase = TEST_PASSPHRASE } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const document = createDocument(html);
+  const windowEvents = new EventTarget();
+  document.defaultView = windowEvents;
+
+  const page = { lastResponses: null };
+  const win = {
+    document,
+    console,
+    setTimeout,
+    clearTimeout,
+    Event,
+    localStorage: storage,
+    navigator: {},
+    indexedDB,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    btoa,
+    atob,
+    print() {},
+    addEventListener: (type, fn) => windowEvents.addEventListener(type, fn),
+    removeEventListener: (type, fn) => windowEvents.removeEventListener(type, fn),
+    async fetch(url) {
+      const file = path.join(dataDir, path.basename(String(url)));
+      if (!String(url).startsWith("data/") || !fs.existsSync(file)) {
+        return { ok: false, status: 404, text: async () => "" };
+      }
+      const text = fs.readFileSync(file, "utf8");
+      return { ok: true, status: 200, text: async () => text };
+    }
+  };
+  win.window = win;
+  vm.createContext(win);
+
+  const scripts = Array.from(html.matchAll(/<script[^>]*\bsrc="([^"]+)"[^>]*><\/script>/g)).map(m => m[1]);
+  for (const src of scripts) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, src), "utf8"), win, { filename: src });
+  }
+
+  // Count pending VAULT / PROFILES promises for idle()
+  let inflight = 0;
+  for (const api of [win.VAULT, win.PROFILES]) {
+    for (const [name, fn] of Object.entries(api)) {
+      if (typeof fn !== "function" || /^[A-Z]/.test(name)) continue;
+      api[name] = function (...args) {
+        const out = fn.apply(this, args);
+        if (out && typeof out.then === "function") {
+          inflight++;
+          out.then(() => inflight--, () => inflight--);
+        }
+        return out;
+      };
+    }
+  }
+
+  const update = win.SUMMARY.updateSummary;
+  win.SUMMARY.updateSummary = function (responses) {
+    page.lastResponses = Object.assign({}, responses);
+    return update.call(this, responses);
+  };
+
+  // Fast key derivation; no auto-lock timer keeping the test process alive
+  win.CONFIG.vault.iterations = 1000;
+  win.CONFIG.vault.autoLockMinutes = 0;
+  if (configure) configure(win.CONFIG);
+  document.dispatchEvent(new Event("DOMContentLoaded"));
+
+  Object.assign(page, {
+    window: win,
+    document,
+
+    /** Wait until no crypto / IndexedDB work started by the page is pending. */
+    async idle() {
+      for (let quiet = 0, rounds = 0; quiet < 3; rounds++) {
+        if (rounds > 5000) throw new Error("page.idle(): work still pending");
+        await new Promise(r => setTimeout(r, inflight ? 1 : 0));
+        await settle();
+        quiet = inflight ? 0 : quiet + 1;
+      }
+    },
+
+    /** Enter a passphrase on the unlock screen (twice when choosing one). */
+    async unlock(pass = TEST_PASSPHRASE) {
+      document.getElementById("vault-passphrase").value = pass;
+      document.getElementById("vault-confirm").value = pass;
+      document.getElementById("vault-unlock-btn").click();
+      await this.idle();
+    },
+
+    /** Check the radio `<name>` with the given value and fire change. */
+    answer(name, value) {
+      const inp = document.querySelectorAll("input").find(i => i.name === name && i.value === String(value));
+      if (!inp) throw new Error(`No radio ${name}=${value}`);
+      inp.checked = true;
+      inp.dispatchEvent(new Event("change", { bubbles: true }));
+    },
+
+    /** Check (or uncheck) a checklist box "<SectionLabel>.<csvKey>". */
+    check(name, on = true) {
+      const inp = document.querySelectorAll('input[type="checkbox"]').find(i => i.name === name);
+      if (!inp) throw new Error(`No checkbox ${name}`);
+      inp.checked = on;
+      inp.dispatchEvent(new Event("change", { bubbles: true }));
+    },
+
+    /** Type into a free-entry input by id and fire input + change. */
+    type(id, value) {
+      const inp = document.getElementById(id);
+      if (!inp) throw new Error(`No input #${id}`);
+      inp.value = value;
+      inp.dispatchEvent(new Event("input", { bubbles: true }));
+      inp.dispatchEvent(new Event("change", { bubbles: true }));
+    },
+
+    /** Apply every entry of a response map through the rendered inputs. */
+    fill(responses) {
+      for (const [k, v] of Object.entries(responses)) {
+        if (k.startsWith(`${win.CONFIG.otherMedications.prefix}.`)) {
+          this.type("med-other-input", v);
+          document.getElementById("med-other-input").dispatchEvent(new Event("keydown", { key: "Enter" }));
+        } else if (document.getElementById(k) && document.getElementById(k).type !== "radio") {
+          this.type(k, v);
+        } else if (v === "1" && document.querySelectorAll('input[type="checkbox"]').some(i => i.name === k)) {
+          this.check(k);
+        } else {
+          this.answer(k, v);
+        }
+      }
+    }
+  });
+
+  await page.idle();
+  if (passphrase !== null && !document.getElementById("vault-screen").hidden) await page.unlock(passphrase);
+  return page;
+}
+
+/**
+ * Plain-text outline of a rendered block: one line per heading, row, list
+ * item or paragraph; table cells joined with " | ".
+ * @param {Object} root Element from the DOM stand-in.
+ */
+function outline(root) {
+  const lines = [];
+  const BLOCK = new Set(["h1", "h2", "h3", "h4", "p", "li", "tr", "dt", "dd"]);
+  (function walk(node) {
+    if (node.nodeType !== 1) return;
+    if (node.localName === "tr") {
+      lines.push(node.children.map(c => c.textContent.trim()).join(" | "));
+      return;
+    }
+    if (BLOCK.has(node.localName) || node.classList.contains("sum-row")) {
+      const own = node.children.filter(c => c.localName === "ul" || c.localName === "ol");
+      const text = node.childNodes.filter(c => !own.includes(c)).map(c => c.textContent).join("").trim();
+      lines.push(`${node.localName === "li" ? "- " : ""}${text}`);
+      own.forEach(walk);
+      return;
+    }
+    node.childNodes.forEach(walk);
+  })(root);
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { bootPage, outline, prepareFixture, readFixture, readResponses, FIXTURE_DATA, ROOT, TEST_PASSPHRASE };
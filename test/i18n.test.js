@@ -0,0 +1,60 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CONFIG = require("../assets/config.js");
+const I18N = require("../assets/i18n.js");
+const ES = require("../assets/i18n/es.js");
+
+I18N.register("es", ES);
+
+test("t() falls back to the English text and fills placeholders", (t) => {
+  t.after(() => I18N.setLanguage("en"));
+  assert.equal(I18N.t("ui.exported", "Exported {count} answers.", { count: 3 }), "Exported 3 answers.");
+  I18N.setLanguage("es");
+  assert.equal(I18N.t("ui.exported", "Exported {count} answers.", { count: 3 }), "Se exportaron 3 respuestas.");
+  assert.equal(I18N.t("ui.notInBundle", "Plain {word}", { word: "English" }), "Plain English");
+});
+
+test("unknown languages fall back to English", () => {
+  assert.equal(I18N.setLanguage("xx"), "en");
+  assert.equal(I18N.restore({ i18n: { defaultLanguage: "xx" } }), "en");
+});
+
+test("the Spanish bundle covers every CONFIG category, item and tier label", () => {
+  const missing = [];
+  const need = id => { if (!(id in ES)) missing.push(id); };
+  for (const cat of CONFIG.categories) {
+    need(`category.${cat.id}`);
+    for (const inst of cat.instruments) {
+      need(inst.widget === "checklist" ? `checklist.${inst.source}` : `instrument.${inst.id}`);
+      for (const item of inst.items) {
+        need(`item.${inst.id}.${item.key}`);
+        for (const tier of [item.yesTier, item.noTier].filter(Boolean)) need(`tier.${tier}`);
+      }
+      for (const band of inst.tiers || []) need(`tier.${band.label}`);
+    }
+  }
+  for (const c of CONFIG.compositeIndex.categories) need(`composite.${c.id}`);
+  for (const band of [...CONFIG.compositeIndex.tiers, ...CONFIG.ageBands, ...CONFIG.bmiBands]) need(`tier.${band.label}`);
+  assert.deepEqual(missing, []);
+});
+
+test("the Spanish bundle covers every report, comparison and measure string", () => {
+  const fs = require("fs");
+  const path = require("path");
+  const SCORING = require("../assets/scoring.js");
+  const missing = [];
+  const need = id => { if (!(id in ES) && !missing.includes(id)) missing.push(id); };
+  for (const file of ["report.js", "compare.js"]) {
+    const source = fs.readFileSync(path.join(__dirname, "..", "assets", file), "utf8");
+    const ids = Array.from(source.matchAll(/\bt\("((?:report|compare)\.[\w.]+)"/g), m => m[1]);
+    assert.ok(ids.length > 5, `no string ids found in ${file}`);
+    ids.forEach(need);
+  }
+  for (const cat of CONFIG.categories) {
+    for (const inst of cat.instruments) SCORING.measures(inst).forEach(m => need(`measure.${m.id}`));
+  }
+  assert.deepEqual(missing, []);
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+// Every output walks CONFIG.categories: an instrument declared only in
+// CONFIG shows up everywhere, and a removed or renamed one breaks nothing.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CONFIG = require("../assets/config.js");
+const SCORING = require("../assets/scoring.js");
+const DATA = require("../assets/data.js");
+const PLAN = require("../assets/plan.js");
+const { formatText } = require("../tools/score.js");
+const { bootPage, outline, readFixture, readResponses } = require("./helpers/page");
+
+const MOOD = {
+  id: "mood",
+  label: "Mood",
+  instruments: [{
+    id: "phq2",
+    label: "Patient Health Questionnaire-2",
+    shortLabel: "PHQ-2",
+    widget: "likert",
+    scoring: { rule: "sum" },
+    scale: { NotAtAll: 0, SeveralDays: 1, MoreThanHalf: 2, NearlyEveryDay: 3 },
+    tiers: [{ min: 0, max: 2, label: "Low" }, { min: 3, max: 6, label: "High" }],
+    tierActions: { High: "Ask your clinician about a full depression screening (PHQ-9)." },
+    items: [
+      { key: "interest", label: "Little interest or pleasure in doing things" },
+      { key: "down", label: "Feeling down, depressed or hopeless" }
+    ]
+  }]
+};
+
+function withMood(config) {
+  config.categories.push(structuredClone(MOOD));
+  return config;
+}
+
+function run(config, responses) {
+  const { dicts, instruments } = DATA.prepare({
+    csvText: readFixture("data", "master.csv"),
+    instrumentsText: readFixture("data", "instruments_config.json"),
+    config
+  });
+  return { dicts, snap: SCORING.compute(responses, config, instruments, { age: 72, bmi: 28.4 }) };
+}
+
+test("an instrument added to CONFIG reaches the CLI text and the action plan", () => {
+  const config = withMood(structuredClone(CONFIG));
+  const { dicts, snap } = run(config, { ...readResponses("full"), "phq2.interest": "3", "phq2.down": "2" });
+
+  const text = formatText(snap, dicts, config);
+  assert.match(text, /\nMood\n----\n {2}Patient Health Questionnaire-2:\n {4}Total \(0–6\): 5\n {4}Tier: High\n/);
+
+  const plan = PLAN.build(snap, { config, csv: dicts });
+  assert.ok(plan.some(p => p.tier === "High" && /PHQ-9/.test(p.action) && p.sources[0] === "Patient Health Questionnaire-2: High"));
+});
+
+test("removing or renaming an instrument leaves the CLI text and plan working", () => {
+  const config = structuredClone(CONFIG);
+  const social = config.categories.find(c => c.id === "social");
+  social.instruments = social.instruments.filter(i => i.id !== "ucla3");
+  const sleep = config.categories[0].instruments.find(i => i.id === "sleep");
+  sleep.id = "insomnia";
+  sleep.label = "Insomnia Severity";
+
+  const responses = { "insomnia.sleep1": "4", "insomnia.sleep2": "4", "ucla3.ucla1": "3" };
+  const { dicts, snap } = run(config, responses);
+  const text = formatText(snap, dicts, config);
+  assert.doesNotMatch(text, /UCLA/);
+  assert.match(text, /Insomnia Severity:\n {4}Total \(0–24\): 8\n/);
+
+  // A snapshot scored under the old CONFIG reads as blank, not as an error
+  const old = run(CONFIG, readResponses("full"));
+  assert.doesNotThrow(() => formatText(old.snap, old.dicts, config));
+  assert.doesNotThrow(() => PLAN.build(old.snap, { config, csv: old.dicts }));
+});
+
+test("the report and the comparison list an instrument added to CONFIG", async () => {
+  const page = await bootPage({ configure: withMood });
+  const { SCORING: PAGE_SCORING, CONFIG: PAGE_CONFIG, __INSTRUMENTS__, REPORT, COMPARE, document } = page.window;
+  const before = PAGE_SCORING.compute({ "phq2.interest": "1", "phq2.down": "0" }, PAGE_CONFIG, __INSTRUMENTS__);
+  const after = PAGE_SCORING.compute({ "phq2.interest": "3", "phq2.down": "2" }, PAGE_CONFIG, __INSTRUMENTS__);
+
+  REPORT.render(after, { csv: {} });
+  const report = outline(document.getElementById("report-view"));
+  assert.match(report, /\nMood\nPatient Health Questionnaire-2\nTotal \(0–6\) \| 5\nTier \| High\n/);
+
+  const diff = COMPARE.diff({ label: "First", snapshot: before }, { label: "Second", snapshot: after });
+  const row = diff.rows.find(r => r.id === "phq2.total");
+  assert.equal(row.label, "PHQ-2 — Total (0–6)");
+  assert.deepEqual([row.before, row.after, row.delta, row.tierBefore, row.tierAfter], [1, 5, 4, "Low", "High"]);
+
+  COMPARE.render(diff);
+  assert.match(outline(document.getElementById("compare-view")), /PHQ-2 — Total \(0–6\) \| 1 \(Low\) \| 5 \(High\) \| \+4 — Low → High/);
+});
@@ -0,0 +1,136 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const PROFILES = require("../assets/profiles.js");
+const VAULT = require("../assets/vault.js");
+const { createIndexedDB } = require("./helpers/idb");
+const { Storage } = require("./helpers/dom");
+
+let idb;
+test.beforeEach(async () => {
+  idb = createIndexedDB();
+  VAULT.use(new Storage());
+  await VAULT.setUp("correct horse battery", { iterations: 1000 });
+  PROFILES.use(idb, VAULT);
+});
+
+// The raw records as IndexedDB holds them
+function storedRecords() {
+  return new Promise(resolve => {
+    const req = idb.open("brainThreat", 1);
+    req.onsuccess = () => {
+      const get = req.result.transaction("profiles").objectStore("profiles").getAll();
+      get.onsuccess = () => resolve(get.result);
+    };
+  });
+}
+
+test("profiles are created, renamed, searched and deleted", async () => {
+  const ana = await PROFILES.create("  Ana   Pérez ");
+  const bob = await PROFILES.create("Bob Stone");
+  await PROFILES.create("anabel Ruiz");
+  assert.equal(ana.name, "Ana Pérez");
+
+  assert.deepEqual((await PROFILES.list()).map(p => p.name), ["Ana Pérez", "anabel Ruiz", "Bob Stone"]);
+  assert.deepEqual((await PROFILES.list("ANA")).map(p => p.name), ["Ana Pérez", "anabel Ruiz"]);
+
+  await PROFILES.rename(bob.id, "Robert Stone");
+  assert.equal((await PROFILES.get(bob.id)).name, "Robert Stone");
+
+  await PROFILES.remove(ana.id);
+  assert.equal(await PROFILES.get(ana.id), null);
+  assert.deepEqual((await PROFILES.list()).map(p => p.name), ["anabel Ruiz", "Robert Stone"]);
+
+  await assert.rejects(PROFILES.create("   "), /needs a name/);
+  await assert.rejects(PROFILES.rename(ana.id, "Ghost"), /no longer exists/);
+});
+
+test("assessments are appended with their responses and snapshot", async () => {
+  const p = await PROFILES.create("Ana");
+  await PROFILES.addAssessment(p.id, {
+    responses: { "history.heart": "Yes" },
+    scoring: { personal: { history: { selected: ["heart"] } } },
+    dataVersion: "abc-def",
+    date: "2026-01-05T10:00:00.000Z"
+  });
+  const second = await PROFILES.addAssessment(p.id, { responses: { "history.heart": "No" }, dataVersion: "abc-def", language: "es" });
+
+  const rec = await PROFILES.get(p.id);
+  assert.equal(rec.assessments.length, 2);
+  assert.deepEqual(rec.assessments[0].responses, { "history.heart": "Yes" });
+  assert.deepEqual(rec.assessments[0].scoring.personal.history.selected, ["heart"]);
+  assert.equal(rec.assessments[1].id, second.id);
+  assert.equal(rec.assessments[1].language, "es");
+
+  const [listed] = await PROFILES.list();
+  assert.equal(listed.assessmentCount, 2);
+  assert.equal(listed.lastAssessedAt, second.date);
+});
+
+test("names and assessments are stored encrypted; a changed record is listed as damaged", async () => {
+  const ana = await PROFILES.create("Ana Pérez");
+  await PROFILES.addAssessment(ana.id, { responses: { "history.heart": "Yes" } });
+  await PROFILES.create("Bob Stone");
+
+  const raw = JSON.stringify(await storedRecords());
+  assert.doesNotMatch(raw, /Ana|Bob|history\.heart/);
+
+  // Flip one byte of Ana's ciphertext inside the database
+  const db = await new Promise(resolve => {
+    const req = idb.open("brainThreat", 1);
+    req.onsuccess = () => resolve(req.result);
+  });
+  const [rec] = (await storedRecords()).filter(r => r.id === ana.id);
+  const bytes = Buffer.from(rec.sealed.data, "base64");
+  bytes[0] ^= 1;
+  rec.sealed.data = bytes.toString("base64");
+  await new Promise(resolve => {
+    const tx = db.transaction("profiles", "readwrite");
+    tx.objectStore("profiles").put(rec);
+    tx.oncomplete = resolve;
+  });
+
+  const list = await PROFILES.list();
+  assert.deepEqual(list.map(p => [p.name, p.damaged]), [["", true], ["Bob Stone", false]]);
+  await assert.rejects(PROFILES.get(ana.id), { name: "VaultError", code: "damaged" });
+  await PROFILES.remove(ana.id);
+  assert.equal((await PROFILES.list()).length, 1);
+});
+
+test("a plain-text record planted in the database is never opened", async () => {
+  await PROFILES.create("Bob Stone");
+  const db = await new Promise(resolve => {
+    const req = idb.open("brainThreat", 1);
+    req.onsuccess = () => resolve(req.result);
+  });
+  const now = new Date().toISOString();
+  const planted = { id: "planted", createdAt: now, updatedAt: now, name: "Ana Pérez", assessments: [{ id: "a", date: now, responses: { "history.heart": "Yes" } }] };
+  await new Promise(resolve => {
+    const tx = db.transaction("profiles", "readwrite");
+    tx.objectStore("profiles").put(planted);
+    tx.oncomplete = resolve;
+  });
+
+  const list = await PROFILES.list();
+  assert.deepEqual(list.map(p => [p.id === "planted", p.name, p.damaged]), [[true, "", true], [false, "Bob Stone", false]]);
+  assert.deepEqual((await PROFILES.list("ana")), []);
+  await assert.rejects(PROFILES.get("planted"), { name: "VaultError", code: "damaged", message: /not encrypted/ });
+  await assert.rejects(PROFILES.addAssessment("planted", { responses: {} }), { code: "damaged" });
+  // Left as it was: listing does not seal it into a trusted record
+  assert.equal((await storedRecords()).find(r => r.id === "planted").sealed, undefined);
+});
+
+test("a locked vault keeps profiles closed", async () => {
+  await PROFILES.create("Ana");
+  VAULT.lock();
+  await assert.rejects(PROFILES.list(), { code: "locked" });
+  await assert.rejects(PROFILES.create("Bob"), { code: "locked" });
+});
+
+test("without IndexedDB the store reports unavailable and rejects", async () => {
+  PROFILES.use(null);
+  assert.equal(PROFILES.available(), false);
+  await assert.rejects(PROFILES.list(), /IndexedDB/);
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CONFIG = require("../assets/config.js");
+const SCORING = require("../assets/scoring.js");
+const RESEARCH = require("../assets/research.js");
+const { prepareFixture, readResponses } = require("./helpers/page");
+
+// RESEARCH ctx: { config, instruments }
+function context() {
+  const { config, instruments } = prepareFixture();
+  return { config, instruments };
+}
+
+function assessment(name, extra) {
+  const ctx = context();
+  const responses = readResponses(name);
+  const { age, bmi } = SCORING.demographics(responses, CONFIG, new Date("2026-01-01"));
+  return Object.assign({
+    id: `a-${name}`,
+    subjectId: "p-1",
+    date: "2026-01-01T10:00:00.000Z",
+    dataVersion: "abc123",
+    language: "en",
+    responses,
+    scoring: SCORING.compute(responses, CONFIG, ctx.instruments, { age, bmi })
+  }, extra);
+}
+
+// Minimal RFC 4180 reader for the checks below
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\r") continue;
+    else if (ch === "\n") { row.push(cell); rows.push(row); row = []; cell = ""; }
+    else cell += ch;
+  }
+  return rows;
+}
+
+function records(text) {
+  const [header, ...rows] = parseCsv(text);
+  return rows.map(r => Object.fromEntries(header.map((h, i) => [h, r[i]])));
+}
+
+test("columns are stable: items in form order, then scores; identifiers left out", () => {
+  const names = RESEARCH.columns(context()).map(c => c.name);
+  assert.deepEqual(names.slice(0, 5), ["assessment_id", "subject_id", "assessed_at", "data_version", "language"]);
+  assert.equal(names.includes("demographics.dob"), false);
+  assert.ok(names.indexOf("history.heart") < names.indexOf("sleep.sleep1"));
+  assert.ok(names.indexOf("Medications.diphenhydramine") < names.indexOf("score.history.flags"));
+  assert.ok(names.includes("Other Medications"));
+  assert.ok(names.includes("score.sleep.tier"));
+  assert.equal(names.at(-1), `score.composite.${CONFIG.compositeIndex.categories.at(-1).id}`);
+  assert.equal(new Set(names).size, names.length);
+});
+
+test("several assessments export as one row each, with totals and tiers", () => {
+  const full = assessment("full");
+  const csv = RESEARCH.dataset([full, assessment("blank", { id: "a-2", date: "2026-02-01T10:00:00.000Z" })], context());
+  assert.match(csv, /\r\n$/);
+  const [a, b] = records(csv);
+
+  assert.equal(a.assessment_id, "a-full");
+  assert.equal(a.subject_id, "p-1");
+  assert.equal(a["history.heart"], "Yes");
+  assert.equal(a["sleep.sleep1"], "4");
+  assert.equal(a["Medications.diphenhydramine"], "1");
+  assert.equal(a["Other Medications"], "Herbal sleep tea");
+  assert.equal(a["score.sleep.total"], String(full.scoring.personal.sleep.total));
+  assert.equal(a["score.sleep.tier"], full.scoring.personal.sleep.tier);
+  assert.equal(a["score.medications.acbTotal"], String(full.scoring.medications.anticholinergic.total));
+  assert.equal(a["score.composite.index"], String(full.scoring.composite.index));
+  assert.equal(a["score.age"], "72");
+
+  // A blank form: radios and unanswered totals stay blank, checkboxes read 0
+  assert.equal(b.assessment_id, "a-2");
+  assert.equal(b["history.heart"], "");
+  assert.equal(b["score.sleep.total"], "");
+  assert.equal(b["score.sleep.tier"], "");
+  assert.equal(b["Medications.diphenhydramine"], "0");
+});
+
+test("cells with commas, quotes or line breaks are quoted", () => {
+  const row = assessment("blank", { responses: { "Other Medications.x": 'Tea, "herbal"\nmix' } });
+  const [rec] = records(RESEARCH.dataset([row], context()));
+  assert.equal(rec["Other Medications"], 'Tea, "herbal"\nmix');
+});
+
+test("text that a spreadsheet would run as a formula is written as text", () => {
+  const responses = {
+    "Other Medications.a": "=HYPERLINK(\"http://x\")",
+    "Other Medications.b": "+1",
+    "demographics.units": "@SUM(A1)",
+    "history.heart": "-2"
+  };
+  const [rec] = records(RESEARCH.dataset([assessment("blank", { id: "=cmd", responses })], context()));
+  assert.equal(rec.assessment_id, "'=cmd");
+  assert.equal(rec["Other Medications"], "'=HYPERLINK(\"http://x\"); +1");
+  assert.equal(rec["demographics.units"], "'@SUM(A1)");
+  assert.equal(rec["history.heart"], "'-2");
+  // Numbers are not text: a computed 0 or count stays as it is
+  assert.equal(rec["Medications.diphenhydramine"], "0");
+});
+
+test("text led by a tab or a carriage return is written as text too", () => {
+  const responses = {
+    "Other Medications.a": "\t=HYPERLINK(\"http://x\")",
+    "history.heart": "\t=HYPERLINK(\"http://x\")",
+    "history.stroke": "\r=1+1"
+  };
+  const csv = RESEARCH.dataset([assessment("blank", { responses })], context());
+  const [rec] = records(csv);
+  assert.equal(rec["Other Medications"], "'=HYPERLINK(\"http://x\")"); // free text is trimmed first
+  assert.equal(rec["history.heart"], "'\t=HYPERLINK(\"http://x\")");
+  assert.ok(csv.includes('"\'\r=1+1"'), "the carriage return is kept behind the quote");
+});
+
+test("the data dictionary describes every dataset column with its codes", () => {
+  const ctx = context();
+  const dict = records(RESEARCH.dictionary(ctx));
+  const [header] = parseCsv(RESEARCH.dataset([], ctx));
+  assert.deepEqual(dict.map(d => d.column), header);
+
+  const byName = Object.fromEntries(dict.map(d => [d.column, d]));
+  assert.equal(byName["sleep.sleep1"].codes, "0=Never | 1=Rarely | 2=Sometimes | 3=Often | 4=Always");
+  assert.equal(byName["sleep.sleep1"].label, "I have trouble falling asleep");
+  assert.equal(byName["history.heart"].codes, "Yes=Yes | No=No");
+  assert.equal(byName["Medications.diphenhydramine"].codes, "1=Checked | 0=Not checked");
+  assert.equal(byName["demographics.units"].codes, "metric=Metric | imperial=Imperial");
+  assert.equal(byName["score.sleep.tier"].codes, "None=0–5 | Mild=6–11 | Moderate=12–17 | Severe=18–24");
+});
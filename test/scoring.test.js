@@ -0,0 +1,332 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CONFIG = require("../assets/config.js");
+const SCORING = require("../assets/scoring.js");
+const DATA = require("../assets/data.js");
+const { readFixture, readResponses } = require("./helpers/page");
+
+function instruments() {
+  return DATA.prepare({
+    csvText: readFixture("data", "master.csv"),
+    instrumentsText: readFixture("data", "instruments_config.json"),
+    config: CONFIG
+  }).instruments;
+}
+
+function score(responses, opts) {
+  return SCORING.compute(responses, CONFIG, instruments(), opts);
+}
+
+// Same value for every item of an instrument
+function all(instrumentId, keys, value) {
+  const out = {};
+  keys.forEach(k => { out[`${instrumentId}.${k}`] = String(value); });
+  return out;
+}
+
+const SLEEP = ["sleep1", "sleep2", "sleep3", "sleep4", "sleep5", "sleep6"];
+const STRESS = ["stress1", "stress2", "stress3", "stress4"];
+const LSNS = ["lsns1", "lsns2", "lsns3", "lsns4", "lsns5", "lsns6"];
+const UCLA = ["ucla1", "ucla2", "ucla3"];
+const HHIE = ["h1", "h2", "h3", "h4", "h5", "h6", "h7", "h8", "h9", "h10"];
+const VFQ = ["v1", "v2", "v3", "v4", "v5", "v6", "v7"];
+
+// Answers summing to `total` over `keys`, filling from the first item
+function totalling(instrumentId, keys, total, step, max) {
+  const out = {};
+  let left = total;
+  keys.forEach(k => {
+    const v = Math.min(max, left);
+    left -= v;
+    out[`${instrumentId}.${k}`] = String(v - (v % step));
+  });
+  return out;
+}
+
+// ------------- Personal -------------
+
+test("PSS-4 reverse-scores items 2 and 3", () => {
+  assert.equal(score(all("stress", STRESS, 0)).personal.stress.total, 8);
+  assert.equal(score(all("stress", STRESS, 4)).personal.stress.total, 8);
+  const s = score({ "stress.stress1": "4", "stress.stress2": "0", "stress.stress3": "0", "stress.stress4": "4" }).personal.stress;
+  assert.equal(s.total, 16);
+  assert.equal(s.tier, "High");
+});
+
+test("sleep severity band edges", () => {
+  const cases = [[0, "None"], [5, "None"], [6, "Mild"], [11, "Mild"], [12, "Moderate"], [17, "Moderate"], [18, "Severe"], [24, "Severe"]];
+  for (const [total, tier] of cases) {
+    const s = score(totalling("sleep", SLEEP, total, 1, 4)).personal.sleep;
+    assert.equal(s.total, total);
+    assert.equal(s.tier, tier, `sleep total ${total}`);
+  }
+});
+
+test("PSS-4 band edges", () => {
+  const cases = [
+    [{ stress1: 0, stress2: 4, stress3: 4, stress4: 0 }, 0, "Low"],
+    [{ stress1: 4, stress2: 3, stress3: 4, stress4: 0 }, 5, "Low"],
+    [{ stress1: 4, stress2: 2, stress3: 4, stress4: 0 }, 6, "Moderate"],
+    [{ stress1: 4, stress2: 2, stress3: 0, stress4: 0 }, 10, "Moderate"],
+    [{ stress1: 4, stress2: 1, stress3: 0, stress4: 0 }, 11, "High"]
+  ];
+  for (const [answers, total, tier] of cases) {
+    const responses = {};
+    for (const [k, v] of Object.entries(answers)) responses[`stress.${k}`] = String(v);
+    const s = score(responses).personal.stress;
+    assert.equal(s.total, total);
+    assert.equal(s.tier, tier, `stress total ${total}`);
+  }
+});
+
+test("questionnaire blocks carry raw answers and per-item scored points", () => {
+  const { stress, history } = score({ "stress.stress1": "3", "stress.stress2": "1", "history.heart": "Yes", "history.stroke": "No" }).personal;
+  assert.deepEqual(stress.answers, { stress1: "3", stress2: "1" });
+  assert.deepEqual(stress.scored, { stress1: 3, stress2: 3 }, "stress2 is reverse-scored");
+  assert.deepEqual(history.answers, { heart: "Yes", stroke: "No" });
+});
+
+test("incomplete instruments report counts and no tier", () => {
+  const { stress, sleep } = score({ "stress.stress1": "0", "stress.stress2": "4" }).personal;
+  assert.equal(stress.total, 0);
+  assert.equal(stress.tier, null);
+  assert.equal(stress.complete, false);
+  assert.equal(stress.answered, 2);
+  assert.equal(stress.itemCount, 4);
+  assert.deepEqual(stress.unanswered, ["stress3", "stress4"]);
+  assert.equal(sleep.answered, 0);
+  assert.equal(sleep.tier, null);
+});
+
+test("completion map covers every questionnaire instrument", () => {
+  const done = SCORING.completion({ "sleep.sleep1": "2" }, CONFIG);
+  assert.deepEqual(Object.keys(done).sort(), ["activity", "hhie", "history", "lsns6", "medical_lifestyle", "sleep", "stress", "ucla3", "vfq3of7"]);
+  assert.equal(done.sleep.answered, 1);
+  assert.equal(done.sleep.itemCount, 6);
+});
+
+test("history, medical & lifestyle and activity flags carry CONFIG tiers", () => {
+  const p = score({
+    "history.heart": "Yes",
+    "history.thy": "No",
+    "medical_lifestyle.smoking": "Yes",
+    "activity.steps": "No",
+    "activity.aerobic": "Yes"
+  }).personal;
+  assert.deepEqual(p.history.selected, ["heart"]);
+  assert.deepEqual(p.history.tiers, { heart: "High" });
+  assert.deepEqual(p.medicalLifestyle.tiers, { smoking: "High" });
+  assert.deepEqual(p.activity.noFlags, { steps: "Moderate" });
+});
+
+// ------------- Social & sensory -------------
+
+test("LSNS-6 isolation cutpoint and UCLA-3 loneliness cutpoint", () => {
+  assert.equal(score(totalling("lsns6", LSNS, 11, 1, 5)).social.lsns6.tier, "At risk for social isolation");
+  assert.equal(score(totalling("lsns6", LSNS, 12, 1, 5)).social.lsns6.tier, "Not isolated");
+  assert.equal(score(all("ucla3", UCLA, 1)).social.ucla3.tier, "Not lonely");
+  assert.equal(score({ "ucla3.ucla1": "2", "ucla3.ucla2": "2", "ucla3.ucla3": "1" }).social.ucla3.tier, "Not lonely");
+  assert.equal(score({ "ucla3.ucla1": "2", "ucla3.ucla2": "2", "ucla3.ucla3": "2" }).social.ucla3.tier, "Lonely");
+});
+
+test("HHIE-S scores the numeric radio values", () => {
+  const yes = score(all("hhie", HHIE, 4)).sensory.hhie;
+  assert.equal(yes.total, 40);
+  assert.equal(yes.tier, "Significant handicap");
+
+  const cases = [[0, "No handicap"], [8, "No handicap"], [10, "Mild–moderate handicap"], [24, "Mild–moderate handicap"], [26, "Significant handicap"]];
+  for (const [total, tier] of cases) {
+    const h = score(totalling("hhie", HHIE, total, 2, 4)).sensory.hhie;
+    assert.equal(h.total, total);
+    assert.equal(h.tier, tier, `HHIE-S total ${total}`);
+  }
+});
+
+test("VFQ normalized score is 0–100 over answered items", () => {
+  assert.equal(score(all("vfq3of7", VFQ, 0)).sensory.vfq3of7.score, 100);
+  assert.equal(score(all("vfq3of7", VFQ, 4)).sensory.vfq3of7.score, 0);
+  assert.equal(score({ "vfq3of7.v1": "2" }).sensory.vfq3of7.score, 50);
+  const blank = score({}).sensory.vfq3of7;
+  assert.equal(blank.score, null);
+  assert.equal(blank.rawTotal, 0);
+});
+
+// ------------- Checklists -------------
+
+test("medications group by class and sum anticholinergic burden", () => {
+  const m = score({
+    "Medications.diphenhydramine": "1",
+    "Medications.oxybutynin": "1",
+    "Medications.acetaminophen": "1",
+    "Other Medications.turmeric": "Turmeric"
+  }).medications;
+  assert.deepEqual(m.byClass, { Antihistamine: ["diphenhydramine"], Analgesic: ["acetaminophen"], Antimuscarinic: ["oxybutynin"] });
+  assert.equal(m.anticholinergic.total, 6);
+  assert.equal(m.anticholinergic.tier, "High");
+  assert.deepEqual(m.anticholinergic.levels, { acetaminophen: "None", diphenhydramine: "High", oxybutynin: "High" });
+  assert.deepEqual(m.other, ["Turmeric"]);
+});
+
+test("anticholinergic tier edges", () => {
+  const tier = meds => score(Object.fromEntries(meds.map(k => [`Medications.${k}`, "1"]))).medications.anticholinergic;
+  assert.deepEqual([tier([]).total, tier([]).tier], [0, "None"]);
+  assert.deepEqual([tier(["alprazolam"]).total, tier(["alprazolam"]).tier], [1, "Low"]);
+  assert.deepEqual([tier(["diphenhydramine"]).total, tier(["diphenhydramine"]).tier], [3, "Moderate"]);
+  assert.deepEqual([tier(["diphenhydramine", "alprazolam"]).total, tier(["diphenhydramine", "alprazolam"]).tier], [4, "Moderate"]);
+});
+
+test("exposure weights come from instruments_config.json", () => {
+  const s = score({
+    "Micro/Nanoplastic Exposure.bottles": "1",
+    "Micro/Nanoplastic Exposure.textiles": "1",
+    "Toxin Exposure.sel_water": "1",
+    "Brain Threat Foods & Additives.salt": "1",
+    "Brain Threat Foods & Additives.sugary_drinks": "1"
+  });
+  assert.deepEqual(s.microplastics, { selected: ["bottles", "textiles"], weighted: 3 });
+  // sel_water declares no weight: listed, adds nothing
+  assert.deepEqual(s.toxins, { selected: ["sel_water"], weighted: 0 });
+  assert.equal(s.foods.weighted, 4);
+});
+
+test("unchecked or unknown checklist keys are ignored", () => {
+  const s = score({ "Toxin Exposure.sel_air": "0", "Toxin Exposure.not_in_config": "1" });
+  assert.deepEqual(s.toxins.selected, []);
+});
+
+// ------------- Demographics, age & BMI -------------
+
+test("demographics derive age and BMI in both unit systems", () => {
+  const metric = SCORING.demographics({ "demographics.age": "72", "demographics.height_cm": "170", "demographics.weight_kg": "82" }, CONFIG);
+  assert.equal(metric.age, 72);
+  assert.equal(metric.bmi, 28.4);
+
+  const imperial = SCORING.demographics({
+    "demographics.units": "imperial",
+    "demographics.height_ft": "5",
+    "demographics.height_in": "7",
+    "demographics.weight_lb": "180"
+  }, CONFIG);
+  assert.equal(imperial.heightCm, 170.2);
+  assert.equal(imperial.bmi, 28.2);
+});
+
+test("date of birth wins over typed age and respects the birthday", () => {
+  const asOf = new Date("2026-03-10T00:00:00");
+  assert.equal(SCORING.demographics({ "demographics.dob": "1950-03-10", "demographics.age": "40" }, CONFIG, asOf).age, 76);
+  assert.equal(SCORING.demographics({ "demographics.dob": "1950-03-11" }, CONFIG, asOf).age, 75);
+});
+
+test("out-of-range demographics are reported, not guessed", () => {
+  const d = SCORING.demographics({ "demographics.age": "130", "demographics.height_cm": "90", "demographics.weight_kg": "70" }, CONFIG);
+  assert.equal(d.age, null);
+  assert.equal(d.bmi, null);
+  assert.equal(d.errors.length, 2);
+});
+
+test("age and BMI bands are looked up on floored values", () => {
+  const band = (age, bmi) => score({}, { age, bmi }).ageBmi;
+  assert.equal(band(54.9, 24.9).ageTier, "Low");
+  assert.equal(band(54.9, 24.9).bmiTier, "Optimal");
+  assert.equal(band(55, 25).ageTier, "Moderate");
+  assert.equal(band(55, 25).bmiTier, "Moderate");
+  assert.equal(band(81, 40).ageTier, "Extreme");
+  assert.equal(band(null, null).ageTier, null);
+});
+
+// ------------- Composite -------------
+
+test("composite index is insufficient data for a blank form", () => {
+  const c = score({}).composite;
+  assert.equal(c.index, null);
+  assert.equal(c.tier, null);
+  assert.equal(c.insufficient, true);
+  assert.equal(c.categories.length, 7);
+  // Questionnaire categories have no score; checklists (no unanswered state) do
+  assert.equal(c.categories.find(x => x.id === "social").score, null);
+  assert.equal(c.categories.find(x => x.id === "toxins").score, 0);
+});
+
+test("composite contributions sum to the index", () => {
+  const c = score(readResponses("full")).composite;
+  const total = c.categories.reduce((s, x) => s + x.contribution, 0);
+  assert.equal(c.index, Math.round(total));
+  const meds = c.categories.find(x => x.id === "medications");
+  // ACB 4 of 6 → 67%, weight 20 of 100
+  assert.equal(meds.score, 67);
+  assert.equal(meds.contribution, 13.3);
+});
+
+test("incomplete instruments are left out of the composite, not read as 0", () => {
+  const full = readResponses("full");
+  // One LSNS-6 item only: an inverted scale must not read as maximum isolation
+  const partial = Object.fromEntries(Object.entries(full).filter(([k]) => !k.startsWith("lsns6.") || k === "lsns6.lsns1"));
+  const c = score(partial).composite;
+  const social = c.categories.find(x => x.id === "social");
+  assert.equal(social.skipped, 1);
+  const ucla = score(partial).social.ucla3.total;
+  assert.equal(social.score, Math.round(((ucla - 3) / 6) * 100)); // UCLA-3 alone
+  assert.equal(typeof c.index, "number");
+
+  // A whole category unanswered: no category score, no index
+  const noSocial = Object.fromEntries(Object.entries(full).filter(([k]) => !/^(lsns6|ucla3)\./.test(k)));
+  const c2 = score(noSocial).composite;
+  assert.equal(c2.categories.find(x => x.id === "social").score, null);
+  assert.equal(c2.index, null);
+  assert.equal(c2.tier, null);
+});
+
+// ------------- Config-driven instruments -------------
+
+// PHQ-2 as an extra category: declared in CONFIG only
+const PHQ2 = {
+  id: "mood",
+  label: "Mood",
+  instruments: [{
+    id: "phq2",
+    label: "Patient Health Questionnaire (PHQ-2)",
+    shortLabel: "PHQ-2",
+    widget: "likert",
+    scoring: { rule: "sum" },
+    scale: { NotAtAll: 0, SeveralDays: 1, MoreThanHalf: 2, NearlyEveryDay: 3 },
+    tiers: [{ min: 0, max: 2, label: "Negative" }, { min: 3, max: 6, label: "Positive" }],
+    items: [{ key: "interest", label: "Little interest or pleasure" }, { key: "down", label: "Feeling down" }]
+  }]
+};
+
+test("an instrument declared only in CONFIG is scored by its rule", () => {
+  const config = { ...CONFIG, categories: [...CONFIG.categories, PHQ2] };
+  const s = SCORING.compute({ "phq2.interest": "2", "phq2.down": "3" }, config, instruments());
+  assert.equal(s.mood.phq2.total, 5);
+  assert.equal(s.mood.phq2.tier, "Positive");
+  assert.equal(SCORING.completion({ "phq2.down": "1" }, config).phq2.answered, 1);
+});
+
+test("an unknown scoring rule fails loudly", () => {
+  const typo = { ...PHQ2, instruments: [{ ...PHQ2.instruments[0], scoring: { rule: "summ" } }] };
+  const config = { ...CONFIG, categories: [...CONFIG.categories, typo] };
+  assert.throws(() => SCORING.compute({}, config, instruments()), /Unknown scoring rule "summ" for instrument phq2/);
+});
+
+// ------------- Full fixture -------------
+
+test("full fixture scores every category", () => {
+  const responses = readResponses("full");
+  const { age, bmi } = SCORING.demographics(responses, CONFIG);
+  const s = score(responses, { age, bmi });
+  assert.equal(s.personal.sleep.total, 13);
+  assert.equal(s.personal.sleep.tier, "Moderate");
+  assert.equal(s.personal.stress.total, 11);
+  assert.equal(s.personal.stress.tier, "High");
+  assert.equal(s.social.lsns6.total, 7);
+  assert.equal(s.social.ucla3.total, 7);
+  assert.equal(s.sensory.hhie.total, 18);
+  assert.equal(s.sensory.hhie.tier, "Mild–moderate handicap");
+  assert.equal(s.sensory.vfq3of7.score, 86);
+  assert.equal(s.medications.anticholinergic.total, 4);
+  assert.deepEqual(s.toxins, { selected: ["sel_air", "sel_water"], weighted: 3 });
+  assert.deepEqual(s.ageBmi, { age: 72, bmi: 28.4, ageTier: "Very High", bmiTier: "Moderate" });
+});
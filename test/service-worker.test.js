@@ -0,0 +1,137 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+const SCOPE = "https://example.test/app/";
+
+// In-memory CacheStorage; bodies are kept as text so they can be re-read
+function createCaches() {
+  const stores = new Map();
+  const key = req => (typeof req === "string" ? req : req.url);
+  const open = async name => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const store = stores.get(name);
+    return {
+      async put(req, res) { store.set(key(req), await res.text()); },
+      async match(req) { return store.has(key(req)) ? new Response(store.get(key(req))) : undefined; },
+      async delete(req) { return store.delete(key(req)); }
+    };
+  };
+  return {
+    stores,
+    open,
+    async keys() { return Array.from(stores.keys()); },
+    async delete(name) { return stores.delete(name); }
+  };
+}
+
+// Run service-worker.js against a fake network serving the repo files
+// (`overrides` replaces file contents; `network.online = false` fails every fetch)
+function bootWorker() {
+  const handlers = Object.create(null);
+  const network = { online: true, overrides: Object.create(null) };
+  const caches = createCaches();
+  const self = {
+    registration: { scope: SCOPE },
+    clients: { claim: async () => {} },
+    skipWaiting: async () => {},
+    addEventListener: (type, fn) => { handlers[type] = fn; }
+  };
+  async function fetch(req) {
+    if (!network.online) throw new TypeError("Failed to fetch");
+    const rel = new URL(req.url).pathname.slice(new URL(SCOPE).pathname.length);
+    if (rel in network.overrides) return new Response(network.overrides[rel]);
+    const file = path.join(ROOT, rel);
+    if (!fs.existsSync(file)) return new Response("", { status: 404 });
+    return new Response(fs.readFileSync(file, "utf8"));
+  }
+  const ctx = vm.createContext({ self, caches, fetch, Request, Response, URL, Promise, Math });
+  vm.runInContext(fs.readFileSync(path.join(ROOT, "service-worker.js"), "utf8"), ctx, { filename: "service-worker.js" });
+
+  async function dispatch(type, props = {}) {
+    const pending = [];
+    let response;
+    handlers[type](Object.assign({
+      waitUntil: p => pending.push(p),
+      respondWith: p => { response = p; }
+    }, props));
+    await Promise.all(pending);
+    return response;
+  }
+
+  return {
+    ctx,
+    caches,
+    network,
+    install: () => dispatch("install").then(() => dispatch("activate")),
+    async get(rel, mode = "no-cors") {
+      const res = await dispatch("fetch", { request: { method: "GET", url: SCOPE + rel, mode } });
+      return res ? (await res).text() : null;
+    },
+    async message(type) {
+      const replies = [];
+      await dispatch("message", { data: { type }, source: { postMessage: m => replies.push(m) } });
+      return replies;
+    }
+  };
+}
+
+test("PRECACHE lists every file index.html loads, plus both data files", () => {
+  const sw = bootWorker();
+  const precache = vm.runInContext("PRECACHE", sw.ctx);
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const loaded = [
+    ...Array.from(html.matchAll(/<script[^>]*\bsrc="([^"]+)"/g), m => m[1]),
+    ...Array.from(html.matchAll(/<link[^>]*\bhref="([^"]+)"/g), m => m[1])
+  ];
+  for (const file of [...loaded, "index.html", "data/master.csv", "data/instruments_config.json"]) {
+    assert.ok(precache.includes(file), `${file} is not pre-cached`);
+  }
+  for (const file of precache) assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} does not exist`);
+});
+
+test("after install the app shell and data are served with the network down", async () => {
+  const sw = bootWorker();
+  await sw.install();
+  sw.network.online = false;
+
+  const csv = fs.readFileSync(path.join(ROOT, "data/master.csv"), "utf8");
+  assert.equal(await sw.get("data/master.csv"), csv);
+  assert.equal(await sw.get("data/master.csv?v=2"), csv);
+  assert.match(await sw.get("", "navigate"), /<title>Brain Threat Analysis/);
+  assert.equal(await sw.get("elsewhere.json"), null, "files outside PRECACHE go to the network untouched");
+});
+
+test("updated data is staged until the reload notice is accepted", async () => {
+  const sw = bootWorker();
+  await sw.install();
+  const oldCsv = fs.readFileSync(path.join(ROOT, "data/master.csv"), "utf8");
+  const newCsv = oldCsv + "\n";
+
+  assert.deepEqual(await sw.message("check-for-update"), [], "no notice while nothing changed");
+
+  sw.network.overrides["data/master.csv"] = newCsv;
+  const [notice] = await sw.message("check-for-update");
+  assert.equal(notice.type, "update-available");
+  assert.equal(await sw.get("data/master.csv"), oldCsv, "the open page keeps its version");
+
+  const [applied] = await sw.message("apply-update");
+  assert.equal(applied.type, "update-applied");
+  assert.equal(applied.version, notice.version);
+  sw.network.online = false;
+  assert.equal(await sw.get("data/master.csv"), newCsv);
+  assert.deepEqual(Array.from(sw.caches.stores.keys()).sort(), ["bta-" + notice.version, "bta-meta"]);
+});
+
+test("checking while offline keeps the current version and stays quiet", async () => {
+  const sw = bootWorker();
+  await sw.install();
+  sw.network.online = false;
+  assert.deepEqual(await sw.message("check-for-update"), []);
+  assert.match(await sw.get("data/instruments_config.json"), /\S/);
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+// Snapshot tests of the rendered #summary-content. Goldens live in
+// test/fixtures/summary/<fixture>.txt; after an intended output change,
+// regenerate them with:  UPDATE_SNAPSHOTS=1 node --test test/
+// and review the diff.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { bootPage, outline, readResponses } = require("./helpers/page");
+const { Storage } = require("./helpers/dom");
+
+const GOLDEN_DIR = path.join(__dirname, "fixtures", "summary");
+
+function matchGolden(actual, name) {
+  const golden = path.join(GOLDEN_DIR, `${name}.txt`);
+  if (process.env.UPDATE_SNAPSHOTS) fs.writeFileSync(golden, actual);
+  assert.equal(actual, fs.readFileSync(golden, "utf8"));
+}
+
+for (const mode of ["patient", "clinician"]) {
+  for (const name of ["blank", "partial", "full"]) {
+    test(`${mode} summary for the ${name} fixture matches its golden`, async () => {
+      const page = await bootPage();
+      page.window.SUMMARY.setMode(mode);
+      page.window.SUMMARY.updateSummary(readResponses(name));
+      matchGolden(outline(page.document.getElementById("summary-content")), `${name}.${mode}`);
+    });
+  }
+
+  test(`the ${mode} summary follows the UI language; scores do not`, async () => {
+    const storage = new Storage();
+    storage.setItem("brainThreat.language", "es");
+    const page = await bootPage({ storage });
+    page.window.SUMMARY.setMode(mode);
+    page.window.SUMMARY.updateSummary(readResponses("full"));
+    matchGolden(outline(page.document.getElementById("summary-content")), `full.es.${mode}`);
+  });
+}
+
+test("both views render the same snapshot", async () => {
+  const page = await bootPage();
+  const responses = readResponses("full");
+  const text = mode => {
+    page.window.SUMMARY.setMode(mode);
+    page.window.SUMMARY.updateSummary(responses);
+    return page.document.getElementById("summary-content").textContent;
+  };
+  const patient = text("patient");
+  const clinician = text("clinician");
+
+  // Patient: plain labels and CSV names, no item keys, item scores or item tiers
+  assert.match(patient, /History of heart disease/);
+  assert.match(patient, /Diphenhydramine/);
+  assert.doesNotMatch(patient, /\bafib\b|\bheart —|Scored|\(reversed\)|— Tier:/);
+  // Clinician: PSS-4 raw vs reversed values, ACB level and points per medication
+  assert.match(clinician, /Felt confident about handling problemsAlmost Never13 \(reversed\)/);
+  assert.match(clinician, /DiphenhydramineAntihistamineHigh3/);
+  assert.match(clinician, /High \(current\)11–16/);
+  // Same scores in both
+  assert.match(patient, /Stress \(PSS-4\)Result: High/);
+  assert.match(clinician, /Total \(0–16\): 11Tier: High/);
+});
+
+test("an unknown mode falls back to CONFIG.summaryModes.defaultMode", async () => {
+  const page = await bootPage({ configure: config => { config.summaryModes.defaultMode = "clinician"; } });
+  assert.equal(page.window.SUMMARY.setMode("doctor"), "clinician");
+  assert.equal(page.window.SUMMARY.setMode("patient"), "patient");
+});
@@ -0,0 +1,80 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const VAULT = require("../assets/vault.js");
+const { Storage } = require("./helpers/dom");
+
+const PASS = "correct horse battery";
+const FAST = { iterations: 1000 }; // the app default is far slower on purpose
+
+test.beforeEach(() => VAULT.use(new Storage()));
+
+test("sealed values round-trip and hide their content", async () => {
+  assert.equal(VAULT.isSetUp(), false);
+  await VAULT.setUp(PASS, FAST);
+  assert.equal(VAULT.isSetUp(), true);
+  const value = { "sleep.sleep1": "3", "demographics.age": "67" };
+
+  const env = await VAULT.seal(value, "session");
+  assert.ok(VAULT.isSealed(env));
+  assert.equal(env.cipher.name, "AES-GCM");
+  assert.equal(env.kdf.iterations, 1000);
+  assert.doesNotMatch(JSON.stringify(env), /sleep\.sleep1|demographics\.age/);
+  assert.deepEqual(await VAULT.open(env, "session"), value);
+
+  // Same plaintext, fresh IV every time
+  assert.notEqual((await VAULT.seal(value, "session")).data, env.data);
+});
+
+test("a wrong passphrase is reported and unlocks nothing", async () => {
+  const store = new Storage();
+  VAULT.use(store);
+  await VAULT.setUp(PASS, FAST);
+  VAULT.lock();
+  assert.equal(VAULT.isUnlocked(), false);
+
+  await assert.rejects(VAULT.unlock("correct horse batterz"), { name: "VaultError", code: "wrong-passphrase" });
+  assert.equal(VAULT.isUnlocked(), false);
+  await assert.rejects(VAULT.seal({}, "session"), { code: "locked" });
+
+  await VAULT.unlock(PASS);
+  assert.equal(VAULT.isUnlocked(), true);
+});
+
+test("tampered data, a moved envelope or a short passphrase fail as a whole", async () => {
+  await assert.rejects(VAULT.setUp("short", { iterations: 1000, minLength: 10 }), { code: "weak-passphrase" });
+  await VAULT.setUp(PASS, FAST);
+  const env = await VAULT.seal({ a: "1" }, "profile:1");
+
+  const bytes = Buffer.from(env.data, "base64");
+  bytes[bytes.length - 1] ^= 0x80;
+  await assert.rejects(VAULT.open(Object.assign({}, env, { data: bytes.toString("base64") }), "profile:1"), { code: "damaged" });
+  await assert.rejects(VAULT.open(env, "profile:2"), { code: "damaged" });
+  await assert.rejects(VAULT.open({ sealed: "brain-threat-vault" }, "profile:1"), { code: "damaged" });
+});
+
+test("an envelope naming an unusable PBKDF2 iteration count is rejected before deriving", async () => {
+  await VAULT.setUp(PASS, FAST);
+  const env = await VAULT.seal({ a: "1" }, "export");
+  for (const iterations of [1e10, 6000001, 0, -1000, 1000.5, "1000", null]) {
+    const forged = Object.assign({}, env, { kdf: Object.assign({}, env.kdf, { iterations }) });
+    await assert.rejects(VAULT.open(forged, "export"), { code: "damaged", message: /work factor/ }, String(iterations));
+    await assert.rejects(VAULT.openWithPassphrase(forged, PASS, "export"), { code: "damaged" }, String(iterations));
+  }
+  assert.deepEqual(await VAULT.open(env, "export"), { a: "1" });
+});
+
+test("exports sealed in another browser open with the same passphrase", async () => {
+  await VAULT.setUp(PASS, FAST);
+  const env = await VAULT.seal({ a: "1" }, "export");
+
+  VAULT.use(new Storage()); // another workstation: its own salt
+  await VAULT.setUp(PASS, FAST);
+  assert.deepEqual(await VAULT.open(env, "export"), { a: "1" });
+
+  VAULT.use(new Storage());
+  await VAULT.setUp("a different passphrase", FAST);
+  await assert.rejects(VAULT.open(env, "export"), { code: "damaged", message: /another passphrase/ });
+});
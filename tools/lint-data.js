@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/* ===========================================================================
+   Brain Threat Analysis — data-file linter
+   Clean rebuild from WP + master.csv (STRICT CONTRACT declared in config.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Check master.csv and instruments_config.json BEFORE publishing them,
+     against the schema in assets/config.js (csvContract, and each
+     instrument's csvInstrumentId / source / helper), using DATA.lint().
+   - Reports every problem at once, with line numbers:
+       errors   – malformed CSV (ragged rows, bad quoting; line and column),
+                  required columns, empty or duplicate item_key, item_key vs
+                  item_key_norm / item_key_trimmed, instrument_id vs the
+                  instruments_config.json section, csvKeys missing from the
+                  CSV, medications without brand_name / class / valid
+                  anticholinergic level, helper sections without threat,
+                  empty required "More info" fields
+       warnings – rows no instrument references, undeclared instrument_ids
+
+   USAGE
+     node tools/lint-data.js [--data <dir>] [--format text|json]
+
+     --data            directory holding master.csv and instruments_config.json
+                       (default: ../data next to this script)
+     --format          text (default): "<file>:<line>: <severity>: <message>"
+                       json: array of { severity, file, line, message }
+
+   EXIT CODES
+     0 no errors (warnings allowed) · 1 errors found / unreadable file · 2 usage error
+   =========================================================================== */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG = require("../assets/config.js");
+const DATA = require("../assets/data.js");
+
+const USAGE = "Usage: node tools/lint-data.js [--data <dir>] [--format text|json]";
+
+// ------------- Arguments -------------
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { format: "text", data: path.join(__dirname, "..", "data") };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "--format") opts.format = value();
+    else if (a === "--data") opts.data = value();
+    else throw new UsageError(`Unknown argument ${a}`);
+  }
+  if (!["json", "text"].includes(opts.format)) throw new UsageError(`--format must be json or text, got "${opts.format}"`);
+  return opts;
+}
+
+// ------------- Output -------------
+
+function formatText(problems, dataDir) {
+  const lines = problems.map(p => {
+    const where = path.relative(process.cwd(), path.join(dataDir, p.file)) + (p.line ? `:${p.line}` : "");
+    return `${where}: ${p.severity}: ${p.message}`;
+  });
+  const count = sev => problems.filter(p => p.severity === sev).length;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  lines.push(`${plural(count("error"), "error")}, ${plural(count("warning"), "warning")}`);
+  return lines.join("\n") + "\n";
+}
+
+// ------------- Main -------------
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    process.stderr.write(`${e.message}\n${USAGE}\n`);
+    return 2;
+  }
+  if (opts.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  let csvText;
+  let instrumentsText;
+  try {
+    csvText = fs.readFileSync(path.join(opts.data, "master.csv"), "utf8");
+    instrumentsText = fs.readFileSync(path.join(opts.data, "instruments_config.json"), "utf8");
+  } catch (e) {
+    process.stderr.write(`Error: ${e.message}\n`);
+    return 1;
+  }
+
+  const problems = DATA.lint({ csvText, instrumentsText, config: CONFIG });
+  process.stdout.write(opts.format === "json" ? `${JSON.stringify(problems, null, 2)}\n` : formatText(problems, opts.data));
+  return problems.some(p => p.severity === "error") ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
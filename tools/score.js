@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+/* ===========================================================================
+   Brain Threat Analysis — command-line scorer
+   Clean rebuild from WP + master.csv (STRICT CONTRACT honored in data.js)
+   ---------------------------------------------------------------------------
+   PURPOSE
+   - Score a saved assessment outside the browser (batch jobs, backend) with
+     the SAME assets/config.js, assets/scoring.js and assets/data.js the app
+     loads, so results match the on-page summary.
+
+   USAGE
+     node tools/score.js <responses.json> [--format json|text] [--data <dir>] [--as-of YYYY-MM-DD]
+                         [--passphrase-file <path>]
+
+     <responses.json>  collectAllResponses() map, e.g.
+                         { "sleep.sleep1": "3", "Medications.amitriptyline": "1" }
+                       (an Export Assessment document is accepted too; its
+                        "responses" object is used)
+     --format          json (default): SCORING.compute() snapshot
+                       text: plain-text summary in the on-page section order
+     --data            directory holding master.csv and instruments_config.json
+                       (default: ../data next to this script)
+     --as-of           reference date for age from date of birth (default: today)
+     --passphrase-file file whose first line is the passphrase of an
+                       encrypted export (assets/vault.js); needed for
+                       files exported by the app
+
+   EXIT CODES
+     0 ok · 1 data contract / input error · 2 usage error
+   =========================================================================== */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG = require("../assets/config.js");
+const SCORING = require("../assets/scoring.js");
+const DATA = require("../assets/data.js");
+const PLAN = require("../assets/plan.js");
+const VAULT = require("../assets/vault.js");
+
+const USAGE = "Usage: node tools/score.js <responses.json> [--format json|text] [--data <dir>] [--as-of YYYY-MM-DD] [--passphrase-file <path>]";
+
+// ------------- Arguments -------------
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { format: "json", data: path.join(__dirname, "..", "data"), asOf: null, file: null, passphraseFile: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "--format") opts.format = value();
+    else if (a === "--data") opts.data = value();
+    else if (a === "--as-of") opts.asOf = value();
+    else if (a === "--passphrase-file") opts.passphraseFile = value();
+    else if (a.startsWith("-")) throw new UsageError(`Unknown option ${a}`);
+    else if (opts.file) throw new UsageError("Only one responses file may be given");
+    else opts.file = a;
+  }
+  if (opts.help) return opts;
+  if (!opts.file) throw new UsageError("Missing <responses.json>");
+  if (!["json", "text"].includes(opts.format)) throw new UsageError(`--format must be json or text, got "${opts.format}"`);
+  if (opts.asOf && !/^\d{4}-\d{2}-\d{2}$/.test(opts.asOf)) throw new UsageError("--as-of must be YYYY-MM-DD");
+  return opts;
+}
+
+// ------------- Input -------------
+
+async function readResponses(file, passphraseFile) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Cannot read responses from ${file}: ${e.message}`);
+  }
+  // Exports from the app are sealed with the staff passphrase
+  if (VAULT.isSealed(parsed)) {
+    if (!passphraseFile) throw new Error(`${file} is encrypted; give its passphrase with --passphrase-file <path>`);
+    const passphrase = fs.readFileSync(passphraseFile, "utf8").split(/\r?\n/)[0];
+    parsed = await VAULT.openWithPassphrase(parsed, passphrase, "export");
+  }
+  // Export Assessment documents wrap the map (see assets/transfer.js)
+  const map = parsed && parsed.schema === "brain-threat-assessment" ? parsed.responses : parsed;
+  if (!map || typeof map !== "object" || Array.isArray(map)) {
+    throw new Error(`${file} does not contain a responses object`);
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(map)) out[k] = String(v);
+  return out;
+}
+
+// ------------- Text summary -------------
+
+function lc(s) { return String(s || "").trim().toLowerCase(); }
+
+function itemLabel(inst, key) {
+  const it = (inst.items || []).find(x => x.key === key);
+  return (it && it.label) || key;
+}
+
+function tierText(block) {
+  if (block && block.tier) return block.tier;
+  if (block && block.complete === false) return `Incomplete (${block.answered}/${block.itemCount} answered)`;
+  return "—";
+}
+
+// One view per CONFIG `scoring.rule`: view(out, instrument, block, name)
+const VIEWS = {
+  yesFlags(out, inst, b) {
+    const flagged = (b.selected || []).map(k => `${itemLabel(inst, k)}${b.tiers && b.tiers[k] ? ` — Tier: ${b.tiers[k]}` : ""}`);
+    out.list(flagged, b.answered === 0 ? "Not answered." : "No risk flags selected.");
+  },
+
+  noFlags(out, inst, b) {
+    const flags = b.noFlags || {};
+    out.list(Object.keys(flags).map(k => `Not met: ${itemLabel(inst, k)} — Tier: ${flags[k]}`),
+      b.answered === 0 ? "Not answered." : "Meets all targets selected.");
+  },
+
+  sum(out, inst, b) {
+    out.measures(inst, b);
+  },
+
+  normalized(out, inst, b) {
+    out.measures(inst, b);
+  },
+
+  anticholinergic(out, inst, b, name) {
+    const classes = Object.keys(b.byClass || {});
+    if (!classes.length) out.list([]);
+    classes.forEach(cls => {
+      out.line(`${cls}:`);
+      b.byClass[cls].forEach(k => out.line(`  • ${name(k)}`));
+    });
+    (b.other || []).forEach(t => out.line(`• ${t} — other medication, not rated`));
+    const acb = b.anticholinergic || {};
+    out.kv("Anticholinergic burden", `${acb.total ?? 0} (${acb.tier || "—"})`);
+  },
+
+  weighted(out, inst, b, name) {
+    out.list((b.selected || []).map(name));
+    out.kv("Weighted score", b.weighted);
+  }
+};
+
+// Line writer at one indent: line / kv / list / measures
+function writer(lines, indent) {
+  const out = {
+    line: t => lines.push(`${indent}${t}`),
+    kv: (k, v) => out.line(`${k}: ${v == null || v === "" ? "—" : v}`),
+    list: (items, none = "None selected") => {
+      if (!items.length) out.line(none);
+      items.forEach(x => out.line(`• ${x}`));
+    },
+    // Headline values with their CONFIG ranges (SCORING.measures())
+    measures: (inst, b) => {
+      for (const m of SCORING.measures(inst)) {
+        out.kv(m.range ? `${m.label} (${m.range.min}–${m.range.max})` : m.label, m.value(b));
+        if (m.tier) out.kv("Tier", m.tier(b) || tierText(b));
+      }
+    }
+  };
+  return out;
+}
+
+function formatText(snap, dicts, config = CONFIG) {
+  const lines = [];
+  const h = t => lines.push("", t, "-".repeat(t.length));
+  const out = writer(lines, "  ");
+  const nested = writer(lines, "    ");
+  const name = key => dicts.threatByKey[lc(key)] || key;
+  const { composite } = snap;
+
+  lines.push("Brain Threat Analysis — Summary");
+  if (composite) {
+    h("Overall Brain-Threat Index");
+    out.kv("Index (0–100)", composite.index === null ? "Insufficient data" : composite.index);
+    out.kv("Tier", composite.tier);
+    composite.categories.slice().sort((a, b) => (b.contribution ?? -1) - (a.contribution ?? -1))
+      .forEach(c => out.kv(`${c.label} (weight ${c.weight})`, c.score === null ? "Insufficient data" : `${c.score}% → ${c.contribution} pts`));
+  }
+
+  // CONFIG order; checklists are the whole category, so only questionnaires
+  // get a heading line of their own
+  for (const cat of config.categories || []) {
+    h(cat.label);
+    for (const inst of cat.instruments || []) {
+      const view = VIEWS[inst.scoring?.rule];
+      if (!view) continue;
+      const block = SCORING.resultBlock(snap, cat, inst) || {};
+      if (inst.widget === "checklist") {
+        view(out, inst, block, name);
+      } else {
+        out.line(`${inst.label}:`);
+        view(nested, inst, block, name);
+      }
+    }
+  }
+
+  const { age, bmi, ageTier, bmiTier } = snap.ageBmi || {};
+  if (ageTier || bmiTier) {
+    h("Age & BMI Classification");
+    if (ageTier) out.kv("Age band", `${ageTier} (age ${age})`);
+    if (bmiTier) out.kv("BMI band", `${bmiTier} (BMI ${bmi})`);
+  }
+
+  h("Action Plan");
+  const plan = PLAN.build(snap, { config, csv: dicts });
+  out.list(plan.map(p => `[${p.tier || "—"}] ${p.action} (for: ${p.sources.join("; ")})`), "No actions identified.");
+
+  return lines.join("\n") + "\n";
+}
+
+// ------------- Main -------------
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    process.stderr.write(`${e.message}\n${USAGE}\n`);
+    return 2;
+  }
+  if (opts.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  try {
+    const { dicts, instruments } = DATA.prepare({
+      csvText: fs.readFileSync(path.join(opts.data, "master.csv"), "utf8"),
+      instrumentsText: fs.readFileSync(path.join(opts.data, "instruments_config.json"), "utf8"),
+      config: CONFIG
+    });
+    const responses = await readResponses(opts.file, opts.passphraseFile);
+    const asOf = opts.asOf ? new Date(`${opts.asOf}T00:00:00`) : undefined;
+    const { age, bmi } = SCORING.demographics(responses, CONFIG, asOf);
+    const snap = SCORING.compute(responses, CONFIG, instruments, { age, bmi });
+
+    process.stdout.write(opts.format === "text" ? formatText(snap, dicts) : `${JSON.stringify(snap, null, 2)}\n`);
+    return 0;
+  } catch (e) {
+    const details = e instanceof DATA.DataContractError && e.details ? `\n${e.details}` : "";
+    process.stderr.write(`Error: ${e.message}${details}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { formatText };